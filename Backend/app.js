@@ -14,9 +14,20 @@ const authRoutes = require('./routes/auth.routes');
   const adminRoutes = require('./routes/admin.routes');
   const sellerRoutes = require('./routes/seller.routes');
 const paymentRoutes = require('./routes/payments.routes'); // Added payment routes
+const categoryRoutes = require('./routes/category.routes');
+const questionRoutes = require('./routes/question.routes');
+const checkoutRoutes = require('./routes/checkout.routes');
+const couponRoutes = require('./routes/coupon.routes');
+const wishlistRoutes = require('./routes/wishlist.routes');
+const shippingRoutes = require('./routes/shipping.routes');
+const currencyRoutes = require('./routes/currency.routes');
+const returnRoutes = require('./routes/return.routes');
+const invoiceRoutes = require('./routes/invoice.routes');
 
 // Import the database connection configuration
 const dbConnection = require('./config/db.config');
+const { startRecommendationJob } = require('./jobs/recommendation.job');
+const { startReservationJob } = require('./jobs/reservation.job');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -29,6 +40,7 @@ app.use(express.json());
 app.use(cors({
   origin: process.env.CLIENT_URL,
   credentials: true,
+  exposedHeaders: ['X-Cart-Token'], // Guest cart token issued by POST /api/cart/guest
 }));
 
 // Rate Limiting Middleware
@@ -45,15 +57,30 @@ app.use(morgan('combined'));
 // Connect to the database
 dbConnection();
 
+// Background jobs; set DISABLE_JOBS=true on extra instances so only one runs them
+if (process.env.DISABLE_JOBS !== 'true') {
+  startRecommendationJob();
+  startReservationJob();
+}
+
 // Routes setup
 app.use('/api/auth', authRoutes);
 app.use('/api/cart', cartRoutes);
+ app.use('/api/orders/:orderId/returns', returnRoutes);
+ app.use('/api/orders/:orderId/invoices', invoiceRoutes);
  app.use('/api/orders', orderRoutes);
+app.use('/api/products/:productId/questions', questionRoutes);
   app.use('/api/products', productRoutes);
   app.use('/api/users', userRoutes);
   app.use('/api/admin', adminRoutes);
  app.use('/api/seller', sellerRoutes);
  app.use('/api/payment', paymentRoutes); // Added payment routes
+app.use('/api/categories', categoryRoutes);
+app.use('/api/checkout', checkoutRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/wishlists', wishlistRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/currencies', currencyRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
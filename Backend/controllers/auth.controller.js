@@ -7,6 +7,7 @@ const Seller = require('../models/seller.model');
 const Role = require('../models/role.model');
 const Admin = require('../models/admin.model');
 const sendEmail = require('../services/emailService');
+const CartService = require('../services/cart.service');
 const { v4: uuidv4 } = require('uuid');
 
 // === UTILITY FUNCTIONS ===
@@ -35,6 +36,19 @@ const validatePassword = (password) => {
   return null;
 };
 
+// Move a guest cart (X-Cart-Token header) into the customer's cart after sign-in.
+// A failed merge is reported but never blocks the login itself.
+const mergeGuestCart = async (req, user) => {
+  const guestToken = req.get('X-Cart-Token');
+  if (!guestToken || user.role !== 'customer') return undefined;
+  try {
+    return await CartService.mergeGuestCart(guestToken, user._id.toString());
+  } catch (error) {
+    console.error('Guest Cart Merge Error:', error);
+    return { merged: [], skipped: [], error: 'Guest cart could not be merged' };
+  }
+};
+
 // === GOOGLE SSO ===
 exports.registerOrLoginWithGoogle = async (req, res) => {
   try {
@@ -58,6 +72,7 @@ exports.registerOrLoginWithGoogle = async (req, res) => {
         token: generateAccessToken(newUser),
         refreshToken: generateRefreshToken(newUser._id),
         userId: newUser.userId,
+        cartMerge: await mergeGuestCart(req, newUser),
       });
     }
 
@@ -66,6 +81,7 @@ exports.registerOrLoginWithGoogle = async (req, res) => {
       token: generateAccessToken(user),
       refreshToken: generateRefreshToken(user._id),
       userId: user.userId,
+      cartMerge: await mergeGuestCart(req, user),
     });
   } catch (error) {
     console.error('Google SSO Error:', error);
@@ -79,6 +95,8 @@ exports.googleCallback = [
   passport.authenticate('google', { session: false, failureRedirect: '/login' }),
   async (req, res) => {
     try {
+      // The OAuth redirect can't carry X-Cart-Token; the client merges a guest cart
+      // afterwards with POST /api/cart/merge
       const user = req.user;
       const token = generateAccessToken(user);
       const refreshToken = generateRefreshToken(user._id);
@@ -190,6 +208,8 @@ exports.loginCustomer = async (req, res) => {
 
     console.log('Login success:', user.email);
 
+    const cartMerge = await mergeGuestCart(req, user);
+
     // Respond with user data and tokens
     res.json({
       message: 'Customer login successful',
@@ -202,6 +222,7 @@ exports.loginCustomer = async (req, res) => {
         email: user.email,
         role: user.role,
       },
+      cartMerge,
     });
   } catch (error) {
     console.error('Login Customer Error:', error);
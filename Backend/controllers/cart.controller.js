@@ -1,6 +1,7 @@
 const Joi = require('joi');
 const winston = require('winston');
 const CartService = require('../services/cart.service');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
 
 // Logger setup
 const logger = winston.createLogger({
@@ -28,11 +29,54 @@ const cartItemSchema = Joi.object({
     .messages({
       'any.invalid': 'Invalid product ID',
     }),
+  variantId: Joi.string()
+    .allow(null)
+    .optional()
+    .custom((value, helpers) => {
+      if (!require('mongoose').isValidObjectId(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'MongoDB ObjectId')
+    .messages({
+      'any.invalid': 'Invalid variant ID',
+    }),
   quantity: Joi.number().integer().min(1).required().messages({
     'number.min': 'Quantity must be at least 1',
   }),
 });
 
+// Guest carts are identified by the opaque token sent in the X-Cart-Token header
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+const cartTokenSchema = Joi.string().pattern(/^[A-Za-z0-9_-]{16,64}$/).messages({
+  'string.pattern.base': 'Invalid cart token',
+});
+
+// Read and validate the guest cart token; returns { error, value }
+const readCartToken = (req) => cartTokenSchema.validate(req.get(CART_TOKEN_HEADER) || undefined);
+
+// Optional ?shippingState= (state name or GST state code) and ?shippingPincode= to
+// estimate GST and shipping against, and ?currency= to add display amounts in
+const cartQuerySchema = Joi.object({
+  shippingState: Joi.string().trim().max(60).optional(),
+  shippingPincode: Joi.string().trim().pattern(/^\d{6}$/).optional().messages({
+    'string.pattern.base': 'Pincode must be 6 digits',
+  }),
+  currency: Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES).optional().messages({
+    'any.only': 'Unsupported currency',
+  }),
+}).unknown(true);
+
+// Returns { error, value: { shippingAddress, currency } }
+const readCartQuery = (req) => {
+  const { error, value } = cartQuerySchema.validate(req.query);
+  if (error) return { error };
+  const shippingAddress = value.shippingState || value.shippingPincode
+    ? { state: value.shippingState, zip: value.shippingPincode, country: 'India' }
+    : null;
+  return { value: { shippingAddress, currency: value.currency } };
+};
+
 module.exports = {
   // Add an item to the cart
   addItemToCartController: async (req, res) => {
@@ -45,8 +89,8 @@ module.exports = {
         return res.status(400).json({ message: error.details[0].message });
       }
 
-      const { productId, quantity } = req.body;
-      const cart = await CartService.addItemToCart(req.user.id, productId, quantity, req.user.id);
+      const { productId, variantId, quantity } = req.body;
+      const cart = await CartService.addItemToCart(req.user.id, productId, quantity, req.user.id, variantId);
       logger.info(`Added item ${productId} to cart for user ${req.user.id}`);
       res.status(200).json(cart);
     } catch (error) {
@@ -62,6 +106,7 @@ module.exports = {
     try {
       const { error } = Joi.object({
         productId: cartItemSchema.extract('productId'),
+        variantId: cartItemSchema.extract('variantId'),
       }).validate(req.body);
       if (error) {
         logger.error(`Validation error removing item from cart: ${error.details[0].message}`, {
@@ -70,8 +115,8 @@ module.exports = {
         return res.status(400).json({ message: error.details[0].message });
       }
 
-      const { productId } = req.body;
-      const cart = await CartService.removeItemFromCart(req.user.id, productId, req.user.id);
+      const { productId, variantId } = req.body;
+      const cart = await CartService.removeItemFromCart(req.user.id, productId, req.user.id, variantId);
       logger.info(`Removed item ${productId} from cart for user ${req.user.id}`);
       res.status(200).json(cart);
     } catch (error) {
@@ -93,12 +138,13 @@ module.exports = {
         return res.status(400).json({ message: error.details[0].message });
       }
 
-      const { productId, quantity } = req.body;
+      const { productId, variantId, quantity } = req.body;
       const cart = await CartService.updateCartItemQuantity(
         req.user.id,
         productId,
         quantity,
-        req.user.id
+        req.user.id,
+        variantId
       );
       logger.info(`Updated quantity of item ${productId} in cart for user ${req.user.id}`);
       res.status(200).json(cart);
@@ -126,6 +172,59 @@ module.exports = {
     }
   },
 
+  // Get the authenticated user's cart, with notices for lines that changed
+  getMyCartController: async (req, res) => {
+    try {
+      const { error, value } = readCartQuery(req);
+      if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+      }
+      const cart = await CartService.getUserCart(req.user.id, req.user.id, value.shippingAddress, value.currency);
+      res.status(200).json(cart);
+    } catch (error) {
+      logger.error(`Error getting user cart: ${error.message}`, { userId: req.user?.id });
+      res.status(error.status || 500).json({
+        message: error.message || 'Failed to retrieve cart',
+      });
+    }
+  },
+
+  // Accept price and stock changes reported on the user's cart
+  acceptCartChangesController: async (req, res) => {
+    try {
+      const cart = await CartService.acceptCartChanges(req.user.id, req.user.id);
+      logger.info(`Accepted cart changes for user ${req.user.id}`);
+      res.status(200).json(cart);
+    } catch (error) {
+      logger.error(`Error accepting cart changes: ${error.message}`, { userId: req.user?.id });
+      res.status(error.status || 500).json({
+        message: error.message || 'Failed to update cart',
+      });
+    }
+  },
+
+  // Fold a guest cart (X-Cart-Token header) into the user's cart. Sign-ins that can't
+  // send the header, such as the Google OAuth redirect, call this afterwards.
+  mergeGuestCartController: async (req, res) => {
+    try {
+      const { error: tokenError, value: cartToken } = readCartToken(req);
+      if (tokenError) {
+        return res.status(400).json({ message: tokenError.details[0].message });
+      }
+      if (!cartToken) {
+        return res.status(400).json({ message: `${CART_TOKEN_HEADER} header is required` });
+      }
+      const result = await CartService.mergeGuestCart(cartToken, req.user.id);
+      logger.info(`Merged guest cart for user ${req.user.id}`, { merged: result?.merged.length || 0 });
+      res.status(200).json(result || { merged: [], skipped: [] });
+    } catch (error) {
+      logger.error(`Error merging guest cart: ${error.message}`, { userId: req.user?.id });
+      res.status(error.status || 500).json({
+        message: error.message || 'Failed to merge cart',
+      });
+    }
+  },
+
   // Get the user's cart
   getUserCartController: async (req, res) => {
     try {
@@ -160,4 +259,141 @@ module.exports = {
       });
     }
   },
-};
\ No newline at end of file
+
+  // Add an item to a guest cart, creating the cart on first use
+  addItemToGuestCartController: async (req, res) => {
+    try {
+      const { error: tokenError, value: cartToken } = readCartToken(req);
+      if (tokenError) {
+        return res.status(400).json({ message: tokenError.details[0].message });
+      }
+      const { error } = cartItemSchema.validate(req.body);
+      if (error) {
+        logger.error(`Validation error adding item to guest cart: ${error.details[0].message}`);
+        return res.status(400).json({ message: error.details[0].message });
+      }
+
+      const { productId, variantId, quantity } = req.body;
+      const result = await CartService.addItemToGuestCart(cartToken, productId, quantity, variantId);
+      logger.info(`Added item ${productId} to guest cart`);
+      res.set(CART_TOKEN_HEADER, result.cartToken);
+      res.status(200).json({ ...result.cart, cartToken: result.cartToken });
+    } catch (error) {
+      logger.error(`Error adding item to guest cart: ${error.message}`);
+      res.status(error.status || 500).json({
+        message: error.message || 'Failed to add item to cart',
+      });
+    }
+  },
+
+  // Remove an item from a guest cart
+  removeItemFromGuestCartController: async (req, res) => {
+    try {
+      const { error: tokenError, value: cartToken } = readCartToken(req);
+      if (tokenError) {
+        return res.status(400).json({ message: tokenError.details[0].message });
+      }
+      const { error } = Joi.object({
+        productId: cartItemSchema.extract('productId'),
+        variantId: cartItemSchema.extract('variantId'),
+      }).validate(req.body);
+      if (error) {
+        logger.error(`Validation error removing item from guest cart: ${error.details[0].message}`);
+        return res.status(400).json({ message: error.details[0].message });
+      }
+
+      const { productId, variantId } = req.body;
+      const cart = await CartService.removeItemFromGuestCart(cartToken, productId, variantId);
+      logger.info(`Removed item ${productId} from guest cart`);
+      res.status(200).json(cart);
+    } catch (error) {
+      logger.error(`Error removing item from guest cart: ${error.message}`);
+      res.status(error.status || 500).json({
+        message: error.message || 'Failed to remove item from cart',
+      });
+    }
+  },
+
+  // Update item quantity in a guest cart
+  updateGuestCartItemQuantityController: async (req, res) => {
+    try {
+      const { error: tokenError, value: cartToken } = readCartToken(req);
+      if (tokenError) {
+        return res.status(400).json({ message: tokenError.details[0].message });
+      }
+      const { error } = cartItemSchema.validate(req.body);
+      if (error) {
+        logger.error(`Validation error updating guest cart item quantity: ${error.details[0].message}`);
+        return res.status(400).json({ message: error.details[0].message });
+      }
+
+      const { productId, variantId, quantity } = req.body;
+      const cart = await CartService.updateGuestCartItemQuantity(cartToken, productId, quantity, variantId);
+      logger.info(`Updated quantity of item ${productId} in guest cart`);
+      res.status(200).json(cart);
+    } catch (error) {
+      logger.error(`Error updating guest cart item quantity: ${error.message}`);
+      res.status(error.status || 500).json({
+        message: error.message || 'Failed to update cart item quantity',
+      });
+    }
+  },
+
+  // Clear a guest cart
+  clearGuestCartController: async (req, res) => {
+    try {
+      const { error: tokenError, value: cartToken } = readCartToken(req);
+      if (tokenError) {
+        return res.status(400).json({ message: tokenError.details[0].message });
+      }
+      await CartService.clearGuestCart(cartToken);
+      logger.info('Cleared guest cart');
+      res.status(200).json({ message: 'Cart cleared successfully' });
+    } catch (error) {
+      logger.error(`Error clearing guest cart: ${error.message}`);
+      res.status(error.status || 500).json({
+        message: error.message || 'Failed to clear cart',
+      });
+    }
+  },
+
+  // Accept price and stock changes reported on a guest cart
+  acceptGuestCartChangesController: async (req, res) => {
+    try {
+      const { error: tokenError, value: cartToken } = readCartToken(req);
+      if (tokenError) {
+        return res.status(400).json({ message: tokenError.details[0].message });
+      }
+      const cart = await CartService.acceptGuestCartChanges(cartToken);
+      logger.info('Accepted guest cart changes');
+      res.status(200).json(cart);
+    } catch (error) {
+      logger.error(`Error accepting guest cart changes: ${error.message}`);
+      res.status(error.status || 500).json({
+        message: error.message || 'Failed to update cart',
+      });
+    }
+  },
+
+  // Get a guest cart
+  getGuestCartController: async (req, res) => {
+    try {
+      const { error: tokenError, value: cartToken } = readCartToken(req);
+      if (tokenError) {
+        return res.status(400).json({ message: tokenError.details[0].message });
+      }
+      const { error, value } = readCartQuery(req);
+      if (error) {
+        return res.status(400).json({ message: error.details[0].message });
+      }
+      const cart = await CartService.getGuestCart(cartToken, value.shippingAddress, value.currency);
+      logger.info('Retrieved guest cart');
+      res.status(200).json(cart);
+    } catch (error) {
+      logger.error(`Error getting guest cart: ${error.message}`);
+      res.status(error.status || 500).json({
+        message: error.message || 'Failed to retrieve cart',
+      });
+    }
+  },
+};
@@ -0,0 +1,266 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const CategoryService = require('../services/category.service');
+const { GST_RATES, HSN_CODE_PATTERN } = require('../utils/gst');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/categoryController.log' }),
+  ],
+});
+
+const objectId = Joi.string().custom((value, helpers) => {
+  if (!mongoose.isValidObjectId(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+});
+
+// Validation schemas
+const categorySchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).optional(),
+  description: Joi.string().trim().allow('').optional(),
+  image: Joi.object({
+    public_id: Joi.string().optional(),
+    url: Joi.string().uri().required(),
+  }).optional(),
+  parent: objectId.allow(null).optional(),
+  sortOrder: Joi.number().integer().optional(),
+  hsnCode: Joi.string().trim().pattern(HSN_CODE_PATTERN).allow(null).optional(),
+  gstRate: Joi.number().valid(...GST_RATES).allow(null).optional(),
+  returnWindowDays: Joi.number().integer().min(0).max(365).allow(null).optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+const categoryUpdateSchema = categorySchema.fork(['name'], (schema) => schema.optional()).min(1);
+
+const subcategorySchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).optional(),
+  description: Joi.string().trim().allow('').optional(),
+  category: objectId.optional(),
+  sortOrder: Joi.number().integer().optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+const subcategoryUpdateSchema = subcategorySchema.fork(['name'], (schema) => schema.optional()).min(1);
+
+/**
+ * Get the full category tree.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.getCategoryTree = async (req, res) => {
+  try {
+    const tree = await CategoryService.getTree();
+    res.status(200).json(tree);
+  } catch (error) {
+    logger.error(`Error getting category tree: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve categories' });
+  }
+};
+
+/**
+ * Get the full category tree including inactive nodes (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.getAdminCategoryTree = async (req, res) => {
+  try {
+    const tree = await CategoryService.getTree({ includeInactive: true });
+    res.status(200).json(tree);
+  } catch (error) {
+    logger.error(`Error getting admin category tree: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve categories' });
+  }
+};
+
+/**
+ * Get a category by ID or slug.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.getCategory = async (req, res) => {
+  try {
+    const category = await CategoryService.getCategory(req.params.idOrSlug);
+    res.status(200).json(category);
+  } catch (error) {
+    logger.error(`Error getting category ${req.params.idOrSlug}: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve category' });
+  }
+};
+
+/**
+ * Get the breadcrumb trail for a category.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.getBreadcrumb = async (req, res) => {
+  try {
+    const breadcrumb = await CategoryService.getBreadcrumb(req.params.idOrSlug);
+    res.status(200).json(breadcrumb);
+  } catch (error) {
+    logger.error(`Error getting breadcrumb for ${req.params.idOrSlug}: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve breadcrumb' });
+  }
+};
+
+/**
+ * Get active product counts per category.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.getProductCounts = async (req, res) => {
+  try {
+    const counts = await CategoryService.getProductCounts();
+    res.status(200).json(counts);
+  } catch (error) {
+    logger.error(`Error getting category product counts: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve product counts' });
+  }
+};
+
+/**
+ * Create a category (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.createCategory = async (req, res) => {
+  try {
+    const { error, value } = categorySchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error creating category: ${error.details[0].message}`, { userId: req.user?.id });
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const category = await CategoryService.createCategory(value);
+    logger.info(`Created category ${category._id} by user ${req.user.id}`);
+    res.status(201).json(category);
+  } catch (error) {
+    logger.error(`Error creating category: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to create category' });
+  }
+};
+
+/**
+ * Update a category (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.updateCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    const { error, value } = categoryUpdateSchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error updating category: ${error.details[0].message}`, { userId: req.user?.id });
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const category = await CategoryService.updateCategory(id, value);
+    logger.info(`Updated category ${id} by user ${req.user.id}`);
+    res.status(200).json({ message: 'Category updated successfully', category });
+  } catch (error) {
+    logger.error(`Error updating category ${req.params.id}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to update category' });
+  }
+};
+
+/**
+ * Delete a category (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.deleteCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    const result = await CategoryService.deleteCategory(id);
+    logger.info(`Deleted category ${id} by user ${req.user.id}`);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error deleting category ${req.params.id}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to delete category' });
+  }
+};
+
+/**
+ * Create a subcategory under a category (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.createSubcategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    const { error, value } = subcategorySchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error creating subcategory: ${error.details[0].message}`, { userId: req.user?.id });
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const subcategory = await CategoryService.createSubcategory(id, value);
+    logger.info(`Created subcategory ${subcategory._id} by user ${req.user.id}`);
+    res.status(201).json(subcategory);
+  } catch (error) {
+    logger.error(`Error creating subcategory: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to create subcategory' });
+  }
+};
+
+/**
+ * Update a subcategory (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.updateSubcategory = async (req, res) => {
+  try {
+    const { subcategoryId } = req.params;
+    if (!mongoose.isValidObjectId(subcategoryId)) {
+      return res.status(400).json({ message: 'Invalid subcategory ID' });
+    }
+    const { error, value } = subcategoryUpdateSchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error updating subcategory: ${error.details[0].message}`, { userId: req.user?.id });
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const subcategory = await CategoryService.updateSubcategory(subcategoryId, value);
+    logger.info(`Updated subcategory ${subcategoryId} by user ${req.user.id}`);
+    res.status(200).json({ message: 'Subcategory updated successfully', subcategory });
+  } catch (error) {
+    logger.error(`Error updating subcategory ${req.params.subcategoryId}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to update subcategory' });
+  }
+};
+
+/**
+ * Delete a subcategory (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.deleteSubcategory = async (req, res) => {
+  try {
+    const { subcategoryId } = req.params;
+    if (!mongoose.isValidObjectId(subcategoryId)) {
+      return res.status(400).json({ message: 'Invalid subcategory ID' });
+    }
+    const result = await CategoryService.deleteSubcategory(subcategoryId);
+    logger.info(`Deleted subcategory ${subcategoryId} by user ${req.user.id}`);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error deleting subcategory ${req.params.subcategoryId}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to delete subcategory' });
+  }
+};
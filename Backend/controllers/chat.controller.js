@@ -2,6 +2,7 @@ const Joi = require('joi');
 const mongoose = require('mongoose');
 const logger = require('../config/logger'); // Centralized logger
 const Chat = require('../models/chat.model');
+const { paginationSchema, paginate } = require('../utils/pagination');
 
 // Custom error classes (consistent with cart system)
 class BadRequestError extends Error {
@@ -158,23 +159,31 @@ const getChatHistory = async (req, res) => {
       throw new NotFoundError('Receiver not found');
     }
 
-    // Paginate results (limit to 50 messages)
-    const chats = await Chat.find({
+    const { error: pageError, value: pageOptions } = paginationSchema.validate({ limit: 50, ...req.query });
+    if (pageError) {
+      throw new BadRequestError(pageError.details[0].message);
+    }
+
+    // Offset pages read oldest first, as before. Cursor mode starts from the newest
+    // messages; pass `cursor` from the previous page to load older ones.
+    const chats = await paginate(Chat, {
       $or: [
         { senderId: req.user.id, receiverId },
         { senderId: receiverId, receiverId: req.user.id },
       ],
-    })
-      .populate('senderId', 'username') // Adjust fields as needed
-      .populate('receiverId', 'username')
-      .sort({ createdAt: 1 })
-      .limit(50)
-      .lean();
+    }, {
+      ...pageOptions,
+      sort: { createdAt: 1, _id: 1 },
+      populate: [
+        { path: 'senderId', select: 'username' }, // Adjust fields as needed
+        { path: 'receiverId', select: 'username' },
+      ],
+    });
 
     logger.info(`Retrieved chat history for user ${req.user.id} with ${receiverId}`, {
-      chatCount: chats.length,
+      chatCount: chats.items.length,
     });
-    res.status(200).json({ chats });
+    res.status(200).json(chats);
   } catch (error) {
     logger.error(`Error fetching chat history: ${error.message}`, { userId: req.user?.id });
     res.status(error.status || 500).json({
@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const winston = require('winston');
+const CheckoutService = require('../services/checkout.service');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../utils/currency');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/checkoutController.log' }),
+  ],
+});
+
+// Validation schemas; street, city and country mirror the Order model's address rule
+const addressSchema = Joi.object({
+  street: Joi.string().trim().required(),
+  city: Joi.string().trim().required(),
+  state: Joi.string().trim().allow(''),
+  zip: Joi.string().trim().allow(''),
+  country: Joi.string().trim().required(),
+});
+
+const checkoutSchema = Joi.object({
+  shippingAddress: addressSchema.required(),
+  billingAddress: addressSchema,
+  paymentMethod: Joi.string().valid('razorpay', 'paypal', 'stripe', 'cod').default('razorpay'),
+  // Currency to pay in; cash on delivery is collected in INR only
+  currency: Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES).default(BASE_CURRENCY)
+    .messages({ 'any.only': 'Unsupported currency' }),
+});
+
+/**
+ * Place an order for everything in the authenticated user's cart.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.checkout = async (req, res) => {
+  try {
+    const { error, value } = checkoutSchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error during checkout: ${error.details[0].message}`, { userId: req.user.id });
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const order = await CheckoutService.checkout(req.user.id, value);
+    logger.info(`User ${req.user.id} placed order ${order._id}`);
+    res.status(201).json({ message: 'Order placed successfully', order });
+  } catch (error) {
+    logger.error(`Error during checkout: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Checkout failed' });
+  }
+};
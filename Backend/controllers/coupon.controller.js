@@ -1,19 +1,182 @@
-const Coupon = require('../models/coupon.model');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const CouponService = require('../services/coupon.service');
+const { paginationSchema } = require('../utils/pagination');
 
-// Apply coupon code
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/couponController.log' }),
+  ],
+});
+
+// Validation schemas
+const objectId = Joi.string().custom((value, helpers) => {
+  if (!mongoose.isValidObjectId(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+}, 'MongoDB ObjectId');
+
+const couponSchema = Joi.object({
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,30}$/).required(),
+  description: Joi.string().trim().max(300).allow(''),
+  type: Joi.string().valid('percentage', 'flat', 'free_shipping').required(),
+  value: Joi.number().min(0).when('type', {
+    is: 'percentage',
+    then: Joi.number().greater(0).max(100).required(),
+  }).when('type', {
+    is: 'flat',
+    then: Joi.number().greater(0).required(),
+  }),
+  maxDiscount: Joi.number().min(0).allow(null),
+  minCartValue: Joi.number().min(0),
+  scope: Joi.object({
+    categories: Joi.array().items(objectId),
+    sellers: Joi.array().items(objectId),
+    products: Joi.array().items(objectId),
+  }),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  firstOrderOnly: Joi.boolean(),
+  stackable: Joi.boolean(),
+  validFrom: Joi.date(),
+  validTill: Joi.date().greater(Joi.ref('validFrom', { adjust: (value) => value || new Date(0) })).required(),
+  isActive: Joi.boolean(),
+});
+
+const couponUpdateSchema = couponSchema.fork(['code', 'type', 'validTill'], (schema) => schema.optional()).min(1);
+
+const couponListSchema = paginationSchema.keys({
+  active: Joi.boolean(),
+});
+
+// Older clients send `couponCode`
+const applySchema = Joi.object({
+  code: Joi.string().trim().max(30),
+  couponCode: Joi.string().trim().max(30),
+}).xor('code', 'couponCode');
+
+/**
+ * Apply a coupon to the authenticated user's cart.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
 const applyCoupon = async (req, res) => {
   try {
-    const { couponCode } = req.body;
-    const coupon = await Coupon.findOne({ code: couponCode });
+    const { error, value } = applySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const cart = await CouponService.applyToCart(req.user.id, value.code || value.couponCode);
+    res.status(200).json({ message: 'Coupon applied successfully', cart });
+  } catch (error) {
+    logger.error(`Error applying coupon: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Error applying coupon' });
+  }
+};
 
-    if (!coupon || coupon.validTill < Date.now()) {
-      return res.status(400).json({ message: 'Invalid or expired coupon' });
+/**
+ * Remove a coupon from the authenticated user's cart.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const removeCoupon = async (req, res) => {
+  try {
+    const cart = await CouponService.removeFromCart(req.user.id, req.params.code);
+    res.status(200).json({ message: 'Coupon removed successfully', cart });
+  } catch (error) {
+    logger.error(`Error removing coupon: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Error removing coupon' });
+  }
+};
+
+/**
+ * List coupons (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getCoupons = async (req, res) => {
+  try {
+    const { error, value } = couponListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
     }
+    const coupons = await CouponService.getCoupons(value);
+    res.status(200).json(coupons);
+  } catch (error) {
+    logger.error(`Error listing coupons: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve coupons' });
+  }
+};
+
+/**
+ * Create a coupon (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const { error, value } = couponSchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error creating coupon: ${error.details[0].message}`);
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const coupon = await CouponService.createCoupon(value, req.user.id);
+    res.status(201).json({ message: 'Coupon created successfully', coupon });
+  } catch (error) {
+    logger.error(`Error creating coupon: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to create coupon' });
+  }
+};
 
-    res.status(200).json({ message: 'Coupon applied successfully', discount: coupon.discountPercentage });
-  } catch (err) {
-    res.status(500).json({ message: 'Error applying coupon' });
+/**
+ * Update a coupon (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const { error, value } = couponUpdateSchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error updating coupon: ${error.details[0].message}`);
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const coupon = await CouponService.updateCoupon(req.params.id, value);
+    res.status(200).json({ message: 'Coupon updated successfully', coupon });
+  } catch (error) {
+    logger.error(`Error updating coupon ${req.params.id}: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to update coupon' });
   }
 };
 
-module.exports = { applyCoupon };
+/**
+ * Deactivate a coupon (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const deactivateCoupon = async (req, res) => {
+  try {
+    const coupon = await CouponService.deactivateCoupon(req.params.id);
+    res.status(200).json({ message: 'Coupon deactivated successfully', coupon });
+  } catch (error) {
+    logger.error(`Error deactivating coupon ${req.params.id}: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to deactivate coupon' });
+  }
+};
+
+module.exports = {
+  applyCoupon,
+  removeCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+};
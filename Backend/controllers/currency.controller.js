@@ -0,0 +1,90 @@
+const Joi = require('joi');
+const winston = require('winston');
+const CurrencyService = require('../services/currency.service');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../utils/currency');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/currencyController.log' }),
+  ],
+});
+
+// Validation schemas
+const currencyParamSchema = Joi.string().uppercase()
+  .valid(...SUPPORTED_CURRENCIES.filter((code) => code !== BASE_CURRENCY))
+  .required()
+  .messages({ 'any.only': 'Unsupported currency' });
+
+const rateSchema = Joi.object({
+  inrPerUnit: Joi.number().positive().precision(4).required(),
+});
+
+/**
+ * List the currencies prices can be shown in and their rates.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getRates = async (req, res) => {
+  try {
+    const rates = await CurrencyService.getRates();
+    res.status(200).json(rates);
+  } catch (error) {
+    logger.error(`Error getting exchange rates: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve exchange rates' });
+  }
+};
+
+/**
+ * Set the exchange rate of a currency.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const setRate = async (req, res) => {
+  try {
+    const { error: paramError, value: currency } = currencyParamSchema.validate(req.params.currency);
+    if (paramError) {
+      return res.status(400).json({ message: paramError.details[0].message });
+    }
+    const { error, value } = rateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const rate = await CurrencyService.setRate(currency, value.inrPerUnit, req.user.id);
+    res.status(200).json({ message: 'Exchange rate updated successfully', rate });
+  } catch (error) {
+    logger.error(`Error setting exchange rate: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to update exchange rate' });
+  }
+};
+
+/**
+ * Stop offering a currency.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const deactivateRate = async (req, res) => {
+  try {
+    const { error, value: currency } = currencyParamSchema.validate(req.params.currency);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    await CurrencyService.deactivateRate(currency, req.user.id);
+    res.status(200).json({ message: 'Exchange rate deactivated successfully' });
+  } catch (error) {
+    logger.error(`Error deactivating exchange rate: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to deactivate exchange rate' });
+  }
+};
+
+module.exports = {
+  getRates,
+  setRate,
+  deactivateRate,
+};
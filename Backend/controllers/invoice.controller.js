@@ -0,0 +1,54 @@
+const winston = require('winston');
+const InvoiceService = require('../services/invoice.service');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/invoiceController.log' }),
+  ],
+});
+
+const actorOf = (req) => ({ id: req.user.id, role: req.user.role });
+
+/**
+ * List the invoices and credit notes of an order.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getOrderInvoices = async (req, res) => {
+  try {
+    const invoices = await InvoiceService.getOrderInvoices(req.params.orderId, actorOf(req));
+    res.status(200).json(invoices);
+  } catch (error) {
+    logger.error(`Error getting invoices of order ${req.params.orderId}: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve invoices' });
+  }
+};
+
+/**
+ * Download an invoice or credit note as a PDF.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const downloadInvoice = async (req, res) => {
+  try {
+    const { filename, buffer } = await InvoiceService.getInvoicePdf(req.params.orderId, req.params.invoiceId, actorOf(req));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(buffer);
+  } catch (error) {
+    logger.error(`Error downloading invoice ${req.params.invoiceId}: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to download invoice' });
+  }
+};
+
+module.exports = {
+  getOrderInvoices,
+  downloadInvoice,
+};
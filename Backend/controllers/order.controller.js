@@ -1,4 +1,31 @@
+const Joi = require('joi');
 const OrderService = require('../services/order.service');
+const { FULFILMENT_STATUSES, CANCELLATION_REASONS } = require('../utils/orderStatus');
+
+const trackingSchema = Joi.object({
+  carrier: Joi.string().trim().max(60),
+  trackingNumber: Joi.string().trim().max(60),
+  trackingUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }),
+}).min(1);
+
+const statusUpdateSchema = Joi.object({
+  status: Joi.string().valid(...FULFILMENT_STATUSES).required(),
+  note: Joi.string().trim().max(500).allow(''),
+  tracking: trackingSchema, // Sellers only
+});
+
+const fulfilmentUpdateSchema = Joi.object({
+  status: Joi.string().valid(...FULFILMENT_STATUSES),
+  note: Joi.string().trim().max(500).allow(''),
+  tracking: trackingSchema,
+}).or('status', 'tracking');
+
+const cancelSchema = Joi.object({
+  reason: Joi.string().valid(...CANCELLATION_REASONS).required(),
+  comment: Joi.string().trim().max(500).allow(''),
+  // Order line IDs (products[]._id); every open line when omitted
+  lineIds: Joi.array().items(Joi.string().hex().length(24)).unique().default([]),
+});
 
 // Create a new order
 exports.createOrder = async (req, res) => {
@@ -16,14 +43,80 @@ exports.createOrder = async (req, res) => {
 exports.updateOrderStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
-    const order = await OrderService.updateOrderStatus(orderId, status);
+    const { error, value } = statusUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const actor = { id: req.user.id, role: req.user.role };
+    const order = await OrderService.updateOrderStatus(orderId, value.status, actor, {
+      note: value.note || undefined,
+      tracking: value.tracking,
+    });
     res.status(200).json({ message: 'Order status updated', order });
   } catch (error) {
     res.status(error.status || 500).json({ error: error.message });
   }
 };
 
+// Update one seller's fulfilment of an order: status and/or tracking (admin/seller)
+exports.updateFulfilment = async (req, res) => {
+  try {
+    const { orderId, fulfilmentId } = req.params;
+    const { error, value } = fulfilmentUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const actor = { id: req.user.id, role: req.user.role };
+    const order = await OrderService.updateFulfilment(orderId, fulfilmentId, {
+      status: value.status,
+      note: value.note || undefined,
+      tracking: value.tracking,
+    }, actor);
+    res.status(200).json({ message: 'Fulfilment updated', order });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Cancel an order, or some of its lines, before they ship (buyer, admin, seller for their own lines)
+exports.cancelOrder = async (req, res) => {
+  try {
+    const { error, value } = cancelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const actor = { id: req.user.id, role: req.user.role };
+    const order = await OrderService.cancelOrder(req.params.orderId, actor, {
+      reason: value.reason,
+      comment: value.comment || undefined,
+      lineIds: value.lineIds,
+    });
+    res.status(200).json({ message: 'Order cancelled', order });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Retry a refund the payment gateway failed (admin)
+exports.retryRefund = async (req, res) => {
+  try {
+    const { order, refund } = await OrderService.retryRefund(req.params.orderId, req.params.refundId);
+    res.status(200).json({ message: `Refund ${refund.status}`, refund, order });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Get the tracking timeline of an order (buyer, seller of one of its items, admin)
+exports.getOrderTimeline = async (req, res) => {
+  try {
+    const timeline = await OrderService.getOrderTimeline(req.params.orderId, { id: req.user.id, role: req.user.role });
+    res.status(200).json(timeline);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
 // Delete an order (admin/seller)
 exports.deleteOrder = async (req, res) => {
   try {
@@ -2,30 +2,49 @@ const paymentService = require('../services/payment.service');
 const Order = require('../models/order.model'); // Ensure correct path to your Order model
 const sendEmail = require('../services/emailService'); // Import the email service
 const User = require('../models/user.model'); // Import the User model
+const InventoryService = require('../services/inventory.service');
+const OrderService = require('../services/order.service');
+const CouponService = require('../services/coupon.service');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const { formatMoney } = require('../utils/currency');
+const { nextStatuses } = require('../utils/orderStatus');
 
-// Create Order API
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/paymentController.log' }),
+  ],
+});
+
+// Create Order API: starts payment for an existing order (see POST /api/checkout)
 const createOrder = async (req, res) => {
-  const { userId, products, totalAmount } = req.body;
+  const { orderId } = req.body;
+  if (!mongoose.isValidObjectId(orderId)) {
+    return res.status(400).json({ message: 'A valid orderId is required' });
+  }
 
   try {
-    // Creating the order in Razorpay
-    const razorpayOrder = await paymentService.createOrder(userId, products, totalAmount);
-    
-    // Save the order details in the database
-    const order = new Order({
-      userId,
-      products,
-      totalAmount,
-      razorpayOrderId: razorpayOrder.id,
-      status: 'pending', // Initially set status to 'pending' before payment is verified
-    });
-    await order.save();
+    // Holds the order's stock and creates the order in Razorpay
+    const { razorpayOrder, order, reservationExpiresAt } = await paymentService.createOrder(req.user.id, orderId);
 
-    // Respond with the order id and currency
-    return res.status(200).json({ orderId: razorpayOrder.id, currency: 'INR' });
+    // Respond with the Razorpay order id, currency and how long the stock is held
+    return res.status(200).json({
+      orderId: razorpayOrder.id,
+      currency: razorpayOrder.currency,
+      amount: razorpayOrder.amount,
+      order: order._id,
+      reservationExpiresAt,
+    });
   } catch (error) {
-    console.error('Error creating order:', error);
-    return res.status(500).json({ message: 'Error creating order', error: error.message });
+    logger.error(`Error creating payment for order ${orderId}: ${error.message}`, { userId: req.user.id });
+    return res.status(error.status || 500).json({ message: error.status ? error.message : 'Error creating order', error: error.message });
   }
 };
 
@@ -38,15 +57,77 @@ const verifyPayment = async (req, res) => {
     const isVerified = await paymentService.verifyPayment(req.body, razorpayOrderId, razorpayPaymentId, razorpaySignature);
 
     if (isVerified) {
-      // If payment is verified, update payment status and order status
-      await paymentService.updatePaymentStatus(razorpayOrderId, 'completed');
-      const updatedOrder = await Order.findOneAndUpdate(
-        { razorpayOrderId },
-        { status: 'shipped' }, // Assuming 'shipped' is the next status
-        { new: true }
-      );
+      // If payment is verified, claim the order, take its stock and confirm it in one
+      // transaction, so concurrent verifications can't take the stock twice and a failed
+      // save doesn't leave stock sold on an unpaid order
+      const session = await mongoose.startSession();
+      let updatedOrder;
+      let stockTaken;
+      let cancelled;
+      try {
+        await session.withTransaction(async () => {
+          updatedOrder = await Order.findOneAndUpdate(
+            { razorpayOrderId, userId: req.user.id, paymentStatus: { $ne: 'completed' } },
+            { razorpayPaymentId, razorpaySignature, paymentStatus: 'completed' },
+            { new: true, session }
+          );
+          if (!updatedOrder) return;
+          // Cancelled while the buyer was paying: nothing is held, the payment is refunded below
+          cancelled = updatedOrder.status === 'cancelled';
+          if (cancelled) return;
+          // Coupon uses given back when an earlier attempt failed or the hold lapsed count again
+          await CouponService.restoreForOrder(updatedOrder._id, session);
+          // The held stock becomes a sale
+          stockTaken = await InventoryService.convertReservation(updatedOrder._id, updatedOrder, session);
+          if (stockTaken) {
+            // A paid order is confirmed; the seller takes it from there. Fulfilments that
+            // can't be confirmed (e.g. already cancelled) are left as they are.
+            for (const fulfilment of updatedOrder.fulfilments) {
+              if (nextStatuses(fulfilment.status, 'system').includes('confirmed')) {
+                updatedOrder.transitionFulfilment(fulfilment, 'confirmed', { role: 'system', note: 'Payment received' });
+              }
+            }
+          } else {
+            // The hold lapsed and the items sold out: keep the order placed for an admin
+            // to fill or refund
+            updatedOrder.stockShortfall = true;
+            for (const fulfilment of updatedOrder.fulfilments) {
+              updatedOrder.noteFulfilment(fulfilment, {
+                role: 'system',
+                note: 'Payment received after the items sold out; awaiting review',
+              });
+            }
+          }
+          await updatedOrder.save({ session });
+        });
+      } finally {
+        session.endSession();
+      }
       if (!updatedOrder) {
-        return res.status(404).json({ message: 'Order not found for updating status.' });
+        const exists = await Order.exists({ razorpayOrderId, userId: req.user.id });
+        return exists
+          ? res.status(200).json({ message: 'Payment already verified' })
+          : res.status(404).json({ message: 'Order not found for updating status.' });
+      }
+      let refund;
+      if (cancelled) {
+        try {
+          ({ order: updatedOrder, refund } = await OrderService.refundLatePayment(updatedOrder._id));
+        } catch (error) {
+          logger.error(`Order ${updatedOrder._id} was paid after it was cancelled and could not be refunded: ${error.message}`);
+        }
+      } else if (!stockTaken) {
+        logger.error(`Order ${updatedOrder._id} was paid after its stock hold expired and is out of stock; flagged for review`);
+      }
+
+      let outcome = `<p>Total Amount: ${formatMoney(updatedOrder.paymentAmount ?? updatedOrder.totalAmount, updatedOrder.currency)}</p>
+              <p>Your order has been confirmed and will be shipped soon.</p>`;
+      if (cancelled) {
+        outcome = refund && refund.status !== 'failed'
+          ? `<p>Your order was cancelled before your payment came through, so ${formatMoney(refund.paymentAmount, refund.currency)} has been refunded to your original payment method.</p>`
+          : '<p>Your order was cancelled before your payment came through. Our team will refund your payment shortly.</p>';
+      } else if (!stockTaken) {
+        outcome = '<p>Some items in your order sold out before your payment came through. We are reviewing it and will refund you if we cannot fulfil it.</p>';
       }
 
       // Send confirmation email
@@ -57,37 +138,37 @@ const verifyPayment = async (req, res) => {
             <body>
               <h1>Payment Confirmation</h1>
               <p>Your payment for order ${updatedOrder.razorpayOrderId} has been successfully processed.</p>
-              <p>Total Amount: ₹${updatedOrder.totalAmount}</p>
-              <p>Your order will be shipped soon.</p>
+              ${outcome}
             </body>
           </html>
         `;
         try {
           await sendEmail(user.email, 'Payment Confirmation', emailHtml);
-          console.log('Payment confirmation email sent successfully.');
+          logger.info(`Payment confirmation email sent for order ${updatedOrder._id}`);
         } catch (emailError) {
-          console.error('Error sending email:', emailError);
-          // Consider logging the email error, but don't block the payment process
+          // Don't block the payment process on the email
+          logger.error(`Error sending payment confirmation for order ${updatedOrder._id}: ${emailError.message}`);
         }
       }
 
-      return res.status(200).json({ message: 'Payment successful' });
+      return res.status(200).json({
+        message: cancelled ? 'Order was cancelled; the payment is being refunded' : 'Payment successful',
+      });
     } else {
-      // If payment verification fails, update order and payment status
-      await paymentService.updatePaymentStatus(razorpayOrderId, 'failed');
-      const updatedOrder = await Order.findOneAndUpdate(
-        { razorpayOrderId },
-        { status: 'failed' }, // Assuming 'failed' status
-        { new: true }
-      );
-      if (!updatedOrder) {
+      // If payment verification fails, give the held stock and coupon uses back and mark the
+      // payment failed. The order stays placed so the buyer can try paying again; orders
+      // already paid are left alone.
+      const failedOrder = await paymentService.updatePaymentStatus(razorpayOrderId, 'failed', req.user.id);
+      if (!failedOrder) {
         return res.status(404).json({ message: 'Order not found for updating status.' });
       }
+      await InventoryService.releaseReservation(failedOrder._id, 'payment_failed');
+      await CouponService.releaseForOrder(failedOrder._id);
 
       return res.status(400).json({ message: 'Payment verification failed' });
     }
   } catch (error) {
-    console.error('Error verifying payment:', error);
+    logger.error(`Error verifying payment for Razorpay order ${razorpayOrderId}: ${error.message}`, { userId: req.user.id });
     return res.status(500).json({ message: 'Error verifying payment', error: error.message });
   }
 };
@@ -98,7 +179,9 @@ const getOrderDetails = async (req, res) => {
 
   try {
     // Find the order by razorpayOrderId
-    const order = await Order.findOne({ razorpayOrderId: orderId }).populate('userId products.productId products.sellerId');
+    const order = await Order.findOne({ razorpayOrderId: orderId, userId: req.user.id })
+      .populate('products.productId', 'name price')
+      .populate('products.sellerId', 'name');
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
@@ -107,7 +190,7 @@ const getOrderDetails = async (req, res) => {
     // Return the order details as a response
     return res.status(200).json(order);
   } catch (error) {
-    console.error('Error getting order details:', error);
+    logger.error(`Error getting order details of Razorpay order ${orderId}: ${error.message}`, { userId: req.user.id });
     return res.status(500).json({ message: 'Error getting order details', error: error.message });
   }
 };
@@ -3,8 +3,34 @@ const Joi = require('joi');
 const mongoose = require('mongoose');
 const winston = require('winston');
 const ProductService = require('../services/product.service');
+const RecommendationService = require('../services/recommendation.service');
+const CurrencyService = require('../services/currency.service');
 const Product = require('../models/product.model');
 const { cleanupFailedUpload } = require('../middlewares/fileUpload');
+const { paginationSchema, paginate, buildPage } = require('../utils/pagination');
+const { CATALOG_CONTENT_TYPES, readCatalogFile, writeCatalogFile } = require('../utils/catalogFile');
+const { GST_RATES, HSN_CODE_PATTERN } = require('../utils/gst');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../utils/currency');
+
+// Multipart product forms carry nested fields such as variants as JSON strings
+const parseJsonFields = (body, fields) => {
+  for (const field of fields) {
+    if (typeof body[field] === 'string') {
+      try {
+        body[field] = JSON.parse(body[field]);
+      } catch (error) {
+        // Leave the raw value for Joi to reject with a field-specific message
+      }
+    }
+  }
+  return body;
+};
+
+// Remove review uploads when a request is rejected before it reaches the service
+const discardReviewUploads = (files = []) => Promise.all(files.map((file) => cleanupFailedUpload(
+  file.filename,
+  file.mimetype?.startsWith('video/') ? 'video' : 'image'
+)));
 
 // Logger setup
 const logger = winston.createLogger({
@@ -20,8 +46,29 @@ const logger = winston.createLogger({
 });
 
 // Validation schemas
+const variantSchema = Joi.object({
+  _id: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  }).optional(),
+  sku: Joi.string().trim().uppercase().max(64).required(),
+  size: Joi.string().trim().optional(),
+  color: Joi.string().trim().optional(),
+  price: Joi.number().min(0).required(),
+  discountPrice: Joi.number().min(0).allow(null).optional(),
+  stock: Joi.number().integer().min(0).required(),
+  images: Joi.array().items(Joi.object({
+    public_id: Joi.string().optional(),
+    url: Joi.string().uri().required(),
+  })).max(4).optional(),
+  isActive: Joi.boolean().optional(),
+});
+
 const productSchema = Joi.object({
   name: Joi.string().trim().min(2).required(),
+  sku: Joi.string().trim().uppercase().max(64).optional(),
   price: Joi.number().min(0).required(),
   discountPrice: Joi.number().min(0).allow(null).optional(),
   category: Joi.string().custom((value, helpers) => {
@@ -37,7 +84,19 @@ const productSchema = Joi.object({
     return value;
   })).optional(),
   description: Joi.string().trim().optional(),
-  stock: Joi.number().integer().min(0).required(),
+  hsnCode: Joi.string().trim().pattern(HSN_CODE_PATTERN).allow(null).optional(),
+  gstRate: Joi.number().valid(...GST_RATES).allow(null).optional(),
+  weight: Joi.number().min(0).allow(null).optional(),
+  dimensions: Joi.object({
+    length: Joi.number().min(0).required(),
+    width: Joi.number().min(0).required(),
+    height: Joi.number().min(0).required(),
+  }).allow(null).optional(),
+  stock: Joi.number().integer().min(0).when('variants', {
+    is: Joi.array().min(1),
+    then: Joi.optional(),
+    otherwise: Joi.required(),
+  }),
   sellerId: Joi.string().custom((value, helpers) => {
     if (!mongoose.isValidObjectId(value)) {
       return helpers.error('any.invalid');
@@ -48,13 +107,55 @@ const productSchema = Joi.object({
   brand: Joi.string().trim().optional(),
   color: Joi.string().trim().optional(),
   isActive: Joi.boolean().optional(),
+  variants: Joi.array().items(variantSchema).unique('sku', { ignoreUndefined: true }).optional(),
 });
 
+// Bulk import rows follow the product rules but must carry the SKU they upsert on
+const productImportSchema = productSchema.fork(['sku'], (schema) => schema.required());
+
+const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+});
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('csv', 'xlsx').default('csv'),
+});
+
+// Upper bound on rows per import request; larger catalogs are split into several files
+const MAX_IMPORT_ROWS = 1000;
+
 const reviewSchema = Joi.object({
   rating: Joi.number().integer().min(0).max(5).required(),
   comment: Joi.string().trim().min(1).optional(),
 });
 
+const reviewListSchema = Joi.object({
+  sort: Joi.string().valid('recent', 'helpful').default('recent'),
+  verified: Joi.boolean().optional(),
+  withMedia: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+});
+
+const reviewReportSchema = Joi.object({
+  reason: Joi.string().valid('spam', 'offensive', 'irrelevant', 'fake', 'other').required(),
+  comment: Joi.string().trim().max(500).optional(),
+});
+
+const reviewModerationSchema = Joi.object({
+  action: Joi.string().valid('approve', 'hide').required(),
+  note: Joi.string().trim().max(500).optional(),
+});
+
+// Optional ?currency= to add display prices alongside the INR ones
+const currencySchema = Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES).messages({
+  'any.only': 'Unsupported currency',
+});
+
+const productListSchema = paginationSchema.keys({
+  currency: currencySchema,
+});
+
 const filterSchema = Joi.object({
   category: Joi.string().custom((value, helpers) => {
     if (!mongoose.isValidObjectId(value)) {
@@ -70,14 +171,63 @@ const filterSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
   sort: Joi.string().valid('price', '-price', 'name', '-name').optional(),
+  currency: currencySchema,
+});
+
+// Accepts `a,b` or repeated query params and yields a de-duplicated array
+const csvList = (itemSchema) => Joi.alternatives().try(
+  Joi.array().items(itemSchema),
+  Joi.string().custom((value) => value.split(',').map((item) => item.trim()).filter(Boolean))
+).custom((value, helpers) => {
+  const items = [...new Set(value)];
+  const { error } = Joi.array().items(itemSchema).min(1).validate(items);
+  return error ? helpers.error('any.invalid') : items;
+});
+
+const facetSchema = Joi.object({
+  category: csvList(Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })).optional(),
+  brand: csvList(Joi.string().trim()).optional(),
+  size: csvList(Joi.string().trim()).optional(),
+  color: csvList(Joi.string().trim()).optional(),
+  minPrice: Joi.number().min(0).optional(),
+  maxPrice: Joi.number().min(0).when('minPrice', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('minPrice')),
+  }).optional(),
+  minRating: Joi.number().min(0).max(5).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sort: Joi.string().valid('price', '-price', 'name', '-name', 'rating', '-rating', 'newest').optional(),
+  currency: currencySchema,
 });
 
 const searchSchema = Joi.object({
-  search: Joi.string().trim().min(1).required(),
+  search: Joi.string().trim().min(1).max(100).required(),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
+  currency: currencySchema,
 });
 
+const recommendationSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(12).default(8),
+});
+
+const suggestSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(50).required(),
+  limit: Joi.number().integer().min(1).max(10).default(5),
+});
+
+// Add display prices in the requested currency; INR needs none
+const localizePrices = async (products, currency) => {
+  if (!currency || currency === BASE_CURRENCY) return products;
+  return CurrencyService.localizeProducts(products, await CurrencyService.resolve(currency));
+};
+
 /**
  * Add a product with images.
  * @param {Object} req - Express request object.
@@ -85,6 +235,7 @@ const searchSchema = Joi.object({
  */
 exports.addProductWithImage = async (req, res) => {
   try {
+    parseJsonFields(req.body, ['variants', 'subcategories', 'dimensions']);
     const { error } = productSchema.validate(req.body);
     if (error) {
       logger.error(`Validation error adding product: ${error.details[0].message}`, { userId: req.user?.id });
@@ -99,6 +250,80 @@ exports.addProductWithImage = async (req, res) => {
   }
 };
 
+/**
+ * Bulk create or update the seller's products from a CSV/XLSX file, matched by SKU.
+ * With `dryRun=true` the file is only validated and a per-row report is returned.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.importProducts = async (req, res) => {
+  try {
+    const { error: queryError, value: query } = importQuerySchema.validate(req.query);
+    if (queryError) {
+      return res.status(400).json({ message: queryError.details[0].message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'Catalog file is required' });
+    }
+
+    const parsed = await readCatalogFile(req.file);
+    if (parsed.length === 0) {
+      return res.status(400).json({ message: 'Catalog file has no product rows' });
+    }
+    if (parsed.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Catalog file exceeds ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const rows = parsed.map(({ row, values }) => {
+      const { error, value } = productImportSchema.validate(
+        { ...values, sellerId: req.user.id },
+        { abortEarly: false }
+      );
+      return {
+        row,
+        sku: values.sku ? String(values.sku).trim().toUpperCase() : null,
+        data: error ? null : value,
+        errors: error ? error.details.map((detail) => detail.message) : [],
+      };
+    });
+
+    const report = await ProductService.importProducts(rows, req.user.id, { dryRun: query.dryRun });
+    logger.info(`Catalog import by user ${req.user.id}`, {
+      dryRun: query.dryRun,
+      total: report.total,
+      failed: report.failed,
+    });
+    res.status(200).json(report);
+  } catch (error) {
+    logger.error(`Error importing products: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to import products' });
+  }
+};
+
+/**
+ * Export the seller's catalog as CSV or XLSX in the import column layout.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.exportProducts = async (req, res) => {
+  try {
+    const { error, value } = exportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const products = await ProductService.exportProducts(req.user.id);
+    const file = await writeCatalogFile(products, value.format);
+    const date = new Date().toISOString().slice(0, 10);
+    logger.info(`Exported ${products.length} products as ${value.format} for user ${req.user.id}`);
+    res.setHeader('Content-Type', CATALOG_CONTENT_TYPES[value.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${value.format}"`);
+    res.status(200).send(file);
+  } catch (error) {
+    logger.error(`Error exporting products: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to export products' });
+  }
+};
+
 /**
  * Get all products with pagination.
  * @param {Object} req - Express request object.
@@ -106,28 +331,31 @@ exports.addProductWithImage = async (req, res) => {
  */
 exports.getProducts = async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const { error } = Joi.object({
-      page: Joi.number().integer().min(1).default(1),
-      limit: Joi.number().integer().min(1).max(100).default(20),
-    }).validate({ page, limit });
+    const { error, value } = productListSchema.validate(req.query);
     if (error) {
       logger.error(`Validation error getting products: ${error.details[0].message}`);
       return res.status(400).json({ message: error.details[0].message });
     }
 
-    const products = await Product.find({ isDeleted: false, isActive: true })
-      .populate('reviews.user', 'name')
-      .populate('category', 'name')
-      .populate('subcategories', 'name')
-      .skip((page - 1) * limit)
-      .limit(limit)
-      .lean();
-    logger.info(`Retrieved products, page ${page}, limit ${limit}`);
-    res.status(200).json(products);
+    const result = await paginate(Product, { isDeleted: false, isActive: true }, {
+      ...value,
+      select: '-reviews.reports -reviews.helpfulVotes',
+      populate: [
+        { path: 'reviews.user', select: 'name' },
+        { path: 'category', select: 'name' },
+        { path: 'subcategories', select: 'name' },
+      ],
+    });
+    result.items.forEach((product) => {
+      product.reviews = Product.toPublicReviews(product.reviews);
+      Product.toAvailableStock(product);
+    });
+    await localizePrices(result.items, value.currency);
+    logger.info(`Retrieved products, page ${value.page}, limit ${value.limit}`);
+    res.status(200).json(result);
   } catch (error) {
     logger.error(`Error getting products: ${error.message}`);
-    res.status(500).json({ message: 'Failed to retrieve products' });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to retrieve products' });
   }
 };
 
@@ -143,7 +371,12 @@ exports.getProductById = async (req, res) => {
       logger.error(`Invalid product ID: ${id}`);
       return res.status(400).json({ message: 'Invalid product ID' });
     }
+    const { error, value: currency } = currencySchema.validate(req.query.currency);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
     const product = await ProductService.getProductById(id);
+    await localizePrices([product], currency);
     logger.info(`Retrieved product ${id}`);
     res.status(200).json(product);
   } catch (error) {
@@ -164,6 +397,7 @@ exports.updateProduct = async (req, res) => {
       logger.error(`Invalid product ID: ${id}`, { userId: req.user?.id });
       return res.status(400).json({ message: 'Invalid product ID' });
     }
+    parseJsonFields(req.body, ['variants', 'subcategories', 'dimensions']);
     const { error } = productSchema.optional().validate(req.body);
     if (error) {
       logger.error(`Validation error updating product: ${error.details[0].message}`, { userId: req.user.id });
@@ -222,24 +456,55 @@ exports.getProductsByFilter = async (req, res) => {
     if (size) query.size = size;
     if (color) query.color = color;
 
-    const products = await Product.find(query)
-      .populate('reviews.user', 'name')
-      .populate('category', 'name')
-      .populate('subcategories', 'name')
-      .sort(sort)
-      .skip((page - 1) * limit)
-      .limit(limit)
-      .lean();
+    const result = await paginate(Product, query, {
+      page,
+      limit,
+      sort: sort ? `${sort} _id` : undefined,
+      select: '-reviews.reports -reviews.helpfulVotes',
+      populate: [
+        { path: 'reviews.user', select: 'name' },
+        { path: 'category', select: 'name' },
+        { path: 'subcategories', select: 'name' },
+      ],
+    });
+    result.items.forEach((product) => {
+      product.reviews = Product.toPublicReviews(product.reviews);
+      Product.toAvailableStock(product);
+    });
+    await localizePrices(result.items, value.currency);
     logger.info(`Filtered products`, { query, page, limit });
-    res.status(200).json(products);
+    res.status(200).json(result);
   } catch (error) {
     logger.error(`Error filtering products: ${error.message}`);
-    res.status(500).json({ message: 'Failed to filter products' });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to filter products' });
   }
 };
 
 /**
- * Search products by name or description.
+ * Get products with multi-select filters plus facet counts for the storefront sidebar.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.getProductFacets = async (req, res) => {
+  try {
+    const { error, value } = facetSchema.validate(req.query);
+    if (error) {
+      logger.error(`Validation error getting product facets: ${error.details[0].message}`);
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const result = await ProductService.getFacets(value);
+    await localizePrices(result.items, value.currency);
+    logger.info('Retrieved product facets', { page: value.page, limit: value.limit, total: result.total });
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error getting product facets: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to retrieve product facets' });
+  }
+};
+
+/**
+ * Search products by relevance across name, brand and description, tolerating small typos.
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
  */
@@ -252,33 +517,58 @@ exports.searchProducts = async (req, res) => {
     }
 
     const { search, page, limit } = value;
-    const products = await Product.find({
-      $and: [
-        { isDeleted: false, isActive: true },
-        {
-          $or: [
-            { name: { $regex: search, $options: 'i' } },
-            { description: { $regex: search, $options: 'i' } },
-          ],
-        },
-      ],
-    })
-      .populate('reviews.user', 'name')
-      .populate('category', 'name')
-      .populate('subcategories', 'name')
-      .skip((page - 1) * limit)
-      .limit(limit)
-      .lean();
-    logger.info(`Searched products for query: ${search}`, { page, limit });
-    res.status(200).json(products);
+    const { products, total, fuzzy } = await ProductService.searchProducts({ search, page, limit });
+    await localizePrices(products, value.currency);
+    logger.info(`Searched products for query: ${search}`, { page, limit, fuzzy });
+    res.status(200).json({ ...buildPage({ items: products, total, page, limit }), fuzzy });
   } catch (error) {
     logger.error(`Error searching products: ${error.message}`);
-    res.status(500).json({ message: 'Failed to search products' });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to search products' });
+  }
+};
+
+/**
+ * Autocomplete product names, brands and categories as the user types.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.suggestProducts = async (req, res) => {
+  try {
+    const { error, value } = suggestSchema.validate(req.query);
+    if (error) {
+      logger.error(`Validation error suggesting products: ${error.details[0].message}`);
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const suggestions = await ProductService.suggest(value.q, value.limit);
+    res.status(200).json(suggestions);
+  } catch (error) {
+    logger.error(`Error suggesting products: ${error.message}`);
+    res.status(500).json({ message: 'Failed to retrieve suggestions' });
+  }
+};
+
+/**
+ * Get "frequently bought together" and similar-item recommendations for a product.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.getRecommendations = async (req, res) => {
+  try {
+    const { error, value } = recommendationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const recommendations = await RecommendationService.getRecommendations(req.params.id, value.limit);
+    res.status(200).json(recommendations);
+  } catch (error) {
+    logger.error(`Error getting recommendations for product ${req.params.id}: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve recommendations' });
   }
 };
 
 /**
- * Get all reviews for a product.
+ * Get published reviews for a product, sorted by recency or helpfulness.
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
  */
@@ -289,18 +579,17 @@ exports.getReviews = async (req, res) => {
       logger.error(`Invalid product ID: ${productId}`);
       return res.status(400).json({ message: 'Invalid product ID' });
     }
-    const product = await Product.findOne({ _id: productId, isDeleted: false })
-      .populate('reviews.user', 'name')
-      .lean();
-    if (!product) {
-      logger.warn(`Product not found: ${productId}`);
-      return res.status(404).json({ message: 'Product not found' });
+    const { error, value } = reviewListSchema.validate(req.query);
+    if (error) {
+      logger.error(`Validation error getting reviews: ${error.details[0].message}`);
+      return res.status(400).json({ message: error.details[0].message });
     }
+    const reviews = await ProductService.getReviews(productId, value);
     logger.info(`Retrieved reviews for product ${productId}`);
-    res.status(200).json(product.reviews);
+    res.status(200).json(reviews);
   } catch (error) {
     logger.error(`Error getting reviews for product ${req.params.productId}: ${error.message}`);
-    res.status(500).json({ message: 'Failed to retrieve reviews' });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve reviews' });
   }
 };
 
@@ -314,14 +603,16 @@ exports.addReview = async (req, res) => {
     const { productId } = req.params;
     if (!mongoose.isValidObjectId(productId)) {
       logger.error(`Invalid product ID: ${productId}`, { userId: req.user?.id });
+      await discardReviewUploads(req.files);
       return res.status(400).json({ message: 'Invalid product ID' });
     }
-    const { error } = reviewSchema.validate(req.body);
+    const { error, value } = reviewSchema.validate(req.body);
     if (error) {
       logger.error(`Validation error adding review: ${error.details[0].message}`, { userId: req.user.id });
+      await discardReviewUploads(req.files);
       return res.status(400).json({ message: error.details[0].message });
     }
-    const product = await ProductService.addReview(productId, req.body, req.user.id);
+    const product = await ProductService.addReview(productId, value, req.user.id, req.files);
     logger.info(`Added review to product ${productId} by user ${req.user.id}`);
     res.status(201).json(product);
   } catch (error) {
@@ -340,14 +631,16 @@ exports.updateReview = async (req, res) => {
     const { productId, reviewId } = req.params;
     if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(reviewId)) {
       logger.error(`Invalid ID: product ${productId}, review ${reviewId}`, { userId: req.user?.id });
+      await discardReviewUploads(req.files);
       return res.status(400).json({ message: 'Invalid product or review ID' });
     }
-    const { error } = reviewSchema.validate(req.body);
+    const { error, value } = reviewSchema.validate(req.body);
     if (error) {
       logger.error(`Validation error updating review: ${error.details[0].message}`, { userId: req.user.id });
+      await discardReviewUploads(req.files);
       return res.status(400).json({ message: error.details[0].message });
     }
-    const product = await ProductService.updateReview(productId, reviewId, req.body, req.user.id);
+    const product = await ProductService.updateReview(productId, reviewId, value, req.user.id, req.files);
     logger.info(`Updated review ${reviewId} for product ${productId} by user ${req.user.id}`);
     res.status(200).json(product);
   } catch (error) {
@@ -376,3 +669,93 @@ exports.deleteReview = async (req, res) => {
     res.status(error.status || 500).json({ message: error.message || 'Failed to delete review' });
   }
 };
+
+/**
+ * Report a review for moderation.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.reportReview = async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+    if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(reviewId)) {
+      logger.error(`Invalid ID: product ${productId}, review ${reviewId}`, { userId: req.user?.id });
+      return res.status(400).json({ message: 'Invalid product or review ID' });
+    }
+    const { error, value } = reviewReportSchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error reporting review: ${error.details[0].message}`, { userId: req.user.id });
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const result = await ProductService.reportReview(productId, reviewId, value, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error(`Error reporting review ${req.params.reviewId}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to report review' });
+  }
+};
+
+/**
+ * Vote a review helpful (POST) or withdraw the vote (DELETE).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.voteReviewHelpful = async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+    if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(reviewId)) {
+      logger.error(`Invalid ID: product ${productId}, review ${reviewId}`, { userId: req.user?.id });
+      return res.status(400).json({ message: 'Invalid product or review ID' });
+    }
+    const helpful = req.method !== 'DELETE';
+    const result = await ProductService.voteReviewHelpful(productId, reviewId, req.user.id, helpful);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error voting on review ${req.params.reviewId}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to record vote' });
+  }
+};
+
+/**
+ * Get the moderation queue of reviews with open reports (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.getReportedReviews = async (req, res) => {
+  try {
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const reviews = await ProductService.getReportedReviews(value);
+    res.status(200).json(reviews);
+  } catch (error) {
+    logger.error(`Error getting reported reviews: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve reported reviews' });
+  }
+};
+
+/**
+ * Approve or hide a review (admin).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.moderateReview = async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+    if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(reviewId)) {
+      logger.error(`Invalid ID: product ${productId}, review ${reviewId}`, { userId: req.user?.id });
+      return res.status(400).json({ message: 'Invalid product or review ID' });
+    }
+    const { error, value } = reviewModerationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const review = await ProductService.moderateReview(productId, reviewId, value, req.user.id);
+    logger.info(`Moderated review ${reviewId} (${value.action}) by admin ${req.user.id}`);
+    res.status(200).json({ message: 'Review moderated successfully', review });
+  } catch (error) {
+    logger.error(`Error moderating review ${req.params.reviewId}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to moderate review' });
+  }
+};
@@ -0,0 +1,107 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const QuestionService = require('../services/question.service');
+const { paginationSchema } = require('../utils/pagination');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/questionController.log' }),
+  ],
+});
+
+// Validation schemas
+const questionSchema = Joi.object({
+  question: Joi.string().trim().min(5).max(500).required(),
+});
+
+const answerSchema = Joi.object({
+  body: Joi.string().trim().min(2).max(1000).required(),
+});
+
+/**
+ * Get questions and answers for a product.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.getQuestions = async (req, res) => {
+  try {
+    const { error, value } = paginationSchema.validate({ limit: 10, ...req.query });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const questions = await QuestionService.getQuestions(req.params.productId, value);
+    res.status(200).json(questions);
+  } catch (error) {
+    logger.error(`Error getting questions for product ${req.params.productId}: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve questions' });
+  }
+};
+
+/**
+ * Ask a question about a product.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.askQuestion = async (req, res) => {
+  try {
+    const { error, value } = questionSchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error asking question: ${error.details[0].message}`, { userId: req.user.id });
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const question = await QuestionService.askQuestion(req.params.productId, value, req.user.id);
+    res.status(201).json(question);
+  } catch (error) {
+    logger.error(`Error asking question on product ${req.params.productId}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to post question' });
+  }
+};
+
+/**
+ * Answer a product question (seller or verified buyer).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.answerQuestion = async (req, res) => {
+  try {
+    const { productId, questionId } = req.params;
+    const { error, value } = answerSchema.validate(req.body);
+    if (error) {
+      logger.error(`Validation error answering question: ${error.details[0].message}`, { userId: req.user.id });
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const question = await QuestionService.answerQuestion(productId, questionId, value, req.user.id);
+    res.status(201).json(question);
+  } catch (error) {
+    logger.error(`Error answering question ${req.params.questionId}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to post answer' });
+  }
+};
+
+/**
+ * Upvote an answer (POST) or withdraw the upvote (DELETE).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+exports.voteAnswer = async (req, res) => {
+  try {
+    const { productId, questionId, answerId } = req.params;
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ message: 'Invalid product ID' });
+    }
+    const upvote = req.method !== 'DELETE';
+    const result = await QuestionService.voteAnswer(productId, questionId, answerId, req.user.id, upvote);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error voting on answer ${req.params.answerId}: ${error.message}`, { userId: req.user?.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to record vote' });
+  }
+};
@@ -0,0 +1,161 @@
+const Joi = require('joi');
+const winston = require('winston');
+const ReturnService = require('../services/return.service');
+const { cleanupFailedUpload } = require('../middlewares/fileUpload');
+const { RETURN_REASONS } = require('../utils/orderStatus');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/returnController.log' }),
+  ],
+});
+
+// Validation schemas
+const lineId = Joi.string().hex().length(24);
+
+const returnSchema = Joi.object({
+  // Order line IDs (products[]._id) and how many units of each to send back
+  lines: Joi.array().items(Joi.object({
+    lineId: lineId.required(),
+    quantity: Joi.number().integer().min(1).required(),
+  })).min(1).unique('lineId').required(),
+  reason: Joi.string().valid(...RETURN_REASONS).required(),
+  comment: Joi.string().trim().max(1000).allow(''),
+  resolution: Joi.string().valid('refund', 'replacement').default('refund'),
+});
+
+const noteSchema = Joi.object({
+  note: Joi.string().trim().max(500).allow(''),
+});
+
+const rejectSchema = Joi.object({
+  note: Joi.string().trim().max(500).required(),
+});
+
+const pickupSchema = Joi.object({
+  scheduledFor: Joi.date().iso().min('now').required(),
+  carrier: Joi.string().trim().max(60).required(),
+  trackingNumber: Joi.string().trim().max(60),
+  note: Joi.string().trim().max(500).allow(''),
+});
+
+const inspectionSchema = Joi.object({
+  passed: Joi.boolean().required(),
+  restock: Joi.boolean().default(true),
+  notes: Joi.string().trim().max(1000).allow(''),
+  // Shipment of the replacement, for returns resolved by replacement
+  replacement: Joi.object({
+    carrier: Joi.string().trim().max(60).required(),
+    trackingNumber: Joi.string().trim().max(60).required(),
+  }),
+});
+
+const actorOf = (req) => ({ id: req.user.id, role: req.user.role });
+
+// Remove return photos when a request is rejected before it reaches the service
+const discardReturnPhotos = (files = []) => Promise.all(files.map((file) => cleanupFailedUpload(file.filename)));
+
+/**
+ * Request the return of delivered order lines, with photos (multipart field `photos`).
+ * `lines` arrives as a JSON string in multipart forms.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const createReturn = async (req, res) => {
+  try {
+    if (typeof req.body.lines === 'string') {
+      try {
+        req.body.lines = JSON.parse(req.body.lines);
+      } catch (parseError) {
+        // Left for Joi to reject
+      }
+    }
+    const { error, value } = returnSchema.validate(req.body);
+    if (error) {
+      await discardReturnPhotos(req.files);
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const returns = await ReturnService.createReturn(req.params.orderId, actorOf(req), {
+      ...value,
+      comment: value.comment || undefined,
+    }, req.files);
+    res.status(201).json({ message: 'Return requested successfully', returns });
+  } catch (error) {
+    logger.error(`Error creating return for order ${req.params.orderId}: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to request return' });
+  }
+};
+
+/**
+ * List the return requests of an order.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getReturns = async (req, res) => {
+  try {
+    const returns = await ReturnService.getReturns(req.params.orderId, actorOf(req));
+    res.status(200).json(returns);
+  } catch (error) {
+    logger.error(`Error getting returns of order ${req.params.orderId}: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve returns' });
+  }
+};
+
+/**
+ * Get one return request of an order.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getReturn = async (req, res) => {
+  try {
+    const rma = await ReturnService.getReturn(req.params.orderId, req.params.returnId, actorOf(req));
+    res.status(200).json(rma);
+  } catch (error) {
+    logger.error(`Error getting return ${req.params.returnId}: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve return' });
+  }
+};
+
+// Build a handler that validates the body and runs one step of a return
+const returnStep = (schema, method, message) => async (req, res) => {
+  try {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    for (const field of ['note', 'notes']) {
+      if (value[field] === '') delete value[field];
+    }
+    const rma = await ReturnService[method](req.params.orderId, req.params.returnId, actorOf(req), value);
+    res.status(200).json({ message, return: rma });
+  } catch (error) {
+    logger.error(`Error in ${method} for return ${req.params.returnId}: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to update return' });
+  }
+};
+
+const approveReturn = returnStep(noteSchema, 'approveReturn', 'Return approved');
+const rejectReturn = returnStep(rejectSchema, 'rejectReturn', 'Return rejected');
+const cancelReturn = returnStep(noteSchema, 'cancelReturn', 'Return cancelled');
+const schedulePickup = returnStep(pickupSchema, 'schedulePickup', 'Pickup scheduled');
+const receiveReturn = returnStep(noteSchema, 'receiveReturn', 'Return received');
+const inspectReturn = returnStep(inspectionSchema, 'inspectReturn', 'Inspection recorded');
+
+module.exports = {
+  createReturn,
+  getReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  cancelReturn,
+  schedulePickup,
+  receiveReturn,
+  inspectReturn,
+};
@@ -1,6 +1,19 @@
+const Joi = require('joi');
 const SellerService = require('../services/seller.service');
 const Product = require('../models/product.model');
 const Order = require('../models/order.model');
+const { paginationSchema } = require('../utils/pagination');
+const { FULFILMENT_STATUSES } = require('../utils/orderStatus');
+
+const orderStatusSchema = Joi.object({
+    status: Joi.string().valid(...FULFILMENT_STATUSES).required(),
+    note: Joi.string().trim().max(500).allow(''),
+    tracking: Joi.object({
+        carrier: Joi.string().trim().max(60),
+        trackingNumber: Joi.string().trim().max(60),
+        trackingUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }),
+    }).min(1),
+});
 
 // Get seller profile
 exports.getSellerProfile = async (req, res) => {
@@ -90,12 +103,14 @@ exports.getSellerOrders = async (req, res) => {
             return res.status(403).json({ message: 'Unauthorized to view orders' });
         }
 
-        const orders = await SellerService.getSellerOrders(req.user.id); // Use sellerId
-        if (!orders || orders.length === 0) return res.status(404).json({ message: "No orders found for this seller" });
+        const { error, value } = paginationSchema.validate(req.query);
+        if (error) return res.status(400).json({ message: error.details[0].message });
+
+        const orders = await SellerService.getSellerOrders(req.user.id, value); // Use sellerId
         res.status(200).json(orders);
     } catch (error) {
         console.error("Error retrieving orders:", error);
-        res.status(500).json({ message: "Error retrieving orders", error: error.message });
+        res.status(error.status || 500).json({ message: "Error retrieving orders", error: error.message });
     }
 };
 
@@ -103,18 +118,16 @@ exports.getSellerOrders = async (req, res) => {
 exports.updateOrderStatus = async (req, res) => {
     try {
         const { orderId } = req.params;
-        const { status } = req.body;
-
-        // Ensure user has permission to update order status
-        if (req.user.roleId.permissions && !req.user.roleId.permissions.includes('orders:update')) {
-            return res.status(403).json({ message: 'Unauthorized to update order status' });
-        }
+        const { error, value } = orderStatusSchema.validate(req.body);
+        if (error) return res.status(400).json({ message: error.details[0].message });
 
-        const updatedOrder = await SellerService.updateOrderStatus(orderId, status, req.user.id); // Use sellerId
-        if (!updatedOrder) return res.status(404).json({ message: "Order not found" });
+        const updatedOrder = await SellerService.updateOrderStatus(orderId, value.status, req.user.id, {
+            note: value.note || undefined,
+            tracking: value.tracking,
+        }); // Use sellerId
         res.status(200).json(updatedOrder);
     } catch (error) {
         console.error("Error updating order status:", error);
-        res.status(400).json({ message: "Error updating order status", error: error.message });
+        res.status(error.status || 400).json({ message: "Error updating order status", error: error.message });
     }
 };
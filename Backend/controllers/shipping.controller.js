@@ -0,0 +1,130 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const ShippingService = require('../services/shipping.service');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/shippingController.log' }),
+  ],
+});
+
+// Validation schemas
+const objectId = Joi.string().custom((value, helpers) => {
+  if (!mongoose.isValidObjectId(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+}, 'MongoDB ObjectId');
+
+const zoneSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  seller: objectId.allow(null), // Admins only; ignored for sellers
+  pincodes: Joi.array().items(Joi.string().trim().pattern(/^\d{6}$/)).unique().default([]),
+  pincodePrefixes: Joi.array().items(Joi.string().trim().pattern(/^\d{1,5}$/)).unique().default([]),
+  states: Joi.array().items(Joi.string().trim().max(60)).unique().default([]),
+  isFallback: Joi.boolean().default(false),
+  slabs: Joi.array().items(Joi.object({
+    maxWeight: Joi.number().integer().min(1).required(),
+    rate: Joi.number().min(0).required(),
+  })).min(1).unique('maxWeight').required(),
+  extraWeightStep: Joi.number().integer().min(1),
+  extraWeightRate: Joi.number().min(0).allow(null),
+  freeShippingThreshold: Joi.number().min(0).allow(null),
+  isActive: Joi.boolean(),
+});
+
+// Validated with noDefaults so fields left out keep their stored values
+const zoneUpdateSchema = zoneSchema.fork(['name', 'slabs'], (schema) => schema.optional()).min(1);
+
+const zoneListSchema = Joi.object({
+  seller: objectId,
+});
+
+const actorOf = (req) => ({ id: req.user.id, role: req.user.role });
+
+/**
+ * List shipping zones (platform zones for admins, own zones for sellers).
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getZones = async (req, res) => {
+  try {
+    const { error, value } = zoneListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const zones = await ShippingService.getZones(actorOf(req), value);
+    res.status(200).json(zones);
+  } catch (error) {
+    logger.error(`Error getting shipping zones: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve shipping zones' });
+  }
+};
+
+/**
+ * Create a shipping zone.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const createZone = async (req, res) => {
+  try {
+    const { error, value } = zoneSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const zone = await ShippingService.createZone(value, actorOf(req));
+    res.status(201).json({ message: 'Shipping zone created successfully', zone });
+  } catch (error) {
+    logger.error(`Error creating shipping zone: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to create shipping zone' });
+  }
+};
+
+/**
+ * Update a shipping zone.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const updateZone = async (req, res) => {
+  try {
+    const { error, value } = zoneUpdateSchema.validate(req.body, { noDefaults: true });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const zone = await ShippingService.updateZone(req.params.id, value, actorOf(req));
+    res.status(200).json({ message: 'Shipping zone updated successfully', zone });
+  } catch (error) {
+    logger.error(`Error updating shipping zone: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to update shipping zone' });
+  }
+};
+
+/**
+ * Delete a shipping zone.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const deleteZone = async (req, res) => {
+  try {
+    await ShippingService.deleteZone(req.params.id, actorOf(req));
+    res.status(200).json({ message: 'Shipping zone deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting shipping zone: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to delete shipping zone' });
+  }
+};
+
+module.exports = {
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone,
+};
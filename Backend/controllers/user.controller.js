@@ -1,4 +1,11 @@
+const Joi = require('joi');
 const UserService = require('../services/user.service');
+const { paginationSchema } = require('../utils/pagination');
+
+// Quantity a cart line is set to, as on the cart endpoints
+const cartQuantitySchema = Joi.number().integer().min(1).required().label('Quantity').messages({
+  'number.min': 'Quantity must be at least 1',
+});
 
 // Get user profile
 exports.getUserProfile = async (req, res) => {
@@ -26,11 +33,11 @@ exports.updateUserProfile = async (req, res) => {
 exports.getOrderHistory = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page, limit } = req.query;
-    const orders = await UserService.getUserOrders(userId, {
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 10,
-    });
+    const { error, value } = paginationSchema.validate({ limit: 10, ...req.query });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const orders = await UserService.getUserOrders(userId, value);
     res.status(200).json(orders);
   } catch (error) {
     res.status(error.status || 500).json({ error: error.message });
@@ -54,8 +61,8 @@ exports.addToWishlist = async (req, res) => {
   try {
     const userId = req.user.id;
     const { productId } = req.body;
-    const profile = await UserService.addToWishlist(userId, productId);
-    res.status(200).json({ message: 'Added to wishlist', profile });
+    const wishlist = await UserService.addToWishlist(userId, productId);
+    res.status(200).json({ message: 'Added to wishlist', wishlist });
   } catch (error) {
     res.status(error.status || 500).json({ error: error.message });
   }
@@ -66,8 +73,8 @@ exports.removeFromWishlist = async (req, res) => {
   try {
     const userId = req.user.id;
     const productId = req.query.productId;
-    const profile = await UserService.removeFromWishlist(userId, productId);
-    res.status(200).json({ message: 'Removed from wishlist', profile });
+    const wishlist = await UserService.removeFromWishlist(userId, productId);
+    res.status(200).json({ message: 'Removed from wishlist', wishlist });
   } catch (error) {
     res.status(error.status || 500).json({ error: error.message });
   }
@@ -77,9 +84,13 @@ exports.removeFromWishlist = async (req, res) => {
 exports.addToCart = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { productId, quantity } = req.body;
-    const profile = await UserService.addToCart(userId, productId, quantity);
-    res.status(200).json({ message: 'Added to cart', profile });
+    const { productId, variantId } = req.body;
+    const { error, value: quantity } = cartQuantitySchema.validate(req.body.quantity);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const cart = await UserService.addToCart(userId, productId, quantity, variantId);
+    res.status(200).json({ message: 'Added to cart', cart });
   } catch (error) {
     res.status(error.status || 500).json({ error: error.message });
   }
@@ -89,9 +100,9 @@ exports.addToCart = async (req, res) => {
 exports.removeFromCart = async (req, res) => {
   try {
     const userId = req.user.id;
-    const productId = req.query.productId;
-    const profile = await UserService.removeFromCart(userId, productId);
-    res.status(200).json({ message: 'Removed from cart', profile });
+    const { productId, variantId } = req.query;
+    const cart = await UserService.removeFromCart(userId, productId, variantId);
+    res.status(200).json({ message: 'Removed from cart', cart });
   } catch (error) {
     res.status(error.status || 500).json({ error: error.message });
   }
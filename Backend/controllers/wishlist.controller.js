@@ -0,0 +1,295 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const WishlistService = require('../services/wishlist.service');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/wishlistController.log' }),
+  ],
+});
+
+// Validation schemas
+const objectId = Joi.string().custom((value, helpers) => {
+  if (!mongoose.isValidObjectId(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+}, 'MongoDB ObjectId');
+
+const listNameSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(60).required(),
+});
+
+const itemSchema = Joi.object({
+  productId: objectId.required(),
+  variantId: objectId.allow(null),
+  note: Joi.string().trim().max(200).allow(''),
+});
+
+const moveItemSchema = Joi.object({
+  targetListId: objectId.required(),
+});
+
+const moveToCartSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).default(1),
+  variantId: objectId.allow(null),
+});
+
+const saveForLaterSchema = Joi.object({
+  productId: objectId.required(),
+  variantId: objectId.allow(null),
+});
+
+const shareTokenSchema = Joi.string().pattern(/^[A-Za-z0-9_-]{16,64}$/);
+
+/**
+ * Get the authenticated user's lists.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getLists = async (req, res) => {
+  try {
+    const lists = await WishlistService.getLists(req.user.id);
+    res.status(200).json(lists);
+  } catch (error) {
+    logger.error(`Error getting wishlists: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve wishlists' });
+  }
+};
+
+/**
+ * Get one list with its items.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getList = async (req, res) => {
+  try {
+    const list = await WishlistService.getList(req.user.id, req.params.listId);
+    res.status(200).json(list);
+  } catch (error) {
+    logger.error(`Error getting wishlist: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve wishlist' });
+  }
+};
+
+/**
+ * Create a named list.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const createList = async (req, res) => {
+  try {
+    const { error, value } = listNameSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const list = await WishlistService.createList(req.user.id, value.name);
+    res.status(201).json({ message: 'Wishlist created successfully', list });
+  } catch (error) {
+    logger.error(`Error creating wishlist: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to create wishlist' });
+  }
+};
+
+/**
+ * Rename a list.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const renameList = async (req, res) => {
+  try {
+    const { error, value } = listNameSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const list = await WishlistService.renameList(req.user.id, req.params.listId, value.name);
+    res.status(200).json({ message: 'Wishlist renamed successfully', list });
+  } catch (error) {
+    logger.error(`Error renaming wishlist: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to rename wishlist' });
+  }
+};
+
+/**
+ * Delete a list.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const deleteList = async (req, res) => {
+  try {
+    await WishlistService.deleteList(req.user.id, req.params.listId);
+    res.status(200).json({ message: 'Wishlist deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting wishlist: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to delete wishlist' });
+  }
+};
+
+/**
+ * Add a product to a list.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const addItem = async (req, res) => {
+  try {
+    const { error, value } = itemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const list = await WishlistService.addItem(req.user.id, req.params.listId, value);
+    res.status(200).json({ message: 'Added to wishlist', list });
+  } catch (error) {
+    logger.error(`Error adding wishlist item: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to add item' });
+  }
+};
+
+/**
+ * Remove an item from a list.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const removeItem = async (req, res) => {
+  try {
+    const list = await WishlistService.removeItem(req.user.id, req.params.listId, req.params.itemId);
+    res.status(200).json({ message: 'Removed from wishlist', list });
+  } catch (error) {
+    logger.error(`Error removing wishlist item: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to remove item' });
+  }
+};
+
+/**
+ * Move an item to another list.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const moveItem = async (req, res) => {
+  try {
+    const { error, value } = moveItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const list = await WishlistService.moveItem(
+      req.user.id,
+      req.params.listId,
+      req.params.itemId,
+      value.targetListId
+    );
+    res.status(200).json({ message: 'Item moved successfully', list });
+  } catch (error) {
+    logger.error(`Error moving wishlist item: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to move item' });
+  }
+};
+
+/**
+ * Move a list item into the cart.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const moveToCart = async (req, res) => {
+  try {
+    const { error, value } = moveToCartSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const result = await WishlistService.moveToCart(req.user.id, req.params.listId, req.params.itemId, value);
+    res.status(200).json({ message: 'Moved to cart', ...result });
+  } catch (error) {
+    logger.error(`Error moving wishlist item to cart: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to move item to cart' });
+  }
+};
+
+/**
+ * Move a cart line to the saved-for-later list.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const saveForLater = async (req, res) => {
+  try {
+    const { error, value } = saveForLaterSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const result = await WishlistService.saveForLater(req.user.id, value.productId, value.variantId);
+    res.status(200).json({ message: 'Saved for later', ...result });
+  } catch (error) {
+    logger.error(`Error saving cart item for later: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to save item for later' });
+  }
+};
+
+/**
+ * Create (or return) a list's public share link.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const shareList = async (req, res) => {
+  try {
+    const list = await WishlistService.shareList(req.user.id, req.params.listId);
+    res.status(200).json({ message: 'Share link created', list });
+  } catch (error) {
+    logger.error(`Error sharing wishlist: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to share wishlist' });
+  }
+};
+
+/**
+ * Revoke a list's public share link.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const unshareList = async (req, res) => {
+  try {
+    const list = await WishlistService.unshareList(req.user.id, req.params.listId);
+    res.status(200).json({ message: 'Share link revoked', list });
+  } catch (error) {
+    logger.error(`Error revoking wishlist share link: ${error.message}`, { userId: req.user.id });
+    res.status(error.status || 500).json({ message: error.message || 'Failed to revoke share link' });
+  }
+};
+
+/**
+ * Read-only view of a shared list; no login needed.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getSharedList = async (req, res) => {
+  try {
+    const { error } = shareTokenSchema.validate(req.params.token);
+    if (error) {
+      return res.status(404).json({ message: 'Shared list not found' });
+    }
+    const list = await WishlistService.getSharedList(req.params.token);
+    res.status(200).json(list);
+  } catch (error) {
+    logger.error(`Error getting shared wishlist: ${error.message}`);
+    res.status(error.status || 500).json({ message: error.message || 'Failed to retrieve wishlist' });
+  }
+};
+
+module.exports = {
+  getLists,
+  getList,
+  createList,
+  renameList,
+  deleteList,
+  addItem,
+  removeItem,
+  moveItem,
+  moveToCart,
+  saveForLater,
+  shareList,
+  unshareList,
+  getSharedList,
+};
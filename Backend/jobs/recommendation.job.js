@@ -0,0 +1,60 @@
+const winston = require('winston');
+const RecommendationService = require('../services/recommendation.service');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/jobs.log' }),
+  ],
+});
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const STARTUP_DELAY_MS = 60 * 1000; // Let the database connection settle first
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one recommendation refresh, skipping if the previous run is still going.
+ */
+const runRecommendationJob = async () => {
+  if (running) {
+    logger.warn('Recommendation refresh still running, skipping this tick');
+    return;
+  }
+  running = true;
+  try {
+    await RecommendationService.refreshAll();
+  } catch (error) {
+    logger.error(`Recommendation refresh failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Schedule periodic recommendation refreshes. Timers are unref'd so they never keep
+ * the process alive on their own.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.intervalMs] - Refresh interval (RECOMMENDATION_REFRESH_MS or 6 hours).
+ */
+const startRecommendationJob = ({ intervalMs = Number(process.env.RECOMMENDATION_REFRESH_MS) || DEFAULT_INTERVAL_MS } = {}) => {
+  if (timer) return;
+  setTimeout(runRecommendationJob, STARTUP_DELAY_MS).unref();
+  timer = setInterval(runRecommendationJob, intervalMs);
+  timer.unref();
+  logger.info(`Scheduled recommendation refresh every ${intervalMs}ms`);
+};
+
+const stopRecommendationJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { runRecommendationJob, startRecommendationJob, stopRecommendationJob };
@@ -0,0 +1,55 @@
+const winston = require('winston');
+const InventoryService = require('../services/inventory.service');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/jobs.log' }),
+  ],
+});
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // 1 minute
+
+let timer = null;
+let running = false;
+
+/**
+ * Release expired stock reservations, skipping if the previous run is still going.
+ */
+const runReservationJob = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await InventoryService.releaseExpired();
+  } catch (error) {
+    logger.error(`Reservation expiry failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Schedule periodic release of expired stock reservations. The timer is unref'd so
+ * it never keeps the process alive on its own.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.intervalMs] - Check interval (RESERVATION_SWEEP_MS or 1 minute).
+ */
+const startReservationJob = ({ intervalMs = Number(process.env.RESERVATION_SWEEP_MS) || DEFAULT_INTERVAL_MS } = {}) => {
+  if (timer) return;
+  timer = setInterval(runReservationJob, intervalMs);
+  timer.unref();
+  logger.info(`Scheduled reservation expiry every ${intervalMs}ms`);
+};
+
+const stopReservationJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { runReservationJob, startReservationJob, stopReservationJob };
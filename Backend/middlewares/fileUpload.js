@@ -3,6 +3,7 @@ const multer = require('multer');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const cloudinary = require('cloudinary').v2;
 const winston = require('winston');
+const crypto = require('crypto');
 
 // Logger setup
 const logger = winston.createLogger({
@@ -36,8 +37,35 @@ const FILE_SIZE_LIMITS = {
   profilePicture: 2 * 1024 * 1024, // 2MB
   storeImage: 5 * 1024 * 1024, // 5MB
   productImage: 10 * 1024 * 1024, // 10MB
+  catalogFile: 5 * 1024 * 1024, // 5MB
+  reviewImage: 5 * 1024 * 1024, // 5MB
+  reviewVideo: 30 * 1024 * 1024, // 30MB
+  returnPhoto: 5 * 1024 * 1024, // 5MB
 };
 
+// Accepted MIME types and extensions per upload kind
+const FILE_TYPES = {
+  image: {
+    mimes: ['image/jpeg', 'image/png', 'image/webp'],
+    exts: /\.(jpg|jpeg|png|webp)$/i,
+  },
+  profilePicture: {
+    mimes: ['image/jpeg', 'image/png'],
+    exts: /\.(jpg|jpeg|png)$/i,
+  },
+  reviewMedia: {
+    mimes: ['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/quicktime', 'video/webm'],
+    exts: /\.(jpg|jpeg|png|webp|mp4|mov|webm)$/i,
+  },
+};
+
+// Catalog spreadsheets accepted for bulk product import
+const CATALOG_MIMES = [
+  'text/csv',
+  'application/vnd.ms-excel', // Some browsers report .csv files with this type
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
 // Configure storage for different image types
 const storage = {
   profilePictureStorage: new CloudinaryStorage({
@@ -65,6 +93,23 @@ const storage = {
       public_id: (req, file) => `product_${req.user?.id}_${Date.now()}`,
     },
   }),
+  // Photos and videos share one folder; the resource type follows the file
+  reviewMediaStorage: new CloudinaryStorage({
+    cloudinary,
+    params: async (req, file) => ({
+      folder: 'ecommerce/reviews',
+      resource_type: file.mimetype.startsWith('video/') ? 'video' : 'image',
+      public_id: `review_${req.user?.id}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    }),
+  }),
+  returnPhotoStorage: new CloudinaryStorage({
+    cloudinary,
+    params: {
+      folder: 'ecommerce/returns',
+      allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+      public_id: (req, file) => `return_${req.user?.id}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    },
+  }),
 };
 
 /**
@@ -73,9 +118,10 @@ const storage = {
  * @param {string} fieldName - Form field name for the file(s).
  * @param {number} maxCount - Maximum number of files (1 for single, >1 for array).
  * @param {number} maxSize - Maximum file size in bytes.
+ * @param {Object} [allowedTypes=FILE_TYPES.image] - Accepted MIME types and extensions.
  * @returns {Function} Multer middleware.
  */
-const handleFileUpload = (storageType, fieldName, maxCount, maxSize) => {
+const handleFileUpload = (storageType, fieldName, maxCount, maxSize, allowedTypes = FILE_TYPES.image) => {
   const multerOptions = {
     storage: storageType,
     limits: { fileSize: maxSize },
@@ -85,16 +131,10 @@ const handleFileUpload = (storageType, fieldName, maxCount, maxSize) => {
         logger.error(error.message, { fieldName, userId: req.user?.id });
         return cb(error);
       }
-      const allowedMimes = storageType === storage.profilePictureStorage
-        ? ['image/jpeg', 'image/png']
-        : ['image/jpeg', 'image/png', 'image/webp'];
-      const allowedExts = storageType === storage.profilePictureStorage
-        ? /\.(jpg|jpeg|png)$/
-        : /\.(jpg|jpeg|png|webp)$/;
-      if (!allowedMimes.includes(file.mimetype) || !file.originalname.match(allowedExts)) {
+      if (!allowedTypes.mimes.includes(file.mimetype) || !file.originalname.match(allowedTypes.exts)) {
         const error = new multer.MulterError(
           'LIMIT_FORMAT',
-          `Invalid file type. Allowed: ${allowedMimes.join(', ')}`
+          `Invalid file type. Allowed: ${allowedTypes.mimes.join(', ')}`
         );
         logger.error(`File upload rejected: Invalid type ${file.mimetype}`, {
           fieldName,
@@ -112,14 +152,60 @@ const handleFileUpload = (storageType, fieldName, maxCount, maxSize) => {
     : multer(multerOptions).array(fieldName, maxCount);
 };
 
+/**
+ * Creates Multer middleware that keeps a single catalog file (CSV/XLSX) in memory.
+ * Catalog files are parsed and discarded, so they never go to Cloudinary.
+ * @param {string} fieldName - Form field name for the file.
+ * @returns {Function} Multer middleware.
+ */
+const handleCatalogUpload = (fieldName) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: FILE_SIZE_LIMITS.catalogFile, files: 1 },
+  fileFilter(req, file, cb) {
+    if (!CATALOG_MIMES.includes(file.mimetype) || !file.originalname.match(/\.(csv|xlsx)$/i)) {
+      const error = new multer.MulterError('LIMIT_FORMAT', 'Invalid file type. Allowed: .csv, .xlsx');
+      logger.error(`Catalog upload rejected: Invalid type ${file.mimetype}`, {
+        fieldName,
+        userId: req.user?.id,
+        filename: file.originalname,
+      });
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).single(fieldName);
+
+/**
+ * Multer error handling middleware.
+ */
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FORMAT') {
+      // Custom codes have no built-in message; the explanation is carried in `field`
+      return res.status(400).json({ error: err.message || err.field });
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: 'File size exceeds limit' });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ error: 'Too many files uploaded' });
+    }
+  }
+  if (err.message === 'Cloudinary configuration missing. File uploads are disabled.') {
+    return res.status(503).json({ error: err.message });
+  }
+  next(err);
+};
+
 /**
  * Cleans up a failed upload from Cloudinary.
  * @param {string} publicId - Cloudinary public ID of the file.
+ * @param {string} [resourceType='image'] - Cloudinary resource type ('image' or 'video').
  */
-const cleanupFailedUpload = async (publicId) => {
+const cleanupFailedUpload = async (publicId, resourceType = 'image') => {
   if (!publicId || !cloudinaryConfig.cloud_name) return;
   try {
-    await cloudinary.uploader.destroy(publicId);
+    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
     logger.info(`Cleaned up failed upload: ${publicId}`);
   } catch (error) {
     logger.error(`Failed to clean up upload: ${error.message}`, { publicId });
@@ -143,6 +229,25 @@ exports.uploadProfilePicture = handleFileUpload(
   storage.profilePictureStorage,
   'profile',
   1,
-  FILE_SIZE_LIMITS.profilePicture
+  FILE_SIZE_LIMITS.profilePicture,
+  FILE_TYPES.profilePicture
+);
+// Multer can only enforce one size, so it caps uploads at the video limit and
+// the review service rejects photos above FILE_SIZE_LIMITS.reviewImage
+exports.uploadReviewMedia = handleFileUpload(
+  storage.reviewMediaStorage,
+  'reviewMedia',
+  5,
+  FILE_SIZE_LIMITS.reviewVideo,
+  FILE_TYPES.reviewMedia
+);
+exports.uploadReturnPhotos = handleFileUpload(
+  storage.returnPhotoStorage,
+  'photos',
+  5,
+  FILE_SIZE_LIMITS.returnPhoto
 );
+exports.uploadCatalogFile = handleCatalogUpload('file');
+exports.handleMulterError = handleMulterError;
 exports.cleanupFailedUpload = cleanupFailedUpload;
+exports.FILE_SIZE_LIMITS = FILE_SIZE_LIMITS;
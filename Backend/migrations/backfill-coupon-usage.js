@@ -0,0 +1,34 @@
+// Builds the per-user coupon counters (CouponUsage) from the redemptions recorded
+// before they existed. Counters are overwritten, so the script can be re-run safely.
+// Usage: node migrations/backfill-coupon-usage.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const CouponRedemption = require('../models/couponRedemption.model');
+const CouponUsage = require('../models/couponUsage.model');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  await CouponUsage.syncIndexes();
+
+  let counters = 0;
+  const cursor = CouponRedemption.aggregate([
+    { $match: { releasedAt: null } },
+    { $group: { _id: { coupon: '$coupon', user: '$user' }, count: { $sum: 1 } } },
+  ]).cursor();
+  for await (const { _id, count } of cursor) {
+    await CouponUsage.updateOne(
+      { coupon: _id.coupon, user: _id.user },
+      { $set: { count } },
+      { upsert: true }
+    );
+    counters += 1;
+  }
+  console.log(`Backfilled ${counters} coupon usage counters`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Coupon usage backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
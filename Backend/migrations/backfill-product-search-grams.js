@@ -0,0 +1,28 @@
+// Populates Product.searchGrams for products created before typo-tolerant search.
+// Usage: node migrations/backfill-product-search-grams.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/product.model');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  await Product.createIndexes();
+
+  let updated = 0;
+  const cursor = Product.find({}).select('name brand').lean().cursor();
+  for await (const product of cursor) {
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { searchGrams: Product.toTrigrams(`${product.name} ${product.brand || ''}`) } }
+    );
+    updated += 1;
+  }
+  console.log(`Backfilled search trigrams for ${updated} products`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Search trigram backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,74 @@
+// Folds the legacy embedded User.cart arrays into Cart documents, which are now the
+// only cart. Lines already in the user's Cart are left as they are; quantities are
+// clamped to current stock and unavailable products are dropped. Users whose cart
+// could not be saved keep their legacy field, so the script can be re-run safely.
+// Usage: node migrations/merge-user-carts.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Cart = require('../models/cart.model');
+const Product = require('../models/product.model');
+
+const mergeUserCart = async (user) => {
+  let cart = await Cart.findOne({ userId: user._id, isDeleted: false });
+  if (!cart) {
+    cart = new Cart({ userId: user._id, items: [], totalAmount: 0, isDeleted: false });
+  }
+
+  let added = 0;
+  let dropped = 0;
+  for (const line of user.cart) {
+    if (cart.findItemIndex(line.productId) > -1) continue;
+    const product = await Product.findOne({ _id: line.productId, isActive: true, isDeleted: false }).lean();
+    let purchasable = null;
+    try {
+      purchasable = product && Product.resolvePurchasable(product, null);
+    } catch (error) {
+      // Legacy lines have no variant; products that now need one are dropped
+    }
+    const quantity = purchasable ? Math.min(line.quantity, purchasable.stock) : 0;
+    if (quantity <= 0) {
+      dropped += 1;
+      continue;
+    }
+    cart.items.push({
+      productId: line.productId,
+      name: purchasable.label,
+      price: purchasable.price,
+      quantity,
+      totalPrice: purchasable.price * quantity,
+    });
+    added += 1;
+  }
+
+  if (added > 0) await cart.save(); // Pre-save recomputes line totals, coupons and the cart total
+  await User.collection.updateOne({ _id: user._id }, { $unset: { cart: '' } });
+  return { added, dropped };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const totals = { users: 0, added: 0, dropped: 0, failed: 0 };
+  // The field is no longer in the schema, so read it straight from the collection
+  const cursor = User.collection.find({ cart: { $exists: true } }, { projection: { cart: 1 } });
+  for await (const user of cursor) {
+    try {
+      const { added, dropped } = await mergeUserCart({ ...user, cart: user.cart || [] });
+      totals.users += 1;
+      totals.added += added;
+      totals.dropped += dropped;
+    } catch (error) {
+      totals.failed += 1;
+      console.error(`Could not merge cart of user ${user._id}: ${error.message}`);
+    }
+  }
+  console.log('Merged legacy user carts', totals);
+};
+
+run()
+  .catch((error) => {
+    console.error('User cart merge failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,45 @@
+// Moves orders onto the order lifecycle: 'pending' (and the 'failed' status payment
+// verification used to set) become 'placed', and orders without a statusHistory get
+// one starting with the buyer placing the order at its creation time.
+// Usage: node migrations/migrate-order-statuses.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+
+const LEGACY_STATUSES = { pending: 'placed', failed: 'placed' };
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let migrated = 0;
+  // Legacy statuses are no longer in the schema, so read straight from the collection
+  const cursor = Order.collection.find({
+    $or: [{ status: { $in: Object.keys(LEGACY_STATUSES) } }, { statusHistory: { $exists: false } }],
+  });
+  for await (const order of cursor) {
+    const status = LEGACY_STATUSES[order.status] || order.status;
+    const history = order.statusHistory?.length ? order.statusHistory : [
+      { status: 'placed', actor: order.userId, role: 'customer', at: order.createdAt || order._id.getTimestamp() },
+    ];
+    if (!order.statusHistory?.length && status !== 'placed') {
+      history.push({
+        status,
+        from: 'placed',
+        actor: null,
+        role: 'system',
+        note: 'Recorded before status tracking',
+        at: order.updatedAt || order.createdAt || order._id.getTimestamp(),
+      });
+    }
+    await Order.collection.updateOne({ _id: order._id }, { $set: { status, statusHistory: history } });
+    migrated += 1;
+  }
+  console.log(`Migrated ${migrated} orders to the order lifecycle`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Order status migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,60 @@
+// Moves the legacy User.wishlist arrays into each user's default Wishlist document,
+// which is now where wishlists live. Products already in the list are skipped and
+// deleted products are dropped. Users whose list could not be saved keep their legacy
+// field, so the script can be re-run safely.
+// Usage: node migrations/migrate-user-wishlists.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Wishlist = require('../models/wishlist.model');
+const Product = require('../models/product.model');
+
+const migrateUserWishlist = async (user) => {
+  let list = await Wishlist.findOne({ user: user._id, kind: 'wishlist', isDefault: true, isDeleted: false });
+  if (!list) {
+    list = new Wishlist({ user: user._id, name: 'My Wishlist', kind: 'wishlist', isDefault: true, items: [] });
+  }
+
+  let added = 0;
+  let dropped = 0;
+  for (const productId of user.wishlist) {
+    if (list.findItemIndex(productId) > -1) continue;
+    if (!(await Product.exists({ _id: productId, isDeleted: false }))) {
+      dropped += 1;
+      continue;
+    }
+    list.items.push({ productId });
+    added += 1;
+  }
+
+  if (added > 0) await list.save();
+  await User.collection.updateOne({ _id: user._id }, { $unset: { wishlist: '' } });
+  return { added, dropped };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const totals = { users: 0, added: 0, dropped: 0, failed: 0 };
+  // The field is no longer in the schema, so read it straight from the collection
+  const cursor = User.collection.find({ wishlist: { $exists: true } }, { projection: { wishlist: 1 } });
+  for await (const user of cursor) {
+    try {
+      const { added, dropped } = await migrateUserWishlist({ ...user, wishlist: user.wishlist || [] });
+      totals.users += 1;
+      totals.added += added;
+      totals.dropped += dropped;
+    } catch (error) {
+      totals.failed += 1;
+      console.error(`Could not migrate wishlist of user ${user._id}: ${error.message}`);
+    }
+  }
+  console.log('Migrated legacy user wishlists', totals);
+};
+
+run()
+  .catch((error) => {
+    console.error('User wishlist migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
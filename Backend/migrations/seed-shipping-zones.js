@@ -0,0 +1,40 @@
+// Creates the platform fallback shipping zone. Checkout refuses items no zone covers,
+// so run this once before enabling shipping charges; rates can then be changed through
+// PUT /api/shipping/zones/:id. Does nothing when a platform fallback zone already exists.
+// Usage: node migrations/seed-shipping-zones.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ShippingZone = require('../models/shippingZone.model');
+
+const FALLBACK_ZONE = {
+  name: 'Rest of India',
+  seller: null,
+  isFallback: true,
+  slabs: [
+    { maxWeight: 500, rate: 40 },
+    { maxWeight: 1000, rate: 60 },
+    { maxWeight: 2000, rate: 90 },
+  ],
+  extraWeightStep: 500,
+  extraWeightRate: 25,
+  freeShippingThreshold: 499,
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const existing = await ShippingZone.findOne({ seller: null, isFallback: true, isDeleted: false });
+  if (existing) {
+    console.log(`Platform fallback zone already exists: ${existing.name} (${existing._id})`);
+    return;
+  }
+  const zone = await ShippingZone.create(FALLBACK_ZONE);
+  console.log(`Created platform fallback zone ${zone.name} (${zone._id})`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Shipping zone seed failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
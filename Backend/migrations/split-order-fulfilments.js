@@ -0,0 +1,34 @@
+// Gives orders placed before per-seller fulfilments one fulfilment per seller, carrying
+// the order's status and timeline. Run after migrate-order-statuses.js.
+// Usage: node migrations/split-order-fulfilments.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let split = 0;
+  const cursor = Order.collection.find({ $or: [{ fulfilments: { $exists: false } }, { fulfilments: { $size: 0 } }] });
+  for await (const order of cursor) {
+    const sellerIds = [...new Set((order.products || []).map((line) => String(line.sellerId)))];
+    const fulfilments = sellerIds.map((sellerId) => ({
+      _id: new mongoose.Types.ObjectId(),
+      sellerId: new mongoose.Types.ObjectId(sellerId),
+      status: order.status,
+      statusHistory: order.statusHistory || [],
+      ...(order.status === 'delivered' ? { deliveredAt: order.updatedAt } : {}),
+    }));
+    await Order.collection.updateOne({ _id: order._id }, { $set: { fulfilments } });
+    split += 1;
+  }
+  await Order.syncIndexes();
+  console.log(`Split ${split} orders into seller fulfilments`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Order fulfilment split failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,46 @@
+// Converts coupons created before the coupon engine ({ code, discountPercentage,
+// validTill }) into percentage coupons with the new defaults.
+// Usage: node migrations/upgrade-legacy-coupons.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Coupon = require('../models/coupon.model');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let upgraded = 0;
+  // The old field is no longer in the schema, so read it straight from the collection
+  const cursor = Coupon.collection.find({ type: { $exists: false } });
+  for await (const coupon of cursor) {
+    await Coupon.collection.updateOne(
+      { _id: coupon._id },
+      {
+        $set: {
+          code: String(coupon.code).trim().toUpperCase(),
+          type: 'percentage',
+          value: coupon.discountPercentage || 0,
+          maxDiscount: null,
+          minCartValue: 0,
+          usageLimit: null,
+          usageCount: 0,
+          perUserLimit: null, // The old coupons could be reused freely
+          firstOrderOnly: false,
+          stackable: false,
+          validFrom: coupon._id.getTimestamp(),
+          isActive: true,
+        },
+        $unset: { discountPercentage: '' },
+      }
+    );
+    upgraded += 1;
+  }
+  await Coupon.syncIndexes();
+  console.log(`Upgraded ${upgraded} legacy coupons`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Legacy coupon upgrade failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
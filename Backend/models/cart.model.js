@@ -1,10 +1,24 @@
 const mongoose = require('mongoose');
+const Coupon = require('./coupon.model');
+
+// Guest carts expire after this long without changes
+const GUEST_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
 
 const CartSchema = new mongoose.Schema({
+  // Set for signed-in shoppers; guest carts are keyed by guestToken instead
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required'],
+    required: [function () { return !this.guestToken; }, 'User ID is required'],
+  },
+  // Opaque token held by an anonymous shopper (sent as the X-Cart-Token header)
+  guestToken: {
+    type: String,
+    trim: true,
+  },
+  // Only set on guest carts; MongoDB removes them once this passes
+  expiresAt: {
+    type: Date,
   },
   items: [
     {
@@ -13,6 +27,14 @@ const CartSchema = new mongoose.Schema({
         ref: 'Product',
         required: [true, 'Product ID is required'],
       },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      sku: {
+        type: String,
+        trim: true,
+      },
       name: {
         type: String,
         required: [true, 'Name is required'],
@@ -33,14 +55,20 @@ const CartSchema = new mongoose.Schema({
         required: [true, 'Total price is required'],
         min: [0, 'Total price cannot be negative'],
       },
+      // Share of the coupon discounts taken off this line (GST is charged on the rest)
+      discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative'],
+      },
     },
     {
       validate: {
         validator: function (v) {
-          const productIds = v.map((item) => item.productId.toString());
-          return new Set(productIds).size === productIds.length;
+          const lineKeys = v.map((item) => `${item.productId}:${item.variantId || ''}`);
+          return new Set(lineKeys).size === lineKeys.length;
         },
-        message: 'Duplicate products are not allowed in cart',
+        message: 'Duplicate product variants are not allowed in cart',
       },
     },
   ],
@@ -50,6 +78,50 @@ const CartSchema = new mongoose.Schema({
     min: [0, 'Total amount cannot be negative'],
     default: 0,
   },
+  // Applied coupons; discounts are recomputed on every save
+  coupons: [
+    {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: [true, 'Coupon is required'],
+      },
+      code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+      },
+      discount: {
+        type: Number,
+        default: 0,
+      },
+      freeShipping: {
+        type: Boolean,
+        default: false,
+      },
+      // Why a coupon currently gives nothing, e.g. minimum cart value not reached
+      note: String,
+      // INR still needed to reach the coupon's minimum cart value, so the note can be
+      // shown in a display currency
+      shortfall: Number,
+    },
+  ],
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+  },
+  freeShipping: {
+    type: Boolean,
+    default: false,
+  },
+  // Sellers whose shipping the free-shipping coupons waive (those with covered items)
+  freeShippingSellers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // totalAmount minus coupon discounts
+  payableAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Payable amount cannot be negative'],
+  },
   isDeleted: {
     type: Boolean,
     default: false,
@@ -58,73 +130,157 @@ const CartSchema = new mongoose.Schema({
 
 // Indexes for performance
 CartSchema.index({ userId: 1 });
+CartSchema.index({ guestToken: 1 }, { unique: true, sparse: true });
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 CartSchema.index({ 'items.productId': 1 });
 
-// Pre-save hook to validate and calculate totals
+// Pre-save hook to calculate totals. Line prices are the prices the shopper accepted;
+// they are only moved to the current price by addItem or an explicit accept-changes,
+// and lines that went stale are reported by CartService instead of failing the save.
 CartSchema.pre('save', async function (next) {
   try {
-    // Validate product existence, stock, and price
-    const productIds = this.items.map((item) => item.productId);
-    const products = await mongoose.model('Product').find({
-      _id: { $in: productIds },
-      isActive: true,
-      isDeleted: false,
-    }).lean();
-
-    if (products.length !== productIds.length) {
-      return next(new Error('One or more products are unavailable'));
+    if (this.userId && this.guestToken) {
+      return next(new Error('A cart belongs to either a user or a guest token, not both'));
+    }
+    // Every change to a guest cart pushes its expiry back
+    if (this.guestToken) {
+      this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_MS);
     }
 
     for (const item of this.items) {
-      const product = products.find((p) => p._id.toString() === item.productId.toString());
-      if (!product) {
-        return next(new Error(`Product ${item.productId} not found`));
-      }
-      if (product.stock < item.quantity) {
-        return next(new Error(`Insufficient stock for product ${product.name}`));
-      }
-      // Update item price to match product price
-      item.price = product.price;
       item.totalPrice = item.price * item.quantity;
     }
 
     // Calculate total amount
     this.totalAmount = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+    if (this.coupons.length) {
+      // Coupon scope rules need each line's category and seller
+      const Product = mongoose.model('Product');
+      const products = await Product.find({ _id: { $in: this.items.map((item) => item.productId) } })
+        .select('category seller')
+        .session(this.$session())
+        .lean();
+      const coupons = await Coupon.find({ _id: { $in: this.coupons.map((entry) => entry.coupon) } })
+        .session(this.$session());
+      this.applyCoupons(products, coupons);
+    } else {
+      this.applyCoupons([], []);
+    }
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Key identifying a cart or order line by product and variant
+CartSchema.statics.lineKey = (productId, variantId = null) => `${productId}:${variantId || ''}`;
+
+/**
+ * Recompute coupon discounts for the current items.
+ * @param {Object[]} products - Products of the cart lines (category and seller are used).
+ * @param {Object[]} coupons - Coupon documents of this.coupons.
+ * @param {Object} [quote=null] - Display currency { currency, rate } for coupon notes.
+ * @returns {Object} Per-line discount allocations keyed by lineKey.
+ */
+CartSchema.methods.applyCoupons = function (products, coupons, quote = null) {
+  const lines = this.items.map((item) => {
+    const product = products.find((p) => p._id.toString() === item.productId.toString());
+    return {
+      key: this.constructor.lineKey(item.productId, item.variantId),
+      productId: item.productId,
+      category: product?.category,
+      seller: product?.seller,
+      lineTotal: item.totalPrice,
+    };
+  });
+
+  const allocations = {};
+  let discountAmount = 0;
+  let freeShipping = false;
+  const freeShippingSellers = new Set();
+  for (const entry of this.coupons) {
+    const coupon = coupons.find((c) => c._id.toString() === entry.coupon.toString());
+    const result = coupon && coupon.isCurrentlyValid()
+      ? coupon.computeDiscount(lines, quote)
+      : {
+        eligible: false,
+        reason: `${entry.code} has expired`,
+        discount: 0,
+        freeShipping: false,
+        freeShippingSellers: [],
+        allocations: {},
+      };
+    entry.discount = result.discount;
+    entry.freeShipping = result.freeShipping;
+    entry.note = result.eligible ? undefined : result.reason;
+    entry.shortfall = result.shortfall;
+    discountAmount += result.discount;
+    freeShipping = freeShipping || result.freeShipping;
+    result.freeShippingSellers.forEach((sellerId) => freeShippingSellers.add(sellerId));
+    for (const [key, amount] of Object.entries(result.allocations)) {
+      allocations[key] = Coupon.roundMoney((allocations[key] || 0) + amount);
+    }
+  }
+
+  // Stacked coupons never take a line below zero
+  for (const line of lines) {
+    if (allocations[line.key] > line.lineTotal) allocations[line.key] = line.lineTotal;
+  }
+  for (const item of this.items) {
+    item.discount = allocations[this.constructor.lineKey(item.productId, item.variantId)] || 0;
+  }
+  discountAmount = Object.values(allocations).reduce((sum, amount) => sum + amount, 0);
+
+  this.discountAmount = Coupon.roundMoney(Math.min(discountAmount, this.totalAmount));
+  this.freeShipping = freeShipping;
+  this.freeShippingSellers = [...freeShippingSellers];
+  this.payableAmount = Coupon.roundMoney(this.totalAmount - this.discountAmount);
+  return allocations;
+};
+
+// Find the index of a cart line by product and (optional) variant
+CartSchema.methods.findItemIndex = function (productId, variantId = null) {
+  return this.items.findIndex(
+    (item) =>
+      item.productId.toString() === productId.toString() &&
+      String(item.variantId || '') === String(variantId || '')
+  );
+};
+
 // Method to add or update item
-CartSchema.methods.addItem = async function (productId, name, price, quantity, session = null) {
-  const product = await mongoose.model('Product').findOne({
+CartSchema.methods.addItem = async function (productId, name, price, quantity, session = null, variantId = null) {
+  const Product = mongoose.model('Product');
+  const product = await Product.findOne({
     _id: productId,
     isActive: true,
     isDeleted: false,
-  }).lean();
+  }).session(session).lean();
   if (!product) {
     throw new Error('Product not found or unavailable');
   }
-  if (product.stock < quantity) {
-    throw new Error(`Insufficient stock for product ${product.name}`);
+  const purchasable = Product.resolvePurchasable(product, variantId);
+
+  const existingItemIndex = this.findItemIndex(productId, variantId);
+  const existingQuantity = existingItemIndex > -1 ? this.items[existingItemIndex].quantity : 0;
+  if (purchasable.stock < existingQuantity + quantity) {
+    throw new Error(`Insufficient stock for product ${purchasable.label}`);
   }
 
-  const existingItemIndex = this.items.findIndex(
-    (item) => item.productId.toString() === productId.toString()
-  );
   if (existingItemIndex > -1) {
     this.items[existingItemIndex].quantity += quantity;
-    this.items[existingItemIndex].price = product.price;
+    this.items[existingItemIndex].price = purchasable.price;
     this.items[existingItemIndex].totalPrice =
       this.items[existingItemIndex].price * this.items[existingItemIndex].quantity;
   } else {
     this.items.push({
       productId,
-      name: product.name,
-      price: product.price,
+      variantId: variantId || null,
+      sku: purchasable.sku || undefined,
+      name: purchasable.label,
+      price: purchasable.price,
       quantity,
-      totalPrice: product.price * quantity,
+      totalPrice: purchasable.price * quantity,
     });
   }
   this.totalAmount = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+const { HSN_CODE_PATTERN, isValidGstRate } = require('../utils/gst');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters'],
+  },
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    lowercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  image: {
+    public_id: String,
+    url: String,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  // Materialised path from the root down to the direct parent, used for
+  // breadcrumbs and subtree queries without recursive lookups
+  ancestors: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+    },
+  ],
+  depth: {
+    type: Number,
+    default: 0,
+    min: [0, 'Depth cannot be negative'],
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  // Default GST classification for products in this category and its subtree
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [HSN_CODE_PATTERN, 'HSN code must be 4 to 8 digits'],
+  },
+  gstRate: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: (rate) => rate === null || isValidGstRate(rate),
+      message: 'GST rate must be one of the GST slabs',
+    },
+  },
+  // Days after delivery within which items can be returned; inherited from the nearest
+  // ancestor that sets it, 0 means not returnable
+  returnWindowDays: {
+    type: Number,
+    default: null,
+    min: [0, 'Return window cannot be negative'],
+    max: [365, 'Return window cannot exceed 365 days'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+}, { timestamps: true });
+
+// Indexes for performance
+categorySchema.index({ slug: 1 }, { unique: true });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ isActive: 1, isDeleted: 1 });
+
+// Derive the slug from the name when not explicitly provided
+categorySchema.pre('validate', function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  } else if (this.isModified('slug')) {
+    this.slug = slugify(this.slug);
+  }
+  next();
+});
+
+// Keep the materialised path in sync with the parent
+categorySchema.pre('save', async function (next) {
+  if (!this.isNew && !this.isModified('parent')) return next();
+  try {
+    if (!this.parent) {
+      this.ancestors = [];
+      this.depth = 0;
+      return next();
+    }
+    if (this.parent.toString() === this._id.toString()) {
+      return next(new Error('A category cannot be its own parent'));
+    }
+    const parent = await this.constructor
+      .findOne({ _id: this.parent, isDeleted: false })
+      .select('ancestors')
+      .session(this.$session())
+      .lean();
+    if (!parent) {
+      return next(new Error('Parent category not found'));
+    }
+    if (parent.ancestors.some((id) => id.toString() === this._id.toString())) {
+      return next(new Error('A category cannot be moved under its own descendant'));
+    }
+    this.ancestors = [...parent.ancestors, parent._id];
+    this.depth = this.ancestors.length;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -1,9 +1,176 @@
 const mongoose = require('mongoose');
+const { formatMoneyFor } = require('../utils/currency');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
 
 const couponSchema = new mongoose.Schema({
-  code: { type: String, required: true, unique: true },
-  discountPercentage: { type: Number, required: true },
-  validTill: { type: Date, required: true },
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code may only contain letters, digits, "-" and "_"'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+  },
+  // percentage: `value`% off, capped at maxDiscount; flat: `value` off;
+  // free_shipping: waives shipping charges
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_shipping'],
+    required: [true, 'Coupon type is required'],
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative'],
+    validate: {
+      validator: function (v) {
+        return this.type !== 'percentage' || (v > 0 && v <= 100);
+      },
+      message: 'Percentage must be between 0 and 100',
+    },
+  },
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum discount cannot be negative'],
+  },
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum cart value cannot be negative'],
+  },
+  // When any scope list is set, only matching cart lines count towards the discount
+  scope: {
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    sellers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  },
+  // Total redemptions allowed across all users; null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1'],
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Redemptions allowed per user; null means unlimited
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1'],
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false,
+  },
+  // Stackable coupons can be combined with each other; others must be used alone
+  stackable: {
+    type: Boolean,
+    default: false,
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now,
+  },
+  validTill: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, { timestamps: true });
+
+// Indexes for performance
+couponSchema.index({ isActive: 1, validTill: 1 });
+
+couponSchema.pre('validate', function (next) {
+  if (this.validFrom && this.validTill && this.validFrom >= this.validTill) {
+    return next(new Error('Coupon must start before it expires'));
+  }
+  if (this.type === 'flat' && !(this.value > 0)) {
+    return next(new Error('Flat coupons need a positive value'));
+  }
+  next();
 });
 
+// Whether the coupon is switched on and inside its validity window
+couponSchema.methods.isCurrentlyValid = function (now = new Date()) {
+  return this.isActive && this.validFrom <= now && this.validTill > now;
+};
+
+// Whether a cart line ({ productId, category, seller }) is covered by the coupon's scope
+couponSchema.methods.appliesTo = function (line) {
+  const { categories = [], sellers = [], products = [] } = this.scope || {};
+  if (categories.length === 0 && sellers.length === 0 && products.length === 0) return true;
+  const has = (list, id) => Boolean(id) && list.some((item) => item.toString() === id.toString());
+  return has(products, line.productId) || has(categories, line.category) || has(sellers, line.seller);
+};
+
+// Notice for a cart below the minimum value; `shortfall` is in INR
+const minCartNote = (code, shortfall, quote = null) => `Add items worth ${formatMoneyFor(shortfall, quote)} more to use ${code}`;
+
+/**
+ * Work out the discount for a set of cart lines. Minimum cart value is checked against
+ * the whole cart; scoped coupons only discount the lines they cover. The discount is
+ * split across the covered lines in proportion to their totals.
+ * @param {Object[]} lines - [{ key, productId, category, seller, lineTotal }].
+ * @param {Object} [quote=null] - Display currency { currency, rate } for the reason text.
+ * @returns {Object} { eligible, reason, discount, freeShipping, freeShippingSellers,
+ *   allocations: { [key]: amount } }; freeShippingSellers are the sellers of the covered
+ *   lines, whose shipping a free-shipping coupon waives. Below the minimum cart value,
+ *   `shortfall` is the amount still needed.
+ */
+couponSchema.methods.computeDiscount = function (lines, quote = null) {
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const none = (reason) => ({
+    eligible: false, reason, discount: 0, freeShipping: false, freeShippingSellers: [], allocations: {},
+  });
+  if (subtotal < this.minCartValue) {
+    const shortfall = roundMoney(this.minCartValue - subtotal);
+    return { ...none(minCartNote(this.code, shortfall, quote)), shortfall };
+  }
+  const covered = lines.filter((line) => this.appliesTo(line));
+  const coveredTotal = covered.reduce((sum, line) => sum + line.lineTotal, 0);
+  if (covered.length === 0 || coveredTotal <= 0) {
+    return none(`${this.code} does not apply to any item in your cart`);
+  }
+  if (this.type === 'free_shipping') {
+    const sellers = [...new Set(covered.map((line) => line.seller?.toString()).filter(Boolean))];
+    return { eligible: true, discount: 0, freeShipping: true, freeShippingSellers: sellers, allocations: {} };
+  }
+
+  let discount = this.type === 'percentage' ? (coveredTotal * this.value) / 100 : this.value;
+  if (this.type === 'percentage' && this.maxDiscount) discount = Math.min(discount, this.maxDiscount);
+  discount = roundMoney(Math.min(discount, coveredTotal));
+
+  const allocations = {};
+  let allocated = 0;
+  covered.forEach((line, index) => {
+    const share = index === covered.length - 1
+      ? roundMoney(discount - allocated)
+      : roundMoney((discount * line.lineTotal) / coveredTotal);
+    allocations[line.key] = share;
+    allocated = roundMoney(allocated + share);
+  });
+  return { eligible: true, discount, freeShipping: false, freeShippingSellers: [], allocations };
+};
+
+couponSchema.statics.roundMoney = roundMoney;
+couponSchema.statics.minCartNote = minCartNote;
+
 module.exports = mongoose.model('Coupon', couponSchema);
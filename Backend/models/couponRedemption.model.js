@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon on a placed order; counts towards the usage limits until it is
+// released (the order was cancelled in full or its payment lapsed)
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: [true, 'Coupon is required'],
+  },
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+  },
+  releasedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+// Indexes for performance
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ order: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
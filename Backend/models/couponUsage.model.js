@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// How many live redemptions of a coupon a user has. Kept in step with CouponRedemption
+// and incremented conditionally, so the per-user limit holds under concurrent checkouts.
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: [true, 'Coupon is required'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: [0, 'Usage count cannot be negative'],
+  },
+}, { timestamps: true });
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
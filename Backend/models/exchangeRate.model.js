@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../utils/currency');
+
+// Admin-maintained conversion rate from INR to a display currency
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES.filter((code) => code !== BASE_CURRENCY),
+      message: 'Unsupported currency',
+    },
+  },
+  // Rupees per one unit of the currency, e.g. 83.25 for USD
+  inrPerUnit: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.0001, 'Rate must be positive'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
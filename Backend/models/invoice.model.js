@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const addressSchema = new mongoose.Schema({
+  street: String,
+  city: String,
+  state: String,
+  zip: String,
+  country: String,
+}, { _id: false });
+
+// A tax invoice for one seller's fulfilment of an order, or a credit note against one
+// for a refund. Seller, buyer and line details are copied in when it is issued, so
+// later profile or order changes never alter an issued document.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true,
+  },
+  // Sequential per seller, type and financial year, e.g. INV-2627-000042
+  number: {
+    type: String,
+    required: true,
+  },
+  financialYear: {
+    type: String,
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  fulfilment: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Credit notes: the invoice they adjust and the order refund behind them
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+  },
+  refundId: mongoose.Schema.Types.ObjectId,
+  reason: String,
+  supplier: {
+    name: String,
+    gstin: String,
+    address: addressSchema,
+    stateCode: String,
+  },
+  recipient: {
+    name: String,
+    email: String,
+    billingAddress: addressSchema,
+    shippingAddress: addressSchema,
+  },
+  // Buyer's state, and whether the supply is taxed as CGST + SGST or IGST
+  placeOfSupply: {
+    state: String,
+    stateCode: String,
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+  },
+  pricesIncludeTax: Boolean,
+  lines: [{
+    lineId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    sku: String,
+    hsnCode: String,
+    quantity: Number,
+    unitPrice: Number,
+    discount: Number,
+    taxableValue: Number,
+    gstRate: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    taxAmount: Number,
+    total: Number,
+  }],
+  // Seller's shipping charge, billed as received; not on credit notes
+  shippingCharge: {
+    type: Number,
+    default: 0,
+  },
+  // All amounts in INR
+  taxableValue: Number,
+  cgstAmount: Number,
+  sgstAmount: Number,
+  igstAmount: Number,
+  taxAmount: Number,
+  totalAmount: Number,
+  // What the buyer paid in, for reference when it isn't INR
+  currency: String,
+  exchangeRate: Number,
+}, { timestamps: true });
+
+invoiceSchema.index({ seller: 1, number: 1 }, { unique: true });
+invoiceSchema.index({ order: 1, type: 1 });
+// One invoice per fulfilment and one credit note per refund and seller
+invoiceSchema.index(
+  { fulfilment: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice' } }
+);
+invoiceSchema.index(
+  { refundId: 1, seller: 1 },
+  { unique: true, partialFilterExpression: { type: 'credit_note' } }
+);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Last number used for a seller's invoices (or credit notes) in a financial year;
+// incremented atomically so numbers have no gaps or duplicates
+const invoiceSequenceSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true,
+  },
+  // e.g. '2026-27' for April 2026 to March 2027
+  financialYear: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+invoiceSequenceSchema.index({ seller: 1, type: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
@@ -1,4 +1,127 @@
 const mongoose = require('mongoose');
+const { roundMoney, computeLineTax } = require('../utils/gst');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, toCurrency } = require('../utils/currency');
+const {
+  FULFILMENT_STATUSES,
+  ORDER_STATUSES,
+  CANCELLATION_REASONS,
+  RETURN_REASONS,
+  assertTransition,
+  assertPaymentSettled,
+  deriveOrderStatus,
+} = require('../utils/orderStatus');
+
+// Fulfilment statuses at which the buyer has the items in hand
+const RECEIVED_STATUSES = ['delivered', 'return_requested', 'returned'];
+
+// One step of the order's lifecycle, shown to the buyer as a tracking timeline
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  from: {
+    type: String,
+    enum: ORDER_STATUSES
+  },
+  // Null when the platform made the change
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'admin', 'seller', 'system'],
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One seller's share of an order (their lines), packed, shipped and tracked on its own
+const fulfilmentSchema = new mongoose.Schema({
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller ID is required']
+  },
+  status: {
+    type: String,
+    enum: FULFILMENT_STATUSES,
+    default: 'placed'
+  },
+  tracking: {
+    carrier: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Carrier cannot exceed 60 characters']
+    },
+    trackingNumber: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Tracking number cannot exceed 60 characters']
+    },
+    trackingUrl: {
+      type: String,
+      trim: true
+    }
+  },
+  shippedAt: Date,
+  deliveredAt: Date,
+  statusHistory: [statusHistorySchema]
+});
+
+// Money returned to the buyer, for cancelled lines or returned items
+const refundSchema = new mongoose.Schema({
+  // In INR, like the order totals
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  // What goes back through the gateway, in the order's currency
+  paymentAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  currency: String,
+  // pending: requested from the gateway; manual: to be paid out by an admin
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed', 'manual'],
+    default: 'pending'
+  },
+  razorpayRefundId: String,
+  source: {
+    type: String,
+    enum: ['cancellation', 'return'],
+    default: 'cancellation'
+  },
+  reason: {
+    type: String,
+    enum: [...new Set([...CANCELLATION_REASONS, ...RETURN_REASONS])]
+  },
+  lineIds: [mongoose.Schema.Types.ObjectId],
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  error: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
 
 const orderSchema = new mongoose.Schema({
   userId: {
@@ -13,6 +136,19 @@ const orderSchema = new mongoose.Schema({
         ref: 'Product',
         required: [true, 'Product ID is required']
       },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
+      sku: {
+        type: String,
+        trim: true
+      },
+      // Product (and variant) name at the time of purchase
+      name: {
+        type: String,
+        trim: true
+      },
       quantity: {
         type: Number,
         required: [true, 'Quantity is required'],
@@ -27,9 +163,138 @@ const orderSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: [true, 'Seller ID is required']
+      },
+      // Share of the order's coupon discount taken off this line
+      discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative']
+      },
+      // GST, set by TaxService; the amounts are computed on save from the line value after discount
+      hsnCode: String,
+      gstRate: Number,
+      supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state']
+      },
+      taxableValue: Number,
+      cgst: {
+        type: Number,
+        default: 0
+      },
+      sgst: {
+        type: Number,
+        default: 0
+      },
+      igst: {
+        type: Number,
+        default: 0
+      },
+      taxAmount: {
+        type: Number,
+        default: 0
+      },
+      // Cancelled lines stay on the order for the record but no longer count in its totals
+      cancelled: {
+        type: Boolean,
+        default: false
+      },
+      cancelledAt: Date,
+      cancelReason: {
+        type: String,
+        enum: CANCELLATION_REASONS
+      },
+      // Units in return requests that haven't been rejected, withdrawn or replaced
+      returnedQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Returned quantity cannot be negative']
       }
     }
   ],
+  coupons: [
+    {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: String,
+      discount: Number,
+      freeShipping: Boolean
+    }
+  ],
+  // Sum of line prices before discounts
+  subtotal: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  freeShipping: {
+    type: Boolean,
+    default: false
+  },
+  // Sellers whose shipping the free-shipping coupons waive (those with covered items)
+  freeShippingSellers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // GST totals over all lines
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Whether line prices already included GST when the order was placed
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  // Shipping quote per seller, set by ShippingService at checkout
+  shipping: [
+    {
+      sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShippingZone'
+      },
+      zoneName: String,
+      // Chargeable weight in grams
+      weight: Number,
+      charge: {
+        type: Number,
+        default: 0,
+        min: [0, 'Shipping charge cannot be negative']
+      },
+      freeShipping: {
+        type: Boolean,
+        default: false
+      },
+      note: String
+    }
+  ],
+  shippingAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shipping amount cannot be negative']
+  },
   shippingAddress: {
     street: String,
     city: String,
@@ -53,23 +318,56 @@ const orderSchema = new mongoose.Schema({
   razorpayOrderId: String,
   razorpayPaymentId: String,
   razorpaySignature: String,
+  refunds: [refundSchema],
+  // Sum of refunds that haven't failed, in INR
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
     min: [0, 'Total amount cannot be negative']
   },
+  // Every amount above is in INR. The buyer pays in `currency`, converted at the
+  // rate (rupees per unit) captured at checkout, so later rate changes don't move it.
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: [0.0001, 'Exchange rate must be positive']
+  },
+  paymentAmount: {
+    type: Number,
+    min: [0, 'Payment amount cannot be negative']
+  },
   paymentStatus: {
     type: String,
     enum: ['pending', 'completed', 'failed'],
     default: 'pending',
     required: [true, 'Payment status is required']
   },
+  // Set when the payment came in after the order's stock hold lapsed and the items had
+  // sold out: no stock was taken, and the order waits for an admin to fill or refund it
+  stockShortfall: {
+    type: Boolean,
+    default: false
+  },
+  // Derived from the fulfilments (see transitionTo/transitionFulfilment and
+  // utils/orderStatus); never set directly
   status: {
     type: String,
-    enum: ['pending', 'shipped', 'delivered', 'cancelled'],
-    default: 'pending',
+    enum: ORDER_STATUSES,
+    default: 'placed',
     required: [true, 'Order status is required']
   },
+  statusHistory: [statusHistorySchema],
+  // One per seller with lines in the order, created when the order is placed
+  fulfilments: [fulfilmentSchema],
   isDeleted: {
     type: Boolean,
     default: false
@@ -81,11 +379,24 @@ orderSchema.index({ userId: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ isDeleted: 1 });
+orderSchema.index({ 'fulfilments.sellerId': 1 });
 
 // Pre-save hooks
 orderSchema.pre('save', function(next) {
-    // Calculate total amount
-    this.totalAmount = this.products.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    // Every order's timeline starts with the buyer placing it, as does each seller's share
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, actor: this.userId, role: 'customer' });
+    }
+    if (this.isNew && this.fulfilments.length === 0) {
+        const sellerIds = [...new Set(this.products.map((item) => item.sellerId.toString()))];
+        this.fulfilments = sellerIds.map((sellerId) => ({
+            sellerId,
+            status: this.status,
+            statusHistory: [{ status: this.status, actor: this.userId, role: 'customer' }]
+        }));
+    }
+
+    this.computeTotals();
 
     // Validate addresses
     const hasShipping = Object.keys(this.shippingAddress).length > 0;
@@ -99,13 +410,133 @@ orderSchema.pre('save', function(next) {
     next();
 });
 
-// Optional: Method to update order status
-orderSchema.methods.updateStatus = function(newStatus) {
-    if (!['pending', 'shipped', 'delivered', 'cancelled'].includes(newStatus)) {
-        throw new Error('Invalid order status');
+/**
+ * Recompute the order totals from its lines that aren't cancelled and the shipping
+ * charges. GST is charged on each line's value after its discount. Runs on every save.
+ * @returns {Object} The order.
+ */
+orderSchema.methods.computeTotals = function() {
+    const lines = this.products.filter((item) => !item.cancelled);
+    for (const item of this.products) {
+        if (item.gstRate === undefined || item.gstRate === null) continue; // Orders placed before GST
+        const value = item.price * item.quantity - (item.discount || 0);
+        Object.assign(item, computeLineTax(value, item.gstRate, item.supplyType, this.pricesIncludeTax));
+    }
+    const sumOf = (field) => roundMoney(lines.reduce((sum, item) => sum + (item[field] || 0), 0));
+    this.subtotal = roundMoney(lines.reduce((sum, item) => sum + (item.price * item.quantity), 0));
+    this.discountAmount = sumOf('discount');
+    this.cgstAmount = sumOf('cgst');
+    this.sgstAmount = sumOf('sgst');
+    this.igstAmount = sumOf('igst');
+    this.taxAmount = sumOf('taxAmount');
+    this.shippingAmount = roundMoney(this.shipping.reduce((sum, entry) => sum + (entry.charge || 0), 0));
+    const payable = this.subtotal - this.discountAmount + (this.pricesIncludeTax ? 0 : this.taxAmount)
+        + this.shippingAmount;
+    this.totalAmount = Math.max(roundMoney(payable), 0);
+    this.paymentAmount = toCurrency(this.totalAmount, this.exchangeRate);
+    this.refundedAmount = roundMoney(this.refunds
+        .filter((refund) => refund.status !== 'failed')
+        .reduce((sum, refund) => sum + refund.amount, 0));
+    return this;
+};
+
+/**
+ * Whether a user has received a product through an order, i.e. the seller of that
+ * line delivered their fulfilment.
+ * @param {string} userId - Buyer ID.
+ * @param {string} productId - Product ID.
+ * @returns {Promise<boolean>}
+ */
+orderSchema.statics.hasDeliveredProduct = async function(userId, productId) {
+    const orders = await this.find({
+        userId,
+        'products.productId': productId,
+        'fulfilments.status': { $in: RECEIVED_STATUSES },
+        isDeleted: false
+    }).select('products.productId products.sellerId fulfilments.sellerId fulfilments.status').lean();
+    return orders.some((order) => order.products.some((line) => line.productId.toString() === productId.toString()
+        && order.fulfilments.some((fulfilment) => fulfilment.sellerId.toString() === line.sellerId.toString()
+            && RECEIVED_STATUSES.includes(fulfilment.status))));
+};
+
+// Move one of the order's fulfilments and record the step on its own timeline
+const moveFulfilment = (order, fulfilment, status, { id = null, role, note }) => {
+    assertTransition(fulfilment.status, status, role);
+    assertPaymentSettled(order, fulfilment.status, status, role);
+    fulfilment.statusHistory.push({ status, from: fulfilment.status, actor: id, role, note });
+    fulfilment.status = status;
+    if (status === 'shipped') fulfilment.shippedAt = new Date();
+    if (status === 'delivered') fulfilment.deliveredAt = fulfilment.deliveredAt || new Date();
+};
+
+/**
+ * The fulfilment of a seller's lines in this order.
+ * @param {string} sellerId - Seller ID.
+ * @returns {Object|undefined} Fulfilment subdocument.
+ */
+orderSchema.methods.fulfilmentFor = function(sellerId) {
+    return this.fulfilments.find((fulfilment) => fulfilment.sellerId.toString() === sellerId.toString());
+};
+
+/**
+ * Re-derive the order status from its fulfilments, recording it when it changes.
+ * @param {Object} actor - { id, role, note } behind the change.
+ * @returns {Object} The order.
+ */
+orderSchema.methods.syncStatus = function({ id = null, role, note } = {}) {
+    const status = deriveOrderStatus(this.fulfilments.map((fulfilment) => fulfilment.status));
+    if (status !== this.status) {
+        this.statusHistory.push({ status, from: this.status, actor: id, role, note });
+        this.status = status;
+    }
+    return this;
+};
+
+/**
+ * Move one seller's fulfilment to a new status; the order status follows. Throws (with
+ * a `status` of 400 or 403) when the move isn't allowed, the role may not make it or
+ * an online payment is still outstanding.
+ * Does not save.
+ * @param {Object} fulfilment - Fulfilment subdocument of this order.
+ * @param {string} status - New status.
+ * @param {Object} actor - { id, role, note }; role 'system' (and no id) for the platform.
+ * @returns {Object} The order.
+ */
+orderSchema.methods.transitionFulfilment = function(fulfilment, status, actor = {}) {
+    moveFulfilment(this, fulfilment, status, actor);
+    return this.syncStatus(actor);
+};
+
+/**
+ * Record a step on a fulfilment's timeline that doesn't change its status, such as a
+ * return being approved. Does not save.
+ * @param {Object} fulfilment - Fulfilment subdocument of this order.
+ * @param {Object} actor - { id, role, note }; the note describes the step.
+ * @returns {Object} The order.
+ */
+orderSchema.methods.noteFulfilment = function(fulfilment, { id = null, role, note }) {
+    fulfilment.statusHistory.push({ status: fulfilment.status, from: fulfilment.status, actor: id, role, note });
+    return this;
+};
+
+/**
+ * Move the whole order, i.e. every fulfilment that isn't cancelled, to a new status.
+ * Every one of them must allow the move. Does not save.
+ * @param {string} status - New status.
+ * @param {Object} actor - { id, role, note }; role 'system' (and no id) for the platform.
+ * @returns {Object} The order.
+ */
+orderSchema.methods.transitionTo = function(status, actor = {}) {
+    const open = this.fulfilments.filter((fulfilment) => fulfilment.status !== 'cancelled');
+    const targets = open.length ? open : this.fulfilments;
+    for (const fulfilment of targets) {
+        assertTransition(fulfilment.status, status, actor.role);
+        assertPaymentSettled(this, fulfilment.status, status, actor.role);
+    }
+    for (const fulfilment of targets) {
+        moveFulfilment(this, fulfilment, status, actor);
     }
-    this.status = newStatus;
-    return this.save();
+    return this.syncStatus(actor);
 };
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
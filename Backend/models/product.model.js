@@ -1,4 +1,147 @@
 const mongoose = require('mongoose');
+const { HSN_CODE_PATTERN, isValidGstRate } = require('../utils/gst');
+
+// One purchasable option combination (e.g. size M / colour Red) of a product
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'Variant SKU is required'],
+        trim: true,
+        uppercase: true
+    },
+    size: {
+        type: String,
+        trim: true
+    },
+    color: {
+        type: String,
+        trim: true
+    },
+    price: {
+        type: Number,
+        required: [true, 'Variant price is required'],
+        min: [0, 'Price cannot be negative']
+    },
+    discountPrice: {
+        type: Number,
+        default: null,
+        min: [0, 'Discount price cannot be negative']
+    },
+    stock: {
+        type: Number,
+        required: [true, 'Variant stock is required'],
+        min: [0, 'Stock cannot be negative']
+    },
+    // Units held by checkouts awaiting payment; see services/inventory.service.js
+    reservedStock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserved stock cannot be negative']
+    },
+    images: [{
+        public_id: String,
+        url: String
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
+// Abuse report filed against a review by another user
+const reviewReportSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Reporting user is required']
+    },
+    reason: {
+        type: String,
+        enum: ['spam', 'offensive', 'irrelevant', 'fake', 'other'],
+        required: [true, 'Report reason is required']
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Report comment cannot exceed 500 characters']
+    },
+    resolved: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const reviewSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required for review']
+    },
+    rating: {
+        type: Number,
+        min: [0, 'Rating cannot be less than 0'],
+        max: [5, 'Rating cannot exceed 5'],
+        required: [true, 'Rating is required']
+    },
+    comment: {
+        type: String,
+        trim: true
+    },
+    // Customer photos and videos of the received item
+    media: [{
+        public_id: String,
+        url: String,
+        type: {
+            type: String,
+            enum: ['image', 'video'],
+            default: 'image'
+        }
+    }],
+    // Set when the reviewer has a delivered order containing the product
+    isVerifiedPurchase: {
+        type: Boolean,
+        default: false
+    },
+    // Hidden reviews are excluded from listings and the product rating
+    status: {
+        type: String,
+        enum: ['published', 'hidden'],
+        default: 'published'
+    },
+    reports: [reviewReportSchema],
+    // Number of unresolved reports; a non-zero count puts the review in the moderation queue
+    reportCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    helpfulVotes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    helpfulCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    moderatedAt: Date,
+    moderationNote: {
+        type: String,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 const productSchema = new mongoose.Schema({
     name: {
@@ -6,6 +149,12 @@ const productSchema = new mongoose.Schema({
         required: [true, 'Product name is required'],
         trim: true
     },
+    // Seller-defined stock keeping unit, unique within a seller's catalog
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
     price: {
         type: Number,
         required: [true, 'Price is required'],
@@ -21,6 +170,20 @@ const productSchema = new mongoose.Schema({
         ref: 'Category',
         required: [true, 'Category is required']
     },
+    // GST classification; when unset the category's (or an ancestor's) applies
+    hsnCode: {
+        type: String,
+        trim: true,
+        match: [HSN_CODE_PATTERN, 'HSN code must be 4 to 8 digits']
+    },
+    gstRate: {
+        type: Number,
+        default: null,
+        validate: {
+            validator: (rate) => rate === null || isValidGstRate(rate),
+            message: 'GST rate must be one of the GST slabs'
+        }
+    },
     subcategories: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Subcategory'
@@ -34,6 +197,23 @@ const productSchema = new mongoose.Schema({
         required: [true, 'Stock is required'],
         min: [0, 'Stock cannot be negative']
     },
+    // Units held by checkouts awaiting payment; available stock is stock - reservedStock
+    reservedStock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserved stock cannot be negative']
+    },
+    // Shipping weight in grams and package dimensions in centimetres, per unit
+    weight: {
+        type: Number,
+        default: null,
+        min: [0, 'Weight cannot be negative']
+    },
+    dimensions: {
+        length: { type: Number, min: [0, 'Length cannot be negative'] },
+        width: { type: Number, min: [0, 'Width cannot be negative'] },
+        height: { type: Number, min: [0, 'Height cannot be negative'] }
+    },
     images: [{
         public_id: String,
         url: String
@@ -44,27 +224,7 @@ const productSchema = new mongoose.Schema({
         max: [5, 'Rating cannot exceed 5'],
         default: 0
     },
-    reviews: [{
-        user: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'User',
-            required: [true, 'User is required for review']
-        },
-        rating: {
-            type: Number,
-            min: [0, 'Rating cannot be less than 0'],
-            max: [5, 'Rating cannot exceed 5'],
-            required: [true, 'Rating is required']
-        },
-        comment: {
-            type: String,
-            trim: true
-        },
-        createdAt: {
-            type: Date,
-            default: Date.now
-        }
-    }],
+    reviews: [reviewSchema],
     isActive: {
         type: Boolean,
         default: true
@@ -86,6 +246,12 @@ const productSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    variants: [variantSchema],
+    // Character trigrams of name and brand, used for typo-tolerant search
+    searchGrams: {
+        type: [String],
+        select: false
+    },
     isDeleted: {
         type: Boolean,
         default: false
@@ -97,20 +263,242 @@ productSchema.index({ seller: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ isDeleted: 1 });
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index({ 'reviews.reportCount': 1 });
+productSchema.index(
+    { seller: 1, sku: 1 },
+    { unique: true, partialFilterExpression: { sku: { $type: 'string' }, isDeleted: false } }
+);
+productSchema.index({ name: 1 });
+productSchema.index({ brand: 1 });
+productSchema.index({ searchGrams: 1 });
+productSchema.index(
+    { name: 'text', brand: 'text', description: 'text' },
+    { name: 'product_text_search', weights: { name: 10, brand: 5, description: 1 } }
+);
+
+/**
+ * Split text into padded character trigrams ("nike" -> " ni", "nik", "ike", "ke ").
+ * @param {string} text - Text to split.
+ * @returns {string[]} Unique trigrams.
+ */
+productSchema.statics.toTrigrams = function(text) {
+    const grams = new Set();
+    const words = String(text || '').toLowerCase().normalize('NFKD').match(/[a-z0-9]+/g) || [];
+    for (const word of words) {
+        const padded = ` ${word} `;
+        for (let i = 0; i <= padded.length - 3; i += 1) {
+            grams.add(padded.slice(i, i + 3));
+        }
+    }
+    return [...grams];
+};
 
-// Pre-save hook for discount price validation
+// Keep search trigrams in sync with the searchable fields
+productSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified('name') || this.isModified('brand')) {
+        this.searchGrams = this.constructor.toTrigrams(`${this.name} ${this.brand || ''}`);
+    }
+    next();
+});
+
+// Pre-save hook for discount price and variant validation
 productSchema.pre('save', function(next) {
     if (this.discountPrice && this.discountPrice >= this.price) {
         return next(new Error('Discount price must be less than regular price'));
     }
+    if (this.variants.length > 0) {
+        const skus = new Set();
+        const combinations = new Set();
+        for (const variant of this.variants) {
+            if (skus.has(variant.sku)) {
+                return next(new Error(`Duplicate variant SKU: ${variant.sku}`));
+            }
+            skus.add(variant.sku);
+            const combination = `${(variant.size || '').toLowerCase()}|${(variant.color || '').toLowerCase()}`;
+            if (combinations.has(combination)) {
+                return next(new Error(`Duplicate variant for size "${variant.size || '-'}" and color "${variant.color || '-'}"`));
+            }
+            combinations.add(combination);
+            if (variant.discountPrice && variant.discountPrice >= variant.price) {
+                return next(new Error(`Discount price must be less than regular price for variant ${variant.sku}`));
+            }
+        }
+        // Product-level stock mirrors the sellable variants so listing and
+        // availability queries keep working on a single field
+        this.stock = this.variants
+            .filter((variant) => variant.isActive)
+            .reduce((sum, variant) => sum + variant.stock, 0);
+        this.reservedStock = this.variants
+            .filter((variant) => variant.isActive)
+            .reduce((sum, variant) => sum + (variant.reservedStock || 0), 0);
+    }
     next();
 });
 
-// Optional: Method to update product rating based on reviews
-productSchema.methods.updateRating = async function() {
-    const totalRating = this.reviews.reduce((sum, review) => sum + (review.rating || 0), 0);
-    this.rating = this.reviews.length ? totalRating / this.reviews.length : 0;
-    return this.save();
+// Units that can still be sold from a product or variant
+const availableStock = (item) => Math.max((item.stock || 0) - (item.reservedStock || 0), 0);
+
+/**
+ * Resolve what a buyer is purchasing: the variant when one is given, otherwise
+ * the product itself. Works on hydrated and lean documents alike. `stock` is the
+ * available stock, i.e. without units held by pending payments.
+ * @param {Object} product - Product document.
+ * @param {string|null} variantId - Variant ID, required when the product has variants.
+ * @returns {Object} { variant, sku, price, discountPrice, stock, label }.
+ */
+productSchema.statics.resolvePurchasable = function(product, variantId = null) {
+    const variants = product.variants || [];
+    if (!variantId) {
+        if (variants.length > 0) {
+            throw new Error(`Please select a variant for product ${product.name}`);
+        }
+        return {
+            variant: null,
+            sku: product.sku || null,
+            price: product.price,
+            discountPrice: product.discountPrice,
+            stock: availableStock(product),
+            label: product.name,
+        };
+    }
+    const variant = variants.find((v) => v._id.toString() === variantId.toString());
+    if (!variant || !variant.isActive) {
+        throw new Error(`Variant ${variantId} not found or unavailable for product ${product.name}`);
+    }
+    const options = [variant.size, variant.color].filter(Boolean).join(' / ');
+    return {
+        variant,
+        sku: variant.sku,
+        price: variant.price,
+        discountPrice: variant.discountPrice,
+        stock: availableStock(variant),
+        label: options ? `${product.name} (${options})` : product.name,
+    };
+};
+
+/**
+ * Replace stock with available stock on a lean product for API responses, so units
+ * held by pending payments are not offered to other shoppers.
+ * @param {Object} product - Lean product.
+ * @returns {Object} The same product.
+ */
+productSchema.statics.toAvailableStock = function(product) {
+    if (!product) return product;
+    if (product.stock !== undefined) product.stock = availableStock(product);
+    delete product.reservedStock;
+    for (const variant of product.variants || []) {
+        if (variant.stock !== undefined) variant.stock = availableStock(variant);
+        delete variant.reservedStock;
+    }
+    return product;
+};
+
+/**
+ * Drop hidden reviews and the voter/reporter lists and moderation details before
+ * reviews leave the API.
+ * @param {Object[]} [reviews=[]] - Lean reviews.
+ * @returns {Object[]} Public reviews.
+ */
+productSchema.statics.toPublicReviews = function(reviews = []) {
+    return reviews
+        .filter((review) => review.status !== 'hidden')
+        .map(({ reports, helpfulVotes, moderatedBy, moderationNote, ...review }) => review);
+};
+
+// Attempts at a compare-and-set stock update before reporting a conflict
+const STOCK_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Atomically change stock and/or reserved stock of a product or one of its variants.
+ * The update only applies if the counters are unchanged since they were read, so
+ * concurrent checkouts cannot oversell. Variant changes are mirrored on the product.
+ * @param {string} productId - Product ID.
+ * @param {string|null} variantId - Variant ID, when the line is a variant.
+ * @param {Object} delta - { stock, reserved } increments (may be negative).
+ * @param {Object} [options] - { available, activeOnly, session }.
+ *   `available` is the number of units that must be available before the change.
+ * @returns {Promise<boolean>} False when there was not enough available stock.
+ */
+productSchema.statics.adjustStock = async function(productId, variantId, delta, { available = 0, activeOnly = true, session = null } = {}) {
+    const { stock = 0, reserved = 0 } = delta;
+    const scope = activeOnly ? { isActive: true, isDeleted: false } : {};
+    for (let attempt = 0; attempt < STOCK_UPDATE_ATTEMPTS; attempt += 1) {
+        const product = await this.findOne({ _id: productId, ...scope })
+            .select('stock reservedStock variants._id variants.stock variants.reservedStock variants.isActive')
+            .session(session)
+            .lean();
+        if (!product) return false;
+        const variant = variantId
+            ? (product.variants || []).find((v) => v._id.toString() === variantId.toString())
+            : null;
+        if (variantId && (!variant || (activeOnly && !variant.isActive))) return false;
+        const target = variant || product;
+        if (available > 0 && availableStock(target) < available) return false;
+
+        // Missing counters on older documents read as 0
+        const counter = (value) => (value ? value : { $in: [0, null] });
+        const filter = { _id: productId, stock: product.stock, reservedStock: counter(product.reservedStock) };
+        const update = { $inc: { stock, reservedStock: reserved } };
+        if (variant) {
+            filter.variants = {
+                $elemMatch: { _id: variant._id, stock: variant.stock, reservedStock: counter(variant.reservedStock) },
+            };
+            update.$inc['variants.$.stock'] = stock;
+            update.$inc['variants.$.reservedStock'] = reserved;
+        }
+        const result = await this.updateOne(filter, update, { session });
+        if (result.modifiedCount === 1) return true;
+    }
+    return false;
+};
+
+/**
+ * Take stock for an immediate sale (e.g. cash on delivery).
+ * @returns {Promise<boolean>} False when there was not enough available stock.
+ */
+productSchema.statics.decrementStock = function(productId, variantId, quantity, session = null) {
+    return this.adjustStock(productId, variantId, { stock: -quantity }, { available: quantity, session });
+};
+
+/**
+ * Hold stock for a checkout that is awaiting payment.
+ * @returns {Promise<boolean>} False when there was not enough available stock.
+ */
+productSchema.statics.reserveStock = function(productId, variantId, quantity, session = null) {
+    return this.adjustStock(productId, variantId, { reserved: quantity }, { available: quantity, session });
+};
+
+/**
+ * Turn held stock into a sale once payment succeeds.
+ * @returns {Promise<boolean>}
+ */
+productSchema.statics.commitReservedStock = function(productId, variantId, quantity, session = null) {
+    return this.adjustStock(productId, variantId, { stock: -quantity, reserved: -quantity }, { activeOnly: false, session });
+};
+
+/**
+ * Give held stock back when payment fails or times out.
+ * @returns {Promise<boolean>}
+ */
+productSchema.statics.releaseReservedStock = function(productId, variantId, quantity, session = null) {
+    return this.adjustStock(productId, variantId, { reserved: -quantity }, { activeOnly: false, session });
+};
+
+/**
+ * Put sold units back on the shelf, e.g. when order lines are cancelled.
+ * @returns {Promise<boolean>}
+ */
+productSchema.statics.restoreStock = function(productId, variantId, quantity, session = null) {
+    return this.adjustStock(productId, variantId, { stock: quantity }, { activeOnly: false, session });
+};
+
+// Recompute the average rating from published reviews and save the product
+productSchema.methods.updateRating = async function(session = null) {
+    const published = this.reviews.filter((review) => review.status !== 'hidden');
+    const totalRating = published.reduce((sum, review) => sum + (review.rating || 0), 0);
+    this.rating = published.length ? totalRating / published.length : 0;
+    return this.save({ session });
 };
 
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
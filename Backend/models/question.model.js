@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required for answer'],
+  },
+  body: {
+    type: String,
+    required: [true, 'Answer is required'],
+    trim: true,
+    minlength: [2, 'Answer must be at least 2 characters'],
+    maxlength: [1000, 'Answer cannot exceed 1000 characters'],
+  },
+  // Who vouches for the answer: the product's seller or a buyer with a delivered order
+  isSeller: {
+    type: Boolean,
+    default: false,
+  },
+  isVerifiedBuyer: {
+    type: Boolean,
+    default: false,
+  },
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const questionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required'],
+  },
+  // Copied from product.seller so a seller's unanswered questions can be listed directly
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required'],
+  },
+  askedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required for question'],
+  },
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    minlength: [5, 'Question must be at least 5 characters'],
+    maxlength: [500, 'Question cannot exceed 500 characters'],
+  },
+  answers: [answerSchema],
+  answerCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+}, { timestamps: true });
+
+// Indexes for performance
+questionSchema.index({ product: 1, isDeleted: 1, createdAt: -1 });
+questionSchema.index({ seller: 1, answerCount: 1 });
+questionSchema.index({ askedBy: 1 });
+
+module.exports = mongoose.model('Question', questionSchema);
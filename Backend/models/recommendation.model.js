@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const recommendedProductSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Co-purchase count for frequently bought together, similarity score for similar items
+  score: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
+// Precomputed recommendations for one product, rebuilt by jobs/recommendation.job.js
+const recommendationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required'],
+  },
+  frequentlyBoughtTogether: [recommendedProductSchema],
+  similar: [recommendedProductSchema],
+  computedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { timestamps: true });
+
+recommendationSchema.index({ product: 1 }, { unique: true });
+recommendationSchema.index({ computedAt: 1 });
+
+module.exports = mongoose.model('Recommendation', recommendationSchema);
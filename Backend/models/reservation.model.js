@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Stock held for an order between starting payment and its verification
+const reservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  items: [
+    {
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product ID is required'],
+      },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity cannot be less than 1'],
+      },
+    },
+  ],
+  // active: stock is held; converted: payment succeeded and the stock was sold;
+  // released: the hold was given back
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released'],
+    default: 'active',
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+  releasedAt: Date,
+  releaseReason: {
+    type: String,
+    enum: ['payment_failed', 'expired', 'cancelled'],
+  },
+}, { timestamps: true });
+
+// Indexes for performance
+reservationSchema.index({ order: 1, status: 1 });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
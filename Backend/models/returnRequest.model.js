@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const { RETURN_REASONS, RETURN_STATUSES, assertReturnTransition } = require('../utils/orderStatus');
+
+// One step of the return, shown to the buyer and the seller
+const returnHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'admin', 'seller', 'system'],
+    required: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// A buyer's request to send back delivered items of one seller's fulfilment (RMA)
+const returnRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required'],
+  },
+  // Return merchandise authorisation number quoted on the parcel
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  lines: [{
+    lineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Order line is required'],
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [1, 'Quantity cannot be less than 1'],
+    },
+    // Per-unit price paid, from the order line
+    price: Number,
+  }],
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Return reason is required'],
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+  },
+  photos: [{
+    public_id: String,
+    url: String,
+  }],
+  // What the buyer wants back for the items
+  resolution: {
+    type: String,
+    enum: ['refund', 'replacement'],
+    default: 'refund',
+  },
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested',
+  },
+  pickup: {
+    scheduledFor: Date,
+    carrier: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Carrier cannot exceed 60 characters'],
+    },
+    trackingNumber: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Tracking number cannot exceed 60 characters'],
+    },
+    receivedAt: Date,
+  },
+  inspection: {
+    passed: Boolean,
+    // Whether the items went back into sellable stock
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Inspection notes cannot exceed 1000 characters'],
+    },
+    inspectedAt: Date,
+  },
+  // Mirrors the entry in the order's refunds
+  refund: {
+    refundId: mongoose.Schema.Types.ObjectId,
+    amount: Number, // INR
+    paymentAmount: Number,
+    currency: String,
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed', 'manual'],
+    },
+  },
+  replacement: {
+    carrier: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Carrier cannot exceed 60 characters'],
+    },
+    trackingNumber: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Tracking number cannot exceed 60 characters'],
+    },
+    shippedAt: Date,
+  },
+  history: [returnHistorySchema],
+}, { timestamps: true });
+
+returnRequestSchema.index({ order: 1, status: 1 });
+returnRequestSchema.index({ seller: 1, status: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+
+// Every return's history starts with the buyer requesting it
+returnRequestSchema.pre('save', function(next) {
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({ status: this.status, actor: this.user, role: 'customer', note: this.comment });
+  }
+  next();
+});
+
+/**
+ * Move the return to a new status and record the step. Throws (with a `status` of 400)
+ * when the move isn't allowed. Does not save.
+ * @param {string} status - New status.
+ * @param {Object} actor - { id, role, note }; role 'system' (and no id) for the platform.
+ * @returns {Object} The return request.
+ */
+returnRequestSchema.methods.transitionTo = function(status, { id = null, role, note } = {}) {
+  assertReturnTransition(this.status, status);
+  this.history.push({ status, actor: id, role, note });
+  this.status = status;
+  return this;
+};
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
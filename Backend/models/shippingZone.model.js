@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const { stateCode } = require('../utils/gst');
+
+// Rate for parcels up to maxWeight grams
+const weightSlabSchema = new mongoose.Schema({
+  maxWeight: {
+    type: Number,
+    required: [true, 'Slab weight is required'],
+    min: [1, 'Slab weight must be positive'],
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Slab rate is required'],
+    min: [0, 'Rate cannot be negative'],
+  },
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters'],
+  },
+  // Seller the zone belongs to; null for platform zones managed by admins, which
+  // apply to sellers that have no matching zone of their own
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Destinations covered: exact 6-digit pincodes, pincode prefixes (e.g. "110" for
+  // Delhi) and state names. A fallback zone covers every destination no other zone does.
+  pincodes: [{
+    type: String,
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be 6 digits'],
+  }],
+  pincodePrefixes: [{
+    type: String,
+    trim: true,
+    match: [/^\d{1,5}$/, 'Pincode prefix must be 1 to 5 digits'],
+  }],
+  states: [{
+    type: String,
+    trim: true,
+  }],
+  isFallback: {
+    type: Boolean,
+    default: false,
+  },
+  slabs: {
+    type: [weightSlabSchema],
+    validate: {
+      validator: (slabs) => slabs.length > 0,
+      message: 'At least one weight slab is required',
+    },
+  },
+  // Charged per started step beyond the heaviest slab; without it heavier parcels
+  // can't be shipped to this zone
+  extraWeightStep: {
+    type: Number,
+    default: 500,
+    min: [1, 'Extra weight step must be positive'],
+  },
+  extraWeightRate: {
+    type: Number,
+    default: null,
+    min: [0, 'Rate cannot be negative'],
+  },
+  // A seller's items ship free once their value (after discounts) reaches this
+  freeShippingThreshold: {
+    type: Number,
+    default: null,
+    min: [0, 'Threshold cannot be negative'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+// Indexes for performance
+shippingZoneSchema.index({ seller: 1, isActive: 1, isDeleted: 1 });
+shippingZoneSchema.index({ pincodes: 1 });
+
+// Keep slabs sorted by weight and require each zone to cover something
+shippingZoneSchema.pre('validate', function (next) {
+  this.slabs.sort((a, b) => a.maxWeight - b.maxWeight);
+  if (!this.isFallback && !this.pincodes.length && !this.pincodePrefixes.length && !this.states.length) {
+    return next(new Error('A zone needs pincodes, pincode prefixes or states unless it is a fallback zone'));
+  }
+  next();
+});
+
+/**
+ * How specifically this zone covers a destination, higher is more specific: 3 exact
+ * pincode, 2.1-2.5 pincode prefix (longer is higher), 1 state, 0 fallback, -1 not covered.
+ * @param {Object} address - { zip, state }.
+ * @returns {number}
+ */
+shippingZoneSchema.methods.matchScore = function (address = {}) {
+  const pincode = String(address.zip || '').trim();
+  const state = String(address.state || '').trim().toLowerCase();
+  const code = stateCode(state);
+  if (pincode && this.pincodes.includes(pincode)) return 3;
+  const prefix = pincode
+    ? Math.max(0, ...this.pincodePrefixes.filter((entry) => pincode.startsWith(entry)).map((entry) => entry.length))
+    : 0;
+  if (prefix > 0) return 2 + prefix / 10;
+  if (state && this.states.some((entry) => entry.toLowerCase() === state || (code && stateCode(entry) === code))) {
+    return 1;
+  }
+  return this.isFallback ? 0 : -1;
+};
+
+/**
+ * Rate for a parcel of the given weight, or null when the zone can't carry it.
+ * @param {number} weight - Chargeable weight in grams.
+ * @returns {number|null}
+ */
+shippingZoneSchema.methods.rateFor = function (weight) {
+  const slab = this.slabs.find((entry) => weight <= entry.maxWeight);
+  if (slab) return slab.rate;
+  if (this.extraWeightRate === null || this.extraWeightRate === undefined) return null;
+  const heaviest = this.slabs[this.slabs.length - 1];
+  const steps = Math.ceil((weight - heaviest.maxWeight) / this.extraWeightStep);
+  return heaviest.rate + steps * this.extraWeightRate;
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
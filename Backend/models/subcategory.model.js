@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+const subcategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Subcategory name is required'],
+    trim: true,
+    maxlength: [100, 'Subcategory name cannot exceed 100 characters'],
+  },
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    lowercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required'],
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+}, { timestamps: true });
+
+// Indexes for performance
+subcategorySchema.index({ category: 1, slug: 1 }, { unique: true });
+subcategorySchema.index({ category: 1, sortOrder: 1 });
+subcategorySchema.index({ isActive: 1, isDeleted: 1 });
+
+// Derive the slug from the name when not explicitly provided
+subcategorySchema.pre('validate', function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  } else if (this.isModified('slug')) {
+    this.slug = slugify(this.slug);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Subcategory', subcategorySchema);
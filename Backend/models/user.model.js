@@ -52,6 +52,21 @@ const userSchema = new mongoose.Schema({
       type: String,
       trim: true,
     },
+    // GST registration; its first two digits are the seller's state code
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please provide a valid GSTIN'],
+    },
+    // Registered business address; its state decides CGST + SGST vs IGST on orders
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zip: String,
+      country: String,
+    },
   },
   courierProfile: {
     vehicleType: String,
@@ -130,26 +145,6 @@ const userSchema = new mongoose.Schema({
       ref: 'Review',
     },
   ],
-  wishlist: [
-    {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Product',
-    },
-  ],
-  cart: [
-    {
-      productId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Product',
-        required: [true, 'Product ID is required'],
-      },
-      quantity: {
-        type: Number,
-        required: [true, 'Quantity is required'],
-        min: [1, 'Quantity cannot be less than 1'],
-      },
-    },
-  ],
 }, { timestamps: true });
 
 // Indexes for performance
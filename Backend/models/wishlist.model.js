@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const MAX_WISHLIST_ITEMS = 200;
+
+const wishlistItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required'],
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters'],
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    minlength: [1, 'List name cannot be empty'],
+    maxlength: [60, 'List name cannot exceed 60 characters'],
+  },
+  // wishlist: a named list the user created (or the default one);
+  // saved_for_later: lines moved out of the cart, one per user
+  kind: {
+    type: String,
+    enum: ['wishlist', 'saved_for_later'],
+    default: 'wishlist',
+  },
+  // Target of the single-list /api/users/wishlist endpoints
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  items: {
+    type: [wishlistItemSchema],
+    validate: [
+      {
+        validator: (items) => items.length <= MAX_WISHLIST_ITEMS,
+        message: `A list can hold at most ${MAX_WISHLIST_ITEMS} items`,
+      },
+      {
+        validator: (items) => {
+          const keys = items.map((item) => `${item.productId}:${item.variantId || ''}`);
+          return new Set(keys).size === keys.length;
+        },
+        message: 'This item is already in the list',
+      },
+    ],
+  },
+  // Set while the list is shared; anyone with the token can view it read-only
+  shareToken: {
+    type: String,
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+}, { timestamps: true });
+
+// Indexes for performance
+wishlistSchema.index({ user: 1, isDeleted: 1 });
+wishlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+// One default list and one saved-for-later list per user
+wishlistSchema.index(
+  { user: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true, isDeleted: false } }
+);
+wishlistSchema.index(
+  { user: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { kind: 'saved_for_later', isDeleted: false } }
+);
+
+// Find the index of a list item by product and (optional) variant
+wishlistSchema.methods.findItemIndex = function (productId, variantId = null) {
+  return this.items.findIndex(
+    (item) =>
+      item.productId.toString() === productId.toString() &&
+      String(item.variantId || '') === String(variantId || '')
+  );
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
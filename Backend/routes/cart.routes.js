@@ -9,6 +9,15 @@ const {
   updateCartItemQuantityController,
   clearCartController,
   getUserCartController,
+  addItemToGuestCartController,
+  removeItemFromGuestCartController,
+  updateGuestCartItemQuantityController,
+  clearGuestCartController,
+  getGuestCartController,
+  getMyCartController,
+  acceptCartChangesController,
+  acceptGuestCartChangesController,
+  mergeGuestCartController,
 } = require('../controllers/cart.controller');
 
 /**
@@ -31,6 +40,58 @@ const cartGetRateLimiter = rateLimit({
   message: 'Too many cart retrieval requests, please try again later.',
 });
 
+/**
+ * Rate limiter for guest cart endpoints; guests have no user ID, so this is keyed by IP
+ */
+const guestCartRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // 100 requests per IP
+  message: 'Too many cart requests, please try again later.',
+});
+
+/**
+ * @route GET /cart/guest
+ * @desc Get a guest cart (X-Cart-Token header) with estimated GST and shipping
+ *       (optional ?shippingState=, ?shippingPincode= and ?currency= for display amounts)
+ * @access Public
+ */
+router.get('/guest', guestCartRateLimiter, getGuestCartController);
+
+/**
+ * @route POST /cart/guest
+ * @desc Add an item to a guest cart; returns the cart token to use on later requests
+ * @access Public
+ */
+router.post('/guest', guestCartRateLimiter, addItemToGuestCartController);
+
+/**
+ * @route DELETE /cart/guest/item
+ * @desc Remove an item from a guest cart (X-Cart-Token header)
+ * @access Public
+ */
+router.delete('/guest/item', guestCartRateLimiter, removeItemFromGuestCartController);
+
+/**
+ * @route PUT /cart/guest/item
+ * @desc Update item quantity in a guest cart (X-Cart-Token header)
+ * @access Public
+ */
+router.put('/guest/item', guestCartRateLimiter, updateGuestCartItemQuantityController);
+
+/**
+ * @route POST /cart/guest/accept-changes
+ * @desc Accept price and stock changes on a guest cart (X-Cart-Token header)
+ * @access Public
+ */
+router.post('/guest/accept-changes', guestCartRateLimiter, acceptGuestCartChangesController);
+
+/**
+ * @route DELETE /cart/guest
+ * @desc Clear a guest cart (X-Cart-Token header)
+ * @access Public
+ */
+router.delete('/guest', guestCartRateLimiter, clearGuestCartController);
+
 /**
  * @route POST /cart
  * @desc Add an item to the cart
@@ -83,6 +144,48 @@ router.delete(
   clearCartController
 );
 
+/**
+ * @route POST /cart/accept-changes
+ * @desc Accept price and stock changes: update prices, lower quantities, drop unavailable lines
+ * @access Private (user)
+ */
+router.post(
+  '/accept-changes',
+  verifyToken,
+  authorize(['modify:cart']),
+  cartModifyRateLimiter,
+  acceptCartChangesController
+);
+
+/**
+ * @route POST /cart/merge
+ * @desc Move a guest cart (X-Cart-Token header) into the user's cart, e.g. after Google
+ *       sign-in, which can't carry the header; returns { merged, skipped }
+ * @access Private (user)
+ */
+router.post(
+  '/merge',
+  verifyToken,
+  authorize(['modify:cart']),
+  cartModifyRateLimiter,
+  mergeGuestCartController
+);
+
+/**
+ * @route GET /cart
+ * @desc Get the authenticated user's cart with per-item change notices and estimated GST and
+ *       shipping (against ?shippingState=/?shippingPincode= or the default shipping address);
+ *       ?currency= adds display amounts
+ * @access Private (user)
+ */
+router.get(
+  '/',
+  verifyToken,
+  authorize(['view:cart']),
+  cartGetRateLimiter,
+  getMyCartController
+);
+
 /**
  * @route GET /cart/:userId
  * @desc Get the user's cart
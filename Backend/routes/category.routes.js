@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, verifyAdmin } = require('../middlewares/verifyToken');
+const {
+  getCategoryTree,
+  getAdminCategoryTree,
+  getCategory,
+  getBreadcrumb,
+  getProductCounts,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  createSubcategory,
+  updateSubcategory,
+  deleteSubcategory,
+} = require('../controllers/category.controller');
+
+/**
+ * @route GET /categories/tree
+ * @desc Get the nested tree of active categories and subcategories
+ * @access Public
+ */
+router.get('/tree', getCategoryTree);
+
+/**
+ * @route GET /categories/product-counts
+ * @desc Get active product counts per category (direct and including descendants)
+ * @access Public
+ */
+router.get('/product-counts', getProductCounts);
+
+/**
+ * @route GET /categories/admin/tree
+ * @desc Get the category tree including inactive nodes
+ * @access Private (admin)
+ */
+router.get('/admin/tree', verifyToken, verifyAdmin, getAdminCategoryTree);
+
+/**
+ * @route POST /categories
+ * @desc Create a category
+ * @access Private (admin)
+ */
+router.post('/', verifyToken, verifyAdmin, createCategory);
+
+/**
+ * @route PUT /categories/subcategories/:subcategoryId
+ * @desc Update a subcategory
+ * @access Private (admin)
+ */
+router.put('/subcategories/:subcategoryId', verifyToken, verifyAdmin, updateSubcategory);
+
+/**
+ * @route DELETE /categories/subcategories/:subcategoryId
+ * @desc Delete a subcategory
+ * @access Private (admin)
+ */
+router.delete('/subcategories/:subcategoryId', verifyToken, verifyAdmin, deleteSubcategory);
+
+/**
+ * @route GET /categories/:idOrSlug
+ * @desc Get a category with its direct children and subcategories
+ * @access Public
+ */
+router.get('/:idOrSlug', getCategory);
+
+/**
+ * @route GET /categories/:idOrSlug/breadcrumb
+ * @desc Get the breadcrumb trail from the root to a category
+ * @access Public
+ */
+router.get('/:idOrSlug/breadcrumb', getBreadcrumb);
+
+/**
+ * @route PUT /categories/:id
+ * @desc Update a category (moving it re-parents its whole subtree)
+ * @access Private (admin)
+ */
+router.put('/:id', verifyToken, verifyAdmin, updateCategory);
+
+/**
+ * @route DELETE /categories/:id
+ * @desc Soft delete an empty category
+ * @access Private (admin)
+ */
+router.delete('/:id', verifyToken, verifyAdmin, deleteCategory);
+
+/**
+ * @route POST /categories/:id/subcategories
+ * @desc Create a subcategory under a category
+ * @access Private (admin)
+ */
+router.post('/:id/subcategories', verifyToken, verifyAdmin, createSubcategory);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken');
+const { checkout } = require('../controllers/checkout.controller');
+
+const router = express.Router();
+
+/**
+ * Rate limiter for placing orders
+ */
+const checkoutRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many checkout attempts, please try again later.',
+});
+
+/**
+ * @route POST /checkout
+ * @desc Convert the authenticated user's cart into an order and take the stock
+ * @access Private (customer)
+ */
+router.post('/', verifyToken, authorizeRoles('customer'), checkoutRateLimiter, checkout);
+
+module.exports = router;
@@ -1,10 +1,67 @@
 const express = require('express');
-const { verifyToken } = require('../middlewares/verifyToken');
-const { applyCoupon } = require('../controllers/coupon.controller');
+const rateLimit = require('express-rate-limit');
+const { verifyToken, verifyAdmin, authorizeRoles } = require('../middlewares/verifyToken');
+const {
+  applyCoupon,
+  removeCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+} = require('../controllers/coupon.controller');
 
 const router = express.Router();
 
-// User Route: Apply coupon
-router.post('/apply', verifyToken, applyCoupon);
+/**
+ * Rate limiter for applying coupons, to slow down code guessing
+ */
+const applyRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many coupon attempts, please try again later.',
+});
+
+/**
+ * @route POST /coupons/apply
+ * @desc Apply a coupon to the authenticated user's cart
+ * @access Private (customer)
+ */
+router.post('/apply', verifyToken, authorizeRoles('customer'), applyRateLimiter, applyCoupon);
+
+/**
+ * @route DELETE /coupons/apply/:code
+ * @desc Remove a coupon from the authenticated user's cart
+ * @access Private (customer)
+ */
+router.delete('/apply/:code', verifyToken, authorizeRoles('customer'), removeCoupon);
+
+/**
+ * @route GET /coupons
+ * @desc List coupons
+ * @access Private (admin)
+ */
+router.get('/', verifyToken, verifyAdmin, getCoupons);
+
+/**
+ * @route POST /coupons
+ * @desc Create a coupon
+ * @access Private (admin)
+ */
+router.post('/', verifyToken, verifyAdmin, createCoupon);
+
+/**
+ * @route PUT /coupons/:id
+ * @desc Update a coupon
+ * @access Private (admin)
+ */
+router.put('/:id', verifyToken, verifyAdmin, updateCoupon);
+
+/**
+ * @route DELETE /coupons/:id
+ * @desc Deactivate a coupon
+ * @access Private (admin)
+ */
+router.delete('/:id', verifyToken, verifyAdmin, deactivateCoupon);
 
 module.exports = router;
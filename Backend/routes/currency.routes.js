@@ -0,0 +1,32 @@
+const express = require('express');
+const { verifyToken, verifyAdmin } = require('../middlewares/verifyToken');
+const {
+  getRates,
+  setRate,
+  deactivateRate,
+} = require('../controllers/currency.controller');
+
+const router = express.Router();
+
+/**
+ * @route GET /currencies
+ * @desc List the display currencies and their rates (rupees per unit)
+ * @access Public
+ */
+router.get('/', getRates);
+
+/**
+ * @route PUT /currencies/:currency
+ * @desc Set the exchange rate of a currency
+ * @access Private (admin)
+ */
+router.put('/:currency', verifyToken, verifyAdmin, setRate);
+
+/**
+ * @route DELETE /currencies/:currency
+ * @desc Stop offering a currency
+ * @access Private (admin)
+ */
+router.delete('/:currency', verifyToken, verifyAdmin, deactivateRate);
+
+module.exports = router;
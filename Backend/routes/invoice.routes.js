@@ -0,0 +1,23 @@
+const express = require('express');
+const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken');
+const { getOrderInvoices, downloadInvoice } = require('../controllers/invoice.controller');
+
+// Mounted at /api/orders/:orderId/invoices, so keep the parent's params
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route GET /orders/:orderId/invoices
+ * @desc List the order's tax invoices (one per seller fulfilment, issued when it ships)
+ *       and credit notes (issued on refunds); sellers see only their own
+ * @access Private (customer owning the order, seller of one of its items, admin)
+ */
+router.get('/', verifyToken, authorizeRoles('customer', 'admin', 'seller'), getOrderInvoices);
+
+/**
+ * @route GET /orders/:orderId/invoices/:invoiceId/pdf
+ * @desc Download an invoice or credit note as a PDF
+ * @access Private (customer owning the order, seller who issued it, admin)
+ */
+router.get('/:invoiceId/pdf', verifyToken, authorizeRoles('customer', 'admin', 'seller'), downloadInvoice);
+
+module.exports = router;
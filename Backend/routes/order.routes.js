@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken');
-const { createOrder, updateOrderStatus, deleteOrder } = require('../controllers/order.controller');
+const {
+  createOrder,
+  updateOrderStatus,
+  updateFulfilment,
+  cancelOrder,
+  retryRefund,
+  getOrderTimeline,
+  deleteOrder,
+} = require('../controllers/order.controller');
 
 /**
  * @route POST /orders
@@ -15,9 +23,49 @@ router.post(
   createOrder
 );
 
+/**
+ * @route GET /orders/:orderId/timeline
+ * @desc Get the order's status history as a tracking timeline, with each seller's
+ *       fulfilment (status, tracking, timeline and upcoming steps)
+ * @access Private (customer owning the order, seller of one of its items, admin)
+ */
+router.get(
+  '/:orderId/timeline',
+  verifyToken,
+  authorizeRoles('customer', 'admin', 'seller'),
+  getOrderTimeline
+);
+
+/**
+ * @route POST /orders/:orderId/cancel
+ * @desc Cancel the order, or the lines in { lineIds }, before they ship, with a { reason }
+ *       code. Stock is restored and paid orders are refunded the difference automatically
+ * @access Private (customer owning the order, admin, seller for their own lines)
+ */
+router.post(
+  '/:orderId/cancel',
+  verifyToken,
+  authorizeRoles('customer', 'admin', 'seller'),
+  cancelOrder
+);
+
+/**
+ * @route POST /orders/:orderId/refunds/:refundId/retry
+ * @desc Send a refund the payment gateway failed to it again
+ * @access Private (admin)
+ */
+router.post(
+  '/:orderId/refunds/:refundId/retry',
+  verifyToken,
+  authorizeRoles('admin'),
+  retryRefund
+);
+
 /**
  * @route PUT /orders/:orderId/status
- * @desc Update order status
+ * @desc Move the order to its next status ({ status, note }); only transitions allowed
+ *       for the caller's role are accepted. Admins move every fulfilment, sellers their own
+ *       (with { tracking } when shipping)
  * @access Private (admin, seller)
  */
 router.put(
@@ -27,6 +75,19 @@ router.put(
   updateOrderStatus
 );
 
+/**
+ * @route PUT /orders/:orderId/fulfilments/:fulfilmentId
+ * @desc Update a seller's fulfilment: { status, note } and/or { tracking: { carrier,
+ *       trackingNumber, trackingUrl } }; the order status is derived from its fulfilments
+ * @access Private (admin, or the seller the fulfilment belongs to)
+ */
+router.put(
+  '/:orderId/fulfilments/:fulfilmentId',
+  verifyToken,
+  authorizeRoles('admin', 'seller'),
+  updateFulfilment
+);
+
 /**
  * @route DELETE /orders/:orderId
  * @desc Soft delete an order
@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
+const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken');
 const paymentController = require('../controllers/payment.controller');
 
-// Route to create an order
-router.post('/create-order', paymentController.createOrder);
+// Route to start payment for an order; holds the order's stock until payment is verified
+router.post('/create-order', verifyToken, authorizeRoles('customer'), paymentController.createOrder);
 
 // Route to verify payment
-router.post('/verify-payment', paymentController.verifyPayment);
+router.post('/verify-payment', verifyToken, authorizeRoles('customer'), paymentController.verifyPayment);
 
 // Route to get order details
-router.get('/order-details/:orderId', paymentController.getOrderDetails);
+router.get('/order-details/:orderId', verifyToken, authorizeRoles('customer'), paymentController.getOrderDetails);
 
 module.exports = router;
@@ -1,46 +1,31 @@
 
 const express = require('express');
 const router = express.Router();
-const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken');
+const { verifyToken, authorizeRoles, verifyAdmin } = require('../middlewares/verifyToken');
 const authorize = require('../middlewares/athorize');
-const { uploadProductImage } = require('../middlewares/fileUpload');
-const multer = require('multer');
+const { uploadProductImage, uploadReviewMedia, handleMulterError } = require('../middlewares/fileUpload');
 const rateLimit = require('express-rate-limit');
 const {
   addProductWithImage,
   getProducts,
   getProductById,
+  getRecommendations,
   updateProduct,
   deleteProduct,
   getProductsByFilter,
+  getProductFacets,
   searchProducts,
+  suggestProducts,
   getReviews,
   addReview,
   updateReview,
   deleteReview,
+  reportReview,
+  voteReviewHelpful,
+  getReportedReviews,
+  moderateReview,
 } = require('../controllers/product.controller');
 
-/**
- * Multer error handling middleware
- */
-const handleMulterError = (err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FORMAT') {
-      return res.status(400).json({ error: err.message });
-    }
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File size exceeds limit' });
-    }
-    if (err.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({ error: 'Too many files uploaded' });
-    }
-  }
-  if (err.message === 'Cloudinary configuration missing. File uploads are disabled.') {
-    return res.status(503).json({ error: err.message });
-  }
-  next(err);
-};
-
 /**
  * Rate limiter for review endpoints
  */
@@ -51,6 +36,17 @@ const reviewRateLimiter = rateLimit({
   message: 'Too many review requests, please try again later.',
 });
 
+/**
+ * Rate limiter for review reports and helpful votes, kept separate so feedback
+ * does not use up a user's review-writing allowance
+ */
+const reviewFeedbackRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  keyGenerator: (req) => req.user?.id || req.ip,
+  message: 'Too many review feedback requests, please try again later.',
+});
+
 /**
  * @route POST /products
  * @desc Add a new product with images
@@ -67,18 +63,60 @@ router.post(
 
 /**
  * @route GET /products
- * @desc Get all products with pagination
+ * @desc Get all products with pagination (?currency= adds display prices)
  * @access Public
  */
 router.get('/', getProducts);
 
+/**
+ * @route GET /products/filter
+ * @desc Filter products by category, price, brand, size, color
+ * @access Public
+ */
+router.get('/filter', getProductsByFilter);
+
+/**
+ * @route GET /products/facets
+ * @desc Multi-select product filtering with brand, size, color, category, rating and price facet counts
+ * @access Public
+ */
+router.get('/facets', getProductFacets);
+
+/**
+ * @route GET /products/search
+ * @desc Relevance-ranked product search across name, brand and description
+ * @access Public
+ */
+router.get('/search', searchProducts);
+
+/**
+ * @route GET /products/suggest
+ * @desc Autocomplete product names, brands and categories
+ * @access Public
+ */
+router.get('/suggest', suggestProducts);
+
+/**
+ * @route GET /products/reviews/reported
+ * @desc Get reviews with open reports (moderation queue)
+ * @access Private (admin)
+ */
+router.get('/reviews/reported', verifyToken, verifyAdmin, getReportedReviews);
+
 /**
  * @route GET /products/:id
- * @desc Get product by ID
+ * @desc Get product by ID (?currency= adds display prices)
  * @access Public
  */
 router.get('/:id', getProductById);
 
+/**
+ * @route GET /products/:id/recommendations
+ * @desc Get frequently bought together and similar products
+ * @access Public
+ */
+router.get('/:id/recommendations', getRecommendations);
+
 /**
  * @route PUT /products/:id
  * @desc Update product by ID
@@ -100,30 +138,16 @@ router.put(
  */
 router.delete('/:id', verifyToken, authorize(['delete:product']), deleteProduct);
 
-/**
- * @route GET /products/filter
- * @desc Filter products by category, price, brand, size, color
- * @access Public
- */
-router.get('/filter', getProductsByFilter);
-
-/**
- * @route GET /products/search
- * @desc Search products by name or description
- * @access Public
- */
-router.get('/search', searchProducts);
-
 /**
  * @route GET /products/:productId/reviews
- * @desc Get all reviews for a product
+ * @desc Get published reviews for a product (sort=recent|helpful, verified=true, withMedia=true)
  * @access Public
  */
 router.get('/:productId/reviews', getReviews);
 
 /**
  * @route POST /products/:productId/reviews
- * @desc Add a review to a product
+ * @desc Add a review to a product, optionally with up to 5 photos/videos (field `reviewMedia`)
  * @access Private (user)
  */
 router.post(
@@ -131,12 +155,14 @@ router.post(
   verifyToken,
   authorize(['add:review']),
   reviewRateLimiter,
+  uploadReviewMedia,
+  handleMulterError,
   addReview
 );
 
 /**
  * @route PUT /products/:productId/reviews/:reviewId
- * @desc Update a review for a product
+ * @desc Update a review for a product; uploaded media replaces the existing media
  * @access Private (user)
  */
 router.put(
@@ -144,6 +170,8 @@ router.put(
   verifyToken,
   authorize(['update:review']),
   reviewRateLimiter,
+  uploadReviewMedia,
+  handleMulterError,
   updateReview
 );
 
@@ -160,4 +188,52 @@ router.delete(
   deleteReview
 );
 
+/**
+ * @route POST /products/:productId/reviews/:reviewId/report
+ * @desc Report a review for moderation
+ * @access Private
+ */
+router.post(
+  '/:productId/reviews/:reviewId/report',
+  verifyToken,
+  reviewFeedbackRateLimiter,
+  reportReview
+);
+
+/**
+ * @route POST /products/:productId/reviews/:reviewId/helpful
+ * @desc Vote a review helpful
+ * @access Private
+ */
+router.post(
+  '/:productId/reviews/:reviewId/helpful',
+  verifyToken,
+  reviewFeedbackRateLimiter,
+  voteReviewHelpful
+);
+
+/**
+ * @route DELETE /products/:productId/reviews/:reviewId/helpful
+ * @desc Withdraw a helpful vote
+ * @access Private
+ */
+router.delete(
+  '/:productId/reviews/:reviewId/helpful',
+  verifyToken,
+  reviewFeedbackRateLimiter,
+  voteReviewHelpful
+);
+
+/**
+ * @route PATCH /products/:productId/reviews/:reviewId/moderation
+ * @desc Approve or hide a review
+ * @access Private (admin)
+ */
+router.patch(
+  '/:productId/reviews/:reviewId/moderation',
+  verifyToken,
+  verifyAdmin,
+  moderateReview
+);
+
 module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken');
+const {
+  getQuestions,
+  askQuestion,
+  answerQuestion,
+  voteAnswer,
+} = require('../controllers/question.controller');
+
+// Mounted at /api/products/:productId/questions, so keep the parent's params
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Rate limiter for posting questions and answers
+ */
+const postRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  keyGenerator: (req) => req.user?.id || req.ip,
+  message: 'Too many questions or answers, please try again later.',
+});
+
+/**
+ * @route GET /products/:productId/questions
+ * @desc Get questions and answers for a product
+ * @access Public
+ */
+router.get('/', getQuestions);
+
+/**
+ * @route POST /products/:productId/questions
+ * @desc Ask a question about a product
+ * @access Private (customer)
+ */
+router.post('/', verifyToken, authorizeRoles('customer'), postRateLimiter, askQuestion);
+
+/**
+ * @route POST /products/:productId/questions/:questionId/answers
+ * @desc Answer a question (product seller or verified buyer)
+ * @access Private
+ */
+router.post('/:questionId/answers', verifyToken, postRateLimiter, answerQuestion);
+
+/**
+ * @route POST /products/:productId/questions/:questionId/answers/:answerId/upvote
+ * @desc Upvote an answer
+ * @access Private
+ */
+router.post('/:questionId/answers/:answerId/upvote', verifyToken, voteAnswer);
+
+/**
+ * @route DELETE /products/:productId/questions/:questionId/answers/:answerId/upvote
+ * @desc Withdraw an upvote
+ * @access Private
+ */
+router.delete('/:questionId/answers/:answerId/upvote', verifyToken, voteAnswer);
+
+module.exports = router;
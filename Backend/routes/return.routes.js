@@ -0,0 +1,92 @@
+const express = require('express');
+const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken');
+const { uploadReturnPhotos, handleMulterError } = require('../middlewares/fileUpload');
+const {
+  createReturn,
+  getReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  cancelReturn,
+  schedulePickup,
+  receiveReturn,
+  inspectReturn,
+} = require('../controllers/return.controller');
+
+// Mounted at /api/orders/:orderId/returns, so keep the parent's params
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route POST /orders/:orderId/returns
+ * @desc Request a return of delivered lines (multipart: `lines` as JSON [{ lineId, quantity }],
+ *       `reason`, `comment`, `resolution` refund|replacement, up to 5 `photos`) within each
+ *       item's category return window. Lines of several sellers give one return per seller
+ * @access Private (customer owning the order)
+ */
+router.post(
+  '/',
+  verifyToken,
+  authorizeRoles('customer'),
+  uploadReturnPhotos,
+  handleMulterError,
+  createReturn
+);
+
+/**
+ * @route GET /orders/:orderId/returns
+ * @desc List the order's return requests (sellers see only returns of their items)
+ * @access Private (customer owning the order, seller of one of its items, admin)
+ */
+router.get('/', verifyToken, authorizeRoles('customer', 'admin', 'seller'), getReturns);
+
+/**
+ * @route GET /orders/:orderId/returns/:returnId
+ * @desc Get a return request with its history
+ * @access Private (customer owning the order, seller of the items, admin)
+ */
+router.get('/:returnId', verifyToken, authorizeRoles('customer', 'admin', 'seller'), getReturn);
+
+/**
+ * @route POST /orders/:orderId/returns/:returnId/approve
+ * @desc Approve a requested return ({ note })
+ * @access Private (seller of the items, admin)
+ */
+router.post('/:returnId/approve', verifyToken, authorizeRoles('admin', 'seller'), approveReturn);
+
+/**
+ * @route POST /orders/:orderId/returns/:returnId/reject
+ * @desc Reject a requested return, with a { note } explaining why
+ * @access Private (seller of the items, admin)
+ */
+router.post('/:returnId/reject', verifyToken, authorizeRoles('admin', 'seller'), rejectReturn);
+
+/**
+ * @route POST /orders/:orderId/returns/:returnId/pickup
+ * @desc Schedule the reverse pickup of an approved return ({ scheduledFor, carrier, trackingNumber })
+ * @access Private (seller of the items, admin)
+ */
+router.post('/:returnId/pickup', verifyToken, authorizeRoles('admin', 'seller'), schedulePickup);
+
+/**
+ * @route POST /orders/:orderId/returns/:returnId/receive
+ * @desc Record that the returned items arrived back
+ * @access Private (seller of the items, admin)
+ */
+router.post('/:returnId/receive', verifyToken, authorizeRoles('admin', 'seller'), receiveReturn);
+
+/**
+ * @route POST /orders/:orderId/returns/:returnId/inspect
+ * @desc Record the inspection ({ passed, restock, notes, replacement }); passing items are
+ *       restocked and refunded or replaced, failing ones rejected
+ * @access Private (seller of the items, admin)
+ */
+router.post('/:returnId/inspect', verifyToken, authorizeRoles('admin', 'seller'), inspectReturn);
+
+/**
+ * @route POST /orders/:orderId/returns/:returnId/cancel
+ * @desc Withdraw a return before it is picked up
+ * @access Private (customer owning the order)
+ */
+router.post('/:returnId/cancel', verifyToken, authorizeRoles('customer'), cancelReturn);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const sellerController = require('../controllers/seller.controller');
+const productController = require('../controllers/product.controller');
+const { uploadCatalogFile, handleMulterError } = require('../middlewares/fileUpload');
 const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken'); // Ensure correct path
 
 // Seller routes - Ensure that the user is authenticated and has the 'seller' role
@@ -16,6 +18,10 @@ router.post('/product', verifyToken, authorizeRoles('seller'), sellerController.
 router.put('/product/:productId', verifyToken, authorizeRoles('seller'), sellerController.updateProduct);
 router.get('/products', verifyToken, authorizeRoles('seller'), sellerController.getSellerProducts);
 
+// Bulk catalog import (multipart field `file`, CSV or XLSX; `?dryRun=true` only validates) and export (`?format=csv|xlsx`)
+router.post('/products/import', verifyToken, authorizeRoles('seller'), uploadCatalogFile, handleMulterError, productController.importProducts);
+router.get('/products/export', verifyToken, authorizeRoles('seller'), productController.exportProducts);
+
 // Order Management Routes
 router.get('/orders', verifyToken, authorizeRoles('seller'), sellerController.getSellerOrders);
 router.put('/order/:orderId/status', verifyToken, authorizeRoles('seller'), sellerController.updateOrderStatus);
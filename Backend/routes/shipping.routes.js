@@ -0,0 +1,40 @@
+const express = require('express');
+const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken');
+const {
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone,
+} = require('../controllers/shipping.controller');
+
+const router = express.Router();
+
+/**
+ * @route GET /shipping/zones
+ * @desc List shipping zones: platform zones (admin, or a seller's with ?seller=) or the seller's own
+ * @access Private (admin, seller)
+ */
+router.get('/zones', verifyToken, authorizeRoles('admin', 'seller'), getZones);
+
+/**
+ * @route POST /shipping/zones
+ * @desc Create a shipping zone with weight-slab rates and an optional free-shipping threshold
+ * @access Private (admin, seller)
+ */
+router.post('/zones', verifyToken, authorizeRoles('admin', 'seller'), createZone);
+
+/**
+ * @route PUT /shipping/zones/:id
+ * @desc Update a shipping zone
+ * @access Private (admin, or the seller owning the zone)
+ */
+router.put('/zones/:id', verifyToken, authorizeRoles('admin', 'seller'), updateZone);
+
+/**
+ * @route DELETE /shipping/zones/:id
+ * @desc Delete a shipping zone
+ * @access Private (admin, or the seller owning the zone)
+ */
+router.delete('/zones/:id', verifyToken, authorizeRoles('admin', 'seller'), deleteZone);
+
+module.exports = router;
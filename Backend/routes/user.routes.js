@@ -68,7 +68,7 @@ router.get('/order/:id', verifyToken, authorize(['read:orders']), getOrderById);
 
 /**
  * @route POST /wishlist
- * @desc Add product to authenticated user's wishlist
+ * @desc Add product to authenticated user's default wishlist (named lists: /api/wishlists)
  * @access Private (user, seller, vendor)
  */
 router.post(
@@ -81,7 +81,7 @@ router.post(
 
 /**
  * @route DELETE /wishlist
- * @desc Remove product from authenticated user's wishlist
+ * @desc Remove product from authenticated user's default wishlist
  * @access Private (user, seller, vendor)
  * @query {string} productId - ID of the product to remove
  */
@@ -95,7 +95,7 @@ router.delete(
 
 /**
  * @route POST /cart
- * @desc Add product to authenticated user's cart
+ * @desc Set a product's quantity in authenticated user's cart (same cart as /api/cart)
  * @access Private (user, seller)
  */
 router.post(
@@ -108,7 +108,7 @@ router.post(
 
 /**
  * @route DELETE /cart
- * @desc Remove product from authenticated user's cart
+ * @desc Remove product from authenticated user's cart (same cart as /api/cart)
  * @access Private (user, seller)
  * @query {string} productId - ID of the product to remove
  */
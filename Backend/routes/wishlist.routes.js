@@ -0,0 +1,125 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { verifyToken, authorizeRoles } = require('../middlewares/verifyToken');
+const {
+  getLists,
+  getList,
+  createList,
+  renameList,
+  deleteList,
+  addItem,
+  removeItem,
+  moveItem,
+  moveToCart,
+  saveForLater,
+  shareList,
+  unshareList,
+  getSharedList,
+} = require('../controllers/wishlist.controller');
+
+const router = express.Router();
+
+/**
+ * Rate limiter for shared list views; anonymous, so keyed by IP
+ */
+const sharedListRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: 'Too many requests, please try again later.',
+});
+
+/**
+ * @route GET /wishlists/shared/:token
+ * @desc Read-only view of a shared list
+ * @access Public
+ */
+router.get('/shared/:token', sharedListRateLimiter, getSharedList);
+
+// Everything below manages the authenticated customer's own lists
+router.use(verifyToken, authorizeRoles('customer'));
+
+/**
+ * @route GET /wishlists
+ * @desc Get the user's lists
+ * @access Private (customer)
+ */
+router.get('/', getLists);
+
+/**
+ * @route POST /wishlists
+ * @desc Create a named list
+ * @access Private (customer)
+ */
+router.post('/', createList);
+
+/**
+ * @route POST /wishlists/save-for-later
+ * @desc Move a cart line to the saved-for-later list
+ * @access Private (customer)
+ */
+router.post('/save-for-later', saveForLater);
+
+/**
+ * @route GET /wishlists/:listId
+ * @desc Get a list with its items
+ * @access Private (customer)
+ */
+router.get('/:listId', getList);
+
+/**
+ * @route PUT /wishlists/:listId
+ * @desc Rename a list
+ * @access Private (customer)
+ */
+router.put('/:listId', renameList);
+
+/**
+ * @route DELETE /wishlists/:listId
+ * @desc Delete a list
+ * @access Private (customer)
+ */
+router.delete('/:listId', deleteList);
+
+/**
+ * @route POST /wishlists/:listId/items
+ * @desc Add a product to a list
+ * @access Private (customer)
+ */
+router.post('/:listId/items', addItem);
+
+/**
+ * @route DELETE /wishlists/:listId/items/:itemId
+ * @desc Remove an item from a list
+ * @access Private (customer)
+ */
+router.delete('/:listId/items/:itemId', removeItem);
+
+/**
+ * @route POST /wishlists/:listId/items/:itemId/move
+ * @desc Move an item to another list
+ * @access Private (customer)
+ */
+router.post('/:listId/items/:itemId/move', moveItem);
+
+/**
+ * @route POST /wishlists/:listId/items/:itemId/move-to-cart
+ * @desc Move an item into the cart
+ * @access Private (customer)
+ */
+router.post('/:listId/items/:itemId/move-to-cart', moveToCart);
+
+/**
+ * @route POST /wishlists/:listId/share
+ * @desc Create a public read-only share link
+ * @access Private (customer)
+ */
+router.post('/:listId/share', shareList);
+
+/**
+ * @route DELETE /wishlists/:listId/share
+ * @desc Revoke the share link
+ * @access Private (customer)
+ */
+router.delete('/:listId/share', unshareList);
+
+module.exports = router;
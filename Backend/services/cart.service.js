@@ -1,7 +1,15 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const winston = require('winston');
 const Cart = require('../models/cart.model');
+const Coupon = require('../models/coupon.model');
 const Product = require('../models/product.model');
+const User = require('../models/user.model');
+const TaxService = require('./tax.service');
+const ShippingService = require('./shipping.service');
+const CurrencyService = require('./currency.service');
+const { roundMoney } = require('../utils/gst');
+const { BASE_CURRENCY, formatMoneyFor } = require('../utils/currency');
 
 // Custom error classes
 class NotFoundError extends Error {
@@ -38,21 +46,62 @@ const logger = winston.createLogger({
   ],
 });
 
+// A cart owner is either { userId } for a signed-in shopper or { guestToken } for a guest
+const describeOwner = (owner) => (owner.userId ? `user ${owner.userId}` : 'guest cart');
+
 class CartService {
-  async addItemToCart(userId, productId, quantity, authUserId) {
-    if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(productId)) {
-      logger.error(`Invalid ID: user ${userId}, product ${productId}`);
-      throw new BadRequestError('Invalid user or product ID');
+  // Helper to resolve the product or variant being bought, as a 400 on failure
+  #resolvePurchasable(product, variantId) {
+    try {
+      return Product.resolvePurchasable(product, variantId);
+    } catch (error) {
+      throw new BadRequestError(error.message);
+    }
+  }
+
+  // Helper to build the cart lookup for an owner
+  #ownerFilter(owner) {
+    return owner.userId
+      ? { userId: owner.userId, isDeleted: false }
+      : { guestToken: owner.guestToken, isDeleted: false };
+  }
+
+  // Helper to validate the IDs and quantity shared by the item operations
+  #validateItemInput(productId, variantId, quantity) {
+    if (!mongoose.isValidObjectId(productId)) {
+      logger.error(`Invalid product ID: ${productId}`);
+      throw new BadRequestError('Invalid product ID');
     }
-    if (!Number.isInteger(quantity) || quantity <= 0) {
-      logger.error(`Invalid quantity: ${quantity}`, { userId });
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      logger.error(`Invalid variant ID: ${variantId}`);
+      throw new BadRequestError('Invalid variant ID');
+    }
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity <= 0)) {
+      logger.error(`Invalid quantity: ${quantity}`);
       throw new BadRequestError('Quantity must be a positive integer');
     }
+  }
+
+  // Helper to check that the authenticated user acts on their own cart
+  #assertOwnUser(userId, authUserId, action) {
+    if (!mongoose.isValidObjectId(userId)) {
+      logger.error(`Invalid user ID: ${userId}`);
+      throw new BadRequestError('Invalid user ID');
+    }
     if (userId !== authUserId) {
       logger.warn(`Unauthorized cart access by user ${authUserId} for user ${userId}`);
-      throw new ForbiddenError('Unauthorized to modify this cart');
+      throw new ForbiddenError(`Unauthorized to ${action} this cart`);
     }
+  }
 
+  // Helper to check a guest token is present
+  #assertGuestToken(guestToken) {
+    if (!guestToken) {
+      throw new BadRequestError('Cart token is required');
+    }
+  }
+
+  async #addItem(owner, productId, quantity, variantId) {
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
@@ -62,61 +111,51 @@ class CartService {
         isDeleted: false,
       }).session(session);
       if (!product) {
-        logger.warn(`Product not found: ${productId}`, { userId });
+        logger.warn(`Product not found: ${productId}`, owner);
         throw new NotFoundError('Product not found or unavailable');
       }
-      if (product.stock < quantity) {
-        logger.warn(`Insufficient stock for product ${productId}`, { userId });
-        throw new BadRequestError(`Insufficient stock for product ${product.name}`);
+      const purchasable = this.#resolvePurchasable(product, variantId);
+      if (purchasable.stock < quantity) {
+        logger.warn(`Insufficient stock for product ${productId}`, { ...owner, variantId });
+        throw new BadRequestError(`Insufficient stock for product ${purchasable.label}`);
       }
 
-      let cart = await Cart.findOne({ userId, isDeleted: false }).session(session);
+      let cart = await Cart.findOne(this.#ownerFilter(owner)).session(session);
       if (!cart) {
         cart = new Cart({
-          userId,
+          ...owner,
           items: [],
           totalAmount: 0,
           isDeleted: false,
         });
       }
 
-      await cart.addItem(productId, product.name, product.price, quantity, session);
+      await cart.addItem(productId, product.name, purchasable.price, quantity, session, variantId);
       await session.commitTransaction();
-      logger.info(`Added item ${productId} to cart for user ${userId}`);
+      logger.info(`Added item ${productId} to cart for ${describeOwner(owner)}`, { variantId });
       return await Cart.findById(cart._id).populate('items.productId', 'name price').lean();
     } catch (error) {
       await session.abortTransaction();
-      logger.error(`Error adding item to cart: ${error.message}`, { userId, productId });
+      logger.error(`Error adding item to cart: ${error.message}`, { ...owner, productId });
       throw error.status ? error : new BadRequestError('Failed to add item to cart');
     } finally {
       session.endSession();
     }
   }
 
-  async removeItemFromCart(userId, productId, authUserId) {
-    if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(productId)) {
-      logger.error(`Invalid ID: user ${userId}, product ${productId}`);
-      throw new BadRequestError('Invalid user or product ID');
-    }
-    if (userId !== authUserId) {
-      logger.warn(`Unauthorized cart access by user ${authUserId} for user ${userId}`);
-      throw new ForbiddenError('Unauthorized to modify this cart');
-    }
-
+  async #removeItem(owner, productId, variantId) {
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
-      const cart = await Cart.findOne({ userId, isDeleted: false }).session(session);
+      const cart = await Cart.findOne(this.#ownerFilter(owner)).session(session);
       if (!cart) {
-        logger.warn(`Cart not found for user ${userId}`);
+        logger.warn(`Cart not found for ${describeOwner(owner)}`);
         throw new NotFoundError('Cart not found');
       }
 
-      const itemIndex = cart.items.findIndex(
-        (item) => item.productId.toString() === productId
-      );
+      const itemIndex = cart.findItemIndex(productId, variantId);
       if (itemIndex === -1) {
-        logger.warn(`Item ${productId} not found in cart`, { userId });
+        logger.warn(`Item ${productId} not found in cart`, owner);
         throw new NotFoundError('Item not found in cart');
       }
 
@@ -125,31 +164,18 @@ class CartService {
 
       await cart.save({ session });
       await session.commitTransaction();
-      logger.info(`Removed item ${productId} from cart for user ${userId}`);
+      logger.info(`Removed item ${productId} from cart for ${describeOwner(owner)}`);
       return await Cart.findById(cart._id).populate('items.productId', 'name price').lean();
     } catch (error) {
       await session.abortTransaction();
-      logger.error(`Error removing item from cart: ${error.message}`, { userId, productId });
+      logger.error(`Error removing item from cart: ${error.message}`, { ...owner, productId });
       throw error.status ? error : new BadRequestError('Failed to remove item from cart');
     } finally {
       session.endSession();
     }
   }
 
-  async updateCartItemQuantity(userId, productId, quantity, authUserId) {
-    if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(productId)) {
-      logger.error(`Invalid ID: user ${userId}, product ${productId}`);
-      throw new BadRequestError('Invalid user or product ID');
-    }
-    if (!Number.isInteger(quantity) || quantity <= 0) {
-      logger.error(`Invalid quantity: ${quantity}`, { userId });
-      throw new BadRequestError('Quantity must be a positive integer');
-    }
-    if (userId !== authUserId) {
-      logger.warn(`Unauthorized cart access by user ${authUserId} for user ${userId}`);
-      throw new ForbiddenError('Unauthorized to modify this cart');
-    }
-
+  async #updateQuantity(owner, productId, quantity, variantId) {
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
@@ -159,112 +185,379 @@ class CartService {
         isDeleted: false,
       }).session(session);
       if (!product) {
-        logger.warn(`Product not found: ${productId}`, { userId });
+        logger.warn(`Product not found: ${productId}`, owner);
         throw new NotFoundError('Product not found or unavailable');
       }
-      if (product.stock < quantity) {
-        logger.warn(`Insufficient stock for product ${productId}`, { userId });
-        throw new BadRequestError(`Insufficient stock for product ${product.name}`);
+      const purchasable = this.#resolvePurchasable(product, variantId);
+      if (purchasable.stock < quantity) {
+        logger.warn(`Insufficient stock for product ${productId}`, { ...owner, variantId });
+        throw new BadRequestError(`Insufficient stock for product ${purchasable.label}`);
       }
 
-      const cart = await Cart.findOne({ userId, isDeleted: false }).session(session);
+      const cart = await Cart.findOne(this.#ownerFilter(owner)).session(session);
       if (!cart) {
-        logger.warn(`Cart not found for user ${userId}`);
+        logger.warn(`Cart not found for ${describeOwner(owner)}`);
         throw new NotFoundError('Cart not found');
       }
 
-      const itemIndex = cart.items.findIndex(
-        (item) => item.productId.toString() === productId
-      );
+      const itemIndex = cart.findItemIndex(productId, variantId);
       if (itemIndex === -1) {
-        logger.warn(`Item ${productId} not found in cart`, { userId });
+        logger.warn(`Item ${productId} not found in cart`, owner);
         throw new NotFoundError('Item not found in cart');
       }
 
       cart.items[itemIndex].quantity = quantity;
-      cart.items[itemIndex].price = product.price;
-      cart.items[itemIndex].totalPrice = product.price * quantity;
+      cart.items[itemIndex].price = purchasable.price;
+      cart.items[itemIndex].totalPrice = purchasable.price * quantity;
       cart.totalAmount = cart.items.reduce((total, item) => total + item.totalPrice, 0);
 
       await cart.save({ session });
       await session.commitTransaction();
-      logger.info(`Updated quantity of item ${productId} in cart for user ${userId}`);
+      logger.info(`Updated quantity of item ${productId} in cart for ${describeOwner(owner)}`);
       return await Cart.findById(cart._id).populate('items.productId', 'name price').lean();
     } catch (error) {
       await session.abortTransaction();
-      logger.error(`Error updating item quantity: ${error.message}`, { userId, productId });
+      logger.error(`Error updating item quantity: ${error.message}`, { ...owner, productId });
       throw error.status ? error : new BadRequestError('Failed to update item quantity');
     } finally {
       session.endSession();
     }
   }
 
-  async clearCart(userId, authUserId) {
-    if (!mongoose.isValidObjectId(userId)) {
-      logger.error(`Invalid user ID: ${userId}`);
-      throw new BadRequestError('Invalid user ID');
-    }
-    if (userId !== authUserId) {
-      logger.warn(`Unauthorized cart access by user ${authUserId} for user ${userId}`);
-      throw new ForbiddenError('Unauthorized to clear this cart');
-    }
-
+  async #clear(owner) {
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
-      const cart = await Cart.findOne({ userId, isDeleted: false }).session(session);
+      const cart = await Cart.findOne(this.#ownerFilter(owner)).session(session);
       if (!cart) {
-        logger.warn(`Cart not found for user ${userId}`);
+        logger.warn(`Cart not found for ${describeOwner(owner)}`);
         throw new NotFoundError('Cart not found');
       }
 
       cart.isDeleted = true;
       cart.items = [];
+      cart.coupons = [];
       cart.totalAmount = 0;
 
       await cart.save({ session });
       await session.commitTransaction();
-      logger.info(`Cleared cart for user ${userId}`);
+      logger.info(`Cleared cart for ${describeOwner(owner)}`);
       return { message: 'Cart cleared successfully' };
     } catch (error) {
       await session.abortTransaction();
-      logger.error(`Error clearing cart: ${error.message}`, { userId });
+      logger.error(`Error clearing cart: ${error.message}`, owner);
       throw error.status ? error : new BadRequestError('Failed to clear cart');
     } finally {
       session.endSession();
     }
   }
 
-  async getUserCart(userId, authUserId) {
-    if (!mongoose.isValidObjectId(userId)) {
-      logger.error(`Invalid user ID: ${userId}`);
-      throw new BadRequestError('Invalid user ID');
+  /**
+   * Compare a cart line with the current catalog.
+   * @param {Object} item - Cart line with productId populated.
+   * @param {Object} [display=null] - Display currency { currency, rate } for messages.
+   * @returns {Object[]} Notices: { type, message, previousPrice, currentPrice, availableQuantity }.
+   */
+  #describeChanges(item, display = null) {
+    const product = item.productId;
+    if (!product || !product.isActive || product.isDeleted) {
+      return [{ type: 'unavailable', message: `${item.name} is no longer available` }];
     }
-    if (userId !== authUserId) {
-      logger.warn(`Unauthorized cart access by user ${authUserId} for user ${userId}`);
-      throw new ForbiddenError('Unauthorized to view this cart');
+    let purchasable;
+    try {
+      purchasable = Product.resolvePurchasable(product, item.variantId);
+    } catch (error) {
+      return [{ type: 'unavailable', message: `${item.name} is no longer available` }];
+    }
+
+    const notices = [];
+    if (purchasable.stock <= 0) {
+      notices.push({ type: 'out_of_stock', message: `${purchasable.label} is out of stock`, availableQuantity: 0 });
+    } else if (purchasable.stock < item.quantity) {
+      notices.push({
+        type: 'limited_stock',
+        message: `Only ${purchasable.stock} of ${purchasable.label} left`,
+        availableQuantity: purchasable.stock,
+      });
+    }
+    if (purchasable.price !== item.price) {
+      const increased = purchasable.price > item.price;
+      notices.push({
+        type: increased ? 'price_increased' : 'price_decreased',
+        message: `The price of ${purchasable.label} went ${increased ? 'up' : 'down'} from ${formatMoneyFor(item.price, display)} to ${formatMoneyFor(purchasable.price, display)}`,
+        previousPrice: item.price,
+        currentPrice: purchasable.price,
+      });
     }
+    return notices;
+  }
+
+  // Where a cart's GST and shipping are estimated to: the given address, else a signed-in
+  // user's default shipping address
+  async #shippingAddressFor(owner, shippingAddress) {
+    if (shippingAddress || !owner.userId) return shippingAddress || {};
+    const user = await User.findById(owner.userId).select('addresses').lean();
+    const addresses = (user?.addresses || []).filter((address) => address.type !== 'billing');
+    const address = addresses.find((entry) => entry.isDefault) || addresses[0];
+    return address ? { zip: address.zip, state: address.state, country: address.country } : {};
+  }
 
+  async #getCart(owner, shippingAddress = null, currency = null) {
     try {
-      const cart = await Cart.findOne({ userId, isDeleted: false })
-        .populate('items.productId', 'name price stock isActive isDeleted')
+      const cart = await Cart.findOne(this.#ownerFilter(owner))
+        .populate('items.productId', 'name price stock reservedStock variants isActive isDeleted')
         .lean();
       if (!cart) {
-        logger.info(`No cart found for user ${userId}, returning empty cart`);
-        return { userId, items: [], totalAmount: 0 };
+        logger.info(`No cart found for ${describeOwner(owner)}, returning empty cart`);
+        return { ...owner, items: [], totalAmount: 0, hasChanges: false };
       }
-      // Filter out unavailable products
-      cart.items = cart.items.filter(
-        (item) => item.productId?.isActive && !item.productId?.isDeleted && item.productId?.stock >= item.quantity
-      );
-      cart.totalAmount = cart.items.reduce((total, item) => total + item.totalPrice, 0);
-      logger.info(`Retrieved cart for user ${userId}`);
+      const display = currency && currency !== BASE_CURRENCY ? await CurrencyService.resolve(currency) : null;
+      // Report what changed since each line was added instead of hiding stale lines
+      for (const item of cart.items) {
+        item.notices = this.#describeChanges(item, display);
+        Product.toAvailableStock(item.productId);
+      }
+      cart.hasChanges = cart.items.some((item) => item.notices.length > 0);
+      const address = await this.#shippingAddressFor(owner, shippingAddress);
+      await TaxService.estimateForCart(cart, address);
+      cart.shipping = await ShippingService.quoteCart(cart, address, display);
+      cart.grandTotal = roundMoney(cart.grandTotal + cart.shipping.total);
+      if (display) {
+        // Coupon notes were written in INR when the cart was saved
+        for (const entry of cart.coupons || []) {
+          if (entry.shortfall) entry.note = Coupon.minCartNote(entry.code, entry.shortfall, display);
+        }
+        CurrencyService.localizeCart(cart, display);
+      }
+      logger.info(`Retrieved cart for ${describeOwner(owner)}`, { hasChanges: cart.hasChanges });
       return cart;
     } catch (error) {
-      logger.error(`Error getting user cart: ${error.message}`, { userId });
+      logger.error(`Error getting cart: ${error.message}`, owner);
       throw error.status ? error : new BadRequestError('Failed to retrieve cart');
     }
   }
+
+  // Take every change reported by #describeChanges: move lines to current prices,
+  // lower quantities to what is available and drop lines that can't be bought
+  async #acceptChanges(owner) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const cart = await Cart.findOne(this.#ownerFilter(owner)).session(session);
+      if (!cart) {
+        logger.warn(`Cart not found for ${describeOwner(owner)}`);
+        throw new NotFoundError('Cart not found');
+      }
+
+      const products = await Product.find({ _id: { $in: cart.items.map((item) => item.productId) } })
+        .session(session)
+        .lean();
+      const removed = [];
+      cart.items = cart.items.filter((item) => {
+        const product = products.find((p) => p._id.toString() === item.productId.toString());
+        let purchasable = null;
+        if (product && product.isActive && !product.isDeleted) {
+          try {
+            purchasable = Product.resolvePurchasable(product, item.variantId);
+          } catch (error) {
+            purchasable = null;
+          }
+        }
+        if (!purchasable || purchasable.stock <= 0) {
+          removed.push({ productId: item.productId, variantId: item.variantId, name: item.name });
+          return false;
+        }
+        item.price = purchasable.price;
+        item.quantity = Math.min(item.quantity, purchasable.stock);
+        return true;
+      });
+
+      await cart.save({ session });
+      await session.commitTransaction();
+      logger.info(`Accepted cart changes for ${describeOwner(owner)}`, { removed: removed.length });
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error(`Error accepting cart changes: ${error.message}`, owner);
+      throw error.status ? error : new BadRequestError('Failed to update cart');
+    } finally {
+      session.endSession();
+    }
+    return this.#getCart(owner);
+  }
+
+  async addItemToCart(userId, productId, quantity, authUserId, variantId = null) {
+    this.#assertOwnUser(userId, authUserId, 'modify');
+    this.#validateItemInput(productId, variantId, quantity);
+    return this.#addItem({ userId }, productId, quantity, variantId);
+  }
+
+  async removeItemFromCart(userId, productId, authUserId, variantId = null) {
+    this.#assertOwnUser(userId, authUserId, 'modify');
+    this.#validateItemInput(productId, variantId);
+    return this.#removeItem({ userId }, productId, variantId);
+  }
+
+  async updateCartItemQuantity(userId, productId, quantity, authUserId, variantId = null) {
+    this.#assertOwnUser(userId, authUserId, 'modify');
+    this.#validateItemInput(productId, variantId, quantity);
+    return this.#updateQuantity({ userId }, productId, quantity, variantId);
+  }
+
+  /**
+   * Set the quantity of a cart line, adding the line when it is not in the cart yet.
+   * Backs the legacy /api/users/cart endpoint, which always had set-quantity semantics.
+   * @param {string} userId - Cart owner ID.
+   * @param {string} productId - Product ID.
+   * @param {number} quantity - New line quantity.
+   * @param {string} authUserId - Authenticated user ID.
+   * @param {string|null} [variantId=null] - Variant ID.
+   * @returns {Object} Updated cart.
+   */
+  async setCartItemQuantity(userId, productId, quantity, authUserId, variantId = null) {
+    this.#assertOwnUser(userId, authUserId, 'modify');
+    this.#validateItemInput(productId, variantId, quantity);
+    const owner = { userId };
+    const hasLine = await Cart.exists({
+      ...this.#ownerFilter(owner),
+      items: { $elemMatch: { productId, variantId: variantId || null } },
+    });
+    return hasLine
+      ? this.#updateQuantity(owner, productId, quantity, variantId)
+      : this.#addItem(owner, productId, quantity, variantId);
+  }
+
+  async acceptCartChanges(userId, authUserId) {
+    this.#assertOwnUser(userId, authUserId, 'modify');
+    return this.#acceptChanges({ userId });
+  }
+
+  async clearCart(userId, authUserId) {
+    this.#assertOwnUser(userId, authUserId, 'clear');
+    return this.#clear({ userId });
+  }
+
+  async getUserCart(userId, authUserId, shippingAddress = null, currency = null) {
+    this.#assertOwnUser(userId, authUserId, 'view');
+    return this.#getCart({ userId }, shippingAddress, currency);
+  }
+
+  /**
+   * Add an item to a guest cart, creating the cart (and its token) on first use.
+   * @param {string|null} guestToken - Existing cart token, if any.
+   * @param {string} productId - Product ID.
+   * @param {number} quantity - Quantity to add.
+   * @param {string|null} [variantId=null] - Variant ID.
+   * @returns {Object} { cartToken, cart }.
+   */
+  async addItemToGuestCart(guestToken, productId, quantity, variantId = null) {
+    this.#validateItemInput(productId, variantId, quantity);
+    let cartToken = guestToken;
+    if (!cartToken || !(await Cart.exists(this.#ownerFilter({ guestToken: cartToken })))) {
+      // Unknown or expired tokens start a fresh cart rather than failing the add
+      cartToken = crypto.randomBytes(24).toString('base64url');
+    }
+    const cart = await this.#addItem({ guestToken: cartToken }, productId, quantity, variantId);
+    return { cartToken, cart };
+  }
+
+  async removeItemFromGuestCart(guestToken, productId, variantId = null) {
+    this.#assertGuestToken(guestToken);
+    this.#validateItemInput(productId, variantId);
+    return this.#removeItem({ guestToken }, productId, variantId);
+  }
+
+  async updateGuestCartItemQuantity(guestToken, productId, quantity, variantId = null) {
+    this.#assertGuestToken(guestToken);
+    this.#validateItemInput(productId, variantId, quantity);
+    return this.#updateQuantity({ guestToken }, productId, quantity, variantId);
+  }
+
+  async clearGuestCart(guestToken) {
+    this.#assertGuestToken(guestToken);
+    return this.#clear({ guestToken });
+  }
+
+  async acceptGuestCartChanges(guestToken) {
+    this.#assertGuestToken(guestToken);
+    return this.#acceptChanges({ guestToken });
+  }
+
+  async getGuestCart(guestToken, shippingAddress = null, currency = null) {
+    this.#assertGuestToken(guestToken);
+    return this.#getCart({ guestToken }, shippingAddress, currency);
+  }
+
+  /**
+   * Fold a guest cart into a user's cart after sign-in. Quantities are combined and
+   * clamped to what is in stock; lines that are no longer purchasable are skipped.
+   * Every line goes through Cart#addItem so price and stock rules match a normal add.
+   * @param {string} guestToken - Guest cart token.
+   * @param {string} userId - Signed-in user ID.
+   * @returns {Object|null} { merged, skipped } or null when there was nothing to merge.
+   */
+  async mergeGuestCart(guestToken, userId) {
+    if (!guestToken || !mongoose.isValidObjectId(userId)) return null;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const guestCart = await Cart.findOne(this.#ownerFilter({ guestToken })).session(session);
+      if (!guestCart) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      let cart = await Cart.findOne(this.#ownerFilter({ userId })).session(session);
+      if (!cart) {
+        cart = new Cart({ userId, items: [], totalAmount: 0, isDeleted: false });
+      }
+
+      const merged = [];
+      const skipped = [];
+      for (const item of guestCart.items) {
+        const line = { productId: item.productId, variantId: item.variantId };
+        const product = await Product.findOne({
+          _id: item.productId,
+          isActive: true,
+          isDeleted: false,
+        }).session(session).lean();
+        if (!product) {
+          skipped.push({ ...line, reason: 'Product is no longer available' });
+          continue;
+        }
+        let purchasable;
+        try {
+          purchasable = Product.resolvePurchasable(product, item.variantId);
+        } catch (error) {
+          skipped.push({ ...line, reason: error.message });
+          continue;
+        }
+        const index = cart.findItemIndex(item.productId, item.variantId);
+        const inCart = index > -1 ? cart.items[index].quantity : 0;
+        const quantity = Math.min(item.quantity, purchasable.stock - inCart);
+        if (quantity <= 0) {
+          skipped.push({ ...line, reason: `Insufficient stock for product ${purchasable.label}` });
+          continue;
+        }
+        await cart.addItem(item.productId, product.name, purchasable.price, quantity, session, item.variantId);
+        merged.push({ ...line, quantity, requested: item.quantity });
+      }
+
+      await Cart.deleteOne({ _id: guestCart._id }).session(session);
+      await session.commitTransaction();
+      logger.info(`Merged guest cart into cart for user ${userId}`, {
+        merged: merged.length,
+        skipped: skipped.length,
+      });
+      return { merged, skipped };
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error(`Error merging guest cart: ${error.message}`, { userId });
+      throw error.status ? error : new BadRequestError('Failed to merge guest cart');
+    } finally {
+      session.endSession();
+    }
+  }
 }
 
-module.exports = new CartService();
\ No newline at end of file
+module.exports = new CartService();
@@ -0,0 +1,409 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Category = require('../models/category.model');
+const Subcategory = require('../models/subcategory.model');
+const Product = require('../models/product.model');
+
+// Custom error classes
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 409;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/categoryService.log' }),
+  ],
+});
+
+const bySortOrder = (a, b) => (a.sortOrder - b.sortOrder) || a.name.localeCompare(b.name);
+
+class CategoryService {
+  // Helper to resolve a category by ObjectId or slug
+  async #findCategory(idOrSlug, { includeInactive = false } = {}) {
+    const query = mongoose.isValidObjectId(idOrSlug)
+      ? { _id: idOrSlug, isDeleted: false }
+      : { slug: String(idOrSlug).toLowerCase(), isDeleted: false };
+    if (!includeInactive) query.isActive = true;
+    const category = await Category.findOne(query).lean();
+    if (!category) {
+      logger.warn(`Category not found: ${idOrSlug}`);
+      throw new NotFoundError('Category not found');
+    }
+    return category;
+  }
+
+  // Helper to translate duplicate-key errors into a 409
+  #rethrow(error, fallbackMessage) {
+    if (error.code === 11000) {
+      throw new ConflictError('A category or subcategory with this slug already exists');
+    }
+    throw error.status ? error : new BadRequestError(error.message || fallbackMessage);
+  }
+
+  /**
+   * Build the nested category tree with subcategories attached to each node.
+   * @param {Object} [options] - Options.
+   * @param {boolean} [options.includeInactive=false] - Include inactive categories (admin views).
+   * @returns {Object[]} Root categories, each with `children` and `subcategories`.
+   */
+  async getTree({ includeInactive = false } = {}) {
+    const filter = { isDeleted: false };
+    if (!includeInactive) filter.isActive = true;
+
+    const [categories, subcategories] = await Promise.all([
+      Category.find(filter).select('-__v').lean(),
+      Subcategory.find(filter).select('-__v').lean(),
+    ]);
+
+    const nodes = new Map(
+      categories.map((category) => [category._id.toString(), { ...category, children: [], subcategories: [] }])
+    );
+    for (const subcategory of subcategories) {
+      const node = nodes.get(subcategory.category.toString());
+      if (node) node.subcategories.push(subcategory);
+    }
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      node.subcategories.sort(bySortOrder);
+      const parent = node.parent && nodes.get(node.parent.toString());
+      if (parent) {
+        parent.children.push(node);
+      } else if (!node.parent) {
+        roots.push(node);
+      }
+      // Nodes whose parent is inactive are hidden together with their parent
+    }
+    for (const node of nodes.values()) node.children.sort(bySortOrder);
+    roots.sort(bySortOrder);
+
+    logger.info(`Built category tree with ${categories.length} categories`);
+    return roots;
+  }
+
+  /**
+   * Fetch a single category by ID or slug, with its direct children and subcategories.
+   * @param {string} idOrSlug - Category ID or slug.
+   * @returns {Object} Category document.
+   */
+  async getCategory(idOrSlug) {
+    const category = await this.#findCategory(idOrSlug);
+    const [children, subcategories] = await Promise.all([
+      Category.find({ parent: category._id, isActive: true, isDeleted: false })
+        .sort({ sortOrder: 1, name: 1 })
+        .lean(),
+      Subcategory.find({ category: category._id, isActive: true, isDeleted: false })
+        .sort({ sortOrder: 1, name: 1 })
+        .lean(),
+    ]);
+    return { ...category, children, subcategories };
+  }
+
+  /**
+   * Get the breadcrumb trail from the root down to a category.
+   * @param {string} idOrSlug - Category ID or slug.
+   * @returns {Object[]} Ordered list of { _id, name, slug }.
+   */
+  async getBreadcrumb(idOrSlug) {
+    const category = await this.#findCategory(idOrSlug);
+    const ancestors = await Category.find({ _id: { $in: category.ancestors }, isDeleted: false })
+      .select('name slug')
+      .lean();
+    const byId = new Map(ancestors.map((ancestor) => [ancestor._id.toString(), ancestor]));
+    const trail = category.ancestors
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .map(({ _id, name, slug }) => ({ _id, name, slug }));
+    trail.push({ _id: category._id, name: category.name, slug: category.slug });
+    return trail;
+  }
+
+  /**
+   * Create a category.
+   * @param {Object} data - Category data (name, slug, parent, etc.).
+   * @returns {Object} Created category document.
+   */
+  async createCategory(data) {
+    const { name, slug, description, image, parent, sortOrder, hsnCode, gstRate, returnWindowDays, isActive } = data;
+    try {
+      const category = new Category({
+        name: name.trim(),
+        slug,
+        description: description?.trim(),
+        image,
+        parent: parent || null,
+        sortOrder,
+        hsnCode: hsnCode || undefined,
+        gstRate: gstRate ?? null,
+        returnWindowDays: returnWindowDays ?? null,
+        isActive: isActive !== undefined ? isActive : true,
+      });
+      await category.save();
+      logger.info(`Created category ${category._id}`);
+      return category;
+    } catch (error) {
+      logger.error(`Error creating category: ${error.message}`);
+      this.#rethrow(error, 'Failed to create category');
+    }
+  }
+
+  /**
+   * Update a category. Moving it under a new parent rewrites the path of its whole subtree.
+   * @param {string} id - Category ID.
+   * @param {Object} data - Fields to update.
+   * @returns {Object} Updated category document.
+   */
+  async updateCategory(id, data) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new BadRequestError('Invalid category ID');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const category = await Category.findOne({ _id: id, isDeleted: false }).session(session);
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+
+      const { name, slug, description, image, parent, sortOrder, hsnCode, gstRate, returnWindowDays, isActive } = data;
+      category.name = name ? name.trim() : category.name;
+      category.slug = slug || category.slug;
+      category.description = description !== undefined ? description.trim() : category.description;
+      category.image = image || category.image;
+      category.sortOrder = sortOrder !== undefined ? sortOrder : category.sortOrder;
+      category.hsnCode = hsnCode !== undefined ? hsnCode || undefined : category.hsnCode;
+      category.gstRate = gstRate !== undefined ? gstRate : category.gstRate;
+      category.returnWindowDays = returnWindowDays !== undefined ? returnWindowDays : category.returnWindowDays;
+      category.isActive = isActive !== undefined ? isActive : category.isActive;
+
+      const previousPath = [...category.ancestors, category._id].map(String);
+      if (parent !== undefined) category.parent = parent || null;
+      const moved = category.isModified('parent');
+
+      await category.save({ session });
+
+      if (moved) {
+        const newPath = [...category.ancestors, category._id];
+        const descendants = await Category.find({ ancestors: category._id }).session(session);
+        for (const descendant of descendants) {
+          const tail = descendant.ancestors.slice(previousPath.length);
+          descendant.ancestors = [...newPath, ...tail];
+          descendant.depth = descendant.ancestors.length;
+          await descendant.save({ session });
+        }
+        logger.info(`Moved category ${id} and ${descendants.length} descendants`);
+      }
+
+      await session.commitTransaction();
+      logger.info(`Updated category ${id}`);
+      return category;
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error(`Error updating category ${id}: ${error.message}`);
+      this.#rethrow(error, 'Failed to update category');
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Soft delete a category and its subcategories. Refuses while it still has
+   * child categories or products attached.
+   * @param {string} id - Category ID.
+   * @returns {Object} Success message.
+   */
+  async deleteCategory(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new BadRequestError('Invalid category ID');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const category = await Category.findOne({ _id: id, isDeleted: false }).session(session);
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+
+      const [childCount, productCount] = await Promise.all([
+        Category.countDocuments({ parent: id, isDeleted: false }).session(session),
+        Product.countDocuments({ category: id, isDeleted: false }).session(session),
+      ]);
+      if (childCount > 0 || productCount > 0) {
+        throw new ConflictError('Category still has child categories or products; move them first');
+      }
+
+      category.isDeleted = true;
+      category.isActive = false;
+      await category.save({ session });
+      await Subcategory.updateMany(
+        { category: id, isDeleted: false },
+        { $set: { isDeleted: true, isActive: false } },
+        { session }
+      );
+
+      await session.commitTransaction();
+      logger.info(`Soft deleted category ${id}`);
+      return { message: 'Category deleted successfully' };
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error(`Error deleting category ${id}: ${error.message}`);
+      throw error.status ? error : new BadRequestError('Failed to delete category');
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Create a subcategory under a category.
+   * @param {string} categoryId - Parent category ID.
+   * @param {Object} data - Subcategory data.
+   * @returns {Object} Created subcategory document.
+   */
+  async createSubcategory(categoryId, data) {
+    if (!mongoose.isValidObjectId(categoryId)) {
+      throw new BadRequestError('Invalid category ID');
+    }
+    await this.#findCategory(categoryId, { includeInactive: true });
+
+    const { name, slug, description, sortOrder, isActive } = data;
+    try {
+      const subcategory = new Subcategory({
+        name: name.trim(),
+        slug,
+        description: description?.trim(),
+        category: categoryId,
+        sortOrder,
+        isActive: isActive !== undefined ? isActive : true,
+      });
+      await subcategory.save();
+      logger.info(`Created subcategory ${subcategory._id} under category ${categoryId}`);
+      return subcategory;
+    } catch (error) {
+      logger.error(`Error creating subcategory: ${error.message}`, { categoryId });
+      this.#rethrow(error, 'Failed to create subcategory');
+    }
+  }
+
+  /**
+   * Update a subcategory.
+   * @param {string} id - Subcategory ID.
+   * @param {Object} data - Fields to update.
+   * @returns {Object} Updated subcategory document.
+   */
+  async updateSubcategory(id, data) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new BadRequestError('Invalid subcategory ID');
+    }
+    const subcategory = await Subcategory.findOne({ _id: id, isDeleted: false });
+    if (!subcategory) {
+      throw new NotFoundError('Subcategory not found');
+    }
+
+    const { name, slug, description, category, sortOrder, isActive } = data;
+    if (category) {
+      await this.#findCategory(category, { includeInactive: true });
+      subcategory.category = category;
+    }
+    subcategory.name = name ? name.trim() : subcategory.name;
+    subcategory.slug = slug || subcategory.slug;
+    subcategory.description = description !== undefined ? description.trim() : subcategory.description;
+    subcategory.sortOrder = sortOrder !== undefined ? sortOrder : subcategory.sortOrder;
+    subcategory.isActive = isActive !== undefined ? isActive : subcategory.isActive;
+
+    try {
+      await subcategory.save();
+      logger.info(`Updated subcategory ${id}`);
+      return subcategory;
+    } catch (error) {
+      logger.error(`Error updating subcategory ${id}: ${error.message}`);
+      this.#rethrow(error, 'Failed to update subcategory');
+    }
+  }
+
+  /**
+   * Soft delete a subcategory. Refuses while products still reference it.
+   * @param {string} id - Subcategory ID.
+   * @returns {Object} Success message.
+   */
+  async deleteSubcategory(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new BadRequestError('Invalid subcategory ID');
+    }
+    const subcategory = await Subcategory.findOne({ _id: id, isDeleted: false });
+    if (!subcategory) {
+      throw new NotFoundError('Subcategory not found');
+    }
+    const productCount = await Product.countDocuments({ subcategories: id, isDeleted: false });
+    if (productCount > 0) {
+      throw new ConflictError('Subcategory is still assigned to products');
+    }
+
+    subcategory.isDeleted = true;
+    subcategory.isActive = false;
+    await subcategory.save();
+    logger.info(`Soft deleted subcategory ${id}`);
+    return { message: 'Subcategory deleted successfully' };
+  }
+
+  /**
+   * Count active products per category. `count` covers products assigned directly,
+   * `totalCount` also includes every descendant category.
+   * @returns {Object[]} List of { _id, name, slug, parent, count, totalCount }.
+   */
+  async getProductCounts() {
+    const [categories, counts] = await Promise.all([
+      Category.find({ isDeleted: false, isActive: true }).select('name slug parent ancestors').lean(),
+      Product.aggregate([
+        { $match: { isDeleted: false, isActive: true } },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const direct = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    const totals = new Map(categories.map((category) => [category._id.toString(), 0]));
+    for (const category of categories) {
+      const count = direct.get(category._id.toString()) || 0;
+      for (const id of [...category.ancestors, category._id]) {
+        const key = id.toString();
+        if (totals.has(key)) totals.set(key, totals.get(key) + count);
+      }
+    }
+
+    return categories.map((category) => ({
+      _id: category._id,
+      name: category.name,
+      slug: category.slug,
+      parent: category.parent,
+      count: direct.get(category._id.toString()) || 0,
+      totalCount: totals.get(category._id.toString()),
+    }));
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Cart = require('../models/cart.model');
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const InventoryService = require('./inventory.service');
+const CouponService = require('./coupon.service');
+const TaxService = require('./tax.service');
+const ShippingService = require('./shipping.service');
+const CurrencyService = require('./currency.service');
+const { BASE_CURRENCY, formatMoneyFor } = require('../utils/currency');
+const { sendOrderConfirmation } = require('./order.service');
+
+// Custom error classes
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 409;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/checkoutService.log' }),
+  ],
+});
+
+class CheckoutService {
+  /**
+   * Re-validate every cart line against the current catalog. Lines that changed since
+   * they were added must be accepted first (POST /api/cart/accept-changes).
+   * @param {Object} cart - Cart document.
+   * @param {Object} session - Mongoose session.
+   * @param {Object} quote - Checkout currency { currency, rate }, for messages.
+   * @returns {Object} { lines, products } - order lines and the lean products behind them.
+   */
+  async #buildOrderLines(cart, session, quote) {
+    const productIds = [...new Set(cart.items.map((item) => item.productId.toString()))];
+    const products = await Product.find({ _id: { $in: productIds }, isActive: true, isDeleted: false })
+      .session(session)
+      .lean();
+    const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+    const lines = cart.items.map((item) => {
+      const product = byId.get(item.productId.toString());
+      if (!product) {
+        throw new ConflictError(`${item.name} is no longer available. Accept the cart changes to continue`);
+      }
+      let purchasable;
+      try {
+        purchasable = Product.resolvePurchasable(product, item.variantId);
+      } catch (error) {
+        throw new ConflictError(error.message);
+      }
+      if (purchasable.price !== item.price) {
+        throw new ConflictError(
+          `The price of ${purchasable.label} changed from ${formatMoneyFor(item.price, quote)} to ${formatMoneyFor(purchasable.price, quote)}. Accept the cart changes to continue`
+        );
+      }
+      if (purchasable.stock < item.quantity) {
+        throw new ConflictError(`Insufficient stock for product ${purchasable.label}. Accept the cart changes to continue`);
+      }
+      return {
+        productId: product._id,
+        variantId: purchasable.variant ? purchasable.variant._id : null,
+        sku: purchasable.sku || undefined,
+        name: purchasable.label,
+        quantity: item.quantity,
+        price: purchasable.price,
+        sellerId: product.seller,
+      };
+    });
+    return { lines, products };
+  }
+
+  /**
+   * Turn the user's cart into an order. Stock is taken (cash on delivery) or held for
+   * payment with conditional updates in the same transaction that creates the order and
+   * empties the cart, so either all of it happens or none of it does.
+   * @param {string} userId - Buyer ID.
+   * @param {Object} data - { shippingAddress, billingAddress, paymentMethod, currency }.
+   * @returns {Object} Created order.
+   */
+  async checkout(userId, { shippingAddress, billingAddress, paymentMethod = 'razorpay', currency } = {}) {
+    if (!mongoose.isValidObjectId(userId)) {
+      throw new BadRequestError('Invalid user ID');
+    }
+    // The rate is fixed on the order here; the gateway is charged paymentAmount in it
+    const quote = await CurrencyService.resolve(currency);
+    if (paymentMethod === 'cod' && quote.currency !== BASE_CURRENCY) {
+      throw new BadRequestError('Cash on delivery is only available in INR');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let order;
+    try {
+      const cart = await Cart.findOne({ userId, isDeleted: false }).session(session);
+      if (!cart || cart.items.length === 0) {
+        throw new BadRequestError('Your cart is empty');
+      }
+
+      const { lines, products } = await this.#buildOrderLines(cart, session, quote);
+      order = new Order({
+        userId,
+        products: lines,
+        paymentStatus: 'pending',
+        status: 'placed',
+        shippingAddress: shippingAddress || {},
+        billingAddress: billingAddress || shippingAddress || {},
+        paymentMethod,
+        currency: quote.currency,
+        exchangeRate: quote.rate,
+      });
+      // Re-checks applied coupons, sets line discounts and records the redemptions
+      await CouponService.redeemForOrder(cart, order, products, session);
+      // GST on each line's value after discount, by the seller's and the shipping state
+      await TaxService.applyToOrder(order, products, session);
+      // Per-seller shipping; a free-shipping coupon waives it for the sellers it covers
+      await ShippingService.applyToOrder(order, session);
+      await order.save({ session });
+
+      // Cash on delivery sells the stock now; online payments hold it until the
+      // payment is verified (see InventoryService)
+      if (paymentMethod === 'cod') {
+        for (const line of lines) {
+          if (!(await Product.decrementStock(line.productId, line.variantId, line.quantity, session))) {
+            throw new ConflictError(`Insufficient stock for product ${line.name}`);
+          }
+        }
+      } else {
+        await InventoryService.reserveOrder(order, session);
+      }
+
+      cart.items = [];
+      cart.coupons = [];
+      cart.totalAmount = 0;
+      cart.isDeleted = true;
+      await cart.save({ session });
+
+      await session.commitTransaction();
+      logger.info(`Checked out cart ${cart._id} into order ${order._id} for user ${userId}`, {
+        lines: lines.length,
+        taxAmount: order.taxAmount,
+        shippingAmount: order.shippingAmount,
+        totalAmount: order.totalAmount,
+        currency: order.currency,
+        paymentAmount: order.paymentAmount,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error(`Checkout failed for user ${userId}: ${error.message}`);
+      throw error.status ? error : new Error(`Checkout failed: ${error.message}`);
+    } finally {
+      session.endSession();
+    }
+
+    await sendOrderConfirmation(order);
+    return order.toObject();
+  }
+}
+
+module.exports = new CheckoutService();
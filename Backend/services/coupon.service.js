@@ -0,0 +1,336 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Coupon = require('../models/coupon.model');
+const CouponRedemption = require('../models/couponRedemption.model');
+const CouponUsage = require('../models/couponUsage.model');
+const Cart = require('../models/cart.model');
+const Order = require('../models/order.model');
+const { paginate } = require('../utils/pagination');
+
+// Custom error classes
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 409;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/couponService.log' }),
+  ],
+});
+
+class CouponService {
+  // Helper to map duplicate-code and validation errors to 4xx responses
+  #toClientError(error) {
+    if (error.code === 11000) return new ConflictError('A coupon with this code already exists');
+    if (error.name === 'ValidationError' || !error.status) return new BadRequestError(error.message);
+    return error;
+  }
+
+  /**
+   * Check the rules that depend on who is redeeming: validity window, global and
+   * per-user usage limits and first-order-only.
+   * @param {Object} coupon - Coupon document.
+   * @param {string} userId - Redeeming user ID.
+   * @param {Object} [session=null] - Mongoose session.
+   */
+  async #assertRedeemable(coupon, userId, session = null) {
+    if (!coupon.isCurrentlyValid()) {
+      throw new BadRequestError(`Coupon ${coupon.code} is not valid right now`);
+    }
+    if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+      throw new ConflictError(`Coupon ${coupon.code} has reached its usage limit`);
+    }
+    if (coupon.perUserLimit !== null) {
+      const usage = await CouponUsage.findOne({ coupon: coupon._id, user: userId }).session(session).lean();
+      if ((usage?.count || 0) >= coupon.perUserLimit) {
+        throw new ConflictError(`You have already used coupon ${coupon.code}`);
+      }
+    }
+    if (coupon.firstOrderOnly) {
+      const hasOrdered = await Order.exists({ userId, isDeleted: false, status: { $ne: 'cancelled' } }).session(session);
+      if (hasOrdered) {
+        throw new ConflictError(`Coupon ${coupon.code} is only valid on your first order`);
+      }
+    }
+  }
+
+  // Helper to count one of the user's uses of a coupon. The increment only matches below
+  // the per-user limit, so concurrent checkouts can't both take the last use.
+  async #claimUse(coupon, userId, session) {
+    const filter = { coupon: coupon._id, user: userId };
+    if (coupon.perUserLimit !== null) filter.count = { $lt: coupon.perUserLimit };
+    try {
+      await CouponUsage.updateOne(filter, { $inc: { count: 1 } }, { upsert: true, session });
+    } catch (error) {
+      // The counter exists but is at the limit, so the upsert tried to add another
+      if (error.code === 11000) throw new ConflictError(`You have already used coupon ${coupon.code}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a coupon.
+   * @param {Object} data - Coupon fields.
+   * @param {string} adminId - Creating admin ID.
+   * @returns {Object} Created coupon.
+   */
+  async createCoupon(data, adminId) {
+    try {
+      const coupon = await Coupon.create({ ...data, createdBy: adminId });
+      logger.info(`Created coupon ${coupon.code}`, { adminId });
+      return coupon.toObject();
+    } catch (error) {
+      logger.error(`Error creating coupon: ${error.message}`);
+      throw this.#toClientError(error);
+    }
+  }
+
+  /**
+   * Update a coupon. Usage counters cannot be changed here.
+   * @param {string} couponId - Coupon ID.
+   * @param {Object} data - Fields to change.
+   * @returns {Object} Updated coupon.
+   */
+  async updateCoupon(couponId, data) {
+    if (!mongoose.isValidObjectId(couponId)) {
+      throw new BadRequestError('Invalid coupon ID');
+    }
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      throw new NotFoundError('Coupon not found');
+    }
+    const { usageCount, createdBy, ...changes } = data;
+    coupon.set(changes);
+    try {
+      await coupon.save();
+    } catch (error) {
+      logger.error(`Error updating coupon ${couponId}: ${error.message}`);
+      throw this.#toClientError(error);
+    }
+    logger.info(`Updated coupon ${coupon.code}`);
+    return coupon.toObject();
+  }
+
+  /**
+   * Switch a coupon off. Redemption history is kept.
+   * @param {string} couponId - Coupon ID.
+   * @returns {Object} Deactivated coupon.
+   */
+  async deactivateCoupon(couponId) {
+    return this.updateCoupon(couponId, { isActive: false });
+  }
+
+  /**
+   * List coupons, newest first.
+   * @param {Object} options - Pagination options plus optional `active` filter.
+   * @returns {Object} Paginated envelope of coupons.
+   */
+  async getCoupons({ active, ...options }) {
+    const filter = {};
+    if (active !== undefined) filter.isActive = active;
+    return paginate(Coupon, filter, options);
+  }
+
+  /**
+   * Apply a coupon to the user's cart. Totals are recomputed by the cart on save.
+   * @param {string} userId - Cart owner ID.
+   * @param {string} code - Coupon code.
+   * @returns {Object} Updated cart.
+   */
+  async applyToCart(userId, code) {
+    const cart = await Cart.findOne({ userId, isDeleted: false });
+    if (!cart || cart.items.length === 0) {
+      throw new BadRequestError('Add items to your cart before applying a coupon');
+    }
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    if (!coupon) {
+      throw new NotFoundError('Invalid coupon code');
+    }
+    if (cart.coupons.some((entry) => entry.coupon.toString() === coupon._id.toString())) {
+      throw new ConflictError(`Coupon ${coupon.code} is already applied`);
+    }
+    await this.#assertRedeemable(coupon, userId);
+
+    if (cart.coupons.length > 0) {
+      const applied = await Coupon.find({ _id: { $in: cart.coupons.map((entry) => entry.coupon) } })
+        .select('stackable')
+        .lean();
+      if (!coupon.stackable || applied.some((item) => !item.stackable)) {
+        throw new ConflictError(`Coupon ${coupon.code} cannot be combined with the coupons already applied`);
+      }
+    }
+
+    cart.coupons.push({ coupon: coupon._id, code: coupon.code });
+    await cart.save();
+    const entry = cart.coupons[cart.coupons.length - 1];
+    if (entry.note) {
+      // The coupon would not give anything yet, so take it off again
+      const { note } = entry;
+      cart.coupons.pull(entry._id);
+      await cart.save();
+      throw new BadRequestError(note);
+    }
+    logger.info(`Applied coupon ${coupon.code} to cart of user ${userId}`, { discount: entry.discount });
+    return cart.toObject();
+  }
+
+  /**
+   * Remove a coupon from the user's cart.
+   * @param {string} userId - Cart owner ID.
+   * @param {string} code - Coupon code.
+   * @returns {Object} Updated cart.
+   */
+  async removeFromCart(userId, code) {
+    const cart = await Cart.findOne({ userId, isDeleted: false });
+    const index = cart ? cart.coupons.findIndex((entry) => entry.code === code.trim().toUpperCase()) : -1;
+    if (index === -1) {
+      throw new NotFoundError('Coupon is not applied to your cart');
+    }
+    cart.coupons.splice(index, 1);
+    await cart.save();
+    logger.info(`Removed coupon ${code} from cart of user ${userId}`);
+    return cart.toObject();
+  }
+
+  /**
+   * Re-check the cart's coupons at checkout, count their use and record redemptions.
+   * Sets the per-line discounts and coupon summary on the (unsaved) order.
+   * @param {Object} cart - Cart document being checked out.
+   * @param {Object} order - New order document, not yet saved.
+   * @param {Object[]} products - Lean products of the cart lines.
+   * @param {Object} session - Mongoose session of the checkout transaction.
+   */
+  async redeemForOrder(cart, order, products, session) {
+    if (cart.coupons.length === 0) return;
+
+    const coupons = await Coupon.find({ _id: { $in: cart.coupons.map((entry) => entry.coupon) } }).session(session);
+    for (const coupon of coupons) {
+      await this.#assertRedeemable(coupon, order.userId, session);
+    }
+    const allocations = cart.applyCoupons(products, coupons, { currency: order.currency, rate: order.exchangeRate });
+    const ineligible = cart.coupons.find((entry) => entry.note);
+    if (ineligible) {
+      throw new ConflictError(`${ineligible.note}. Remove coupon ${ineligible.code} to continue`);
+    }
+
+    for (const coupon of coupons) {
+      // Conditional increment so the global limit holds under concurrent checkouts
+      const result = await Coupon.updateOne(
+        {
+          _id: coupon._id,
+          $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }],
+        },
+        { $inc: { usageCount: 1 } },
+        { session }
+      );
+      if (result.modifiedCount !== 1) {
+        throw new ConflictError(`Coupon ${coupon.code} has reached its usage limit`);
+      }
+      await this.#claimUse(coupon, order.userId, session);
+    }
+
+    for (const line of order.products) {
+      line.discount = allocations[Cart.lineKey(line.productId, line.variantId)] || 0;
+    }
+    order.coupons = cart.coupons.map(({ coupon, code, discount, freeShipping }) => ({ coupon, code, discount, freeShipping }));
+    order.freeShipping = cart.freeShipping;
+    order.freeShippingSellers = cart.freeShippingSellers;
+
+    await CouponRedemption.create(
+      cart.coupons.map((entry) => ({
+        coupon: entry.coupon,
+        code: entry.code,
+        user: order.userId,
+        order: order._id,
+        discount: entry.discount,
+      })),
+      { session, ordered: true }
+    );
+    logger.info(`Redeemed coupons for order ${order._id}`, { codes: cart.coupons.map((entry) => entry.code) });
+  }
+
+  /**
+   * Give back the coupon uses of an order that was cancelled in full or never paid (its
+   * stock hold lapsed or the payment failed), so they stop counting towards the usage
+   * and per-user limits. Safe to call repeatedly.
+   * @param {string} orderId - Order ID.
+   * @param {Object} [session=null] - Mongoose session.
+   * @returns {number} Redemptions released.
+   */
+  async releaseForOrder(orderId, session = null) {
+    const redemptions = await CouponRedemption.find({ order: orderId, releasedAt: null }).session(session);
+    let released = 0;
+    for (const redemption of redemptions) {
+      const result = await CouponRedemption.updateOne(
+        { _id: redemption._id, releasedAt: null },
+        { releasedAt: new Date() },
+        { session }
+      );
+      if (result.modifiedCount !== 1) continue;
+      await Coupon.updateOne({ _id: redemption.coupon, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } }, { session });
+      await CouponUsage.updateOne(
+        { coupon: redemption.coupon, user: redemption.user, count: { $gt: 0 } },
+        { $inc: { count: -1 } },
+        { session }
+      );
+      released += 1;
+    }
+    if (released > 0) logger.info(`Released ${released} coupon redemptions of order ${orderId}`);
+    return released;
+  }
+
+  /**
+   * Count the released coupon uses of an order again when its payment comes in after
+   * all. The buyer paid the discounted price, so they count even past the limits.
+   * @param {string} orderId - Order ID.
+   * @param {Object} [session=null] - Mongoose session.
+   * @returns {number} Redemptions restored.
+   */
+  async restoreForOrder(orderId, session = null) {
+    const redemptions = await CouponRedemption.find({ order: orderId, releasedAt: { $ne: null } }).session(session);
+    let restored = 0;
+    for (const redemption of redemptions) {
+      const result = await CouponRedemption.updateOne(
+        { _id: redemption._id, releasedAt: { $ne: null } },
+        { releasedAt: null },
+        { session }
+      );
+      if (result.modifiedCount !== 1) continue;
+      await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usageCount: 1 } }, { session });
+      await CouponUsage.updateOne(
+        { coupon: redemption.coupon, user: redemption.user },
+        { $inc: { count: 1 } },
+        { upsert: true, session }
+      );
+      restored += 1;
+    }
+    if (restored > 0) logger.warn(`Restored ${restored} coupon redemptions of order ${orderId} paid after they were released`);
+    return restored;
+  }
+}
+
+module.exports = new CouponService();
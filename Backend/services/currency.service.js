@@ -0,0 +1,158 @@
+const winston = require('winston');
+const ExchangeRate = require('../models/exchangeRate.model');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, toCurrency } = require('../utils/currency');
+
+// Custom error classes
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/currencyService.log' }),
+  ],
+});
+
+class CurrencyService {
+  #assertForeignCurrency(currency) {
+    if (!SUPPORTED_CURRENCIES.includes(currency) || currency === BASE_CURRENCY) {
+      throw new BadRequestError(`Exchange rates can only be set for ${SUPPORTED_CURRENCIES.filter((code) => code !== BASE_CURRENCY).join(', ')}`);
+    }
+  }
+
+  // Converted copy of the INR amounts named in `fields`
+  #convert(source, fields, rate) {
+    return Object.fromEntries(fields
+      .filter((field) => source[field] !== undefined && source[field] !== null)
+      .map((field) => [field, toCurrency(source[field], rate)]));
+  }
+
+  /**
+   * Resolve the rate to show or charge a currency at.
+   * @param {string} [currency=BASE_CURRENCY] - ISO currency code.
+   * @returns {Object} { currency, rate } where rate is rupees per unit (1 for INR).
+   */
+  async resolve(currency = BASE_CURRENCY) {
+    const code = String(currency).toUpperCase();
+    if (code === BASE_CURRENCY) return { currency: BASE_CURRENCY, rate: 1 };
+    if (!SUPPORTED_CURRENCIES.includes(code)) {
+      throw new BadRequestError(`Unsupported currency: ${code}`);
+    }
+    const entry = await ExchangeRate.findOne({ currency: code, isActive: true }).lean();
+    if (!entry) {
+      throw new BadRequestError(`Prices in ${code} are not available right now`);
+    }
+    return { currency: code, rate: entry.inrPerUnit };
+  }
+
+  /**
+   * List the active exchange rates.
+   * @returns {Object} { base, rates: [{ currency, inrPerUnit, updatedAt }] }.
+   */
+  async getRates() {
+    const rates = await ExchangeRate.find({ isActive: true })
+      .select('currency inrPerUnit updatedAt')
+      .sort({ currency: 1 })
+      .lean();
+    return {
+      base: BASE_CURRENCY,
+      rates: rates.map(({ currency, inrPerUnit, updatedAt }) => ({ currency, inrPerUnit, updatedAt })),
+    };
+  }
+
+  /**
+   * Set (or replace) the rate of a currency. Orders keep the rate they were placed at.
+   * @param {string} currency - ISO currency code other than INR.
+   * @param {number} inrPerUnit - Rupees per unit of the currency.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} Saved rate.
+   */
+  async setRate(currency, inrPerUnit, adminId) {
+    const code = String(currency).toUpperCase();
+    this.#assertForeignCurrency(code);
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency: code },
+      { inrPerUnit, isActive: true, updatedBy: adminId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    logger.info(`Set exchange rate for ${code}`, { inrPerUnit, by: adminId });
+    return rate;
+  }
+
+  /**
+   * Stop offering a currency; shoppers asking for it get an error until a rate is set again.
+   * @param {string} currency - ISO currency code other than INR.
+   * @param {string} adminId - Admin making the change.
+   */
+  async deactivateRate(currency, adminId) {
+    const code = String(currency).toUpperCase();
+    this.#assertForeignCurrency(code);
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency: code, isActive: true },
+      { isActive: false, updatedBy: adminId },
+      { new: true }
+    );
+    if (!rate) throw new NotFoundError(`No active exchange rate for ${code}`);
+    logger.info(`Deactivated exchange rate for ${code}`, { by: adminId });
+  }
+
+  /**
+   * Attach `display` prices in the quoted currency to (lean) products and their variants.
+   * The INR fields are left untouched.
+   * @param {Object[]} products - Lean products.
+   * @param {Object} quote - { currency, rate } from resolve().
+   * @returns {Object[]} The products.
+   */
+  localizeProducts(products, { currency, rate }) {
+    for (const product of products) {
+      product.display = { currency, ...this.#convert(product, ['price', 'discountPrice'], rate) };
+      for (const variant of product.variants || []) {
+        variant.display = { currency, ...this.#convert(variant, ['price', 'discountPrice'], rate) };
+      }
+    }
+    return products;
+  }
+
+  /**
+   * Attach `display` amounts in the quoted currency to a (lean) cart from getCart.
+   * @param {Object} cart - Lean cart with tax, shipping and grandTotal.
+   * @param {Object} quote - { currency, rate } from resolve().
+   * @returns {Object} The cart.
+   */
+  localizeCart(cart, { currency, rate }) {
+    for (const item of cart.items) {
+      item.display = {
+        currency,
+        price: toCurrency(item.price, rate),
+        lineTotal: toCurrency(item.price * item.quantity - (item.discount || 0), rate),
+      };
+    }
+    cart.display = {
+      currency,
+      rate,
+      ...this.#convert(cart, ['totalAmount', 'discountAmount', 'payableAmount', 'grandTotal'], rate),
+      tax: cart.tax ? toCurrency(cart.tax.total, rate) : undefined,
+      shipping: cart.shipping ? toCurrency(cart.shipping.total, rate) : undefined,
+    };
+    return cart;
+  }
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Reservation = require('../models/reservation.model');
+const Product = require('../models/product.model');
+const CouponService = require('./coupon.service');
+
+// Custom error classes
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 409;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/inventoryService.log' }),
+  ],
+});
+
+// How long a checkout may hold stock while the buyer pays
+const RESERVATION_TTL_MS = Number(process.env.RESERVATION_TTL_MS) || 15 * 60 * 1000; // 15 minutes
+
+class InventoryService {
+  // Helper to run work in the caller's transaction, or in a new one when there is none
+  async #inTransaction(session, work) {
+    if (session) return work(session);
+    const ownSession = await mongoose.startSession();
+    ownSession.startTransaction();
+    try {
+      const result = await work(ownSession);
+      await ownSession.commitTransaction();
+      return result;
+    } catch (error) {
+      await ownSession.abortTransaction();
+      throw error;
+    } finally {
+      ownSession.endSession();
+    }
+  }
+
+  // Helper to give back the stock of a reservation and mark it released
+  async #release(reservation, reason, session) {
+    for (const item of reservation.items) {
+      await Product.releaseReservedStock(item.productId, item.variantId, item.quantity, session);
+    }
+    reservation.status = 'released';
+    reservation.releasedAt = new Date();
+    reservation.releaseReason = reason;
+    await reservation.save({ session });
+  }
+
+  /**
+   * Hold stock for every line of an order until it is paid. An order that already
+   * has an active hold gets its expiry extended instead.
+   * @param {Object} order - Order document (products with productId, variantId, quantity).
+   * @param {Object} [session=null] - Mongoose session; a transaction is started when omitted.
+   * @returns {Object} Active reservation.
+   */
+  async reserveOrder(order, session = null) {
+    return this.#inTransaction(session, async (txn) => {
+      const expiresAt = new Date(Date.now() + RESERVATION_TTL_MS);
+      const existing = await Reservation.findOne({ order: order._id, status: 'active' }).session(txn);
+      if (existing && existing.expiresAt > new Date()) {
+        existing.expiresAt = expiresAt;
+        await existing.save({ session: txn });
+        logger.info(`Extended stock reservation for order ${order._id}`);
+        return existing.toObject();
+      }
+      // An expired hold the job has not picked up yet is released before re-holding
+      if (existing) await this.#release(existing, 'expired', txn);
+
+      const items = order.products.filter((line) => !line.cancelled).map(({ productId, variantId, name, quantity }) => ({
+        productId,
+        variantId: variantId || null,
+        name,
+        quantity,
+      }));
+      for (const item of items) {
+        if (!(await Product.reserveStock(item.productId, item.variantId, item.quantity, txn))) {
+          throw new ConflictError(`Insufficient stock for product ${item.name || item.productId}`);
+        }
+      }
+      const [reservation] = await Reservation.create([{
+        order: order._id,
+        user: order.userId,
+        items,
+        expiresAt,
+      }], { session: txn });
+      logger.info(`Reserved stock for order ${order._id}`, { lines: items.length, expiresAt });
+      return reservation.toObject();
+    });
+  }
+
+  /**
+   * Turn an order's hold into a sale after a successful payment. If the hold already
+   * lapsed, the stock is taken directly when all of it is still available; otherwise
+   * nothing is taken, so the caller's transaction can carry on.
+   * @param {string} orderId - Order ID.
+   * @param {Object} [order=null] - Order document, used when the hold has lapsed.
+   * @param {Object} [session=null] - Mongoose session.
+   * @returns {boolean} False when the hold lapsed and the stock is gone.
+   */
+  async convertReservation(orderId, order = null, session = null) {
+    return this.#inTransaction(session, async (txn) => {
+      const reservation = await Reservation.findOne({ order: orderId, status: 'active' }).session(txn);
+      if (reservation) {
+        for (const item of reservation.items) {
+          await Product.commitReservedStock(item.productId, item.variantId, item.quantity, txn);
+        }
+        reservation.status = 'converted';
+        await reservation.save({ session: txn });
+        logger.info(`Converted stock reservation for order ${orderId}`);
+        return true;
+      }
+
+      if (!order) return false;
+      const taken = [];
+      for (const line of order.products.filter((item) => !item.cancelled)) {
+        if (!(await Product.decrementStock(line.productId, line.variantId, line.quantity, txn))) {
+          for (const item of taken) {
+            await Product.restoreStock(item.productId, item.variantId, item.quantity, txn);
+          }
+          logger.error(`Paid order ${orderId} lost its stock hold and ${line.productId} is sold out`);
+          return false;
+        }
+        taken.push(line);
+      }
+      logger.warn(`Took stock directly for paid order ${orderId} after its hold lapsed`);
+      return true;
+    });
+  }
+
+  /**
+   * Give back an order's held stock, e.g. when payment fails.
+   * @param {string} orderId - Order ID.
+   * @param {string} reason - 'payment_failed', 'expired' or 'cancelled'.
+   * @param {Object} [session=null] - Mongoose session.
+   * @returns {boolean} Whether there was an active hold.
+   */
+  async releaseReservation(orderId, reason, session = null) {
+    return this.#inTransaction(session, async (txn) => {
+      const reservation = await Reservation.findOne({ order: orderId, status: 'active' }).session(txn);
+      if (!reservation) return false;
+      await this.#release(reservation, reason, txn);
+      logger.info(`Released stock reservation for order ${orderId}`, { reason });
+      return true;
+    });
+  }
+
+  /**
+   * Give back the stock of cancelled order lines: units still held for payment are
+   * released, units already sold (cash on delivery, or paid with the stock taken) are
+   * restocked. Unpaid online orders whose hold lapsed took nothing.
+   * @param {Object} order - Order document.
+   * @param {Object[]} lines - Cancelled lines (productId, variantId, quantity).
+   * @param {Object} [session=null] - Mongoose session.
+   * @returns {string} 'released', 'restocked' or 'none' when no stock was taken.
+   */
+  async restoreCancelledLines(order, lines, session = null) {
+    return this.#inTransaction(session, async (txn) => {
+      const sameItem = (a, b) => a.productId.toString() === b.productId.toString()
+        && String(a.variantId || '') === String(b.variantId || '');
+      const reservation = await Reservation.findOne({ order: order._id, status: 'active' }).session(txn);
+      if (reservation) {
+        for (const line of lines) {
+          const item = reservation.items.find((entry) => sameItem(entry, line));
+          if (!item) continue;
+          const quantity = Math.min(item.quantity, line.quantity);
+          await Product.releaseReservedStock(item.productId, item.variantId, quantity, txn);
+          item.quantity -= quantity;
+        }
+        reservation.items = reservation.items.filter((item) => item.quantity > 0);
+        if (reservation.items.length === 0) {
+          reservation.status = 'released';
+          reservation.releasedAt = new Date();
+          reservation.releaseReason = 'cancelled';
+        }
+        await reservation.save({ session: txn });
+        logger.info(`Released held stock of cancelled lines of order ${order._id}`, { lines: lines.length });
+        return 'released';
+      }
+
+      const sold = order.paymentMethod === 'cod'
+        || (order.paymentStatus === 'completed' && !order.stockShortfall);
+      if (!sold) return 'none';
+      for (const line of lines) {
+        await Product.restoreStock(line.productId, line.variantId, line.quantity, txn);
+      }
+      logger.info(`Restocked cancelled lines of order ${order._id}`, { lines: lines.length });
+      return 'restocked';
+    });
+  }
+
+  /**
+   * Release every hold whose payment window has passed.
+   * Called periodically by jobs/reservation.job.js.
+   * @returns {number} Holds released.
+   */
+  async releaseExpired() {
+    const expired = await Reservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+      .select('_id')
+      .lean();
+    let released = 0;
+    for (const { _id } of expired) {
+      try {
+        await this.#inTransaction(null, async (txn) => {
+          // Re-read inside the transaction so a concurrent payment wins
+          const reservation = await Reservation.findOne({ _id, status: 'active' }).session(txn);
+          if (!reservation) return;
+          await this.#release(reservation, 'expired', txn);
+          // The order was never paid, so its coupons count as unused again
+          await CouponService.releaseForOrder(reservation.order, txn);
+          released += 1;
+        });
+      } catch (error) {
+        logger.error(`Failed to release reservation ${_id}: ${error.message}`);
+      }
+    }
+    if (released > 0) logger.info(`Released ${released} expired stock reservations`);
+    return released;
+  }
+}
+
+module.exports = new InventoryService();
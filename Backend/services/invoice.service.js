@@ -0,0 +1,380 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Invoice = require('../models/invoice.model');
+const InvoiceSequence = require('../models/invoiceSequence.model');
+const Order = require('../models/order.model');
+const ReturnRequest = require('../models/returnRequest.model');
+const User = require('../models/user.model');
+const { roundMoney, stateCode } = require('../utils/gst');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+
+// Custom error classes
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/invoiceService.log' }),
+  ],
+});
+
+// A fulfilment is invoiced once it ships (the time of supply)
+const INVOICEABLE_STATUSES = ['shipped', 'out_for_delivery', 'delivered', 'return_requested', 'returned', 'refunded'];
+
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN',
+};
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Required on use, as order.service requires this module
+const findOrderFor = (...args) => require('./order.service').findOrderFor(...args);
+
+// Indian financial year (April to March, IST) of a date, e.g. '2026-27'
+const financialYearOf = (date) => {
+  const local = new Date(date.getTime() + IST_OFFSET_MS);
+  const start = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// Line amounts as billed: the GST breakdown stored on the order line, scaled to `quantity`
+const billedLine = (line, quantity = line.quantity) => {
+  const share = quantity / line.quantity;
+  const value = line.price * line.quantity - (line.discount || 0);
+  const taxableValue = roundMoney((line.taxableValue ?? value) * share);
+  const cgst = roundMoney((line.cgst || 0) * share);
+  const sgst = roundMoney((line.sgst || 0) * share);
+  const igst = roundMoney((line.igst || 0) * share);
+  const taxAmount = roundMoney(cgst + sgst + igst);
+  return {
+    lineId: line._id,
+    name: line.name,
+    sku: line.sku,
+    hsnCode: line.hsnCode,
+    quantity,
+    unitPrice: line.price,
+    discount: roundMoney((line.discount || 0) * share),
+    taxableValue,
+    gstRate: line.gstRate,
+    cgst,
+    sgst,
+    igst,
+    taxAmount,
+    total: roundMoney(taxableValue + taxAmount),
+  };
+};
+
+// Document totals from its lines (plus the shipping charge on invoices)
+const totalsOf = (lines, shippingCharge = 0) => {
+  const sumOf = (field) => roundMoney(lines.reduce((sum, line) => sum + (line[field] || 0), 0));
+  return {
+    taxableValue: sumOf('taxableValue'),
+    cgstAmount: sumOf('cgst'),
+    sgstAmount: sumOf('sgst'),
+    igstAmount: sumOf('igst'),
+    taxAmount: sumOf('taxAmount'),
+    totalAmount: roundMoney(sumOf('total') + shippingCharge),
+  };
+};
+
+class InvoiceService {
+  // Create the seller's series for the type and financial year if it's new. Done outside
+  // the numbering transaction: two first issues racing to create it there would abort.
+  async #ensureSequence(sellerId, type, financialYear) {
+    try {
+      await InvoiceSequence.updateOne(
+        { seller: sellerId, type, financialYear },
+        { $setOnInsert: { seq: 0 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Created concurrently
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Next number in the seller's series for the type and financial year, e.g. INV-2627-000042
+  async #nextNumber(sellerId, type, financialYear, session) {
+    const sequence = await InvoiceSequence.findOneAndUpdate(
+      { seller: sellerId, type, financialYear },
+      { $inc: { seq: 1 } },
+      { new: true, session }
+    );
+    if (!sequence) {
+      throw new Error(`No ${type} series for seller ${sellerId} in ${financialYear}`);
+    }
+    const year = financialYear.replace('-', '').slice(2);
+    return `${NUMBER_PREFIXES[type]}-${year}-${String(sequence.seq).padStart(6, '0')}`;
+  }
+
+  // Seller details printed as the supplier; the state code comes from the GSTIN when there is one
+  async #supplierOf(sellerId) {
+    const seller = await User.findById(sellerId).select('name sellerProfile addresses').lean();
+    const profile = seller?.sellerProfile || {};
+    const fallback = (seller?.addresses || []).find((address) => address.isDefault) || seller?.addresses?.[0];
+    const address = profile.address?.street ? profile.address : fallback;
+    return {
+      name: profile.storeName || seller?.name,
+      gstin: profile.gstin,
+      address: address ? {
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        zip: address.zip,
+        country: address.country,
+      } : undefined,
+      stateCode: profile.gstin ? profile.gstin.slice(0, 2) : stateCode(address?.state),
+    };
+  }
+
+  // Buyer details and the order-level fields every document of the order shares
+  async #orderDetails(order) {
+    const buyer = await User.findById(order.userId).select('name email').lean();
+    const hasBilling = Boolean(order.billingAddress?.street);
+    return {
+      order: order._id,
+      user: order.userId,
+      recipient: {
+        name: buyer?.name,
+        email: buyer?.email,
+        billingAddress: hasBilling ? order.billingAddress : order.shippingAddress,
+        shippingAddress: order.shippingAddress,
+      },
+      placeOfSupply: {
+        state: order.shippingAddress?.state,
+        stateCode: stateCode(order.shippingAddress?.state),
+      },
+      pricesIncludeTax: order.pricesIncludeTax,
+      currency: order.currency,
+      exchangeRate: order.exchangeRate,
+    };
+  }
+
+  // Helper to number and save a document in one transaction, so a failed save doesn't use
+  // up a number. Write conflicts on the sequence are retried; when the document turns out
+  // to have been issued concurrently, that one is returned. Any other failure is raised.
+  async #issue(data, findExisting) {
+    const issuedAt = new Date();
+    const financialYear = financialYearOf(issuedAt);
+    await this.#ensureSequence(data.seller, data.type, financialYear);
+
+    const session = await mongoose.startSession();
+    let document;
+    try {
+      await session.withTransaction(async () => {
+        const number = await this.#nextNumber(data.seller, data.type, financialYear, session);
+        [document] = await Invoice.create([{ ...data, number, financialYear, issuedAt }], { session });
+      });
+      return document;
+    } catch (error) {
+      // Only the one-per-fulfilment and one-per-refund indexes mean it already exists
+      const issuedConcurrently = error.code === 11000
+        && (error.keyPattern?.fulfilment || error.keyPattern?.refundId);
+      if (!issuedConcurrently) throw error;
+      const existing = await findExisting();
+      if (!existing) throw error;
+      return existing;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Issue the tax invoice of every fulfilment of an order that has shipped and has none
+   * yet. Safe to call repeatedly; failures are logged, not raised, so they never block
+   * the status change that triggered them.
+   * @param {Object} order - Order document.
+   * @returns {Object[]} Invoices issued now.
+   */
+  async issueDueInvoices(order) {
+    const issued = [];
+    try {
+      const existing = await Invoice.find({ order: order._id, type: 'invoice' }).select('fulfilment').lean();
+      const invoiced = new Set(existing.map((invoice) => invoice.fulfilment.toString()));
+      const due = order.fulfilments.filter((fulfilment) => INVOICEABLE_STATUSES.includes(fulfilment.status)
+        && !invoiced.has(fulfilment._id.toString()));
+      if (!due.length) return issued;
+
+      const details = await this.#orderDetails(order);
+      for (const fulfilment of due) {
+        const sellerId = fulfilment.sellerId.toString();
+        const lines = order.products
+          .filter((line) => line.sellerId.toString() === sellerId && !line.cancelled)
+          .map((line) => billedLine(line));
+        const shippingCharge = order.shipping.find((entry) => entry.sellerId?.toString() === sellerId)?.charge || 0;
+        const lineSupply = order.products.find((line) => line.sellerId.toString() === sellerId)?.supplyType;
+        const invoice = await this.#issue({
+          ...details,
+          type: 'invoice',
+          fulfilment: fulfilment._id,
+          seller: fulfilment.sellerId,
+          supplier: await this.#supplierOf(fulfilment.sellerId),
+          supplyType: lineSupply || 'inter_state',
+          lines,
+          shippingCharge,
+          ...totalsOf(lines, shippingCharge),
+        }, () => Invoice.findOne({ fulfilment: fulfilment._id, type: 'invoice' }));
+        if (invoice) {
+          issued.push(invoice);
+          logger.info(`Issued invoice ${invoice.number} for order ${order._id}`, { seller: sellerId, total: invoice.totalAmount });
+        }
+      }
+    } catch (error) {
+      logger.error(`Error issuing invoices for order ${order._id}: ${error.message}`);
+    }
+    return issued;
+  }
+
+  /**
+   * Issue credit notes for a refund of an order, one per seller whose invoiced items it
+   * covers: the refunded units with their share of the invoiced value and GST. Refunds of
+   * items never invoiced (cancelled before shipping) need none. Failures are logged, not
+   * raised.
+   * @param {string} orderId - Order ID.
+   * @param {string} refundId - ID of the entry in the order's refunds.
+   * @returns {Object[]} Credit notes issued now.
+   */
+  async issueCreditNotes(orderId, refundId) {
+    const issued = [];
+    try {
+      const order = await Order.findById(orderId);
+      const refund = order?.refunds.id(refundId);
+      if (!refund) return issued;
+
+      // Units refunded per line: the returned quantity, or the whole line when cancelled
+      const quantities = new Map(refund.lineIds.map((id) => [id.toString(), order.products.id(id)?.quantity]));
+      if (refund.returnRequest) {
+        const rma = await ReturnRequest.findById(refund.returnRequest).select('lines').lean();
+        for (const item of rma?.lines || []) quantities.set(item.lineId.toString(), item.quantity);
+      }
+
+      const bySeller = new Map();
+      for (const [lineId, quantity] of quantities) {
+        const line = order.products.id(lineId);
+        if (!line || !quantity) continue;
+        const sellerId = line.sellerId.toString();
+        if (!bySeller.has(sellerId)) bySeller.set(sellerId, []);
+        bySeller.get(sellerId).push(billedLine(line, quantity));
+      }
+
+      let details;
+      for (const [sellerId, lines] of bySeller) {
+        const invoice = await Invoice.findOne({ order: order._id, seller: sellerId, type: 'invoice' }).lean();
+        if (!invoice) continue;
+        const existing = await Invoice.exists({ refundId: refund._id, seller: sellerId, type: 'credit_note' });
+        if (existing) continue;
+        details = details || await this.#orderDetails(order);
+        const creditNote = await this.#issue({
+          ...details,
+          type: 'credit_note',
+          fulfilment: invoice.fulfilment,
+          seller: sellerId,
+          invoice: invoice._id,
+          refundId: refund._id,
+          reason: refund.reason,
+          supplier: invoice.supplier,
+          supplyType: invoice.supplyType,
+          lines,
+          ...totalsOf(lines),
+        }, () => Invoice.findOne({ refundId: refund._id, seller: sellerId, type: 'credit_note' }));
+        if (creditNote) {
+          issued.push(creditNote);
+          logger.info(`Issued credit note ${creditNote.number} against ${invoice.number}`, {
+            order: order._id.toString(),
+            refund: refundId.toString(),
+            total: creditNote.totalAmount,
+          });
+        }
+      }
+    } catch (error) {
+      logger.error(`Error issuing credit notes for refund ${refundId} of order ${orderId}: ${error.message}`);
+    }
+    return issued;
+  }
+
+  /**
+   * Summaries of the invoices and credit notes of orders, for order lists.
+   * @param {string[]} orderIds - Order IDs.
+   * @param {string} [sellerId] - Only this seller's documents.
+   * @returns {Map<string, Object[]>} Order ID -> [{ _id, type, number, issuedAt, totalAmount }].
+   */
+  async summarize(orderIds, sellerId) {
+    const filter = { order: { $in: orderIds } };
+    if (sellerId) filter.seller = sellerId;
+    const documents = await Invoice.find(filter)
+      .select('order type number issuedAt totalAmount')
+      .sort({ issuedAt: 1 })
+      .lean();
+    const byOrder = new Map();
+    for (const { order, ...document } of documents) {
+      if (!byOrder.has(order.toString())) byOrder.set(order.toString(), []);
+      byOrder.get(order.toString()).push(document);
+    }
+    return byOrder;
+  }
+
+  /**
+   * List the invoices and credit notes of an order (sellers see only their own). Invoices
+   * of fulfilments that shipped before invoicing existed are issued on the way.
+   * @param {string} orderId - Order ID.
+   * @param {Object} actor - { id, role }.
+   * @returns {Object[]} Documents without their lines.
+   */
+  async getOrderInvoices(orderId, actor) {
+    if (!mongoose.isValidObjectId(orderId)) {
+      throw new BadRequestError('Invalid order ID');
+    }
+    const order = await findOrderFor(orderId, actor);
+    await this.issueDueInvoices(order);
+    const filter = { order: order._id };
+    if (actor.role === 'seller') filter.seller = actor.id;
+    return Invoice.find(filter)
+      .select('type number financialYear issuedAt seller supplier.name invoice reason totalAmount taxAmount')
+      .sort({ issuedAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Render an invoice or credit note of an order as a PDF.
+   * @param {string} orderId - Order ID.
+   * @param {string} invoiceId - Invoice or credit note ID.
+   * @param {Object} actor - { id, role }.
+   * @returns {Object} { filename, buffer }.
+   */
+  async getInvoicePdf(orderId, invoiceId, actor) {
+    if (!mongoose.isValidObjectId(orderId) || !mongoose.isValidObjectId(invoiceId)) {
+      throw new BadRequestError('Invalid order or invoice ID');
+    }
+    const order = await findOrderFor(orderId, actor);
+    const invoice = await Invoice.findOne({ _id: invoiceId, order: order._id })
+      .populate('invoice', 'number issuedAt')
+      .lean();
+    if (!invoice || (actor.role === 'seller' && invoice.seller.toString() !== actor.id)) {
+      throw new NotFoundError('Invoice not found');
+    }
+    const buffer = await renderInvoicePdf(invoice);
+    logger.info(`Rendered ${invoice.type} ${invoice.number}`, { by: actor.id, role: actor.role });
+    return { filename: `${invoice.number}.pdf`, buffer };
+  }
+}
+
+module.exports = new InvoiceService();
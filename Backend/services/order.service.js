@@ -1,8 +1,19 @@
 const Order = require('../models/order.model');
 const Product = require('../models/product.model');
 const User = require('../models/user.model');
+const ReturnRequest = require('../models/returnRequest.model');
 const mongoose = require('mongoose');
 const sendEmail = require('../services/emailService');
+const TaxService = require('./tax.service');
+const ShippingService = require('./shipping.service');
+const InventoryService = require('./inventory.service');
+const CouponService = require('./coupon.service');
+const InvoiceService = require('./invoice.service');
+const { fetchPaymentAmount, refundPayment } = require('./payment.service');
+const { roundMoney } = require('../utils/gst');
+const { BASE_CURRENCY, formatMoney, toCurrency } = require('../utils/currency');
+const { FULFILMENT_FLOW, STATUS_LABELS, nextStatuses, paymentHold, assertTransition } = require('../utils/orderStatus');
+const { paginate } = require('../utils/pagination');
 const winston = require('winston');
 
 // Logger setup
@@ -33,6 +44,127 @@ class BadRequestError extends Error {
   }
 }
 
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 409;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 403;
+  }
+}
+
+// Customers see their own orders, sellers orders with their items, admins every order
+const findOrderFor = async (orderId, actor, session = null) => {
+  const order = await Order.findOne({ _id: orderId, isDeleted: false }).session(session);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  const allowed = actor.role === 'admin'
+    || (actor.role === 'customer' && order.userId.toString() === actor.id)
+    || (actor.role === 'seller' && order.products.some((line) => line.sellerId.toString() === actor.id));
+  if (!allowed) {
+    // Don't reveal orders that belong to someone else
+    throw actor.role === 'customer' ? new NotFoundError('Order not found') : new ForbiddenError('Unauthorized to access this order');
+  }
+  return order;
+};
+
+// Email the buyer a summary of a new order; failures are logged, not raised
+const sendOrderConfirmation = async (order) => {
+  try {
+    const user = await User.findById(order.userId).select('email').lean();
+    if (!user || !user.email) return;
+    // Amounts are stored in INR and shown in the currency the order is paid in
+    const money = (amount) => formatMoney(toCurrency(amount, order.exchangeRate), order.currency);
+    const emailHtml = `
+      <html>
+        <body>
+          <h1>Order Confirmation</h1>
+          <p>Your order #${order._id} has been successfully created.</p>
+          <ul>
+            ${order.products
+              .map(
+                (product) =>
+                  `<li>${product.quantity} x ${product.name || `Product ID ${product.productId}`} - ${money(product.price * product.quantity)}</li>`
+              )
+              .join('')}
+          </ul>
+          ${order.discountAmount ? `<p>Discount: -${money(order.discountAmount)}</p>` : ''}
+          ${order.cgstAmount || order.sgstAmount ? `<p>CGST: ${money(order.cgstAmount)} | SGST: ${money(order.sgstAmount)}</p>` : ''}
+          ${order.igstAmount ? `<p>IGST: ${money(order.igstAmount)}</p>` : ''}
+          ${order.shipping?.length ? `<p>Shipping: ${order.shippingAmount ? money(order.shippingAmount) : 'Free'}</p>` : ''}
+          <p><strong>Total Amount: ${formatMoney(order.paymentAmount ?? order.totalAmount, order.currency)}</strong>${order.pricesIncludeTax && order.taxAmount ? ' (inclusive of GST)' : ''}</p>
+          ${order.currency !== BASE_CURRENCY ? `<p>Converted from ${formatMoney(order.totalAmount)} at ${formatMoney(order.exchangeRate)} per ${order.currency}.</p>` : ''}
+        </body>
+      </html>
+    `;
+    await sendEmail(user.email, 'Order Confirmation', emailHtml);
+    logger.info(`Sent order confirmation email to ${user.email} for order ${order._id}`);
+  } catch (error) {
+    logger.error(`Failed to send confirmation for order ${order._id}: ${error.message}`);
+  }
+};
+
+// Email the buyer and each affected seller about cancelled lines; failures are logged, not raised
+const sendCancellationEmails = async (order, lines, refund) => {
+  const money = (amount) => formatMoney(toCurrency(amount, order.exchangeRate), order.currency);
+  const describe = (items) => items
+    .map((line) => `<li>${line.quantity} x ${line.name || `Product ID ${line.productId}`} - ${money(line.price * line.quantity - (line.discount || 0))}</li>`)
+    .join('');
+  const reason = lines[0]?.cancelReason?.replace(/_/g, ' ');
+  let refundText = '';
+  if (refund?.status === 'manual') {
+    refundText = `<p>A refund of ${formatMoney(refund.paymentAmount, refund.currency)} will be made to you shortly.</p>`;
+  } else if (refund && refund.status !== 'failed') {
+    refundText = `<p>A refund of ${formatMoney(refund.paymentAmount, refund.currency)} has been issued to your original payment method.</p>`;
+  } else if (refund) {
+    refundText = `<p>Your refund of ${formatMoney(refund.paymentAmount, refund.currency)} is being processed by our team.</p>`;
+  }
+
+  try {
+    const buyer = await User.findById(order.userId).select('email').lean();
+    if (buyer?.email) {
+      await sendEmail(buyer.email, 'Order Cancellation', `
+        <html>
+          <body>
+            <h1>Items Cancelled</h1>
+            <p>The following items of your order #${order._id} have been cancelled${reason ? ` (${reason})` : ''}:</p>
+            <ul>${describe(lines)}</ul>
+            ${refundText}
+          </body>
+        </html>
+      `);
+    }
+  } catch (error) {
+    logger.error(`Failed to send cancellation email to buyer of order ${order._id}: ${error.message}`);
+  }
+
+  const sellerIds = [...new Set(lines.map((line) => line.sellerId.toString()))];
+  const sellers = await User.find({ _id: { $in: sellerIds } }).select('email').lean().catch(() => []);
+  for (const seller of sellers) {
+    if (!seller.email) continue;
+    try {
+      const sellerLines = lines.filter((line) => line.sellerId.toString() === seller._id.toString());
+      await sendEmail(seller.email, 'Order Items Cancelled', `
+        <html>
+          <body>
+            <h1>Items Cancelled</h1>
+            <p>These items of order #${order._id} were cancelled${reason ? ` (${reason})` : ''}. Please do not ship them:</p>
+            <ul>${describe(sellerLines)}</ul>
+          </body>
+        </html>
+      `);
+    } catch (error) {
+      logger.error(`Failed to send cancellation email to seller ${seller._id} for order ${order._id}: ${error.message}`);
+    }
+  }
+};
+
 // Create a new order
 const createOrder = async (userId, products, shippingAddress, billingAddress, paymentMethod = 'razorpay') => {
   if (!mongoose.isValidObjectId(userId)) {
@@ -44,79 +176,84 @@ const createOrder = async (userId, products, shippingAddress, billingAddress, pa
 
   const session = await mongoose.startSession();
   session.startTransaction();
+  let newOrder;
   try {
     let totalAmount = 0;
     const productDetails = [];
+    const orderedProducts = [];
 
     // Validate products and calculate total amount
     for (const item of products) {
       if (!mongoose.isValidObjectId(item.productId)) {
         throw new BadRequestError(`Invalid product ID: ${item.productId}`);
       }
+      if (item.variantId && !mongoose.isValidObjectId(item.variantId)) {
+        throw new BadRequestError(`Invalid variant ID: ${item.variantId}`);
+      }
       if (!Number.isInteger(item.quantity) || item.quantity < 1) {
         throw new BadRequestError(`Invalid quantity for product ${item.productId}`);
       }
 
-      const product = await Product.findById(item.productId).session(session);
+      const product = await Product.findOne({ _id: item.productId, isActive: true, isDeleted: false }).session(session);
       if (!product) {
         throw new NotFoundError(`Product with ID ${item.productId} not found`);
       }
-      if (!product.sellerId) {
+      if (!product.seller) {
         throw new BadRequestError(`Product ${item.productId} has no seller`);
       }
 
-      const productPrice = product.price * item.quantity;
+      let purchasable;
+      try {
+        purchasable = Product.resolvePurchasable(product, item.variantId);
+      } catch (error) {
+        throw new BadRequestError(error.message);
+      }
+      const variantId = purchasable.variant ? purchasable.variant._id : null;
+
+      const productPrice = purchasable.price * item.quantity;
       totalAmount += productPrice;
 
       productDetails.push({
         productId: product._id,
+        variantId,
+        sku: purchasable.sku || undefined,
+        name: purchasable.label,
         quantity: item.quantity,
-        price: product.price, // Store per-unit price
-        sellerId: product.sellerId,
+        price: purchasable.price, // Store per-unit price
+        sellerId: product.seller,
       });
+      orderedProducts.push(product);
     }
 
     // Create the order
-    const newOrder = new Order({
+    newOrder = new Order({
       userId,
       products: productDetails,
       totalAmount,
       paymentStatus: 'pending',
-      status: 'pending',
+      status: 'placed',
       shippingAddress: shippingAddress || {},
       billingAddress: billingAddress || {},
       paymentMethod,
     });
+    await TaxService.applyToOrder(newOrder, orderedProducts, session);
+    await ShippingService.applyToOrder(newOrder, session);
 
     await newOrder.save({ session });
 
-    // Send order confirmation email
-    const user = await User.findById(userId).session(session);
-    if (user && user.email) {
-      const emailHtml = `
-        <html>
-          <body>
-            <h1>Order Confirmation</h1>
-            <p>Your order #${newOrder._id} has been successfully created.</p>
-            <ul>
-              ${productDetails
-                .map(
-                  (product) =>
-                    `<li>${product.quantity} x Product ID ${product.productId} - ₹${product.price * product.quantity}</li>`
-                )
-                .join('')}
-            </ul>
-            <p><strong>Total Amount: ₹${totalAmount}</strong></p>
-          </body>
-        </html>
-      `;
-      await sendEmail(user.email, 'Order Confirmation', emailHtml);
-      logger.info(`Sent order confirmation email to ${user.email} for order ${newOrder._id}`);
+    // Cash on delivery sells the stock now; online payments hold it until the
+    // payment is verified (see InventoryService)
+    if (paymentMethod === 'cod') {
+      for (const line of newOrder.products) {
+        if (!(await Product.decrementStock(line.productId, line.variantId, line.quantity, session))) {
+          throw new ConflictError(`Insufficient stock for product ${line.name}`);
+        }
+      }
+    } else {
+      await InventoryService.reserveOrder(newOrder, session);
     }
-
     await session.commitTransaction();
     logger.info(`Created order ${newOrder._id} for user ${userId}`);
-    return newOrder;
   } catch (error) {
     await session.abortTransaction();
     logger.error(`Error creating order for user ${userId}: ${error.message}`);
@@ -124,21 +261,32 @@ const createOrder = async (userId, products, shippingAddress, billingAddress, pa
   } finally {
     session.endSession();
   }
+
+  await sendOrderConfirmation(newOrder);
+  return newOrder;
 };
 
-// Get user orders (order history)
-const getUserOrders = async (userId, { page = 1, limit = 10 } = {}) => {
+// Get user orders (order history), newest first, in offset or cursor mode
+const getUserOrders = async (userId, { page = 1, limit = 10, cursor, mode } = {}) => {
   if (!mongoose.isValidObjectId(userId)) {
     throw new BadRequestError('Invalid user ID');
   }
   try {
-    const orders = await Order.find({ userId, isDeleted: false })
-      .populate('products.productId', 'name price')
-      .populate('products.sellerId', 'name')
-      .skip((page - 1) * limit)
-      .limit(limit)
-      .lean();
-    logger.info(`Retrieved orders for user ${userId}, page ${page}, limit ${limit}`);
+    const orders = await paginate(Order, { userId, isDeleted: false }, {
+      page,
+      limit,
+      cursor,
+      mode,
+      populate: [
+        { path: 'products.productId', select: 'name price' },
+        { path: 'products.sellerId', select: 'name' },
+      ],
+    });
+    const invoices = await InvoiceService.summarize(orders.items.map((order) => order._id));
+    for (const order of orders.items) {
+      order.invoices = invoices.get(order._id.toString()) || [];
+    }
+    logger.info(`Retrieved orders for user ${userId}`, { page, limit, cursor: Boolean(cursor) });
     return orders;
   } catch (error) {
     logger.error(`Error fetching orders for user ${userId}: ${error.message}`);
@@ -159,6 +307,7 @@ const getOrderDetails = async (userId, orderId) => {
     if (!order) {
       throw new NotFoundError('Order not found');
     }
+    order.invoices = (await InvoiceService.summarize([order._id])).get(order._id.toString()) || [];
     logger.info(`Retrieved order ${orderId} for user ${userId}`);
     return order;
   } catch (error) {
@@ -167,24 +316,60 @@ const getOrderDetails = async (userId, orderId) => {
   }
 };
 
-// Update order status
-const updateOrderStatus = async (orderId, status) => {
+// Cancellations and returns go through their own endpoints, which also settle stock and payment
+const assertNotCancellation = (status) => {
+  if (status === 'cancelled') {
+    throw new BadRequestError('Cancel items through POST /api/orders/:orderId/cancel');
+  }
+  if (status === 'return_requested' || status === 'returned') {
+    throw new BadRequestError('Handle returns through /api/orders/:orderId/returns');
+  }
+};
+
+// Move a fulfilment (one seller's share) to a new status. Shipping needs a carrier and
+// tracking number, given now or earlier.
+const moveFulfilment = (order, fulfilment, { status, note, tracking }, actor) => {
+  assertNotCancellation(status);
+  for (const [field, value] of Object.entries(tracking || {})) {
+    fulfilment.set(`tracking.${field}`, value);
+  }
+  if (status === 'shipped' && !(fulfilment.tracking?.carrier && fulfilment.tracking?.trackingNumber)) {
+    throw new BadRequestError('A carrier and tracking number are required to mark items as shipped');
+  }
+  if (status) {
+    order.transitionFulfilment(fulfilment, status, { id: actor.id, role: actor.role, note });
+  }
+};
+
+// Move an order to a new status, if the lifecycle and the actor's role allow it. Admins
+// move the whole order; sellers move their own fulfilment.
+const updateOrderStatus = async (orderId, status, actor, { note, tracking } = {}) => {
   if (!mongoose.isValidObjectId(orderId)) {
     throw new BadRequestError('Invalid order ID');
   }
-  if (!['pending', 'shipped', 'delivered', 'cancelled'].includes(status)) {
-    throw new BadRequestError('Invalid order status');
-  }
   try {
-    const order = await Order.findByIdAndUpdate(
-      orderId,
-      { status },
-      { new: true, runValidators: true }
-    );
-    if (!order) {
-      throw new NotFoundError('Order not found');
+    const order = await findOrderFor(orderId, actor);
+    const from = order.status;
+    if (actor.role === 'seller') {
+      const fulfilment = order.fulfilmentFor(actor.id);
+      if (!fulfilment) {
+        throw new NotFoundError('Fulfilment not found');
+      }
+      moveFulfilment(order, fulfilment, { status, note, tracking }, actor);
+    } else {
+      assertNotCancellation(status);
+      if (status === 'shipped' || tracking) {
+        throw new BadRequestError('Ship each seller\'s items through their fulfilment');
+      }
+      order.transitionTo(status, { id: actor.id, role: actor.role, note });
     }
-    logger.info(`Updated status of order ${orderId} to ${status}`);
+    await order.save();
+    await InvoiceService.issueDueInvoices(order);
+    logger.info(`Updated status of order ${orderId} from ${from} to ${order.status}`, {
+      requested: status,
+      by: actor.id,
+      role: actor.role,
+    });
     return order;
   } catch (error) {
     logger.error(`Error updating order ${orderId} status: ${error.message}`);
@@ -192,6 +377,266 @@ const updateOrderStatus = async (orderId, status) => {
   }
 };
 
+// Update one fulfilment's status and/or tracking (admin, or the seller it belongs to)
+const updateFulfilment = async (orderId, fulfilmentId, { status, note, tracking }, actor) => {
+  if (!mongoose.isValidObjectId(orderId) || !mongoose.isValidObjectId(fulfilmentId)) {
+    throw new BadRequestError('Invalid order or fulfilment ID');
+  }
+  try {
+    const order = await findOrderFor(orderId, actor);
+    const fulfilment = order.fulfilments.id(fulfilmentId);
+    if (!fulfilment) {
+      throw new NotFoundError('Fulfilment not found');
+    }
+    if (actor.role === 'seller' && fulfilment.sellerId.toString() !== actor.id) {
+      throw new ForbiddenError('Unauthorized to update another seller\'s fulfilment');
+    }
+    const from = fulfilment.status;
+    moveFulfilment(order, fulfilment, { status, note, tracking }, actor);
+    await order.save();
+    await InvoiceService.issueDueInvoices(order);
+    logger.info(`Updated fulfilment ${fulfilmentId} of order ${orderId}`, {
+      from,
+      to: fulfilment.status,
+      orderStatus: order.status,
+      tracking: Boolean(tracking),
+      by: actor.id,
+    });
+    return order;
+  } catch (error) {
+    logger.error(`Error updating fulfilment ${fulfilmentId} of order ${orderId}: ${error.message}`);
+    throw error.status ? error : new Error(`Error updating fulfilment: ${error.message}`);
+  }
+};
+
+// Timeline entries as shown to an actor; who exactly made a change is only shown to admins
+const describeHistory = (history, actor) => history.map((entry) => ({
+  status: entry.status,
+  label: STATUS_LABELS[entry.status],
+  at: entry.at,
+  note: entry.note,
+  by: entry.role,
+  ...(actor.role === 'admin' ? { actor: entry.actor } : {}),
+}));
+
+// Remaining steps of the fulfilment flow after a status
+const upcomingSteps = (status) => {
+  const position = FULFILMENT_FLOW.indexOf(status);
+  return position === -1 ? [] : FULFILMENT_FLOW.slice(position + 1)
+    .map((step) => ({ status: step, label: STATUS_LABELS[step] }));
+};
+
+// Tracking timeline of an order and of each seller's shipment (sellers see only theirs)
+const getOrderTimeline = async (orderId, actor) => {
+  if (!mongoose.isValidObjectId(orderId)) {
+    throw new BadRequestError('Invalid order ID');
+  }
+  const order = await findOrderFor(orderId, actor);
+  await order.populate('fulfilments.sellerId', 'name sellerProfile.storeName');
+  const fulfilments = order.fulfilments
+    .filter((fulfilment) => actor.role !== 'seller' || fulfilment.sellerId._id.toString() === actor.id)
+    .map((fulfilment) => ({
+      _id: fulfilment._id,
+      seller: {
+        _id: fulfilment.sellerId._id,
+        name: fulfilment.sellerId.sellerProfile?.storeName || fulfilment.sellerId.name,
+      },
+      items: order.products
+        .filter((line) => line.sellerId.toString() === fulfilment.sellerId._id.toString())
+        .map(({ productId, variantId, name, quantity }) => ({ productId, variantId, name, quantity })),
+      status: fulfilment.status,
+      label: STATUS_LABELS[fulfilment.status],
+      tracking: fulfilment.tracking,
+      shippedAt: fulfilment.shippedAt,
+      deliveredAt: fulfilment.deliveredAt,
+      timeline: describeHistory(fulfilment.statusHistory, actor),
+      upcoming: upcomingSteps(fulfilment.status),
+      allowedStatuses: nextStatuses(fulfilment.status, actor.role)
+        .filter((status) => !paymentHold(order, fulfilment.status, status, actor.role)),
+    }));
+  return {
+    orderId: order._id,
+    status: order.status,
+    label: STATUS_LABELS[order.status],
+    timeline: describeHistory(order.statusHistory, actor),
+    upcoming: upcomingSteps(order.status),
+    fulfilments,
+  };
+};
+
+// Send a pending refund to the gateway and record the outcome. An order whose every
+// line is cancelled becomes refunded once its refunds have gone through.
+const processRefund = async (orderId, refundId) => {
+  const order = await Order.findById(orderId);
+  const refund = order.refunds.id(refundId);
+  try {
+    const result = await refundPayment(order, refund.paymentAmount, {
+      refundId: String(refund._id),
+      reason: refund.reason,
+    });
+    refund.razorpayRefundId = result.id;
+    refund.status = result.status === 'processed' ? 'processed' : 'pending';
+  } catch (error) {
+    // Left for an admin to retry (retryRefund) or pay out by hand
+    refund.status = 'failed';
+    refund.error = error.message;
+    logger.error(`Refund ${refundId} of order ${orderId} failed: ${error.message}`);
+  }
+  if (order.status === 'cancelled' && order.refunds.every((entry) => entry.status === 'processed')) {
+    order.transitionTo('refunded', { role: 'system', note: 'Refund processed' });
+  }
+  await order.save();
+  logger.info(`Refund ${refundId} of order ${orderId} is ${refund.status}`, { amount: refund.paymentAmount, currency: refund.currency });
+  return { order, refund };
+};
+
+// Send a failed refund to the gateway again (admin)
+const retryRefund = async (orderId, refundId) => {
+  if (!mongoose.isValidObjectId(orderId) || !mongoose.isValidObjectId(refundId)) {
+    throw new BadRequestError('Invalid order or refund ID');
+  }
+  const order = await Order.findOne({ _id: orderId, isDeleted: false });
+  const refund = order?.refunds.id(refundId);
+  if (!refund) {
+    throw new NotFoundError('Refund not found');
+  }
+  if (refund.status !== 'failed') {
+    throw new BadRequestError(`Only failed refunds can be retried; this one is ${refund.status}`);
+  }
+  refund.status = 'pending';
+  refund.error = undefined;
+  await order.save();
+  logger.info(`Retrying refund ${refundId} of order ${orderId}`);
+  const result = await processRefund(order._id, refund._id);
+  if (refund.returnRequest) {
+    await ReturnRequest.updateOne({ _id: refund.returnRequest }, { 'refund.status': result.refund.status });
+  }
+  return result;
+};
+
+// Refund in full a payment that came in after its order was cancelled in full, i.e. the
+// buyer finished a Razorpay checkout that was still open
+const refundLatePayment = async (orderId) => {
+  const order = await Order.findById(orderId);
+  const paymentAmount = await fetchPaymentAmount(order.razorpayPaymentId);
+  order.refunds.push({
+    amount: roundMoney(paymentAmount * order.exchangeRate),
+    paymentAmount,
+    currency: order.currency,
+    status: 'pending',
+    reason: order.products.find((line) => line.cancelReason)?.cancelReason,
+  });
+  const refund = order.refunds[order.refunds.length - 1];
+  await order.save();
+  logger.warn(`Order ${orderId} was paid after it was cancelled; refunding the payment`, { amount: paymentAmount });
+  return processRefund(order._id, refund._id);
+};
+
+// Cancel lines of an order (every open line when none are given) before they ship.
+// Their stock comes back, and a paid order is refunded what its total went down by:
+// the lines' value after discount, their GST and, once all of a seller's lines are
+// cancelled, that seller's shipping charge.
+const cancelOrder = async (orderId, actor, { reason, comment, lineIds = [] } = {}) => {
+  if (!mongoose.isValidObjectId(orderId) || !lineIds.every((id) => mongoose.isValidObjectId(id))) {
+    throw new BadRequestError('Invalid order or line ID');
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let order;
+  let lines;
+  let refund;
+  try {
+    order = await findOrderFor(orderId, actor, session);
+    const ownsLine = (line) => actor.role !== 'seller' || line.sellerId.toString() === actor.id;
+    if (lineIds.length) {
+      lines = lineIds.map((id) => {
+        const line = order.products.id(id);
+        if (!line) throw new NotFoundError('Order line not found');
+        if (!ownsLine(line)) throw new ForbiddenError('Unauthorized to cancel another seller\'s items');
+        if (line.cancelled) throw new BadRequestError(`${line.name || 'This item'} is already cancelled`);
+        return line;
+      });
+    } else {
+      lines = order.products.filter((line) => !line.cancelled && ownsLine(line));
+    }
+    if (!lines.length) {
+      throw new BadRequestError('There is nothing left to cancel on this order');
+    }
+
+    // Each affected seller's share must not have shipped yet
+    const sellerIds = [...new Set(lines.map((line) => line.sellerId.toString()))];
+    const fulfilments = sellerIds.map((sellerId) => order.fulfilmentFor(sellerId));
+    for (const fulfilment of fulfilments) {
+      if (fulfilment) assertTransition(fulfilment.status, 'cancelled', actor.role);
+    }
+
+    const before = { total: order.totalAmount, payment: order.paymentAmount };
+    const note = comment || reason.replace(/_/g, ' ');
+    for (const line of lines) {
+      line.cancelled = true;
+      line.cancelledAt = new Date();
+      line.cancelReason = reason;
+    }
+    for (const fulfilment of fulfilments) {
+      if (!fulfilment) continue;
+      const sellerId = fulfilment.sellerId.toString();
+      if (order.products.some((line) => line.sellerId.toString() === sellerId && !line.cancelled)) continue;
+      order.transitionFulfilment(fulfilment, 'cancelled', { id: actor.id, role: actor.role, note });
+      // Nothing left to ship for this seller
+      const shipping = order.shipping.find((entry) => entry.sellerId?.toString() === sellerId);
+      if (shipping) shipping.charge = 0;
+    }
+    order.computeTotals();
+
+    await InventoryService.restoreCancelledLines(order, lines, session);
+    // Coupons of an order cancelled in full can be used again
+    if (order.status === 'cancelled') {
+      await CouponService.releaseForOrder(order._id, session);
+    }
+
+    if (order.paymentStatus === 'completed') {
+      const amount = roundMoney(before.total - order.totalAmount);
+      if (amount > 0) {
+        order.refunds.push({
+          amount,
+          paymentAmount: roundMoney(before.payment - order.paymentAmount),
+          currency: order.currency,
+          status: order.paymentMethod === 'razorpay' && order.razorpayPaymentId ? 'pending' : 'manual',
+          reason,
+          lineIds: lines.map((line) => line._id),
+          requestedBy: actor.id,
+        });
+        refund = order.refunds[order.refunds.length - 1];
+      }
+    }
+
+    await order.save({ session });
+    await session.commitTransaction();
+    logger.info(`Cancelled ${lines.length} lines of order ${orderId}`, {
+      by: actor.id,
+      role: actor.role,
+      reason,
+      status: order.status,
+      refund: refund?.amount,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Error cancelling order ${orderId}: ${error.message}`);
+    throw error.status ? error : new Error(`Error cancelling order: ${error.message}`);
+  } finally {
+    session.endSession();
+  }
+
+  // The gateway call happens outside the transaction; its outcome is saved separately
+  if (refund?.status === 'pending') {
+    ({ order, refund } = await processRefund(order._id, refund._id));
+  }
+  if (refund) await InvoiceService.issueCreditNotes(order._id, refund._id);
+  await sendCancellationEmails(order, lines, refund);
+  return order;
+};
+
 // Soft delete an order
 const deleteOrder = async (orderId) => {
   if (!mongoose.isValidObjectId(orderId)) {
@@ -215,9 +660,17 @@ const deleteOrder = async (orderId) => {
 };
 
 module.exports = {
+  findOrderFor,
+  sendOrderConfirmation,
   createOrder,
   getUserOrders,
   getOrderDetails,
   updateOrderStatus,
+  updateFulfilment,
+  cancelOrder,
+  processRefund,
+  retryRefund,
+  refundLatePayment,
+  getOrderTimeline,
   deleteOrder,
 };
\ No newline at end of file
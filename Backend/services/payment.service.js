@@ -3,6 +3,8 @@
 require('dotenv').config();
 const Razorpay = require('razorpay');
 const Order = require('../models/order.model'); // Ensure correct path to your Order model
+const InventoryService = require('./inventory.service');
+const CouponService = require('./coupon.service');
 
 // Initialize Razorpay instance
 const razorpayInstance = new Razorpay({
@@ -10,23 +12,57 @@ const razorpayInstance = new Razorpay({
   key_secret: process.env.RAZORPAY_KEY_SECRET  // Your Razorpay Key Secret
 });
 
-// Create an order in Razorpay
-const createOrder = async (userId, products, totalAmount) => {
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Start paying for one of the user's orders: hold its stock and create the Razorpay order
+const createOrder = async (userId, orderId) => {
+  const order = await Order.findOne({ _id: orderId, userId, isDeleted: false });
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  if (order.paymentStatus === 'completed') {
+    throw new BadRequestError('Order is already paid');
+  }
+  if (order.status !== 'placed' || order.paymentMethod === 'cod') {
+    throw new BadRequestError('Order cannot be paid online');
+  }
+
+  // Holds (or extends the hold on) the stock until the payment is verified or expires
+  const reservation = await InventoryService.reserveOrder(order);
+
   try {
     const options = {
-      amount: totalAmount * 100, // Razorpay accepts amount in paise (smallest unit of INR)
-      currency: 'INR',
-      receipt: `order_rcptid_${userId}_${new Date().getTime()}`,
+      // Razorpay takes the smallest unit (paise, cents, pence) of the order's currency
+      amount: Math.round((order.paymentAmount ?? order.totalAmount) * 100),
+      currency: order.currency,
+      receipt: `order_rcptid_${order._id}`,
       notes: {
-        userId,
-        products,
+        userId: String(userId),
+        orderId: String(order._id),
       },
     };
 
     // Create the order using Razorpay API
     const razorpayOrder = await razorpayInstance.orders.create(options);
-    return razorpayOrder;
+    order.razorpayOrderId = razorpayOrder.id;
+    await order.save();
+    return { razorpayOrder, order, reservationExpiresAt: reservation.expiresAt };
   } catch (error) {
+    // Nothing can be paid without the Razorpay order, so don't keep the stock held
+    await InventoryService.releaseReservation(order._id, 'payment_failed');
+    await CouponService.releaseForOrder(order._id);
     throw new Error('Error creating Razorpay order: ' + error.message);
   }
 };
@@ -48,11 +84,12 @@ const verifyPayment = async (paymentData, razorpayOrderId, razorpayPaymentId, ra
   return false; // Payment is not verified
 };
 
-// Update the payment status in the database (e.g., completed/failed)
-const updatePaymentStatus = async (razorpayOrderId, status) => {
+// Update the payment status of one of the user's orders (e.g., to failed). Orders that
+// are already paid are left alone, and null is returned for them.
+const updatePaymentStatus = async (razorpayOrderId, status, userId) => {
   try {
     const order = await Order.findOneAndUpdate(
-      { razorpayOrderId },
+      { razorpayOrderId, userId, paymentStatus: { $ne: 'completed' } },
       { paymentStatus: status },
       { new: true } // Return the updated document
     );
@@ -62,8 +99,38 @@ const updatePaymentStatus = async (razorpayOrderId, status) => {
   }
 };
 
+// Amount captured for a payment, in the currency it was charged in
+const fetchPaymentAmount = async (razorpayPaymentId) => {
+  try {
+    const payment = await razorpayInstance.payments.fetch(razorpayPaymentId);
+    return payment.amount / 100;
+  } catch (error) {
+    throw new Error('Error fetching Razorpay payment: ' + (error.error?.description || error.message));
+  }
+};
+
+// Refund part or all of an order's captured payment; amount is in the order's currency
+const refundPayment = async (order, amount, notes = {}) => {
+  if (!order.razorpayPaymentId) {
+    throw new BadRequestError('Order has no captured payment to refund');
+  }
+  try {
+    return await razorpayInstance.payments.refund(order.razorpayPaymentId, {
+      amount: Math.round(amount * 100), // Smallest unit of the order's currency, as charged
+      notes: {
+        orderId: String(order._id),
+        ...notes,
+      },
+    });
+  } catch (error) {
+    throw new Error('Error creating Razorpay refund: ' + (error.error?.description || error.message));
+  }
+};
+
 module.exports = {
   createOrder,
   verifyPayment,
   updatePaymentStatus,
+  fetchPaymentAmount,
+  refundPayment,
 };
@@ -3,8 +3,13 @@ const mongoose = require('mongoose');
 const winston = require('winston');
 const Product = require('../models/product.model');
 const User = require('../models/user.model');
+const Category = require('../models/category.model');
+const Subcategory = require('../models/subcategory.model');
+const Order = require('../models/order.model');
 
-const { cleanupFailedUpload } = require('../middlewares/fileUpload');
+const { cleanupFailedUpload, FILE_SIZE_LIMITS } = require('../middlewares/fileUpload');
+const escapeRegex = require('../utils/escapeRegex');
+const { buildPage } = require('../utils/pagination');
 
 // Custom error classes
 class NotFoundError extends Error {
@@ -28,6 +33,13 @@ class ForbiddenError extends Error {
   }
 }
 
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 409;
+  }
+}
+
 // Logger setup
 const logger = winston.createLogger({
   level: 'info',
@@ -41,7 +53,102 @@ const logger = winston.createLogger({
   ],
 });
 
+// Facet bucket boundaries and sort options for getFacets
+const RATING_BUCKETS = [0, 1, 2, 3, 4, 5.01];
+const PRICE_BUCKETS = [0, 500, 1000, 2000, 5000, 10000, 25000, Number.MAX_SAFE_INTEGER];
+const FACET_SORTS = {
+  default: { createdAt: -1, _id: -1 },
+  price: { effectivePrice: 1, _id: 1 },
+  '-price': { effectivePrice: -1, _id: 1 },
+  name: { name: 1, _id: 1 },
+  '-name': { name: -1, _id: 1 },
+  rating: { rating: 1, _id: 1 },
+  '-rating': { rating: -1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 },
+};
+
+// Share of the query's trigrams a product must contain to count as a fuzzy match
+const FUZZY_MIN_SIMILARITY = 0.5;
+
+// Sort options for review listings
+const REVIEW_SORTS = {
+  recent: { createdAt: -1, _id: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1, _id: -1 },
+};
+
+// Maximum photos/videos attached to one review
+const MAX_REVIEW_MEDIA = 5;
+
 class ProductService {
+  // Helper to validate a variants payload before touching the database
+  #validateVariants(variants, userId) {
+    if (!Array.isArray(variants)) {
+      logger.error('Variants must be an array', { userId });
+      throw new BadRequestError('Variants must be an array');
+    }
+    for (const variant of variants) {
+      if (!variant.sku || !variant.sku.trim()) {
+        throw new BadRequestError('Each variant requires a SKU');
+      }
+      if (variant._id && !mongoose.isValidObjectId(variant._id)) {
+        throw new BadRequestError(`Invalid variant ID: ${variant._id}`);
+      }
+      if (isNaN(variant.price) || variant.price < 0) {
+        throw new BadRequestError(`Variant ${variant.sku} price must be a non-negative number`);
+      }
+      if (variant.discountPrice && (isNaN(variant.discountPrice) || variant.discountPrice < 0)) {
+        throw new BadRequestError(`Variant ${variant.sku} discount price must be a non-negative number`);
+      }
+      if (!Number.isInteger(Number(variant.stock)) || variant.stock < 0) {
+        throw new BadRequestError(`Variant ${variant.sku} stock must be a non-negative integer`);
+      }
+    }
+  }
+
+  // Helper to normalise a variant payload into a sub-document
+  #buildVariant(variant) {
+    return {
+      sku: variant.sku.trim(),
+      size: variant.size?.trim(),
+      color: variant.color?.trim(),
+      price: variant.price,
+      discountPrice: variant.discountPrice || null,
+      stock: variant.stock,
+      images: variant.images || [],
+      isActive: variant.isActive !== undefined ? variant.isActive : true,
+    };
+  }
+
+  // Helper to apply a variants payload. Existing variants are matched by ID or SKU
+  // and updated in place; ones missing from the payload are deactivated rather than
+  // removed so cart lines and past orders that point at them still resolve. An active
+  // product must keep at least one active variant, or it could not be bought at all.
+  #mergeVariants(product, variants) {
+    const seen = new Set();
+    for (const payload of variants) {
+      const data = this.#buildVariant(payload);
+      const existing = payload._id
+        ? product.variants.id(payload._id)
+        : product.variants.find((variant) => variant.sku === data.sku.toUpperCase());
+      if (payload._id && !existing) {
+        throw new NotFoundError(`Variant ${payload._id} not found`);
+      }
+      if (existing) {
+        existing.set(data);
+        seen.add(existing._id.toString());
+      } else {
+        product.variants.push(data);
+        seen.add(product.variants[product.variants.length - 1]._id.toString());
+      }
+    }
+    for (const variant of product.variants) {
+      if (!seen.has(variant._id.toString())) variant.isActive = false;
+    }
+    if (product.isActive && product.variants.length && !product.variants.some((variant) => variant.isActive)) {
+      throw new BadRequestError('An active product needs at least one active variant; deactivate the product instead');
+    }
+  }
+
   /**
    * Add a new product with images.
    * @param {Object} productData - Product data (name, price, etc.).
@@ -57,21 +164,28 @@ class ProductService {
 
     const {
       name,
+      sku,
       price,
       discountPrice,
       category,
       subcategories,
       description,
+      hsnCode,
+      gstRate,
+      weight,
+      dimensions,
       stock,
       sellerId,
       size,
       brand,
       color,
       isActive,
+      variants,
     } = productData;
 
-    // Validate required fields
-    if (!name || !price || !category || !stock || !sellerId) {
+    // Validate required fields (stock is derived from variants when they are given)
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
+    if (!name || !price || !category || (stock === undefined && !hasVariants) || !sellerId) {
       logger.error('Missing required fields for product creation', { userId });
       throw new BadRequestError('Missing required fields');
     }
@@ -93,6 +207,7 @@ class ProductService {
       logger.error('Invalid numeric values for product', { userId });
       throw new BadRequestError('Price, discountPrice, and stock must be non-negative');
     }
+    if (variants !== undefined) this.#validateVariants(variants, userId);
     if (files.length > 4) {
       logger.error(`Too many images: ${files.length}`, { userId });
       await Promise.all(files.map((file) => cleanupFailedUpload(file.filename)));
@@ -102,7 +217,7 @@ class ProductService {
     // Verify seller and category
     const [seller, categoryDoc] = await Promise.all([
       User.findById(sellerId).lean(),
-      Category.findById(category).lean(),
+      Category.findOne({ _id: category, isActive: true, isDeleted: false }).lean(),
     ]);
     if (!seller) {
       logger.warn(`Seller not found: ${sellerId}`, { userId });
@@ -113,7 +228,12 @@ class ProductService {
       throw new NotFoundError('Category not found');
     }
     if (subcategories && subcategories.length > 0) {
-      const subcategoryDocs = await Subcategory.find({ _id: { $in: subcategories } }).lean();
+      const subcategoryDocs = await Subcategory.find({
+        _id: { $in: subcategories },
+        category,
+        isActive: true,
+        isDeleted: false,
+      }).lean();
       if (subcategoryDocs.length !== subcategories.length) {
         logger.warn('Some subcategories not found', { userId, subcategories });
         throw new NotFoundError('One or more subcategories not found');
@@ -134,17 +254,23 @@ class ProductService {
 
       const newProduct = new Product({
         name: name.trim(),
+        sku: sku?.trim() || undefined,
         price,
         discountPrice: discountPrice || null,
         category,
         subcategories: subcategories || [],
         description: description?.trim(),
-        stock,
+        hsnCode: hsnCode || undefined,
+        gstRate: gstRate ?? null,
+        weight: weight ?? null,
+        dimensions: dimensions || undefined,
+        stock: hasVariants ? 0 : stock, // Recomputed from variants on save
         seller: sellerId,
         images: imageUrls,
         size: size?.trim(),
         brand: brand?.trim(),
         color: color?.trim(),
+        variants: hasVariants ? variants.map((variant) => this.#buildVariant(variant)) : [],
         isActive: isActive !== undefined ? isActive : true,
         isDeleted: false,
       });
@@ -159,6 +285,7 @@ class ProductService {
         await Promise.all(files.map((file) => cleanupFailedUpload(file.filename)));
       }
       logger.error(`Error creating product: ${error.message}`, { userId });
+      if (error.code === 11000) throw new ConflictError(`SKU ${sku} already exists in your catalog`);
       throw error.status ? error : new BadRequestError(error.message || 'Failed to create product');
     } finally {
       session.endSession();
@@ -184,6 +311,8 @@ class ProductService {
       logger.warn(`Product not found: ${id}`);
       throw new NotFoundError('Product not found');
     }
+    product.reviews = Product.toPublicReviews(product.reviews);
+    Product.toAvailableStock(product);
     logger.info(`Retrieved product ${id}`);
     return product;
   }
@@ -205,16 +334,22 @@ class ProductService {
     // Validate updateData
     const {
       name,
+      sku,
       price,
       discountPrice,
       category,
       subcategories,
       description,
+      hsnCode,
+      gstRate,
+      weight,
+      dimensions,
       stock,
       size,
       brand,
       color,
       isActive,
+      variants,
     } = updateData;
     if (name && !name.trim()) throw new BadRequestError('Name cannot be empty');
     if (price && (isNaN(price) || price < 0)) throw new BadRequestError('Price must be a non-negative number');
@@ -226,6 +361,7 @@ class ProductService {
         throw new BadRequestError('Invalid subcategory IDs');
       }
     }
+    if (variants !== undefined) this.#validateVariants(variants, userId);
 
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -244,11 +380,16 @@ class ProductService {
 
       // Validate category and subcategories
       if (category) {
-        const categoryDoc = await Category.findById(category).lean();
+        const categoryDoc = await Category.findOne({ _id: category, isActive: true, isDeleted: false }).lean();
         if (!categoryDoc) throw new NotFoundError('Category not found');
       }
       if (subcategories && subcategories.length > 0) {
-        const subcategoryDocs = await Subcategory.find({ _id: { $in: subcategories } }).lean();
+        const subcategoryDocs = await Subcategory.find({
+          _id: { $in: subcategories },
+          category: category || product.category,
+          isActive: true,
+          isDeleted: false,
+        }).lean();
         if (subcategoryDocs.length !== subcategories.length) {
           throw new NotFoundError('One or more subcategories not found');
         }
@@ -256,16 +397,22 @@ class ProductService {
 
       // Update fields
       product.name = name ? name.trim() : product.name;
+      product.sku = sku ? sku.trim() : product.sku;
       product.price = price !== undefined ? price : product.price;
       product.discountPrice = discountPrice !== undefined ? discountPrice : product.discountPrice;
       product.category = category || product.category;
       product.subcategories = subcategories || product.subcategories;
       product.description = description ? description.trim() : product.description;
+      product.hsnCode = hsnCode !== undefined ? hsnCode || undefined : product.hsnCode;
+      product.gstRate = gstRate !== undefined ? gstRate : product.gstRate;
+      product.weight = weight !== undefined ? weight : product.weight;
+      product.dimensions = dimensions !== undefined ? dimensions || undefined : product.dimensions;
       product.stock = stock !== undefined ? stock : product.stock;
       product.size = size ? size.trim() : product.size;
       product.brand = brand ? brand.trim() : product.brand;
       product.color = color ? color.trim() : product.color;
       product.isActive = isActive !== undefined ? isActive : product.isActive;
+      if (variants !== undefined) this.#mergeVariants(product, variants);
 
       // Handle image uploads
       if (files.length > 0) {
@@ -292,6 +439,7 @@ class ProductService {
         await Promise.all(files.map((file) => cleanupFailedUpload(file.filename)));
       }
       logger.error(`Error updating product ${id}: ${error.message}`, { userId });
+      if (error.code === 11000) throw new ConflictError(`SKU ${sku} already exists in your catalog`);
       throw error.status ? error : new BadRequestError(error.message || 'Failed to update product');
     } finally {
       session.endSession();
@@ -348,33 +496,519 @@ class ProductService {
     }
   }
 
+  /**
+   * Upsert a seller's products from bulk import rows, matching on the seller's SKU.
+   * Rows are applied independently so one bad row does not block the rest; in
+   * dry-run mode nothing is written and the report shows what would happen.
+   * @param {Object[]} rows - Validated rows: { row, sku, data, errors }.
+   * @param {string} sellerId - Seller (user) ID.
+   * @param {Object} [options] - Options.
+   * @param {boolean} [options.dryRun=false] - Only validate and report.
+   * @returns {Object} { dryRun, total, created, updated, valid, failed, rows }.
+   */
+  async importProducts(rows, sellerId, { dryRun = false } = {}) {
+    if (!mongoose.isValidObjectId(sellerId)) {
+      logger.error(`Invalid seller ID: ${sellerId}`);
+      throw new BadRequestError('Invalid seller ID');
+    }
+
+    // Resolve every reference the file mentions up front instead of per row
+    const validRows = rows.filter((row) => row.data);
+    const skus = rows.map((row) => row.sku).filter(Boolean);
+    const categoryIds = [...new Set(validRows.map((row) => row.data.category))];
+    const subcategoryIds = [...new Set(validRows.flatMap((row) => row.data.subcategories || []))];
+    const [existing, categories, subcategories] = await Promise.all([
+      Product.find({ seller: sellerId, sku: { $in: skus }, isDeleted: false }).select('_id sku').lean(),
+      Category.find({ _id: { $in: categoryIds }, isActive: true, isDeleted: false }).select('_id').lean(),
+      Subcategory.find({ _id: { $in: subcategoryIds }, isActive: true, isDeleted: false }).select('_id category').lean(),
+    ]);
+    const existingBySku = new Map(existing.map((product) => [product.sku, product._id.toString()]));
+    const activeCategories = new Set(categories.map((category) => category._id.toString()));
+    const subcategoryParents = new Map(subcategories.map((sub) => [sub._id.toString(), sub.category.toString()]));
+
+    const firstRowBySku = new Map();
+    const report = [];
+    for (const { row, sku, data, errors } of rows) {
+      const rowErrors = [...errors];
+      if (sku && firstRowBySku.has(sku)) {
+        rowErrors.push(`Duplicate SKU ${sku}, first used on row ${firstRowBySku.get(sku)}`);
+      } else if (sku) {
+        firstRowBySku.set(sku, row);
+      }
+      if (data) {
+        if (!activeCategories.has(data.category)) {
+          rowErrors.push(`Category ${data.category} not found`);
+        }
+        const strays = (data.subcategories || []).filter((id) => subcategoryParents.get(id) !== data.category);
+        if (strays.length > 0) {
+          rowErrors.push(`Subcategories not found in category: ${strays.join(', ')}`);
+        }
+      }
+
+      const productId = existingBySku.get(sku);
+      const action = productId ? 'update' : 'create';
+      if (rowErrors.length > 0) {
+        report.push({ row, sku, action, status: 'failed', errors: rowErrors });
+        continue;
+      }
+      if (dryRun) {
+        report.push({ row, sku, action, status: 'valid', errors: [] });
+        continue;
+      }
+      try {
+        const product = productId
+          ? await this.updateProduct(productId, data, sellerId)
+          : await this.addProduct({ ...data, sellerId }, sellerId);
+        report.push({ row, sku, action, status: productId ? 'updated' : 'created', productId: product._id, errors: [] });
+      } catch (error) {
+        report.push({ row, sku, action, status: 'failed', errors: [error.message] });
+      }
+    }
+
+    const count = (status) => report.filter((entry) => entry.status === status).length;
+    const summary = {
+      dryRun,
+      total: rows.length,
+      created: count('created'),
+      updated: count('updated'),
+      valid: count('valid'),
+      failed: count('failed'),
+      rows: report,
+    };
+    logger.info(`Imported catalog for seller ${sellerId}`, { ...summary, rows: undefined });
+    return summary;
+  }
+
+  /**
+   * Fetch a seller's catalog for export.
+   * @param {string} sellerId - Seller (user) ID.
+   * @returns {Object[]} Lean product documents, oldest first.
+   */
+  async exportProducts(sellerId) {
+    if (!mongoose.isValidObjectId(sellerId)) {
+      logger.error(`Invalid seller ID: ${sellerId}`);
+      throw new BadRequestError('Invalid seller ID');
+    }
+    const products = await Product.find({ seller: sellerId, isDeleted: false })
+      .select('sku name description price discountPrice stock category subcategories hsnCode gstRate weight dimensions brand size color isActive variants')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+    logger.info(`Exported ${products.length} products for seller ${sellerId}`);
+    return products;
+  }
+
+  /**
+   * Search products with multi-select filters and return facet counts alongside the page.
+   * Each facet is counted against every active filter except its own, so selecting
+   * brand=Nike still shows how many Puma products match the remaining filters.
+   * @param {Object} filters - Validated filters (arrays for multi-select fields).
+   * @param {string[]} [filters.category] - Category IDs; descendant categories are included.
+   * @param {string[]} [filters.brand] - Brands.
+   * @param {string[]} [filters.size] - Sizes (product or variant level).
+   * @param {string[]} [filters.color] - Colors (product or variant level).
+   * @param {number} [filters.minPrice] - Minimum selling price (lowest active variant price for products with variants).
+   * @param {number} [filters.maxPrice] - Maximum selling price (likewise).
+   * @param {number} [filters.minRating] - Minimum average rating.
+   * @param {number} filters.page - Page number.
+   * @param {number} filters.limit - Page size.
+   * @param {string} [filters.sort] - Sort key.
+   * @returns {Object} Paginated envelope of products plus `facets`.
+   */
+  async getFacets(filters) {
+    const { category, brand, size, color, minPrice, maxPrice, minRating, page, limit, sort } = filters;
+
+    // Expand selected categories to their whole subtree
+    let categoryIds;
+    if (category?.length) {
+      const descendants = await Category.find({
+        ancestors: { $in: category },
+        isActive: true,
+        isDeleted: false,
+      }).select('_id').lean();
+      categoryIds = [...category, ...descendants.map((doc) => doc._id.toString())]
+        .map((id) => new mongoose.Types.ObjectId(id));
+    }
+
+    const conditions = {};
+    if (categoryIds) conditions.category = { category: { $in: categoryIds } };
+    if (brand?.length) conditions.brand = { brand: { $in: brand } };
+    if (size?.length) conditions.size = { facetSizes: { $in: size } };
+    if (color?.length) conditions.color = { facetColors: { $in: color } };
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      conditions.price = { effectivePrice: {} };
+      if (minPrice !== undefined) conditions.price.effectivePrice.$gte = minPrice;
+      if (maxPrice !== undefined) conditions.price.effectivePrice.$lte = maxPrice;
+    }
+    if (minRating !== undefined) conditions.rating = { rating: { $gte: minRating } };
+
+    // Match every active filter except the one named by `exclude`
+    const matchExcept = (exclude) => {
+      const clauses = Object.entries(conditions)
+        .filter(([key]) => key !== exclude)
+        .map(([, clause]) => clause);
+      return { $match: clauses.length ? { $and: clauses } : {} };
+    };
+
+    const activeVariants = {
+      $filter: { input: { $ifNull: ['$variants', []] }, as: 'v', cond: '$$v.isActive' },
+    };
+    const sortStage = FACET_SORTS[sort] || FACET_SORTS.default;
+
+    // Products with variants are priced from their cheapest active variant, so that price
+    // is the one sorted, filtered and bucketed on
+
+    const [result] = await Product.aggregate([
+      { $match: { isDeleted: false, isActive: true } },
+      {
+        $addFields: {
+          effectivePrice: {
+            $cond: [
+              { $gt: [{ $size: activeVariants }, 0] },
+              { $min: { $map: { input: activeVariants, as: 'v', in: { $ifNull: ['$$v.discountPrice', '$$v.price'] } } } },
+              { $ifNull: ['$discountPrice', '$price'] },
+            ],
+          },
+          facetSizes: {
+            $setUnion: [
+              { $cond: [{ $gt: ['$size', null] }, ['$size'], []] },
+              { $filter: { input: { $map: { input: activeVariants, as: 'v', in: '$$v.size' } }, as: 's', cond: { $gt: ['$$s', null] } } },
+            ],
+          },
+          facetColors: {
+            $setUnion: [
+              { $cond: [{ $gt: ['$color', null] }, ['$color'], []] },
+              { $filter: { input: { $map: { input: activeVariants, as: 'v', in: '$$v.color' } }, as: 'c', cond: { $gt: ['$$c', null] } } },
+            ],
+          },
+        },
+      },
+      {
+        $facet: {
+          products: [
+            matchExcept(null),
+            { $sort: sortStage },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { reviews: 0, facetSizes: 0, facetColors: 0 } },
+          ],
+          total: [matchExcept(null), { $count: 'count' }],
+          brands: [
+            matchExcept('brand'),
+            { $match: { brand: { $gt: null } } },
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          sizes: [
+            matchExcept('size'),
+            { $unwind: '$facetSizes' },
+            { $group: { _id: '$facetSizes', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          colors: [
+            matchExcept('color'),
+            { $unwind: '$facetColors' },
+            { $group: { _id: '$facetColors', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          categories: [
+            matchExcept('category'),
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+          ratings: [
+            matchExcept('rating'),
+            { $bucket: { groupBy: '$rating', boundaries: RATING_BUCKETS, default: 'unrated', output: { count: { $sum: 1 } } } },
+          ],
+          priceRanges: [
+            matchExcept('price'),
+            { $bucket: { groupBy: '$effectivePrice', boundaries: PRICE_BUCKETS, output: { count: { $sum: 1 } } } },
+          ],
+        },
+      },
+    ]);
+
+    const products = await Product.populate(result.products, [
+      { path: 'category', select: 'name slug' },
+      { path: 'subcategories', select: 'name slug' },
+    ]);
+    products.forEach((product) => Product.toAvailableStock(product));
+
+    const categoryDocs = await Category.find({ _id: { $in: result.categories.map((c) => c._id) } })
+      .select('name slug')
+      .lean();
+    const categoryById = new Map(categoryDocs.map((doc) => [doc._id.toString(), doc]));
+
+    // Ratings are presented as cumulative "N stars & up" buckets
+    const ratingCounts = new Map(result.ratings.map((bucket) => [bucket._id, bucket.count]));
+    const ratings = [4, 3, 2, 1].map((minStars) => ({
+      minRating: minStars,
+      count: RATING_BUCKETS.slice(0, -1)
+        .filter((lower) => lower >= minStars)
+        .reduce((sum, lower) => sum + (ratingCounts.get(lower) || 0), 0),
+    }));
+
+    const priceRanges = result.priceRanges.map((bucket) => {
+      const index = PRICE_BUCKETS.indexOf(bucket._id);
+      const max = PRICE_BUCKETS[index + 1];
+      return { min: bucket._id, max: max === Number.MAX_SAFE_INTEGER ? null : max, count: bucket.count };
+    });
+
+    logger.info('Computed product facets', { filters: conditions, page, limit });
+    return {
+      ...buildPage({ items: products, total: result.total[0]?.count || 0, page, limit }),
+      facets: {
+        brands: result.brands.map(({ _id, count }) => ({ value: _id, count })),
+        sizes: result.sizes.map(({ _id, count }) => ({ value: _id, count })),
+        colors: result.colors.map(({ _id, count }) => ({ value: _id, count })),
+        categories: result.categories
+          .filter(({ _id }) => categoryById.has(String(_id)))
+          .map(({ _id, count }) => ({ ...categoryById.get(String(_id)), count })),
+        ratings,
+        priceRanges,
+      },
+    };
+  }
+
+  /**
+   * Relevance-ranked product search. Uses the weighted text index first and falls
+   * back to trigram matching when the query has no exact-word hits (e.g. typos).
+   * @param {Object} params - Search parameters.
+   * @param {string} params.search - Free-text query.
+   * @param {number} params.page - Page number.
+   * @param {number} params.limit - Page size.
+   * @returns {Object} { products, total, fuzzy }.
+   */
+  async searchProducts({ search, page, limit }) {
+    const baseFilter = { isDeleted: false, isActive: true };
+    // Quotes and leading dashes are $text operators; treat user input as plain words
+    const terms = search.replace(/["\\]/g, ' ').replace(/(^|\s)-+/g, '$1').trim();
+
+    if (terms) {
+      const textFilter = { ...baseFilter, $text: { $search: terms } };
+      const [products, total] = await Promise.all([
+        Product.find(textFilter, { score: { $meta: 'textScore' } })
+          .select('-reviews')
+          .populate('category', 'name')
+          .populate('subcategories', 'name')
+          .sort({ score: { $meta: 'textScore' }, _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Product.countDocuments(textFilter),
+      ]);
+      if (total > 0) {
+        products.forEach((product) => Product.toAvailableStock(product));
+        logger.info(`Text search for "${search}" matched ${total} products`);
+        return { products, total, fuzzy: false };
+      }
+    }
+
+    const grams = Product.toTrigrams(search);
+    if (grams.length === 0) {
+      return { products: [], total: 0, fuzzy: true };
+    }
+    const minOverlap = Math.max(1, Math.ceil(grams.length * FUZZY_MIN_SIMILARITY));
+    const [result] = await Product.aggregate([
+      { $match: { ...baseFilter, searchGrams: { $in: grams } } },
+      { $addFields: { score: { $size: { $setIntersection: ['$searchGrams', grams] } } } },
+      { $match: { score: { $gte: minOverlap } } },
+      {
+        $facet: {
+          products: [
+            { $sort: { score: -1, rating: -1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { reviews: 0, searchGrams: 0 } },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+    const products = await Product.populate(result.products, [
+      { path: 'category', select: 'name' },
+      { path: 'subcategories', select: 'name' },
+    ]);
+    products.forEach((product) => Product.toAvailableStock(product));
+    const total = result.total[0]?.count || 0;
+    logger.info(`Fuzzy search for "${search}" matched ${total} products`);
+    return { products, total, fuzzy: true };
+  }
+
+  /**
+   * Autocomplete suggestions for the search box.
+   * @param {string} query - Partial user input.
+   * @param {number} [limit=5] - Maximum suggestions per group.
+   * @returns {Object} { products, brands, categories }.
+   */
+  async suggest(query, limit = 5) {
+    const prefix = new RegExp(`^${escapeRegex(query.trim())}`, 'i');
+    // Names match from the start of any word, so "air" suggests "Nike Air Max"
+    const wordPrefix = new RegExp(`\\b${escapeRegex(query.trim())}`, 'i');
+    const active = { isDeleted: false, isActive: true };
+
+    const [products, brands, categories] = await Promise.all([
+      Product.find({ ...active, name: wordPrefix })
+        .select('name images')
+        .sort({ rating: -1 })
+        .limit(limit)
+        .lean(),
+      Product.aggregate([
+        { $match: { ...active, brand: prefix } },
+        { $group: { _id: '$brand', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+      ]),
+      Category.find({ ...active, name: wordPrefix })
+        .select('name slug')
+        .sort({ depth: 1, sortOrder: 1 })
+        .limit(limit)
+        .lean(),
+    ]);
+
+    return {
+      products: products.map(({ _id, name, images }) => ({ _id, name, image: images?.[0]?.url || null })),
+      brands: brands.map(({ _id, count }) => ({ name: _id, count })),
+      categories,
+    };
+  }
+
+  // Helper to turn uploaded review files into media entries
+  #toReviewMedia(files) {
+    return files.map((file) => ({
+      public_id: file.filename,
+      url: file.path,
+      type: file.mimetype?.startsWith('video/') ? 'video' : 'image',
+    }));
+  }
+
+  // Helper to remove review media from Cloudinary
+  async #cleanupReviewMedia(media) {
+    await Promise.all(media.map((item) => cleanupFailedUpload(item.public_id, item.type)));
+  }
+
+  // Helper to enforce review media count and the per-type size limits
+  #validateReviewMedia(media, files, userId) {
+    if (media.length > MAX_REVIEW_MEDIA) {
+      logger.error(`Too many review media files: ${media.length}`, { userId });
+      throw new BadRequestError(`Maximum ${MAX_REVIEW_MEDIA} photos or videos allowed`);
+    }
+    const oversized = files.find((file, index) => media[index].type === 'image' && file.size > FILE_SIZE_LIMITS.reviewImage);
+    if (oversized) {
+      logger.error(`Review photo too large: ${oversized.size} bytes`, { userId });
+      throw new BadRequestError(`Photos must be ${FILE_SIZE_LIMITS.reviewImage / (1024 * 1024)}MB or smaller`);
+    }
+  }
+
+  // Helper to load a product and one of its reviews, throwing 404s for either
+  async #findReview(productId, reviewId, session = null) {
+    const product = await Product.findOne({ _id: productId, isDeleted: false }).session(session);
+    if (!product) {
+      logger.warn(`Product not found: ${productId}`);
+      throw new NotFoundError('Product not found');
+    }
+    const review = product.reviews.id(reviewId);
+    if (!review) {
+      logger.warn(`Review not found: ${reviewId}`);
+      throw new NotFoundError('Review not found');
+    }
+    return { product, review };
+  }
+
+  // Helper to fetch a product for review responses with moderation data stripped
+  async #getReviewedProduct(productId) {
+    const product = await Product.findById(productId)
+      .populate('reviews.user', 'name')
+      .populate('category', 'name')
+      .populate('subcategories', 'name')
+      .lean();
+    product.reviews = Product.toPublicReviews(product.reviews);
+    return product;
+  }
+
+  /**
+   * Get published reviews for a product, paginated.
+   * @param {string} productId - Product ID.
+   * @param {Object} options - Listing options.
+   * @param {string} [options.sort='recent'] - 'recent' or 'helpful'.
+   * @param {boolean} [options.verified] - Only verified-purchase reviews.
+   * @param {boolean} [options.withMedia] - Only reviews with photos or videos.
+   * @param {number} options.page - Page number.
+   * @param {number} options.limit - Page size.
+   * @returns {Object} Paginated envelope of reviews.
+   */
+  async getReviews(productId, { sort = 'recent', verified, withMedia, page = 1, limit = 10 }) {
+    if (!mongoose.isValidObjectId(productId)) {
+      logger.error(`Invalid product ID: ${productId}`);
+      throw new BadRequestError('Invalid product ID');
+    }
+    const product = await Product.exists({ _id: productId, isDeleted: false });
+    if (!product) {
+      logger.warn(`Product not found: ${productId}`);
+      throw new NotFoundError('Product not found');
+    }
+
+    const reviewMatch = { 'reviews.status': { $ne: 'hidden' } };
+    if (verified) reviewMatch['reviews.isVerifiedPurchase'] = true;
+    if (withMedia) reviewMatch['reviews.media.0'] = { $exists: true };
+
+    const [result] = await Product.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(productId) } },
+      { $unwind: '$reviews' },
+      { $match: reviewMatch },
+      { $replaceRoot: { newRoot: '$reviews' } },
+      { $sort: REVIEW_SORTS[sort] },
+      {
+        $facet: {
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'user' } },
+            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+            { $project: { reports: 0, helpfulVotes: 0, moderatedBy: 0, moderationNote: 0 } },
+            { $addFields: { user: { _id: '$user._id', name: '$user.name' } } },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    logger.info(`Retrieved reviews for product ${productId}`, { sort, page, limit });
+    return buildPage({ items: result.items, total: result.total[0]?.count || 0, page, limit });
+  }
+
   /**
    * Add a review to a product.
    * @param {string} productId - Product ID.
    * @param {Object} reviewData - Review data (rating, comment).
    * @param {string} userId - User ID.
+   * @param {Object[]} files - Uploaded review photos/videos (from fileUpload.js).
    * @returns {Object} Updated product document.
    */
-  async addReview(productId, reviewData, userId) {
+  async addReview(productId, reviewData, userId, files = []) {
+    const media = this.#toReviewMedia(files);
     if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(userId)) {
       logger.error(`Invalid ID: product ${productId}, user ${userId}`);
+      await this.#cleanupReviewMedia(media);
       throw new BadRequestError('Invalid product or user ID');
     }
 
-    // Validate reviewData
-    const { rating, comment } = reviewData;
-    if (!Number.isInteger(rating) || rating < 0 || rating > 5) {
-      logger.error(`Invalid rating: ${rating}`, { userId });
-      throw new BadRequestError('Rating must be an integer between 0 and 5');
-    }
-    if (comment && !comment.trim()) {
-      logger.error('Empty comment', { userId });
-      throw new BadRequestError('Comment cannot be empty');
-    }
-
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
+      // Validate reviewData
+      const { rating, comment } = reviewData;
+      if (!Number.isInteger(rating) || rating < 0 || rating > 5) {
+        logger.error(`Invalid rating: ${rating}`, { userId });
+        throw new BadRequestError('Rating must be an integer between 0 and 5');
+      }
+      if (comment && !comment.trim()) {
+        logger.error('Empty comment', { userId });
+        throw new BadRequestError('Comment cannot be empty');
+      }
+      this.#validateReviewMedia(media, files, userId);
+
+      const isVerifiedPurchase = await Order.hasDeliveredProduct(userId, productId);
+
       const product = await Product.findOne({ _id: productId, isDeleted: false }).session(session);
       if (!product) {
         logger.warn(`Product not found: ${productId}`);
@@ -391,21 +1025,19 @@ class ProductService {
         user: userId,
         rating,
         comment: comment ? comment.trim() : undefined,
+        media,
+        isVerifiedPurchase,
         createdAt: new Date(),
       };
 
       product.reviews.push(newReview);
-      await product.save({ session });
-      await product.updateRating().session(session); // Update average rating
+      await product.updateRating(session); // Update average rating and save
       await session.commitTransaction();
-      logger.info(`Added review to product ${productId} by user ${userId}`);
-      return await Product.findById(productId)
-        .populate('reviews.user', 'name')
-        .populate('category', 'name')
-        .populate('subcategories', 'name')
-        .lean();
+      logger.info(`Added review to product ${productId} by user ${userId}`, { isVerifiedPurchase });
+      return await this.#getReviewedProduct(productId);
     } catch (error) {
       await session.abortTransaction();
+      await this.#cleanupReviewMedia(media);
       logger.error(`Error adding review to product ${productId}: ${error.message}`, { userId });
       throw error.status ? error : new BadRequestError('Failed to add review');
     } finally {
@@ -419,43 +1051,38 @@ class ProductService {
    * @param {string} reviewId - Review ID.
    * @param {Object} reviewData - Updated review data.
    * @param {string} userId - User ID.
+   * @param {Object[]} files - Uploaded review photos/videos; when given they replace the existing media.
    * @returns {Object} Updated product document.
    */
-  async updateReview(productId, reviewId, reviewData, userId) {
+  async updateReview(productId, reviewId, reviewData, userId, files = []) {
+    const media = this.#toReviewMedia(files);
     if (
       !mongoose.isValidObjectId(productId) ||
       !mongoose.isValidObjectId(reviewId) ||
       !mongoose.isValidObjectId(userId)
     ) {
       logger.error(`Invalid ID: product ${productId}, review ${reviewId}, user ${userId}`);
+      await this.#cleanupReviewMedia(media);
       throw new BadRequestError('Invalid product, review, or user ID');
     }
 
-    // Validate reviewData
-    const { rating, comment } = reviewData;
-    if (rating && (!Number.isInteger(rating) || rating < 0 || rating > 5)) {
-      logger.error(`Invalid rating: ${rating}`, { userId });
-      throw new BadRequestError('Rating must be an integer between 0 and 5');
-    }
-    if (comment && !comment.trim()) {
-      logger.error('Empty comment', { userId });
-      throw new BadRequestError('Comment cannot be empty');
-    }
-
+    let replacedMedia = [];
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
-      const product = await Product.findOne({ _id: productId, isDeleted: false }).session(session);
-      if (!product) {
-        logger.warn(`Product not found: ${productId}`);
-        throw new NotFoundError('Product not found');
+      // Validate reviewData
+      const { rating, comment } = reviewData;
+      if (rating && (!Number.isInteger(rating) || rating < 0 || rating > 5)) {
+        logger.error(`Invalid rating: ${rating}`, { userId });
+        throw new BadRequestError('Rating must be an integer between 0 and 5');
       }
-
-      const review = product.reviews.id(reviewId);
-      if (!review) {
-        logger.warn(`Review not found: ${reviewId}`);
-        throw new NotFoundError('Review not found');
+      if (comment && !comment.trim()) {
+        logger.error('Empty comment', { userId });
+        throw new BadRequestError('Comment cannot be empty');
       }
+      this.#validateReviewMedia(media, files, userId);
+
+      const { product, review } = await this.#findReview(productId, reviewId, session);
 
       if (review.user.toString() !== userId) {
         logger.warn(`Unauthorized review update attempt by user ${userId} for review ${reviewId}`);
@@ -464,18 +1091,23 @@ class ProductService {
 
       review.rating = rating !== undefined ? rating : review.rating;
       review.comment = comment ? comment.trim() : review.comment;
+      if (media.length > 0) {
+        replacedMedia = review.media.map((item) => item.toObject());
+        review.media = media;
+      }
+      // Re-check in case the order was delivered after the review was first written
+      if (!review.isVerifiedPurchase) {
+        review.isVerifiedPurchase = await Order.hasDeliveredProduct(userId, productId);
+      }
 
-      await product.save({ session });
-      await product.updateRating().session(session); // Update average rating
+      await product.updateRating(session); // Update average rating and save
       await session.commitTransaction();
+      await this.#cleanupReviewMedia(replacedMedia);
       logger.info(`Updated review ${reviewId} for product ${productId} by user ${userId}`);
-      return await Product.findById(productId)
-        .populate('reviews.user', 'name')
-        .populate('category', 'name')
-        .populate('subcategories', 'name')
-        .lean();
+      return await this.#getReviewedProduct(productId);
     } catch (error) {
       await session.abortTransaction();
+      await this.#cleanupReviewMedia(media);
       logger.error(`Error updating review ${reviewId} for product ${productId}: ${error.message}`, { userId });
       throw error.status ? error : new BadRequestError('Failed to update review');
     } finally {
@@ -503,27 +1135,18 @@ class ProductService {
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
-      const product = await Product.findOne({ _id: productId, isDeleted: false }).session(session);
-      if (!product) {
-        logger.warn(`Product not found: ${productId}`);
-        throw new NotFoundError('Product not found');
-      }
-
-      const review = product.reviews.id(reviewId);
-      if (!review) {
-        logger.warn(`Review not found: ${reviewId}`);
-        throw new NotFoundError('Review not found');
-      }
+      const { product, review } = await this.#findReview(productId, reviewId, session);
 
       if (review.user.toString() !== userId) {
         logger.warn(`Unauthorized review deletion attempt by user ${userId} for review ${reviewId}`);
         throw new ForbiddenError('Unauthorized to delete this review');
       }
 
+      const media = review.media.map((item) => item.toObject());
       product.reviews.pull(reviewId);
-      await product.save({ session });
-      await product.updateRating().session(session); // Update average rating
+      await product.updateRating(session); // Update average rating and save
       await session.commitTransaction();
+      await this.#cleanupReviewMedia(media);
       logger.info(`Deleted review ${reviewId} from product ${productId} by user ${userId}`);
       return { message: 'Review deleted successfully' };
     } catch (error) {
@@ -534,6 +1157,180 @@ class ProductService {
       session.endSession();
     }
   }
+
+  /**
+   * Report a review for moderation. Each user can report a review once.
+   * @param {string} productId - Product ID.
+   * @param {string} reviewId - Review ID.
+   * @param {Object} reportData - Report data (reason, comment).
+   * @param {string} userId - Reporting user ID.
+   * @returns {Object} Success message.
+   */
+  async reportReview(productId, reviewId, { reason, comment }, userId) {
+    if (
+      !mongoose.isValidObjectId(productId) ||
+      !mongoose.isValidObjectId(reviewId) ||
+      !mongoose.isValidObjectId(userId)
+    ) {
+      logger.error(`Invalid ID: product ${productId}, review ${reviewId}, user ${userId}`);
+      throw new BadRequestError('Invalid product, review, or user ID');
+    }
+
+    const { product, review } = await this.#findReview(productId, reviewId);
+    if (review.user.toString() === userId) {
+      throw new BadRequestError('You cannot report your own review');
+    }
+    if (review.reports.some((report) => report.user.toString() === userId)) {
+      logger.warn(`User ${userId} already reported review ${reviewId}`);
+      throw new ConflictError('You have already reported this review');
+    }
+
+    review.reports.push({ user: userId, reason, comment: comment?.trim() });
+    review.reportCount += 1;
+    await product.save();
+    logger.info(`Review ${reviewId} on product ${productId} reported by user ${userId}`, { reason });
+    return { message: 'Review reported successfully' };
+  }
+
+  /**
+   * Add or remove a user's helpful vote on a review.
+   * @param {string} productId - Product ID.
+   * @param {string} reviewId - Review ID.
+   * @param {string} userId - Voting user ID.
+   * @param {boolean} [helpful=true] - False removes an existing vote.
+   * @returns {Object} { reviewId, helpfulCount, votedHelpful }.
+   */
+  async voteReviewHelpful(productId, reviewId, userId, helpful = true) {
+    if (
+      !mongoose.isValidObjectId(productId) ||
+      !mongoose.isValidObjectId(reviewId) ||
+      !mongoose.isValidObjectId(userId)
+    ) {
+      logger.error(`Invalid ID: product ${productId}, review ${reviewId}, user ${userId}`);
+      throw new BadRequestError('Invalid product, review, or user ID');
+    }
+
+    const { review } = await this.#findReview(productId, reviewId);
+    if (review.status === 'hidden') {
+      throw new NotFoundError('Review not found');
+    }
+    if (review.user.toString() === userId) {
+      throw new BadRequestError('You cannot vote on your own review');
+    }
+
+    // Conditional update keeps the vote list and counter in step under concurrent votes
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    await Product.updateOne(
+      {
+        _id: productId,
+        reviews: {
+          $elemMatch: {
+            _id: reviewId,
+            helpfulVotes: helpful ? { $ne: userObjectId } : userObjectId,
+          },
+        },
+      },
+      helpful
+        ? { $push: { 'reviews.$.helpfulVotes': userObjectId }, $inc: { 'reviews.$.helpfulCount': 1 } }
+        : { $pull: { 'reviews.$.helpfulVotes': userObjectId }, $inc: { 'reviews.$.helpfulCount': -1 } }
+    );
+
+    const { review: updated } = await this.#findReview(productId, reviewId);
+    logger.info(`User ${userId} ${helpful ? 'voted' : 'unvoted'} review ${reviewId} helpful`);
+    return {
+      reviewId,
+      helpfulCount: updated.helpfulCount,
+      votedHelpful: helpful,
+    };
+  }
+
+  /**
+   * List reviews with unresolved reports for the moderation queue, most reported first.
+   * @param {Object} options - Pagination options (page, limit).
+   * @returns {Object} Paginated envelope of reviews with their product.
+   */
+  async getReportedReviews({ page = 1, limit = 20 }) {
+    const [result] = await Product.aggregate([
+      { $match: { 'reviews.reportCount': { $gt: 0 }, isDeleted: false } },
+      { $unwind: '$reviews' },
+      { $match: { 'reviews.reportCount': { $gt: 0 } } },
+      { $sort: { 'reviews.reportCount': -1, 'reviews.createdAt': 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                product: { _id: '$_id', name: '$name', seller: '$seller' },
+                review: {
+                  _id: '$reviews._id',
+                  user: '$reviews.user',
+                  rating: '$reviews.rating',
+                  comment: '$reviews.comment',
+                  status: '$reviews.status',
+                  isVerifiedPurchase: '$reviews.isVerifiedPurchase',
+                  reportCount: '$reviews.reportCount',
+                  reports: {
+                    $filter: { input: '$reviews.reports', as: 'report', cond: { $eq: ['$$report.resolved', false] } },
+                  },
+                  createdAt: '$reviews.createdAt',
+                },
+              },
+            },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    logger.info('Retrieved reported reviews', { page, limit });
+    return buildPage({ items: result.items, total: result.total[0]?.count || 0, page, limit });
+  }
+
+  /**
+   * Approve (keep published) or hide a review and resolve its open reports.
+   * @param {string} productId - Product ID.
+   * @param {string} reviewId - Review ID.
+   * @param {Object} moderation - { action: 'approve' | 'hide', note }.
+   * @param {string} adminId - Moderating admin ID.
+   * @returns {Object} Moderated review.
+   */
+  async moderateReview(productId, reviewId, { action, note }, adminId) {
+    if (
+      !mongoose.isValidObjectId(productId) ||
+      !mongoose.isValidObjectId(reviewId) ||
+      !mongoose.isValidObjectId(adminId)
+    ) {
+      logger.error(`Invalid ID: product ${productId}, review ${reviewId}, admin ${adminId}`);
+      throw new BadRequestError('Invalid product, review, or admin ID');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const { product, review } = await this.#findReview(productId, reviewId, session);
+
+      review.status = action === 'hide' ? 'hidden' : 'published';
+      review.reports.forEach((report) => { report.resolved = true; });
+      review.reportCount = 0;
+      review.moderatedBy = adminId;
+      review.moderatedAt = new Date();
+      review.moderationNote = note?.trim();
+
+      await product.updateRating(session); // Hidden reviews drop out of the rating
+      await session.commitTransaction();
+      logger.info(`Review ${reviewId} on product ${productId} moderated by admin ${adminId}`, { action });
+      return review.toObject();
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error(`Error moderating review ${reviewId}: ${error.message}`, { adminId });
+      throw error.status ? error : new BadRequestError('Failed to moderate review');
+    } finally {
+      session.endSession();
+    }
+  }
 }
 
 module.exports = new ProductService();
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Question = require('../models/question.model');
+const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+const User = require('../models/user.model');
+const sendEmail = require('./emailService');
+const { paginate } = require('../utils/pagination');
+const escapeHtml = require('../utils/escapeHtml');
+
+// Custom error classes
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 403;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/questionService.log' }),
+  ],
+});
+
+// Seller answers first, then the most upvoted, then the oldest
+const byAnswerRank = (a, b) => (Number(b.isSeller) - Number(a.isSeller))
+  || (b.upvoteCount - a.upvoteCount)
+  || (new Date(a.createdAt) - new Date(b.createdAt));
+
+class QuestionService {
+  // Helper to load an active product, throwing a 404 when it is missing
+  async #findProduct(productId) {
+    if (!mongoose.isValidObjectId(productId)) {
+      logger.error(`Invalid product ID: ${productId}`);
+      throw new BadRequestError('Invalid product ID');
+    }
+    const product = await Product.findOne({ _id: productId, isDeleted: false, isActive: true })
+      .select('name seller')
+      .lean();
+    if (!product) {
+      logger.warn(`Product not found: ${productId}`);
+      throw new NotFoundError('Product not found');
+    }
+    return product;
+  }
+
+  // Helper to load a question of a product, throwing a 404 when it is missing
+  async #findQuestion(productId, questionId) {
+    if (!mongoose.isValidObjectId(questionId)) {
+      logger.error(`Invalid question ID: ${questionId}`);
+      throw new BadRequestError('Invalid question ID');
+    }
+    const question = await Question.findOne({ _id: questionId, product: productId, isDeleted: false });
+    if (!question) {
+      logger.warn(`Question not found: ${questionId}`);
+      throw new NotFoundError('Question not found');
+    }
+    return question;
+  }
+
+  // Helper to tell the seller about a new question; failures are logged, not raised
+  async #notifySeller(product, question) {
+    try {
+      const seller = await User.findById(product.seller).select('name email').lean();
+      if (!seller?.email) return;
+      const html = `
+        <html>
+          <body>
+            <h1>New question about ${escapeHtml(product.name)}</h1>
+            <p>A customer asked:</p>
+            <blockquote>${escapeHtml(question.question)}</blockquote>
+            <p>Answering quickly helps buyers decide.</p>
+          </body>
+        </html>
+      `;
+      await sendEmail(seller.email, `New question about ${product.name}`, html);
+      logger.info(`Notified seller ${product.seller} of question ${question._id}`);
+    } catch (error) {
+      logger.error(`Failed to notify seller of question ${question._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a product's questions, newest first, with ranked answers.
+   * @param {string} productId - Product ID.
+   * @param {Object} options - Pagination options (page, limit, cursor, mode).
+   * @returns {Object} Paginated envelope of questions.
+   */
+  async getQuestions(productId, options) {
+    await this.#findProduct(productId);
+    const result = await paginate(Question, { product: productId, isDeleted: false }, {
+      ...options,
+      select: '-answers.upvotes',
+      populate: [
+        { path: 'askedBy', select: 'name' },
+        { path: 'answers.user', select: 'name' },
+      ],
+    });
+    for (const question of result.items) question.answers.sort(byAnswerRank);
+    logger.info(`Retrieved questions for product ${productId}`, { count: result.items.length });
+    return result;
+  }
+
+  /**
+   * Ask a question about a product and notify its seller.
+   * @param {string} productId - Product ID.
+   * @param {Object} data - { question }.
+   * @param {string} userId - Asking user ID.
+   * @returns {Object} Created question.
+   */
+  async askQuestion(productId, { question }, userId) {
+    const product = await this.#findProduct(productId);
+    const created = await Question.create({
+      product: productId,
+      seller: product.seller,
+      askedBy: userId,
+      question: question.trim(),
+    });
+    logger.info(`User ${userId} asked question ${created._id} on product ${productId}`);
+    await this.#notifySeller(product, created);
+    return created.toObject();
+  }
+
+  /**
+   * Answer a question. Only the product's seller or a verified buyer may answer.
+   * @param {string} productId - Product ID.
+   * @param {string} questionId - Question ID.
+   * @param {Object} data - { body }.
+   * @param {string} userId - Answering user ID.
+   * @returns {Object} Updated question.
+   */
+  async answerQuestion(productId, questionId, { body }, userId) {
+    const product = await this.#findProduct(productId);
+    const question = await this.#findQuestion(productId, questionId);
+
+    const isSeller = product.seller.toString() === userId;
+    const isVerifiedBuyer = !isSeller && await Order.hasDeliveredProduct(userId, productId);
+    if (!isSeller && !isVerifiedBuyer) {
+      logger.warn(`User ${userId} is not allowed to answer question ${questionId}`);
+      throw new ForbiddenError('Only the seller or customers who bought this product can answer');
+    }
+
+    question.answers.push({ user: userId, body: body.trim(), isSeller, isVerifiedBuyer });
+    question.answerCount = question.answers.length;
+    await question.save();
+    logger.info(`User ${userId} answered question ${questionId}`, { isSeller, isVerifiedBuyer });
+
+    const answered = question.toObject();
+    answered.answers = answered.answers.map(({ upvotes, ...answer }) => answer).sort(byAnswerRank);
+    return answered;
+  }
+
+  /**
+   * Add or remove a user's upvote on an answer.
+   * @param {string} productId - Product ID.
+   * @param {string} questionId - Question ID.
+   * @param {string} answerId - Answer ID.
+   * @param {string} userId - Voting user ID.
+   * @param {boolean} [upvote=true] - False removes an existing upvote.
+   * @returns {Object} { answerId, upvoteCount, upvoted }.
+   */
+  async voteAnswer(productId, questionId, answerId, userId, upvote = true) {
+    if (!mongoose.isValidObjectId(answerId)) {
+      throw new BadRequestError('Invalid answer ID');
+    }
+    const question = await this.#findQuestion(productId, questionId);
+    const answer = question.answers.id(answerId);
+    if (!answer) {
+      throw new NotFoundError('Answer not found');
+    }
+    if (answer.user.toString() === userId) {
+      throw new BadRequestError('You cannot upvote your own answer');
+    }
+
+    // Conditional update keeps the vote list and counter in step under concurrent votes
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    await Question.updateOne(
+      {
+        _id: questionId,
+        answers: {
+          $elemMatch: { _id: answerId, upvotes: upvote ? { $ne: userObjectId } : userObjectId },
+        },
+      },
+      upvote
+        ? { $push: { 'answers.$.upvotes': userObjectId }, $inc: { 'answers.$.upvoteCount': 1 } }
+        : { $pull: { 'answers.$.upvotes': userObjectId }, $inc: { 'answers.$.upvoteCount': -1 } }
+    );
+
+    const updated = await Question.findById(questionId).select('answers._id answers.upvoteCount').lean();
+    const { upvoteCount } = updated.answers.find((item) => item._id.toString() === answerId);
+    logger.info(`User ${userId} ${upvote ? 'upvoted' : 'removed upvote on'} answer ${answerId}`);
+    return { answerId, upvoteCount, upvoted: upvote };
+  }
+}
+
+module.exports = new QuestionService();
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Recommendation = require('../models/recommendation.model');
+const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+
+// Custom error classes
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/recommendationService.log' }),
+  ],
+});
+
+// How many recommendations are stored per list
+const MAX_RECOMMENDATIONS = 12;
+// Only orders from this window count towards co-purchases, so trends can change
+const CO_PURCHASE_LOOKBACK_DAYS = 180;
+// Similar items must be priced within this share of the product's price
+const PRICE_BAND = 0.3;
+// Upper bound of same-category candidates scored per product
+const SIMILAR_CANDIDATES = 200;
+
+const PUBLIC_PRODUCT_FIELDS = 'name price discountPrice images rating brand stock reservedStock';
+
+const effectivePrice = (product) => product.discountPrice ?? product.price;
+
+class RecommendationService {
+  /**
+   * Count how often each pair of products appears in the same order.
+   * @returns {Map<string, Object[]>} Product ID -> [{ product, score }] by descending count.
+   */
+  async #computeFrequentlyBoughtTogether() {
+    const since = new Date(Date.now() - CO_PURCHASE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const pairs = await Order.aggregate([
+      // Only real purchases: paid orders, or cash-on-delivery orders that reached the
+      // buyer. Unpaid orders and ones sent back don't count.
+      {
+        $match: {
+          isDeleted: false,
+          status: { $nin: ['cancelled', 'returned', 'refunded'] },
+          createdAt: { $gte: since },
+          $or: [
+            { paymentStatus: 'completed' },
+            { paymentMethod: 'cod', status: { $in: ['delivered', 'partially_delivered', 'return_requested'] } },
+          ],
+        },
+      },
+      // Count a product once per order even if it appears on several lines (variants);
+      // cancelled lines weren't bought
+      {
+        $project: {
+          items: {
+            $setUnion: [{
+              $map: {
+                input: { $filter: { input: '$products', as: 'line', cond: { $ne: ['$$line.cancelled', true] } } },
+                as: 'line',
+                in: '$$line.productId',
+              },
+            }, []],
+          },
+        },
+      },
+      { $match: { 'items.1': { $exists: true } } },
+      { $project: { product: '$items', items: 1 } },
+      { $unwind: '$product' },
+      { $unwind: '$items' },
+      { $match: { $expr: { $ne: ['$product', '$items'] } } },
+      { $group: { _id: { product: '$product', other: '$items' }, score: { $sum: 1 } } },
+      { $sort: { score: -1 } },
+      { $group: { _id: '$_id.product', items: { $push: { product: '$_id.other', score: '$score' } } } },
+      { $project: { items: { $slice: ['$items', MAX_RECOMMENDATIONS] } } },
+    ]).allowDiskUse(true);
+
+    return new Map(pairs.map((entry) => [entry._id.toString(), entry.items]));
+  }
+
+  /**
+   * Score same-category products by brand, shared subcategories and price closeness.
+   * @param {Object} product - Lean product (category, brand, subcategories, prices).
+   * @returns {Object[]} [{ product, score }] by descending score.
+   */
+  async #computeSimilar(product) {
+    const price = effectivePrice(product);
+    const low = price * (1 - PRICE_BAND);
+    const high = price * (1 + PRICE_BAND);
+    const candidates = await Product.find({
+      _id: { $ne: product._id },
+      category: product.category,
+      isActive: true,
+      isDeleted: false,
+      $expr: {
+        $and: [
+          { $gte: [{ $ifNull: ['$discountPrice', '$price'] }, low] },
+          { $lte: [{ $ifNull: ['$discountPrice', '$price'] }, high] },
+        ],
+      },
+    })
+      .select('brand subcategories price discountPrice rating')
+      .limit(SIMILAR_CANDIDATES)
+      .lean();
+
+    const brand = product.brand?.toLowerCase();
+    const subcategories = new Set((product.subcategories || []).map((id) => id.toString()));
+    return candidates
+      .map((candidate) => {
+        let score = 1 - Math.abs(effectivePrice(candidate) - price) / (price * PRICE_BAND || 1);
+        if (brand && candidate.brand?.toLowerCase() === brand) score += 2;
+        score += (candidate.subcategories || []).filter((id) => subcategories.has(id.toString())).length;
+        score += (candidate.rating || 0) / 10; // Tie-breaker towards better rated items
+        return { product: candidate._id, score: Math.round(score * 1000) / 1000 };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RECOMMENDATIONS);
+  }
+
+  /**
+   * Recompute and store recommendations for every active product.
+   * Called periodically by jobs/recommendation.job.js.
+   * @returns {Object} { products, removed, durationMs }.
+   */
+  async refreshAll() {
+    const startedAt = new Date();
+    const together = await this.#computeFrequentlyBoughtTogether();
+
+    let products = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await Recommendation.bulkWrite(batch, { ordered: false });
+      batch = [];
+    };
+
+    const cursor = Product.find({ isActive: true, isDeleted: false })
+      .select('category brand subcategories price discountPrice')
+      .lean()
+      .cursor();
+    for await (const product of cursor) {
+      const similar = await this.#computeSimilar(product);
+      batch.push({
+        updateOne: {
+          filter: { product: product._id },
+          update: {
+            $set: {
+              frequentlyBoughtTogether: together.get(product._id.toString()) || [],
+              similar,
+              computedAt: startedAt,
+            },
+          },
+          upsert: true,
+        },
+      });
+      products += 1;
+      if (batch.length >= 500) await flush();
+    }
+    await flush();
+
+    // Products that were deactivated or deleted since the last run
+    const { deletedCount } = await Recommendation.deleteMany({ computedAt: { $lt: startedAt } });
+
+    const result = { products, removed: deletedCount, durationMs: Date.now() - startedAt.getTime() };
+    logger.info('Refreshed product recommendations', result);
+    return result;
+  }
+
+  /**
+   * Get precomputed recommendations for a product.
+   * Products not yet covered by a job run fall back to a live similar-items lookup.
+   * @param {string} productId - Product ID.
+   * @param {number} [limit=8] - Maximum items per list.
+   * @returns {Object} { frequentlyBoughtTogether, similar, computedAt }.
+   */
+  async getRecommendations(productId, limit = 8) {
+    if (!mongoose.isValidObjectId(productId)) {
+      logger.error(`Invalid product ID: ${productId}`);
+      throw new BadRequestError('Invalid product ID');
+    }
+
+    let recommendation = await Recommendation.findOne({ product: productId }).lean();
+    if (!recommendation) {
+      const product = await Product.findOne({ _id: productId, isActive: true, isDeleted: false })
+        .select('category brand subcategories price discountPrice')
+        .lean();
+      if (!product) {
+        logger.warn(`Product not found: ${productId}`);
+        throw new NotFoundError('Product not found');
+      }
+      recommendation = {
+        frequentlyBoughtTogether: [],
+        similar: await this.#computeSimilar(product),
+        computedAt: null,
+      };
+    }
+
+    // Resolve IDs to current product data, dropping products that went inactive
+    const ids = [...recommendation.frequentlyBoughtTogether, ...recommendation.similar].map((item) => item.product);
+    const products = await Product.find({ _id: { $in: ids }, isActive: true, isDeleted: false })
+      .select(PUBLIC_PRODUCT_FIELDS)
+      .lean();
+    const byId = new Map(products.map((product) => [product._id.toString(), Product.toAvailableStock(product)]));
+    const resolve = (items) => items
+      .map((item) => byId.get(item.product.toString()))
+      .filter(Boolean)
+      .slice(0, limit);
+
+    return {
+      frequentlyBoughtTogether: resolve(recommendation.frequentlyBoughtTogether),
+      similar: resolve(recommendation.similar),
+      computedAt: recommendation.computedAt,
+    };
+  }
+}
+
+module.exports = new RecommendationService();
@@ -0,0 +1,549 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const winston = require('winston');
+const ReturnRequest = require('../models/returnRequest.model');
+const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+const User = require('../models/user.model');
+const sendEmail = require('./emailService');
+const { findOrderFor, processRefund } = require('./order.service');
+const InvoiceService = require('./invoice.service');
+const { cleanupFailedUpload } = require('../middlewares/fileUpload');
+const escapeHtml = require('../utils/escapeHtml');
+const { roundMoney } = require('../utils/gst');
+const { formatMoney, toCurrency } = require('../utils/currency');
+const { OPEN_RETURN_STATUSES } = require('../utils/orderStatus');
+
+// Custom error classes
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 409;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/returnService.log' }),
+  ],
+});
+
+// Return window for categories that don't set one (nor do their ancestors)
+const DEFAULT_RETURN_WINDOW_DAYS = Number(process.env.DEFAULT_RETURN_WINDOW_DAYS ?? 7);
+
+// Fulfilment statuses from which items can be sent back
+const RETURNABLE_STATUSES = ['delivered', 'return_requested', 'returned'];
+
+// Reasons the buyer has to back up with at least one photo
+const PHOTO_REQUIRED_REASONS = ['damaged', 'defective', 'wrong_item'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReturnService {
+  // Helper to load a return of an order; sellers only see returns of their own items
+  async #findReturn(order, returnId, actor, session = null) {
+    const rma = await ReturnRequest.findOne({ _id: returnId, order: order._id }).session(session);
+    if (!rma || (actor.role === 'seller' && rma.seller.toString() !== actor.id)) {
+      throw new NotFoundError('Return request not found');
+    }
+    return rma;
+  }
+
+  // Days after delivery each product may be returned within, from its category chain
+  async #returnWindows(productIds, session) {
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('category')
+      .session(session)
+      .lean();
+    const categoryIds = [...new Set(products.map((product) => product.category?.toString()).filter(Boolean))];
+    const categories = await Category.find({ _id: { $in: categoryIds } })
+      .select('ancestors returnWindowDays')
+      .session(session)
+      .lean();
+    const ancestors = await Category.find({ _id: { $in: categories.flatMap((category) => category.ancestors) } })
+      .select('returnWindowDays')
+      .session(session)
+      .lean();
+    const byId = new Map([...categories, ...ancestors].map((category) => [category._id.toString(), category]));
+
+    return new Map(products.map((product) => {
+      const category = byId.get(product.category?.toString());
+      const chain = category
+        ? [category, ...[...category.ancestors].reverse().map((id) => byId.get(id.toString()))].filter(Boolean)
+        : [];
+      const days = chain.find((entry) => entry.returnWindowDays !== null && entry.returnWindowDays !== undefined)
+        ?.returnWindowDays;
+      return [product._id.toString(), days ?? DEFAULT_RETURN_WINDOW_DAYS];
+    }));
+  }
+
+  // When the buyer received a fulfilment; orders delivered before deliveredAt was kept
+  // fall back to the timeline
+  #deliveredAt(order, fulfilment) {
+    if (fulfilment.deliveredAt) return fulfilment.deliveredAt;
+    const entry = [...fulfilment.statusHistory].reverse().find((step) => step.status === 'delivered');
+    return entry?.at || order.updatedAt;
+  }
+
+  // Amount to refund for the returned units: their share of each line's value after
+  // discount and, when prices excluded GST, its tax. Shipping is not refunded.
+  #refundAmount(order, rma) {
+    return roundMoney(rma.lines.reduce((sum, item) => {
+      const line = order.products.id(item.lineId);
+      const value = line.price * line.quantity - (line.discount || 0)
+        + (order.pricesIncludeTax ? 0 : line.taxAmount || 0);
+      return sum + (value * item.quantity) / line.quantity;
+    }, 0));
+  }
+
+  // Helper to give the returned units back to the line, e.g. when a return is rejected
+  #releaseLines(order, rma) {
+    for (const item of rma.lines) {
+      const line = order.products.id(item.lineId);
+      if (line) line.returnedQuantity = Math.max((line.returnedQuantity || 0) - item.quantity, 0);
+    }
+  }
+
+  // Bring the seller's fulfilment in line with its returns: return requested while any is
+  // open, returned (or refunded, once every unit was refunded) after a refund, else
+  // delivered. Steps that don't change its status are noted on its timeline.
+  async #syncFulfilment(order, rma, actor, note, session) {
+    const fulfilment = order.fulfilmentFor(rma.seller);
+    const returns = await ReturnRequest.find({ order: order._id, seller: rma.seller })
+      .select('status lines')
+      .session(session)
+      .lean();
+
+    let target = 'delivered';
+    if (returns.some((entry) => OPEN_RETURN_STATUSES.includes(entry.status))) {
+      target = 'return_requested';
+    } else if (returns.some((entry) => entry.status === 'refunded')) {
+      const refunded = new Map();
+      for (const item of returns.filter((entry) => entry.status === 'refunded').flatMap((entry) => entry.lines)) {
+        refunded.set(item.lineId.toString(), (refunded.get(item.lineId.toString()) || 0) + item.quantity);
+      }
+      const lines = order.products.filter((line) => line.sellerId.toString() === rma.seller.toString() && !line.cancelled);
+      target = lines.every((line) => (refunded.get(line._id.toString()) || 0) >= line.quantity) ? 'refunded' : 'returned';
+    }
+
+    if (fulfilment.status === target) {
+      order.noteFulfilment(fulfilment, { id: actor.id, role: actor.role, note });
+      return;
+    }
+    const steps = target === 'refunded' && fulfilment.status === 'return_requested' ? ['returned', 'refunded'] : [target];
+    for (const status of steps) {
+      order.transitionFulfilment(fulfilment, status, { role: 'system', note });
+    }
+  }
+
+  // Helper to run one step of a return in a transaction: load the order and return, let
+  // `work` change them, then save both with the fulfilment brought in line
+  async #step(orderId, returnId, actor, label, work) {
+    if (!mongoose.isValidObjectId(orderId) || !mongoose.isValidObjectId(returnId)) {
+      throw new BadRequestError('Invalid order or return ID');
+    }
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const order = await findOrderFor(orderId, actor, session);
+      const rma = await this.#findReturn(order, returnId, actor, session);
+      if (actor.role === 'customer' && rma.user.toString() !== actor.id) {
+        throw new NotFoundError('Return request not found');
+      }
+      const note = await work(order, rma, session);
+      await rma.save({ session });
+      await this.#syncFulfilment(order, rma, actor, `Return ${rma.rmaNumber}: ${note}`, session);
+      await order.save({ session });
+      await session.commitTransaction();
+      logger.info(`Return ${rma.rmaNumber} of order ${orderId} ${label}`, { status: rma.status, by: actor.id, role: actor.role });
+      return { order, rma };
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error(`Error updating return ${returnId} of order ${orderId}: ${error.message}`, { step: label, by: actor.id });
+      throw error.status ? error : new Error(`Error updating return: ${error.message}`);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Email a user about a return; failures are logged, not raised
+  async #notify(userId, subject, rma, body) {
+    try {
+      const user = await User.findById(userId).select('email').lean();
+      if (!user?.email) return;
+      const items = rma.lines.map((item) => `<li>${item.quantity} x ${escapeHtml(item.name || `Product ID ${item.productId}`)}</li>`).join('');
+      await sendEmail(user.email, subject, `
+        <html>
+          <body>
+            <h1>${subject}</h1>
+            <p>Return ${rma.rmaNumber} for order #${rma.order}:</p>
+            <ul>${items}</ul>
+            ${body}
+          </body>
+        </html>
+      `);
+    } catch (error) {
+      logger.error(`Failed to send return email for ${rma.rmaNumber}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Request the return of delivered order lines. Lines of several sellers give one
+   * return request (RMA) per seller.
+   * @param {string} orderId - Order ID.
+   * @param {Object} actor - { id, role } of the buyer.
+   * @param {Object} data - { lines: [{ lineId, quantity }], reason, comment, resolution }.
+   * @param {Object[]} [files=[]] - Uploaded photos (from fileUpload.js).
+   * @returns {Object[]} Created return requests.
+   */
+  async createReturn(orderId, actor, { lines, reason, comment, resolution = 'refund' }, files = []) {
+    const photos = files.map((file) => ({ public_id: file.filename, url: file.path }));
+    const discardPhotos = () => Promise.all(photos.map((photo) => cleanupFailedUpload(photo.public_id)));
+    if (!mongoose.isValidObjectId(orderId)) {
+      await discardPhotos();
+      throw new BadRequestError('Invalid order ID');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let returns;
+    try {
+      if (PHOTO_REQUIRED_REASONS.includes(reason) && !photos.length) {
+        throw new BadRequestError('Please add at least one photo of the item');
+      }
+      const order = await findOrderFor(orderId, actor, session);
+      const windows = await this.#returnWindows(lines.map((item) => order.products.id(item.lineId)?.productId).filter(Boolean), session);
+
+      const bySeller = new Map();
+      for (const item of lines) {
+        const line = order.products.id(item.lineId);
+        if (!line) {
+          throw new NotFoundError('Order line not found');
+        }
+        const label = line.name || 'This item';
+        if (line.cancelled) {
+          throw new BadRequestError(`${label} was cancelled`);
+        }
+        const fulfilment = order.fulfilmentFor(line.sellerId);
+        if (!fulfilment || !RETURNABLE_STATUSES.includes(fulfilment.status)) {
+          throw new BadRequestError(`${label} can only be returned once it has been delivered`);
+        }
+        const days = windows.get(line.productId.toString()) ?? DEFAULT_RETURN_WINDOW_DAYS;
+        if (days === 0) {
+          throw new BadRequestError(`${label} is not returnable`);
+        }
+        if (Date.now() > new Date(this.#deliveredAt(order, fulfilment)).getTime() + days * DAY_MS) {
+          throw new BadRequestError(`The ${days}-day return window for ${label} has closed`);
+        }
+        const returnable = line.quantity - (line.returnedQuantity || 0);
+        if (item.quantity > returnable) {
+          throw new BadRequestError(returnable
+            ? `Only ${returnable} of ${label} can still be returned`
+            : `${label} has already been returned`);
+        }
+
+        line.returnedQuantity = (line.returnedQuantity || 0) + item.quantity;
+        const sellerId = line.sellerId.toString();
+        if (!bySeller.has(sellerId)) bySeller.set(sellerId, []);
+        bySeller.get(sellerId).push({
+          lineId: line._id,
+          productId: line.productId,
+          variantId: line.variantId,
+          name: line.name,
+          quantity: item.quantity,
+          price: line.price,
+        });
+      }
+
+      returns = [];
+      for (const [sellerId, rmaLines] of bySeller) {
+        const [rma] = await ReturnRequest.create([{
+          order: order._id,
+          user: order.userId,
+          seller: sellerId,
+          rmaNumber: `RMA-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+          lines: rmaLines,
+          reason,
+          comment,
+          photos,
+          resolution,
+        }], { session });
+        await this.#syncFulfilment(order, rma, actor, `Return ${rma.rmaNumber} requested (${reason.replace(/_/g, ' ')})`, session);
+        returns.push(rma);
+      }
+      await order.save({ session });
+      await session.commitTransaction();
+      logger.info(`Created ${returns.length} return requests for order ${orderId}`, {
+        returns: returns.map((rma) => rma.rmaNumber),
+        by: actor.id,
+        reason,
+        resolution,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      await discardPhotos();
+      logger.error(`Error creating return for order ${orderId}: ${error.message}`, { by: actor.id });
+      throw error.status ? error : new Error(`Error creating return: ${error.message}`);
+    } finally {
+      session.endSession();
+    }
+
+    for (const rma of returns) {
+      await this.#notify(rma.seller, 'Return Requested', rma,
+        `<p>The buyer asked to return these items (${reason.replace(/_/g, ' ')}) for a ${resolution}. Please approve or reject the request.</p>`);
+    }
+    return returns;
+  }
+
+  /**
+   * List the return requests of an order; sellers see only those for their items.
+   * @param {string} orderId - Order ID.
+   * @param {Object} actor - { id, role }.
+   * @returns {Object[]} Return requests, newest first.
+   */
+  async getReturns(orderId, actor) {
+    if (!mongoose.isValidObjectId(orderId)) {
+      throw new BadRequestError('Invalid order ID');
+    }
+    const order = await findOrderFor(orderId, actor);
+    const filter = { order: order._id };
+    if (actor.role === 'seller') filter.seller = actor.id;
+    return ReturnRequest.find(filter)
+      .populate('seller', 'name sellerProfile.storeName')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Get one return request of an order.
+   * @param {string} orderId - Order ID.
+   * @param {string} returnId - Return request ID.
+   * @param {Object} actor - { id, role }.
+   * @returns {Object} Return request.
+   */
+  async getReturn(orderId, returnId, actor) {
+    if (!mongoose.isValidObjectId(orderId) || !mongoose.isValidObjectId(returnId)) {
+      throw new BadRequestError('Invalid order or return ID');
+    }
+    const order = await findOrderFor(orderId, actor);
+    const rma = await this.#findReturn(order, returnId, actor);
+    await rma.populate('seller', 'name sellerProfile.storeName');
+    return rma.toObject();
+  }
+
+  /**
+   * Approve a requested return (seller of the items or admin).
+   * @param {string} orderId - Order ID.
+   * @param {string} returnId - Return request ID.
+   * @param {Object} actor - { id, role }.
+   * @param {Object} [options] - { note }.
+   * @returns {Object} Updated return request.
+   */
+  async approveReturn(orderId, returnId, actor, { note } = {}) {
+    const { rma } = await this.#step(orderId, returnId, actor, 'approved', async (order, rma) => {
+      rma.transitionTo('approved', { id: actor.id, role: actor.role, note });
+      return 'approved';
+    });
+    await this.#notify(rma.user, 'Return Approved', rma,
+      `<p>Your return has been approved. We'll let you know when a pickup is scheduled.</p>${note ? `<p>${escapeHtml(note)}</p>` : ''}`);
+    return rma;
+  }
+
+  /**
+   * Reject a requested return (seller of the items or admin). The items count as
+   * returnable again.
+   * @param {string} orderId - Order ID.
+   * @param {string} returnId - Return request ID.
+   * @param {Object} actor - { id, role }.
+   * @param {Object} options - { note } explaining why.
+   * @returns {Object} Updated return request.
+   */
+  async rejectReturn(orderId, returnId, actor, { note }) {
+    const { rma } = await this.#step(orderId, returnId, actor, 'rejected', async (order, rma) => {
+      if (rma.status !== 'requested') {
+        throw new BadRequestError('Only returns awaiting approval can be rejected; failed inspections are recorded through /inspect');
+      }
+      rma.transitionTo('rejected', { id: actor.id, role: actor.role, note });
+      this.#releaseLines(order, rma);
+      return 'rejected';
+    });
+    await this.#notify(rma.user, 'Return Rejected', rma, `<p>Your return request was rejected: ${escapeHtml(note)}</p>`);
+    return rma;
+  }
+
+  /**
+   * Withdraw a return before the items are picked up (the buyer who requested it).
+   * @param {string} orderId - Order ID.
+   * @param {string} returnId - Return request ID.
+   * @param {Object} actor - { id, role }.
+   * @param {Object} [options] - { note }.
+   * @returns {Object} Updated return request.
+   */
+  async cancelReturn(orderId, returnId, actor, { note } = {}) {
+    const { rma } = await this.#step(orderId, returnId, actor, 'cancelled', async (order, rma) => {
+      rma.transitionTo('cancelled', { id: actor.id, role: actor.role, note });
+      this.#releaseLines(order, rma);
+      return 'withdrawn by the buyer';
+    });
+    return rma;
+  }
+
+  /**
+   * Schedule the reverse pickup of an approved return (seller of the items or admin).
+   * @param {string} orderId - Order ID.
+   * @param {string} returnId - Return request ID.
+   * @param {Object} actor - { id, role }.
+   * @param {Object} pickup - { scheduledFor, carrier, trackingNumber, note }.
+   * @returns {Object} Updated return request.
+   */
+  async schedulePickup(orderId, returnId, actor, { scheduledFor, carrier, trackingNumber, note }) {
+    const { rma } = await this.#step(orderId, returnId, actor, 'pickup scheduled', async (order, rma) => {
+      rma.transitionTo('pickup_scheduled', { id: actor.id, role: actor.role, note });
+      rma.pickup = { scheduledFor, carrier, trackingNumber };
+      return `pickup scheduled for ${new Date(scheduledFor).toDateString()} with ${carrier}`;
+    });
+    await this.#notify(rma.user, 'Return Pickup Scheduled', rma,
+      `<p>${escapeHtml(carrier)} will collect the items on ${new Date(scheduledFor).toDateString()}${trackingNumber ? ` (tracking ${escapeHtml(trackingNumber)})` : ''}. Please keep them packed with the RMA number on the parcel.</p>`);
+    return rma;
+  }
+
+  /**
+   * Record that the returned items arrived back (seller of the items or admin).
+   * @param {string} orderId - Order ID.
+   * @param {string} returnId - Return request ID.
+   * @param {Object} actor - { id, role }.
+   * @param {Object} [options] - { note }.
+   * @returns {Object} Updated return request.
+   */
+  async receiveReturn(orderId, returnId, actor, { note } = {}) {
+    const { rma } = await this.#step(orderId, returnId, actor, 'received', async (order, rma) => {
+      rma.transitionTo('received', { id: actor.id, role: actor.role, note });
+      rma.pickup.receivedAt = new Date();
+      return 'items received';
+    });
+    return rma;
+  }
+
+  /**
+   * Record the inspection of received items and settle the return. Items that pass go
+   * back into stock (unless `restock` is false) and the buyer gets a refund, or a
+   * replacement taken from stock. Items that fail are rejected and sent back to the buyer.
+   * @param {string} orderId - Order ID.
+   * @param {string} returnId - Return request ID.
+   * @param {Object} actor - { id, role }.
+   * @param {Object} inspection - { passed, restock, notes, replacement: { carrier, trackingNumber } }.
+   * @returns {Object} Updated return request.
+   */
+  async inspectReturn(orderId, returnId, actor, { passed, restock = true, notes, replacement }) {
+    let refundId;
+    let { order, rma } = await this.#step(orderId, returnId, actor, 'inspected', async (order, rma, session) => {
+      if (rma.status !== 'received') {
+        throw new BadRequestError('Items can only be inspected once they have been received');
+      }
+      rma.inspection = { passed, restocked: false, notes, inspectedAt: new Date() };
+      if (!passed) {
+        rma.transitionTo('rejected', { id: actor.id, role: actor.role, note: notes || 'Inspection failed' });
+        this.#releaseLines(order, rma);
+        return 'inspection failed, items to be sent back to the buyer';
+      }
+
+      if (restock) {
+        for (const item of rma.lines) {
+          await Product.restoreStock(item.productId, item.variantId, item.quantity, session);
+        }
+        rma.inspection.restocked = true;
+      }
+
+      if (rma.resolution === 'replacement') {
+        for (const item of rma.lines) {
+          if (!(await Product.decrementStock(item.productId, item.variantId, item.quantity, session))) {
+            throw new ConflictError(`${item.name || 'This item'} is out of stock; refund the return instead`);
+          }
+        }
+        rma.replacement = { ...replacement, shippedAt: new Date() };
+        rma.transitionTo('replaced', { id: actor.id, role: actor.role, note: notes });
+        // The buyer has the items again, so they may be returned again
+        this.#releaseLines(order, rma);
+        return 'replacement shipped';
+      }
+
+      const amount = this.#refundAmount(order, rma);
+      const paid = order.paymentStatus === 'completed' || order.paymentMethod === 'cod';
+      if (paid && amount > 0) {
+        order.refunds.push({
+          amount,
+          paymentAmount: toCurrency(amount, order.exchangeRate),
+          currency: order.currency,
+          status: order.paymentMethod === 'razorpay' && order.razorpayPaymentId ? 'pending' : 'manual',
+          source: 'return',
+          reason: rma.reason,
+          lineIds: rma.lines.map((item) => item.lineId),
+          returnRequest: rma._id,
+          requestedBy: actor.id,
+        });
+        const refund = order.refunds[order.refunds.length - 1];
+        refundId = refund._id;
+        rma.refund = {
+          refundId,
+          amount: refund.amount,
+          paymentAmount: refund.paymentAmount,
+          currency: refund.currency,
+          status: refund.status,
+        };
+      }
+      rma.transitionTo('refunded', { id: actor.id, role: actor.role, note: notes });
+      return 'refund issued';
+    });
+
+    // The gateway call happens outside the transaction; its outcome is saved separately
+    if (refundId && rma.refund.status === 'pending') {
+      let refund;
+      ({ order, refund } = await processRefund(order._id, refundId));
+      rma.refund.status = refund.status;
+      await rma.save();
+    }
+    if (refundId) await InvoiceService.issueCreditNotes(order._id, refundId);
+
+    let refundText = '<p>Your return is complete.</p>';
+    if (rma.refund?.amount) {
+      const amount = formatMoney(rma.refund.paymentAmount, rma.refund.currency);
+      if (rma.refund.status === 'manual') {
+        refundText = `<p>A refund of ${amount} will be made to you shortly.</p>`;
+      } else if (rma.refund.status !== 'failed') {
+        refundText = `<p>A refund of ${amount} has been issued to your original payment method.</p>`;
+      } else {
+        refundText = `<p>Your refund of ${amount} is being processed by our team.</p>`;
+      }
+    }
+    const outcome = {
+      rejected: `<p>The items did not pass inspection and will be sent back to you.${notes ? ` ${escapeHtml(notes)}` : ''}</p>`,
+      replaced: `<p>A replacement is on its way${rma.replacement?.trackingNumber ? ` (${escapeHtml(`${rma.replacement.carrier} ${rma.replacement.trackingNumber}`)})` : ''}.</p>`,
+      refunded: refundText,
+    };
+    await this.#notify(rma.user, 'Return Update', rma, outcome[rma.status]);
+    return rma;
+  }
+}
+
+module.exports = new ReturnService();
@@ -2,6 +2,9 @@ const Seller = require('../models/seller.model');
 const Product = require('../models/product.model');
 const Order = require('../models/order.model');
 const User = require('../models/user.model'); // Import User model
+const OrderService = require('./order.service');
+const InvoiceService = require('./invoice.service');
+const { paginate } = require('../utils/pagination');
 const { uploadProductImage } = require('../middlewares/fileUpload'); // Import upload middleware
 
 // Get seller profile
@@ -100,35 +103,38 @@ exports.getSellerProducts = async (sellerId) => {
     }
 };
 
-// Get orders for the seller
-exports.getSellerOrders = async (sellerId) => {
+// Get orders for the seller, newest first, in offset or cursor mode
+exports.getSellerOrders = async (sellerId, { page = 1, limit = 20, cursor, mode } = {}) => {
     try {
-        const orders = await Order.find({ 'products.sellerId': sellerId })
-            .populate('userId', 'name email')
-            .populate({
-                path: 'products.productId', // Populate product details
-                model: 'Product' // Ensure this matches your product model name
-            });
+        const orders = await paginate(Order, { 'products.sellerId': sellerId, isDeleted: false }, {
+            page,
+            limit,
+            cursor,
+            mode,
+            populate: [
+                { path: 'userId', select: 'name email' },
+                { path: 'products.productId', model: 'Product' }, // Populate product details
+            ],
+        });
+        // The seller's own invoices and credit notes, downloadable via /api/orders/:orderId/invoices
+        const invoices = await InvoiceService.summarize(orders.items.map((order) => order._id), sellerId);
+        for (const order of orders.items) {
+            order.invoices = invoices.get(order._id.toString()) || [];
+        }
         return orders;
     } catch (error) {
         console.error('Error fetching seller orders:', error);
-        throw new Error(error.message);
+        throw error.status ? error : new Error(error.message);
     }
 };
 
-// Update order status
-exports.updateOrderStatus = async (orderId, status, sellerId) => {
+// Update the status of the seller's fulfilment of an order; the order lifecycle decides
+// which moves a seller may make
+exports.updateOrderStatus = async (orderId, status, sellerId, { note, tracking } = {}) => {
     try {
-        const order = await Order.findOne({ _id: orderId, 'products.sellerId': sellerId });
-        if (!order) throw new Error('Order not found');
-
-        // Update the order status
-        order.status = status;
-        await order.save();
-
-        return order;
+        return await OrderService.updateOrderStatus(orderId, status, { id: sellerId, role: 'seller' }, { note, tracking });
     } catch (error) {
         console.error('Error updating order status:', error);
-        throw new Error(error.message);
+        throw error.status ? error : new Error(error.message);
     }
 };
@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const ShippingZone = require('../models/shippingZone.model');
+const Product = require('../models/product.model');
+const { roundMoney } = require('../utils/gst');
+const { formatMoneyFor } = require('../utils/currency');
+
+// Custom error classes
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 403;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/shippingService.log' }),
+  ],
+});
+
+// Weight assumed for products that don't have one yet, in grams
+const DEFAULT_ITEM_WEIGHT = Number(process.env.DEFAULT_ITEM_WEIGHT_GRAMS || 500);
+
+// Couriers bill the volumetric weight when it exceeds the actual weight:
+// length × width × height (cm) / 5000 kg, i.e. / 5 in grams
+const VOLUMETRIC_DIVISOR = 5;
+
+const ZONE_FIELDS = [
+  'name', 'pincodes', 'pincodePrefixes', 'states', 'isFallback', 'slabs',
+  'extraWeightStep', 'extraWeightRate', 'freeShippingThreshold', 'isActive',
+];
+
+class ShippingService {
+  // Billable weight of one unit in grams
+  #unitWeight(product) {
+    const actual = product?.weight ?? DEFAULT_ITEM_WEIGHT;
+    const { length, width, height } = product?.dimensions || {};
+    const volumetric = length && width && height ? (length * width * height) / VOLUMETRIC_DIVISOR : 0;
+    return Math.max(actual, volumetric);
+  }
+
+  // The most specific zone covering the address; a seller's own zones win over platform zones
+  #pickZone(zones, sellerId, address) {
+    const best = (candidates) => candidates
+      .map((zone) => ({ zone, score: zone.matchScore(address) }))
+      .filter(({ score }) => score >= 0)
+      .sort((a, b) => b.score - a.score)[0]?.zone;
+    return best(zones.filter((zone) => zone.seller?.toString() === sellerId))
+      || best(zones.filter((zone) => !zone.seller));
+  }
+
+  /**
+   * Quote shipping for lines grouped by seller.
+   * @param {Object[]} lines - { productId, sellerId, quantity, value } where value is the
+   *   line total after discounts.
+   * @param {Object} address - Destination { zip, state }.
+   * @param {Object} options - { freeShippingSellers, session, display }; freeShippingSellers
+   *   are the sellers whose shipping a coupon waives, display the { currency, rate } to
+   *   show amounts in notes.
+   * @returns {Object} { sellers, total, serviceable }.
+   */
+  async #quote(lines, address, { freeShippingSellers = [], session = null, display = null } = {}) {
+    const waived = new Set(freeShippingSellers.map((sellerId) => sellerId.toString()));
+    const products = await Product.find({ _id: { $in: lines.map((line) => line.productId) } })
+      .select('weight dimensions')
+      .session(session)
+      .lean();
+    const sellerIds = [...new Set(lines.map((line) => line.sellerId.toString()))];
+    const zones = await ShippingZone.find({
+      $or: [{ seller: { $in: sellerIds } }, { seller: null }],
+      isActive: true,
+      isDeleted: false,
+    }).session(session);
+
+    const sellers = sellerIds.map((sellerId) => {
+      const sellerLines = lines.filter((line) => line.sellerId.toString() === sellerId);
+      const weight = Math.ceil(sellerLines.reduce((sum, line) => {
+        const product = products.find((p) => p._id.toString() === line.productId.toString());
+        return sum + this.#unitWeight(product) * line.quantity;
+      }, 0));
+      const value = roundMoney(sellerLines.reduce((sum, line) => sum + line.value, 0));
+      const zone = this.#pickZone(zones, sellerId, address);
+      const rate = zone ? zone.rateFor(weight) : null;
+      const quote = {
+        sellerId,
+        zone: zone?._id,
+        zoneName: zone?.name,
+        weight,
+        value,
+        charge: 0,
+        freeShipping: false,
+        serviceable: rate !== null,
+        productIds: sellerLines.map((line) => line.productId),
+      };
+      if (!quote.serviceable) {
+        quote.note = zone ? 'Too heavy to ship to this address' : 'Does not ship to this address';
+      } else if (waived.has(sellerId)) {
+        quote.freeShipping = true;
+        quote.note = 'Free shipping coupon';
+      } else if (zone.freeShippingThreshold !== null && value >= zone.freeShippingThreshold) {
+        quote.freeShipping = true;
+        quote.note = `Free shipping on orders of ${formatMoneyFor(zone.freeShippingThreshold, display)} or more`;
+      } else {
+        quote.charge = rate;
+      }
+      return quote;
+    });
+
+    return {
+      sellers,
+      total: roundMoney(sellers.reduce((sum, quote) => sum + quote.charge, 0)),
+      serviceable: sellers.every((quote) => quote.serviceable),
+    };
+  }
+
+  /**
+   * Quote shipping for a (lean) cart.
+   * @param {Object} cart - Lean cart; items may have productId populated.
+   * @param {Object} [address={}] - Destination { zip, state }.
+   * @param {Object} [display=null] - Display currency { currency, rate } for notes.
+   * @returns {Object} { sellers, total, serviceable }.
+   */
+  async quoteCart(cart, address = {}, display = null) {
+    if (!cart.items.length) return { sellers: [], total: 0, serviceable: true };
+    const productIds = cart.items.map((item) => item.productId?._id || item.productId);
+    const products = await Product.find({ _id: { $in: productIds } }).select('seller').lean();
+    const lines = cart.items.flatMap((item) => {
+      const productId = (item.productId?._id || item.productId).toString();
+      const product = products.find((p) => p._id.toString() === productId);
+      if (!product) return [];
+      return [{
+        productId,
+        sellerId: product.seller,
+        quantity: item.quantity,
+        value: item.price * item.quantity - (item.discount || 0),
+      }];
+    });
+    return this.#quote(lines, address, { freeShippingSellers: cart.freeShippingSellers, display });
+  }
+
+  /**
+   * Quote shipping for an order and store it per seller (order.shipping); the Order
+   * pre-save hook adds it to the total.
+   * @param {Object} order - Order document with products, shippingAddress and freeShippingSellers.
+   * @param {Object} [session=null] - Mongoose session.
+   */
+  async applyToOrder(order, session = null) {
+    const lines = order.products.map((line) => ({
+      productId: line.productId,
+      sellerId: line.sellerId,
+      quantity: line.quantity,
+      value: line.price * line.quantity - (line.discount || 0),
+    }));
+    const address = order.shippingAddress || {};
+    const quote = await this.#quote(lines, address, { freeShippingSellers: order.freeShippingSellers, session });
+    const unserviceable = quote.sellers.find((entry) => !entry.serviceable);
+    if (unserviceable) {
+      const names = order.products
+        .filter((line) => line.sellerId.toString() === unserviceable.sellerId)
+        .map((line) => line.name)
+        .join(', ');
+      throw new BadRequestError(`${names}: ${unserviceable.note.toLowerCase()}${address.zip ? ` (${address.zip})` : ''}`);
+    }
+    order.shipping = quote.sellers.map(({ sellerId, zone, zoneName, weight, charge, freeShipping, note }) => ({
+      sellerId, zone, zoneName, weight, charge, freeShipping, note,
+    }));
+    logger.info(`Quoted shipping for order ${order._id}`, { total: quote.total });
+  }
+
+  #assertCanManage(zone, actor) {
+    if (actor.role !== 'admin' && zone.seller?.toString() !== actor.id) {
+      throw new ForbiddenError('Unauthorized to manage this shipping zone');
+    }
+  }
+
+  /**
+   * List shipping zones: admins see platform zones (or a seller's with ?seller=),
+   * sellers see their own.
+   * @param {Object} actor - { id, role }.
+   * @param {Object} [filters={}] - { seller }.
+   * @returns {Object[]} Zones.
+   */
+  async getZones(actor, { seller } = {}) {
+    const owner = actor.role === 'admin' ? seller || null : actor.id;
+    return ShippingZone.find({ seller: owner, isDeleted: false }).sort({ isFallback: 1, name: 1 }).lean();
+  }
+
+  /**
+   * Create a shipping zone. Sellers always create their own; admins create platform
+   * zones unless they pass a seller.
+   * @param {Object} data - Zone fields.
+   * @param {Object} actor - { id, role }.
+   * @returns {Object} Created zone.
+   */
+  async createZone(data, actor) {
+    const zone = new ShippingZone({
+      ...Object.fromEntries(ZONE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]])),
+      seller: actor.role === 'admin' ? data.seller || null : actor.id,
+      createdBy: actor.id,
+    });
+    try {
+      await zone.save();
+    } catch (error) {
+      throw new BadRequestError(error.message);
+    }
+    logger.info(`Created shipping zone ${zone._id}`, { seller: zone.seller, by: actor.id });
+    return zone;
+  }
+
+  /**
+   * Update a shipping zone.
+   * @param {string} id - Zone ID.
+   * @param {Object} data - Fields to update.
+   * @param {Object} actor - { id, role }.
+   * @returns {Object} Updated zone.
+   */
+  async updateZone(id, data, actor) {
+    if (!mongoose.isValidObjectId(id)) throw new BadRequestError('Invalid shipping zone ID');
+    const zone = await ShippingZone.findOne({ _id: id, isDeleted: false });
+    if (!zone) throw new NotFoundError('Shipping zone not found');
+    this.#assertCanManage(zone, actor);
+    for (const field of ZONE_FIELDS) {
+      if (data[field] !== undefined) zone[field] = data[field];
+    }
+    try {
+      await zone.save();
+    } catch (error) {
+      throw new BadRequestError(error.message);
+    }
+    logger.info(`Updated shipping zone ${id}`, { by: actor.id });
+    return zone;
+  }
+
+  /**
+   * Delete a shipping zone (soft delete).
+   * @param {string} id - Zone ID.
+   * @param {Object} actor - { id, role }.
+   */
+  async deleteZone(id, actor) {
+    if (!mongoose.isValidObjectId(id)) throw new BadRequestError('Invalid shipping zone ID');
+    const zone = await ShippingZone.findOne({ _id: id, isDeleted: false });
+    if (!zone) throw new NotFoundError('Shipping zone not found');
+    this.#assertCanManage(zone, actor);
+    zone.isDeleted = true;
+    zone.isActive = false;
+    await zone.save();
+    logger.info(`Deleted shipping zone ${id}`, { by: actor.id });
+  }
+}
+
+module.exports = new ShippingService();
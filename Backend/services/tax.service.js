@@ -0,0 +1,158 @@
+const winston = require('winston');
+const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+const User = require('../models/user.model');
+const {
+  DEFAULT_GST_RATE,
+  PRICES_INCLUDE_GST,
+  roundMoney,
+  supplyType,
+  computeLineTax,
+} = require('../utils/gst');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/taxService.log' }),
+  ],
+});
+
+class TaxService {
+  // HSN code and rate per category, inherited from the nearest ancestor that sets them
+  async #categoryTax(categoryIds, session) {
+    const categories = await Category.find({ _id: { $in: categoryIds } })
+      .select('ancestors hsnCode gstRate')
+      .session(session)
+      .lean();
+    const ancestorIds = categories.flatMap((category) => category.ancestors);
+    const ancestors = await Category.find({ _id: { $in: ancestorIds } })
+      .select('hsnCode gstRate')
+      .session(session)
+      .lean();
+    const byId = new Map([...categories, ...ancestors].map((category) => [category._id.toString(), category]));
+
+    const resolved = new Map();
+    for (const category of categories) {
+      const chain = [category, ...[...category.ancestors].reverse().map((id) => byId.get(id.toString()))]
+        .filter(Boolean);
+      resolved.set(category._id.toString(), {
+        hsnCode: chain.find((entry) => entry.hsnCode)?.hsnCode,
+        gstRate: chain.find((entry) => entry.gstRate !== null && entry.gstRate !== undefined)?.gstRate,
+      });
+    }
+    return resolved;
+  }
+
+  // Registered state of each seller: GSTIN state code first, then the business address
+  async #sellerStates(sellerIds, session) {
+    const sellers = await User.find({ _id: { $in: sellerIds } })
+      .select('sellerProfile addresses')
+      .session(session)
+      .lean();
+    return new Map(sellers.map((seller) => {
+      const profile = seller.sellerProfile || {};
+      const fallback = (seller.addresses || []).find((address) => address.isDefault) || seller.addresses?.[0];
+      const state = profile.gstin ? profile.gstin.slice(0, 2) : profile.address?.state || fallback?.state;
+      return [seller._id.toString(), state];
+    }));
+  }
+
+  /**
+   * Resolve the HSN code and GST rate of products: the product's own values, else its
+   * category's (or nearest ancestor's), else DEFAULT_GST_RATE.
+   * @param {Object[]} products - Products with category, hsnCode and gstRate.
+   * @param {Object} [session=null] - Mongoose session.
+   * @returns {Map<string, Object>} { hsnCode, gstRate } keyed by product ID.
+   */
+  async resolveProductTax(products, session = null) {
+    const categoryTax = await this.#categoryTax(
+      [...new Set(products.map((product) => product.category?.toString()).filter(Boolean))],
+      session
+    );
+    return new Map(products.map((product) => {
+      const fromCategory = categoryTax.get(product.category?.toString()) || {};
+      const hasOwnRate = product.gstRate !== null && product.gstRate !== undefined;
+      return [product._id.toString(), {
+        hsnCode: product.hsnCode || fromCategory.hsnCode,
+        gstRate: hasOwnRate ? product.gstRate : fromCategory.gstRate ?? DEFAULT_GST_RATE,
+      }];
+    }));
+  }
+
+  /**
+   * Set the HSN code, GST rate and supply type of every order line. The amounts
+   * themselves are computed by the Order pre-save hook from these and the line value
+   * after discounts.
+   * @param {Object} order - Order document with products and shippingAddress.
+   * @param {Object[]} products - Lean products of the order lines.
+   * @param {Object} [session=null] - Mongoose session.
+   */
+  async applyToOrder(order, products, session = null) {
+    const productTax = await this.resolveProductTax(products, session);
+    const sellerStates = await this.#sellerStates(
+      [...new Set(order.products.map((line) => line.sellerId.toString()))],
+      session
+    );
+    for (const line of order.products) {
+      const tax = productTax.get(line.productId.toString()) || { gstRate: DEFAULT_GST_RATE };
+      line.hsnCode = tax.hsnCode;
+      line.gstRate = tax.gstRate;
+      line.supplyType = supplyType(sellerStates.get(line.sellerId.toString()), order.shippingAddress || {});
+    }
+    order.pricesIncludeTax = PRICES_INCLUDE_GST;
+    logger.info(`Applied GST to order ${order._id}`, { lines: order.products.length });
+  }
+
+  /**
+   * Estimate GST for a (lean) cart and attach it: `item.tax` per line, and `tax` and
+   * `grandTotal` on the cart. Without a shipping state every line is shown as IGST;
+   * the total tax is the same either way, only its split differs.
+   * @param {Object} cart - Lean cart with items (productId may be populated) and payableAmount.
+   * @param {Object} [shippingAddress={}] - { state, country } the cart will ship to.
+   * @returns {Object} The cart.
+   */
+  async estimateForCart(cart, shippingAddress = {}) {
+    const productIds = cart.items.map((item) => item.productId?._id || item.productId);
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('category seller hsnCode gstRate')
+      .lean();
+    const productTax = await this.resolveProductTax(products);
+    const sellerStates = await this.#sellerStates(
+      [...new Set(products.map((product) => product.seller.toString()))]
+    );
+
+    const totals = { cgst: 0, sgst: 0, igst: 0, total: 0 };
+    for (const item of cart.items) {
+      const product = products.find((p) => p._id.toString() === (item.productId?._id || item.productId).toString());
+      const tax = (product && productTax.get(product._id.toString())) || { gstRate: DEFAULT_GST_RATE };
+      const type = supplyType(product && sellerStates.get(product.seller.toString()), shippingAddress);
+      const amounts = computeLineTax(item.price * item.quantity - (item.discount || 0), tax.gstRate, type);
+      item.tax = { hsnCode: tax.hsnCode, gstRate: tax.gstRate, supplyType: type, ...amounts };
+      totals.cgst += amounts.cgst;
+      totals.sgst += amounts.sgst;
+      totals.igst += amounts.igst;
+      totals.total += amounts.taxAmount;
+    }
+
+    cart.tax = {
+      cgst: roundMoney(totals.cgst),
+      sgst: roundMoney(totals.sgst),
+      igst: roundMoney(totals.igst),
+      total: roundMoney(totals.total),
+      pricesIncludeTax: PRICES_INCLUDE_GST,
+      // The split is final only once the shipping state is known
+      estimated: !shippingAddress.state,
+    };
+    const payable = cart.payableAmount ?? cart.totalAmount ?? 0;
+    cart.grandTotal = roundMoney(PRICES_INCLUDE_GST ? payable : payable + cart.tax.total);
+    return cart;
+  }
+}
+
+module.exports = new TaxService();
@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
 const winston = require('winston');
 const User = require('../models/user.model');
-const Product = require('../models/product.model');
 const validator = require('validator');
 const { cleanupFailedUpload } = require('../middlewares/fileUpload');
 const { getUserOrders, getOrderDetails } = require('./order.service');
+const CartService = require('./cart.service');
+const WishlistService = require('./wishlist.service');
 
 // Custom error classes
 class NotFoundError extends Error {
@@ -45,8 +46,6 @@ class UserService {
       dateOfBirth: user.dateOfBirth,
       addresses: user.addresses,
       profilePicture: user.profilePicture,
-      wishlist: user.wishlist,
-      cart: user.cart,
     };
   }
 
@@ -93,8 +92,8 @@ class UserService {
   }
 
   // Get user orders (delegate to order.service.js)
-  async getUserOrders(userId, { page = 1, limit = 10 } = {}) {
-    return await getUserOrders(userId, { page, limit });
+  async getUserOrders(userId, { page = 1, limit = 10, cursor, mode } = {}) {
+    return await getUserOrders(userId, { page, limit, cursor, mode });
   }
 
   // Get specific order (delegate to order.service.js)
@@ -102,132 +101,49 @@ class UserService {
     return await getOrderDetails(userId, orderId);
   }
 
-  // Add to wishlist
+  /**
+   * Add a product to the user's default wishlist (see WishlistService for named lists).
+   * @param {string} userId - User ID.
+   * @param {string} productId - Product ID.
+   * @returns {Object} Updated default list.
+   */
   async addToWishlist(userId, productId) {
     if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(productId)) {
       throw new BadRequestError('Invalid user or product ID');
     }
-
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    try {
-      const user = await User.findById(userId).session(session);
-      if (!user) throw new NotFoundError('User not found');
-
-      const product = await Product.findById(productId).session(session);
-      if (!product) throw new NotFoundError('Product not found');
-
-      if (user.wishlist.includes(productId)) {
-        throw new BadRequestError('Product already in wishlist');
-      }
-
-      user.wishlist.push(productId);
-      await user.save({ session });
-      await session.commitTransaction();
-      logger.info(`Added product ${productId} to wishlist for user ${userId}`);
-      return this.#getProfile(user);
-    } catch (error) {
-      await session.abortTransaction();
-      throw error;
-    } finally {
-      session.endSession();
-    }
+    const wishlist = await WishlistService.addItem(userId, null, { productId });
+    logger.info(`Added product ${productId} to wishlist for user ${userId}`);
+    return wishlist;
   }
 
-  // Remove from wishlist
+  /**
+   * Remove a product from the user's default wishlist.
+   * @param {string} userId - User ID.
+   * @param {string} productId - Product ID.
+   * @returns {Object} Updated default list.
+   */
   async removeFromWishlist(userId, productId) {
     if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(productId)) {
       throw new BadRequestError('Invalid user or product ID');
     }
-
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    try {
-      const user = await User.findById(userId).session(session);
-      if (!user) throw new NotFoundError('User not found');
-
-      if (!user.wishlist.includes(productId)) {
-        throw new BadRequestError('Product not in wishlist');
-      }
-
-      user.wishlist = user.wishlist.filter((id) => id.toString() !== productId);
-      await user.save({ session });
-      await session.commitTransaction();
-      logger.info(`Removed product ${productId} from wishlist for user ${userId}`);
-      return this.#getProfile(user);
-    } catch (error) {
-      await session.abortTransaction();
-      throw error;
-    } finally {
-      session.endSession();
-    }
+    const wishlist = await WishlistService.removeProduct(userId, null, productId);
+    logger.info(`Removed product ${productId} from wishlist for user ${userId}`);
+    return wishlist;
   }
 
-  // Add to cart
-  async addToCart(userId, productId, quantity) {
-    if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(productId)) {
-      throw new BadRequestError('Invalid user or product ID');
-    }
-    if (!Number.isInteger(quantity) || quantity < 1) {
-      throw new BadRequestError('Quantity must be a positive integer');
-    }
-
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    try {
-      const user = await User.findById(userId).session(session);
-      if (!user) throw new NotFoundError('User not found');
-
-      const product = await Product.findById(productId).session(session);
-      if (!product) throw new NotFoundError('Product not found');
-
-      const cartItem = user.cart.find((item) => item.productId.toString() === productId);
-      if (cartItem) {
-        cartItem.quantity = quantity;
-      } else {
-        user.cart.push({ productId, quantity });
-      }
-
-      await user.save({ session });
-      await session.commitTransaction();
-      logger.info(`Added product ${productId} to cart for user ${userId}`);
-      return this.#getProfile(user);
-    } catch (error) {
-      await session.abortTransaction();
-      throw error;
-    } finally {
-      session.endSession();
-    }
+  // Add to cart. The Cart collection is the only cart; this keeps the older
+  // /api/users/cart endpoint working by delegating to CartService.
+  async addToCart(userId, productId, quantity, variantId = null) {
+    const cart = await CartService.setCartItemQuantity(userId, productId, quantity, userId, variantId);
+    logger.info(`Added product ${productId} to cart for user ${userId}`);
+    return cart;
   }
 
-  // Remove from cart
-  async removeFromCart(userId, productId) {
-    if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(productId)) {
-      throw new BadRequestError('Invalid user or product ID');
-    }
-
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    try {
-      const user = await User.findById(userId).session(session);
-      if (!user) throw new NotFoundError('User not found');
-
-      const cartItemIndex = user.cart.findIndex((item) => item.productId.toString() === productId);
-      if (cartItemIndex === -1) {
-        throw new BadRequestError('Product not in cart');
-      }
-
-      user.cart.splice(cartItemIndex, 1);
-      await user.save({ session });
-      await session.commitTransaction();
-      logger.info(`Removed product ${productId} from cart for user ${userId}`);
-      return this.#getProfile(user);
-    } catch (error) {
-      await session.abortTransaction();
-      throw error;
-    } finally {
-      session.endSession();
-    }
+  // Remove from cart (delegates to CartService, see addToCart)
+  async removeFromCart(userId, productId, variantId = null) {
+    const cart = await CartService.removeItemFromCart(userId, productId, userId, variantId);
+    logger.info(`Removed product ${productId} from cart for user ${userId}`);
+    return cart;
   }
 
   // Update profile picture
@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Wishlist = require('../models/wishlist.model');
+const Product = require('../models/product.model');
+const CartService = require('./cart.service');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Custom error classes
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/wishlistService.log' }),
+  ],
+});
+
+const MAX_LISTS_PER_USER = 20;
+const DEFAULT_LIST_NAME = 'My Wishlist';
+const SAVED_FOR_LATER_NAME = 'Saved for later';
+
+// Product fields shown on list items, including on public shared lists
+const PRODUCT_FIELDS = 'name price discountPrice images stock reservedStock variants isActive isDeleted';
+
+class WishlistService {
+  #assertIds(...ids) {
+    for (const id of ids) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        throw new BadRequestError('Invalid ID');
+      }
+    }
+  }
+
+  // Load one of the user's lists; listId null means the default list, created on demand
+  async #findList(userId, listId, session = null) {
+    if (!listId) return this.#findOrCreateList(userId, 'wishlist', session);
+    const list = await Wishlist.findOne({ _id: listId, user: userId, isDeleted: false }).session(session);
+    if (!list) throw new NotFoundError('Wishlist not found');
+    return list;
+  }
+
+  async #findOrCreateList(userId, kind, session = null) {
+    const filter = kind === 'wishlist'
+      ? { user: userId, kind, isDefault: true, isDeleted: false }
+      : { user: userId, kind, isDeleted: false };
+    const existing = await Wishlist.findOne(filter).session(session);
+    if (existing) return existing;
+    return new Wishlist({
+      user: userId,
+      kind,
+      isDefault: kind === 'wishlist',
+      name: kind === 'wishlist' ? DEFAULT_LIST_NAME : SAVED_FOR_LATER_NAME,
+      items: [],
+    });
+  }
+
+  async #assertNameAvailable(userId, name, exceptId = null) {
+    const clash = await Wishlist.exists({
+      user: userId,
+      isDeleted: false,
+      name: new RegExp(`^${escapeRegex(name.trim())}$`, 'i'),
+      ...(exceptId && { _id: { $ne: exceptId } }),
+    });
+    if (clash) throw new BadRequestError(`You already have a list called ${name.trim()}`);
+  }
+
+  // Product must exist and be on sale; wishlists may hold out-of-stock items
+  async #assertProduct(productId, variantId) {
+    const product = await Product.findOne({ _id: productId, isActive: true, isDeleted: false }).lean();
+    if (!product) throw new NotFoundError('Product not found or unavailable');
+    if (variantId) {
+      const variant = (product.variants || []).find((v) => v._id.toString() === variantId.toString());
+      if (!variant || !variant.isActive) throw new NotFoundError('Variant not found or unavailable');
+    }
+    return product;
+  }
+
+  // Attach the current product details and availability to each list item
+  async #describeItems(list) {
+    const products = await Product.find({ _id: { $in: list.items.map((item) => item.productId) } })
+      .select(PRODUCT_FIELDS)
+      .lean();
+    const items = list.items.map((item) => {
+      const product = products.find((p) => p._id.toString() === item.productId.toString());
+      let purchasable = null;
+      if (product && product.isActive && !product.isDeleted) {
+        try {
+          purchasable = Product.resolvePurchasable(product, item.variantId);
+        } catch (error) {
+          // Variant removed, or a variant must be chosen before buying
+          purchasable = null;
+        }
+      }
+      return {
+        _id: item._id,
+        productId: item.productId,
+        variantId: item.variantId,
+        note: item.note,
+        addedAt: item.addedAt,
+        name: purchasable ? purchasable.label : product?.name,
+        image: product?.images?.[0],
+        price: purchasable ? purchasable.price : product?.price,
+        discountPrice: purchasable ? purchasable.discountPrice : product?.discountPrice,
+        available: Boolean(product && product.isActive && !product.isDeleted),
+        inStock: Boolean(purchasable && purchasable.stock > 0),
+        needsVariant: Boolean(product && !item.variantId && (product.variants || []).length > 0),
+      };
+    });
+    return { ...this.#summarize(list), items };
+  }
+
+  #summarize(list) {
+    return {
+      _id: list._id,
+      name: list.name,
+      kind: list.kind,
+      isDefault: list.isDefault,
+      itemCount: list.items.length,
+      isShared: Boolean(list.shareToken),
+      shareToken: list.shareToken,
+      shareUrl: list.shareToken ? this.#shareUrl(list.shareToken) : undefined,
+      createdAt: list.createdAt,
+      updatedAt: list.updatedAt,
+    };
+  }
+
+  #shareUrl(token) {
+    return `${process.env.CLIENT_URL || ''}/wishlists/shared/${token}`;
+  }
+
+  /**
+   * Get all of the user's lists (without items).
+   * @param {string} userId - User ID.
+   * @returns {Object[]} List summaries, default list and saved-for-later first.
+   */
+  async getLists(userId) {
+    this.#assertIds(userId);
+    const lists = await Wishlist.find({ user: userId, isDeleted: false })
+      .sort({ isDefault: -1, kind: 1, createdAt: 1 })
+      .lean();
+    return lists.map((list) => this.#summarize(list));
+  }
+
+  /**
+   * Get one list with current product details.
+   * @param {string} userId - Owner ID.
+   * @param {string} listId - List ID.
+   * @returns {Object} List with items.
+   */
+  async getList(userId, listId) {
+    this.#assertIds(userId, listId);
+    const list = await this.#findList(userId, listId);
+    return this.#describeItems(list);
+  }
+
+  /**
+   * Create a named list.
+   * @param {string} userId - Owner ID.
+   * @param {string} name - List name, unique per user.
+   * @returns {Object} Created list.
+   */
+  async createList(userId, name) {
+    this.#assertIds(userId);
+    const count = await Wishlist.countDocuments({ user: userId, isDeleted: false });
+    if (count >= MAX_LISTS_PER_USER) {
+      throw new BadRequestError(`You can have at most ${MAX_LISTS_PER_USER} lists`);
+    }
+    await this.#assertNameAvailable(userId, name);
+    // The first list a user creates becomes their default list
+    const hasDefault = await Wishlist.exists({ user: userId, kind: 'wishlist', isDefault: true, isDeleted: false });
+    const list = await Wishlist.create({ user: userId, name, isDefault: !hasDefault, items: [] });
+    logger.info(`Created wishlist ${list._id} for user ${userId}`);
+    return this.#describeItems(list);
+  }
+
+  /**
+   * Rename a list.
+   * @param {string} userId - Owner ID.
+   * @param {string} listId - List ID.
+   * @param {string} name - New name.
+   * @returns {Object} Updated list.
+   */
+  async renameList(userId, listId, name) {
+    this.#assertIds(userId, listId);
+    const list = await this.#findList(userId, listId);
+    await this.#assertNameAvailable(userId, name, list._id);
+    list.name = name;
+    await list.save();
+    logger.info(`Renamed wishlist ${listId} for user ${userId}`);
+    return this.#describeItems(list);
+  }
+
+  /**
+   * Delete a list and revoke its share link. The saved-for-later list can't be deleted.
+   * @param {string} userId - Owner ID.
+   * @param {string} listId - List ID.
+   */
+  async deleteList(userId, listId) {
+    this.#assertIds(userId, listId);
+    const list = await this.#findList(userId, listId);
+    if (list.kind === 'saved_for_later') {
+      throw new BadRequestError('The saved for later list cannot be deleted');
+    }
+    list.isDeleted = true;
+    list.isDefault = false;
+    list.shareToken = undefined;
+    await list.save();
+    logger.info(`Deleted wishlist ${listId} for user ${userId}`);
+  }
+
+  /**
+   * Add a product to a list.
+   * @param {string} userId - Owner ID.
+   * @param {string|null} listId - List ID; null adds to the default list.
+   * @param {Object} item - { productId, variantId, note }.
+   * @returns {Object} Updated list.
+   */
+  async addItem(userId, listId, { productId, variantId = null, note } = {}) {
+    this.#assertIds(userId, listId, productId, variantId);
+    await this.#assertProduct(productId, variantId);
+    const list = await this.#findList(userId, listId);
+    if (list.findItemIndex(productId, variantId) > -1) {
+      throw new BadRequestError('Product already in this list');
+    }
+    list.items.push({ productId, variantId: variantId || null, note });
+    await list.save();
+    logger.info(`Added product ${productId} to wishlist ${list._id} for user ${userId}`, { variantId });
+    return this.#describeItems(list);
+  }
+
+  /**
+   * Remove an item from a list.
+   * @param {string} userId - Owner ID.
+   * @param {string} listId - List ID.
+   * @param {string} itemId - List item ID.
+   * @returns {Object} Updated list.
+   */
+  async removeItem(userId, listId, itemId) {
+    this.#assertIds(userId, listId, itemId);
+    const list = await this.#findList(userId, listId);
+    const item = list.items.id(itemId);
+    if (!item) throw new NotFoundError('Item not found in this list');
+    item.deleteOne();
+    await list.save();
+    logger.info(`Removed item ${itemId} from wishlist ${listId} for user ${userId}`);
+    return this.#describeItems(list);
+  }
+
+  /**
+   * Remove a product from a list by product ID (backs /api/users/wishlist).
+   * @param {string} userId - Owner ID.
+   * @param {string|null} listId - List ID; null means the default list.
+   * @param {string} productId - Product ID.
+   * @param {string|null} [variantId=null] - Variant ID.
+   * @returns {Object} Updated list.
+   */
+  async removeProduct(userId, listId, productId, variantId = null) {
+    this.#assertIds(userId, listId, productId, variantId);
+    const list = await this.#findList(userId, listId);
+    const index = list.findItemIndex(productId, variantId);
+    if (index === -1) throw new BadRequestError('Product not in wishlist');
+    list.items.splice(index, 1);
+    await list.save();
+    logger.info(`Removed product ${productId} from wishlist ${list._id} for user ${userId}`);
+    return this.#describeItems(list);
+  }
+
+  /**
+   * Move an item to another of the user's lists.
+   * @param {string} userId - Owner ID.
+   * @param {string} listId - Source list ID.
+   * @param {string} itemId - List item ID.
+   * @param {string} targetListId - Destination list ID.
+   * @returns {Object} Updated destination list.
+   */
+  async moveItem(userId, listId, itemId, targetListId) {
+    this.#assertIds(userId, listId, itemId, targetListId);
+    if (listId.toString() === targetListId.toString()) {
+      throw new BadRequestError('Item is already in this list');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let target;
+    try {
+      const source = await this.#findList(userId, listId, session);
+      target = await this.#findList(userId, targetListId, session);
+      const item = source.items.id(itemId);
+      if (!item) throw new NotFoundError('Item not found in this list');
+
+      if (target.findItemIndex(item.productId, item.variantId) === -1) {
+        target.items.push({ productId: item.productId, variantId: item.variantId, note: item.note });
+      }
+      item.deleteOne();
+      await source.save({ session });
+      await target.save({ session });
+      await session.commitTransaction();
+      logger.info(`Moved item ${itemId} from wishlist ${listId} to ${targetListId} for user ${userId}`);
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error(`Error moving wishlist item: ${error.message}`, { userId, listId, itemId });
+      throw error.status ? error : new BadRequestError('Failed to move item');
+    } finally {
+      session.endSession();
+    }
+    return this.#describeItems(target);
+  }
+
+  /**
+   * Move a list item into the cart. The item leaves the list only once the cart accepted it.
+   * @param {string} userId - Owner ID.
+   * @param {string} listId - List ID.
+   * @param {string} itemId - List item ID.
+   * @param {Object} options - { quantity, variantId } - variantId picks a variant for items saved without one.
+   * @returns {Object} { cart, list }.
+   */
+  async moveToCart(userId, listId, itemId, { quantity = 1, variantId } = {}) {
+    this.#assertIds(userId, listId, itemId, variantId);
+    const list = await this.#findList(userId, listId);
+    const item = list.items.id(itemId);
+    if (!item) throw new NotFoundError('Item not found in this list');
+
+    const cart = await CartService.addItemToCart(
+      userId,
+      item.productId.toString(),
+      quantity,
+      userId,
+      variantId || item.variantId?.toString() || null
+    );
+
+    // Reload: the cart update runs in its own transaction
+    const current = await this.#findList(userId, listId);
+    const stillThere = current.items.id(itemId);
+    if (stillThere) {
+      stillThere.deleteOne();
+      await current.save();
+    }
+    logger.info(`Moved item ${itemId} from wishlist ${listId} to cart for user ${userId}`);
+    return { cart, list: await this.#describeItems(current) };
+  }
+
+  /**
+   * Save a cart line for later: it moves from the cart to the user's saved-for-later list.
+   * @param {string} userId - User ID.
+   * @param {string} productId - Product ID of the cart line.
+   * @param {string|null} [variantId=null] - Variant ID of the cart line.
+   * @returns {Object} { cart, list }.
+   */
+  async saveForLater(userId, productId, variantId = null) {
+    this.#assertIds(userId, productId, variantId);
+    const list = await this.#findOrCreateList(userId, 'saved_for_later');
+    if (list.findItemIndex(productId, variantId) === -1) {
+      list.items.push({ productId, variantId: variantId || null });
+      await list.save();
+    }
+    // Fails with 404 when the line is not in the cart; the saved item is harmless then
+    const cart = await CartService.removeItemFromCart(userId, productId, userId, variantId);
+    logger.info(`Saved product ${productId} for later for user ${userId}`, { variantId });
+    return { cart, list: await this.#describeItems(list) };
+  }
+
+  /**
+   * Create a public, read-only share link for a list. Sharing again returns the same link.
+   * @param {string} userId - Owner ID.
+   * @param {string} listId - List ID.
+   * @returns {Object} Updated list with shareToken and shareUrl.
+   */
+  async shareList(userId, listId) {
+    this.#assertIds(userId, listId);
+    const list = await this.#findList(userId, listId);
+    if (!list.shareToken) {
+      list.shareToken = crypto.randomBytes(18).toString('base64url');
+      await list.save();
+      logger.info(`Shared wishlist ${list._id} for user ${userId}`);
+    }
+    return this.#describeItems(list);
+  }
+
+  /**
+   * Revoke a list's share link; the old link stops working.
+   * @param {string} userId - Owner ID.
+   * @param {string} listId - List ID.
+   * @returns {Object} Updated list.
+   */
+  async unshareList(userId, listId) {
+    this.#assertIds(userId, listId);
+    const list = await this.#findList(userId, listId);
+    list.shareToken = undefined;
+    await list.save();
+    logger.info(`Revoked share link of wishlist ${list._id} for user ${userId}`);
+    return this.#describeItems(list);
+  }
+
+  /**
+   * Public read-only view of a shared list.
+   * @param {string} shareToken - Token from the share link.
+   * @returns {Object} List name, owner's first name and items.
+   */
+  async getSharedList(shareToken) {
+    const list = await Wishlist.findOne({ shareToken, isDeleted: false }).populate('user', 'name');
+    if (!list) throw new NotFoundError('Shared list not found');
+    const { _id, name, itemCount, items, updatedAt } = await this.#describeItems(list);
+    return {
+      _id,
+      name,
+      // Only the first name is shown to people outside the account
+      ownerName: list.user?.name?.split(' ')[0],
+      itemCount,
+      items,
+      updatedAt,
+    };
+  }
+}
+
+module.exports = new WishlistService();
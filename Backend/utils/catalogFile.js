@@ -0,0 +1,149 @@
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Columns of the seller catalog sheet, shared by import and export so an exported
+// file can be edited and imported back unchanged
+const CATALOG_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'discountPrice',
+  'stock',
+  'category',
+  'subcategories',
+  'hsnCode',
+  'gstRate',
+  'weight',
+  'dimensions',
+  'brand',
+  'size',
+  'color',
+  'isActive',
+  'variants',
+];
+
+// Comma-separated list cells and JSON cells
+const LIST_COLUMNS = ['subcategories'];
+const JSON_COLUMNS = ['variants', 'dimensions'];
+
+const CATALOG_CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const detectFormat = (file) => (/\.xlsx$/i.test(file.originalname) ? 'xlsx' : 'csv');
+
+// Turn a raw cell into the value the product validation expects
+const parseCell = (column, text) => {
+  if (LIST_COLUMNS.includes(column)) {
+    return text.split(',').map((item) => item.trim()).filter(Boolean);
+  }
+  if (JSON_COLUMNS.includes(column)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text; // Left for validation to reject with a field-specific message
+    }
+  }
+  return text;
+};
+
+/**
+ * Read the first sheet of an uploaded CSV/XLSX catalog file.
+ * @param {Object} file - Multer file kept in memory (buffer, originalname).
+ * @returns {Object[]} Rows as { row, values }, where `row` is the sheet row number.
+ */
+const readCatalogFile = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  try {
+    if (detectFormat(file) === 'xlsx') {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      // Keep every cell as text so SKUs such as 00123 are not turned into numbers
+      worksheet = await workbook.csv.read(Readable.from(file.buffer), { map: (value) => value });
+    }
+  } catch (error) {
+    throw new BadRequestError('Unable to read catalog file. Upload a valid .csv or .xlsx file');
+  }
+  if (!worksheet || worksheet.rowCount === 0) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber] = cell.text.trim();
+  });
+  if (!headers.includes('sku') || !headers.includes('name')) {
+    throw new BadRequestError(`Catalog file must have a header row with columns: ${CATALOG_COLUMNS.join(', ')}`);
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    row.eachCell((cell, colNumber) => {
+      const column = headers[colNumber];
+      const text = cell.text.trim();
+      if (CATALOG_COLUMNS.includes(column) && text !== '') {
+        values[column] = parseCell(column, text);
+      }
+    });
+    if (Object.keys(values).length > 0) rows.push({ row: rowNumber, values });
+  });
+  return rows;
+};
+
+/**
+ * Write products as a catalog file with the same columns the import accepts.
+ * @param {Object[]} products - Lean product documents.
+ * @param {string} format - 'csv' or 'xlsx'.
+ * @returns {Buffer} File contents.
+ */
+const writeCatalogFile = async (products, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Products');
+  worksheet.columns = CATALOG_COLUMNS.map((key) => ({ header: key, key }));
+
+  for (const product of products) {
+    worksheet.addRow({
+      ...product,
+      category: product.category?.toString(),
+      subcategories: (product.subcategories || []).map((id) => id.toString()).join(','),
+      dimensions: product.dimensions?.length !== undefined
+        ? JSON.stringify({ length: product.dimensions.length, width: product.dimensions.width, height: product.dimensions.height })
+        : '',
+      variants: product.variants?.length
+        ? JSON.stringify(product.variants.map((variant) => ({
+          sku: variant.sku,
+          size: variant.size,
+          color: variant.color,
+          price: variant.price,
+          discountPrice: variant.discountPrice,
+          stock: variant.stock,
+          images: (variant.images || []).map(({ public_id, url }) => ({ public_id, url })),
+          isActive: variant.isActive,
+        })))
+        : '',
+    });
+  }
+
+  const buffer = format === 'xlsx'
+    ? await workbook.xlsx.writeBuffer()
+    : await workbook.csv.writeBuffer();
+  return Buffer.from(buffer);
+};
+
+module.exports = {
+  CATALOG_COLUMNS,
+  CATALOG_CONTENT_TYPES,
+  readCatalogFile,
+  writeCatalogFile,
+};
@@ -0,0 +1,61 @@
+// Display currencies. Catalog prices, carts, orders and reports are kept in INR; other
+// currencies are shown (and charged) by converting with the admin-maintained rates in
+// ExchangeRate, stored as rupees per unit of the foreign currency.
+
+const { roundMoney } = require('./gst');
+
+const BASE_CURRENCY = 'INR';
+
+const SUPPORTED_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP'];
+
+const CURRENCY_SYMBOLS = {
+  INR: '₹',
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+};
+
+/**
+ * Convert an INR amount into another currency.
+ * @param {number} amount - Amount in INR.
+ * @param {number} [rate=1] - Rupees per unit of the target currency.
+ * @returns {number} Amount in the target currency, rounded to two decimals.
+ */
+const toCurrency = (amount, rate = 1) => roundMoney((amount || 0) / rate);
+
+/**
+ * Format an amount with its currency symbol, e.g. "$12.50" or "₹1,040".
+ * @param {number} amount - Amount already in `currency`.
+ * @param {string} [currency=BASE_CURRENCY] - ISO currency code.
+ * @returns {string}
+ */
+const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+  const formatted = Number(amount || 0).toLocaleString(currency === BASE_CURRENCY ? 'en-IN' : 'en-US', {
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2,
+  });
+  return `${symbol}${formatted}`;
+};
+
+/**
+ * Format an INR amount for a notice, followed by the amount in the shopper's display
+ * currency when one is active, e.g. "₹1,040 ($12.50)".
+ * @param {number} amount - Amount in INR.
+ * @param {Object} [quote=null] - { currency, rate } from CurrencyService.resolve().
+ * @returns {string}
+ */
+const formatMoneyFor = (amount, quote = null) => {
+  const base = formatMoney(amount);
+  if (!quote || quote.currency === BASE_CURRENCY) return base;
+  return `${base} (${formatMoney(toCurrency(amount, quote.rate), quote.currency)})`;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  CURRENCY_SYMBOLS,
+  toCurrency,
+  formatMoney,
+  formatMoneyFor,
+};
@@ -0,0 +1,131 @@
+// GST helpers shared by products, carts and orders: rate slabs, state codes and the
+// split of a line's tax into CGST + SGST (intra-state) or IGST (inter-state).
+
+// Rate slabs in percent
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// Rate used when neither the product nor any of its categories sets one
+const DEFAULT_GST_RATE = Number(process.env.DEFAULT_GST_RATE ?? 18);
+
+// Whether catalog prices already include GST (tax is then carved out of the price
+// instead of being added on top)
+const PRICES_INCLUDE_GST = process.env.PRICES_INCLUDE_GST === 'true';
+
+const HSN_CODE_PATTERN = /^\d{4,8}$/;
+
+// GST state codes, used to compare places of supply and printed on invoices
+const STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  punjab: '03',
+  chandigarh: '04',
+  uttarakhand: '05',
+  haryana: '06',
+  delhi: '07',
+  rajasthan: '08',
+  'uttar pradesh': '09',
+  bihar: '10',
+  sikkim: '11',
+  'arunachal pradesh': '12',
+  nagaland: '13',
+  manipur: '14',
+  mizoram: '15',
+  tripura: '16',
+  meghalaya: '17',
+  assam: '18',
+  'west bengal': '19',
+  jharkhand: '20',
+  odisha: '21',
+  chhattisgarh: '22',
+  'madhya pradesh': '23',
+  gujarat: '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  maharashtra: '27',
+  karnataka: '29',
+  goa: '30',
+  lakshadweep: '31',
+  kerala: '32',
+  'tamil nadu': '33',
+  puducherry: '34',
+  'andaman and nicobar islands': '35',
+  telangana: '36',
+  'andhra pradesh': '37',
+  ladakh: '38',
+};
+
+const STATE_ALIASES = {
+  'new delhi': 'delhi',
+  'nct of delhi': 'delhi',
+  orissa: 'odisha',
+  pondicherry: 'puducherry',
+  'jammu & kashmir': 'jammu and kashmir',
+  'andaman & nicobar islands': 'andaman and nicobar islands',
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const isValidGstRate = (rate) => GST_RATES.includes(Number(rate));
+
+/**
+ * Resolve a state name or two-digit GST state code to its GST state code.
+ * @param {string} state - State name (any case) or code.
+ * @returns {string|null} Two-digit code, or null when the state is not recognised.
+ */
+const stateCode = (state) => {
+  if (!state) return null;
+  const text = String(state).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (/^\d{2}$/.test(text)) {
+    return Object.values(STATE_CODES).includes(text) ? text : null;
+  }
+  return STATE_CODES[STATE_ALIASES[text] || text] || null;
+};
+
+/**
+ * Whether a supply is intra-state (CGST + SGST) or inter-state (IGST). Unknown seller
+ * or buyer states, and shipments outside India, are treated as inter-state.
+ * @param {string} sellerState - Seller's registered state.
+ * @param {Object} shippingAddress - { state, country }.
+ * @returns {string} 'intra_state' or 'inter_state'.
+ */
+const supplyType = (sellerState, shippingAddress = {}) => {
+  const country = (shippingAddress.country || 'india').trim().toLowerCase();
+  if (country !== 'india' && country !== 'in') return 'inter_state';
+  const from = stateCode(sellerState);
+  const to = stateCode(shippingAddress.state);
+  return from && to && from === to ? 'intra_state' : 'inter_state';
+};
+
+/**
+ * Split the tax on a line value. The value is after discounts; when prices include
+ * GST the tax is taken out of it, otherwise it is charged on top.
+ * @param {number} value - Line value (price × quantity − discount).
+ * @param {number} rate - GST rate in percent.
+ * @param {string} type - 'intra_state' or 'inter_state'.
+ * @param {boolean} [inclusive=PRICES_INCLUDE_GST] - Whether value already includes GST.
+ * @returns {Object} { taxableValue, cgst, sgst, igst, taxAmount }.
+ */
+const computeLineTax = (value, rate, type, inclusive = PRICES_INCLUDE_GST) => {
+  const amount = Math.max(value, 0);
+  const taxableValue = roundMoney(inclusive ? amount / (1 + rate / 100) : amount);
+  const taxAmount = roundMoney(inclusive ? amount - taxableValue : (taxableValue * rate) / 100);
+  if (type === 'intra_state') {
+    // Odd paise go to CGST so the halves always add up to the total
+    const paise = Math.round(taxAmount * 100);
+    const sgst = Math.floor(paise / 2) / 100;
+    return { taxableValue, cgst: roundMoney(taxAmount - sgst), sgst, igst: 0, taxAmount };
+  }
+  return { taxableValue, cgst: 0, sgst: 0, igst: taxAmount, taxAmount };
+};
+
+module.exports = {
+  GST_RATES,
+  DEFAULT_GST_RATE,
+  PRICES_INCLUDE_GST,
+  HSN_CODE_PATTERN,
+  STATE_CODES,
+  roundMoney,
+  isValidGstRate,
+  stateCode,
+  supplyType,
+  computeLineTax,
+};
@@ -0,0 +1,198 @@
+const PDFDocument = require('pdfkit');
+
+// A4 with 40pt margins leaves 515pt for content
+const PAGE_MARGIN = 40;
+const CONTENT_WIDTH = 515;
+
+const TITLES = {
+  invoice: 'TAX INVOICE',
+  credit_note: 'CREDIT NOTE',
+};
+
+// The standard PDF fonts have no rupee sign, so amounts are printed as "Rs. 1,234.50"
+const rupees = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+})}`;
+
+const amount = (value) => Number(value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata',
+});
+
+const addressLines = (address = {}) => [
+  address.street,
+  [address.city, address.state, address.zip].filter(Boolean).join(', '),
+  address.country,
+].filter(Boolean);
+
+// Item table columns; intra-state supplies show CGST and SGST, inter-state IGST
+const tableColumns = (supplyType) => [
+  { key: 'index', label: '#', width: 18 },
+  { key: 'item', label: 'Item / HSN', width: supplyType === 'intra_state' ? 132 : 172 },
+  { key: 'quantity', label: 'Qty', width: 28, align: 'right' },
+  { key: 'unitPrice', label: 'Rate', width: 55, align: 'right' },
+  { key: 'discount', label: 'Disc.', width: 45, align: 'right' },
+  { key: 'taxableValue', label: 'Taxable', width: 60, align: 'right' },
+  { key: 'gstRate', label: 'GST %', width: 32, align: 'right' },
+  ...(supplyType === 'intra_state'
+    ? [
+      { key: 'cgst', label: 'CGST', width: 45, align: 'right' },
+      { key: 'sgst', label: 'SGST', width: 45, align: 'right' },
+    ]
+    : [{ key: 'igst', label: 'IGST', width: 50, align: 'right' }]),
+  { key: 'total', label: 'Total', width: 55, align: 'right' },
+];
+
+// Draw one row of the item table and return the y below it
+const drawRow = (doc, columns, cells, y, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  const height = Math.max(...columns.map((column) => doc.heightOfString(String(cells[column.key] ?? ''), {
+    width: column.width - 4,
+  })));
+  let x = PAGE_MARGIN;
+  for (const column of columns) {
+    doc.text(String(cells[column.key] ?? ''), x + 2, y, { width: column.width - 4, align: column.align || 'left' });
+    x += column.width;
+  }
+  return y + height + 6;
+};
+
+// Side-by-side blocks of text (seller and buyer addresses) starting at y; returns the y below them
+const drawParties = (doc, blocks, y) => {
+  const width = CONTENT_WIDTH / blocks.length;
+  let bottom = y;
+  blocks.forEach(({ heading, lines }, index) => {
+    const x = PAGE_MARGIN + index * width;
+    doc.font('Helvetica-Bold').fontSize(9).text(heading, x, y, { width: width - 10 });
+    doc.font('Helvetica').fontSize(9).text(lines.filter(Boolean).join('\n'), x, doc.y + 2, { width: width - 10 });
+    bottom = Math.max(bottom, doc.y);
+  });
+  return bottom + 12;
+};
+
+/**
+ * Render an issued invoice or credit note as a PDF.
+ * @param {Object} invoice - Invoice document (lean); credit notes with `invoice` populated
+ *   to the number and date of the invoice they adjust.
+ * @returns {Promise<Buffer>} PDF file contents.
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `${TITLES[invoice.type]} ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { supplier = {}, recipient = {}, placeOfSupply = {} } = invoice;
+
+  // Heading
+  doc.font('Helvetica-Bold').fontSize(16).text(TITLES[invoice.type], PAGE_MARGIN, PAGE_MARGIN, { align: 'center' });
+  doc.font('Helvetica').fontSize(9);
+  const meta = [
+    `${invoice.type === 'invoice' ? 'Invoice' : 'Credit note'} no.: ${invoice.number}`,
+    `Date: ${formatDate(invoice.issuedAt)}`,
+    `Order: ${invoice.order}`,
+  ];
+  if (invoice.type === 'credit_note' && invoice.invoice) {
+    meta.push(`Against invoice: ${invoice.invoice.number || invoice.invoice} dated ${invoice.invoice.issuedAt ? formatDate(invoice.invoice.issuedAt) : '-'}`);
+  }
+  if (invoice.reason) meta.push(`Reason: ${invoice.reason.replace(/_/g, ' ')}`);
+  doc.text(meta.join('\n'), PAGE_MARGIN, doc.y + 10);
+
+  // Parties
+  let y = drawParties(doc, [
+    {
+      heading: 'Sold by',
+      lines: [
+        supplier.name,
+        ...addressLines(supplier.address),
+        supplier.gstin ? `GSTIN: ${supplier.gstin}` : 'GSTIN: Unregistered',
+        supplier.stateCode ? `State code: ${supplier.stateCode}` : null,
+      ],
+    },
+    {
+      heading: 'Bill to',
+      lines: [recipient.name, ...addressLines(recipient.billingAddress || recipient.shippingAddress)],
+    },
+    {
+      heading: 'Ship to',
+      lines: [recipient.name, ...addressLines(recipient.shippingAddress)],
+    },
+  ], doc.y + 14);
+
+  doc.font('Helvetica').fontSize(9).text(
+    `Place of supply: ${placeOfSupply.state || '-'}${placeOfSupply.stateCode ? ` (${placeOfSupply.stateCode})` : ''}`
+      + ` | ${invoice.supplyType === 'intra_state' ? 'Intra-state supply (CGST + SGST)' : 'Inter-state supply (IGST)'}`,
+    PAGE_MARGIN,
+    y
+  );
+  y = doc.y + 10;
+
+  // Items
+  const columns = tableColumns(invoice.supplyType);
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + CONTENT_WIDTH, y - 3).stroke();
+  y = drawRow(doc, columns, Object.fromEntries(columns.map((column) => [column.key, column.label])), y, { bold: true });
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + CONTENT_WIDTH, y - 3).stroke();
+  invoice.lines.forEach((line, index) => {
+    if (y > 740) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    y = drawRow(doc, columns, {
+      index: index + 1,
+      item: `${line.name || 'Item'}${line.sku ? ` (${line.sku})` : ''}${line.hsnCode ? `\nHSN ${line.hsnCode}` : ''}`,
+      quantity: line.quantity,
+      unitPrice: amount(line.unitPrice),
+      discount: amount(line.discount),
+      taxableValue: amount(line.taxableValue),
+      gstRate: line.gstRate ?? '-',
+      cgst: amount(line.cgst),
+      sgst: amount(line.sgst),
+      igst: amount(line.igst),
+      total: amount(line.total),
+    }, y);
+  });
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + CONTENT_WIDTH, y - 3).stroke();
+
+  // Totals
+  const totals = [
+    ['Taxable value', invoice.taxableValue],
+    ...(invoice.supplyType === 'intra_state'
+      ? [['CGST', invoice.cgstAmount], ['SGST', invoice.sgstAmount]]
+      : [['IGST', invoice.igstAmount]]),
+    ...(invoice.shippingCharge ? [['Shipping', invoice.shippingCharge]] : []),
+  ];
+  doc.font('Helvetica').fontSize(9);
+  y += 4;
+  for (const [label, value] of totals) {
+    doc.text(label, PAGE_MARGIN + 300, y, { width: 110 });
+    doc.text(rupees(value), PAGE_MARGIN + 410, y, { width: 105, align: 'right' });
+    y = doc.y + 3;
+  }
+  doc.font('Helvetica-Bold').fontSize(10);
+  doc.text(invoice.type === 'invoice' ? 'Invoice total' : 'Credit total', PAGE_MARGIN + 300, y + 2, { width: 110 });
+  doc.text(rupees(invoice.totalAmount), PAGE_MARGIN + 410, y + 2, { width: 105, align: 'right' });
+
+  // Footer notes
+  const notes = ['All amounts are in INR.'];
+  if (invoice.pricesIncludeTax) notes.push('Prices are inclusive of GST.');
+  if (invoice.currency && invoice.currency !== 'INR') {
+    notes.push(`Paid in ${invoice.currency} at Rs. ${amount(invoice.exchangeRate)} per ${invoice.currency}.`);
+  }
+  notes.push('This is a computer-generated document and does not require a signature.');
+  doc.font('Helvetica').fontSize(8).text(notes.join(' '), PAGE_MARGIN, doc.y + 24, { width: CONTENT_WIDTH });
+
+  doc.end();
+});
+
+module.exports = {
+  renderInvoicePdf,
+};
@@ -0,0 +1,264 @@
+// Order lifecycle: the statuses a seller's fulfilment of an order moves through, which
+// moves are allowed and who may make each one. 'system' is the platform itself (payment
+// verification, jobs). The order's own status is derived from its fulfilments.
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 403;
+  }
+}
+
+const FULFILMENT_STATUSES = [
+  'placed',
+  'confirmed',
+  'packed',
+  'shipped',
+  'out_for_delivery',
+  'delivered',
+  'cancelled',
+  'return_requested',
+  'returned',
+  'refunded',
+];
+
+// Only ever derived, when a multi-seller order's fulfilments are at different stages
+const ORDER_STATUSES = [...FULFILMENT_STATUSES, 'partially_shipped', 'partially_delivered'];
+
+// Happy path shown as upcoming steps on the tracking timeline
+const FULFILMENT_FLOW = ['placed', 'confirmed', 'packed', 'shipped', 'out_for_delivery', 'delivered'];
+
+// from -> to -> roles allowed to make the move
+const ORDER_TRANSITIONS = {
+  placed: {
+    confirmed: ['admin', 'seller', 'system'],
+    cancelled: ['customer', 'admin', 'seller', 'system'],
+  },
+  confirmed: {
+    packed: ['admin', 'seller'],
+    cancelled: ['customer', 'admin', 'seller', 'system'],
+  },
+  packed: {
+    shipped: ['admin', 'seller'],
+    cancelled: ['customer', 'admin', 'seller'],
+  },
+  shipped: {
+    out_for_delivery: ['admin', 'seller'],
+    delivered: ['admin', 'seller'],
+  },
+  out_for_delivery: {
+    delivered: ['admin', 'seller'],
+  },
+  // Return statuses follow the fulfilment's return requests (ReturnService)
+  delivered: {
+    return_requested: ['customer', 'admin', 'system'],
+  },
+  return_requested: {
+    returned: ['admin', 'seller', 'system'],
+    delivered: ['admin', 'seller', 'system'], // Return rejected, withdrawn or replaced
+  },
+  returned: {
+    return_requested: ['customer', 'admin', 'system'], // More items sent back later
+    refunded: ['admin', 'system'],
+  },
+  cancelled: {
+    refunded: ['admin', 'system'], // Orders paid before they were cancelled
+  },
+  refunded: {},
+};
+
+// Reason codes for cancelling an order or some of its lines
+const CANCELLATION_REASONS = [
+  'changed_mind',
+  'ordered_by_mistake',
+  'found_better_price',
+  'delivery_too_slow',
+  'wrong_address',
+  'payment_issue',
+  'out_of_stock', // Seller could not fulfil
+  'other',
+];
+
+// Reason codes for returning delivered items
+const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'size_fit',
+  'missing_parts',
+  'changed_mind',
+  'other',
+];
+
+// A return request (RMA) for delivered items of one fulfilment
+const RETURN_STATUSES = [
+  'requested',
+  'approved',
+  'pickup_scheduled',
+  'received',
+  'refunded',
+  'replaced',
+  'rejected',
+  'cancelled',
+];
+
+// Returns whose items are still on their way back or being dealt with
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'pickup_scheduled', 'received'];
+
+// from -> statuses a return can move to; who may make each move is up to ReturnService
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['pickup_scheduled', 'cancelled'],
+  pickup_scheduled: ['received'],
+  received: ['refunded', 'replaced', 'rejected'], // Rejected when inspection fails
+  refunded: [],
+  replaced: [],
+  rejected: [],
+  cancelled: [],
+};
+
+const STATUS_LABELS = {
+  placed: 'Order placed',
+  confirmed: 'Order confirmed',
+  packed: 'Packed',
+  shipped: 'Shipped',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  return_requested: 'Return requested',
+  returned: 'Returned',
+  refunded: 'Refunded',
+  partially_shipped: 'Partially shipped',
+  partially_delivered: 'Partially delivered',
+};
+
+/**
+ * Statuses an order in `from` can move to, optionally only those `role` may set.
+ * @param {string} from - Current status.
+ * @param {string} [role] - Actor role.
+ * @returns {string[]}
+ */
+const nextStatuses = (from, role) => Object.entries(ORDER_TRANSITIONS[from] || {})
+  .filter(([, roles]) => !role || roles.includes(role))
+  .map(([status]) => status);
+
+/**
+ * Throw unless `role` may move an order from `from` to `to`.
+ * @param {string} from - Current status.
+ * @param {string} to - Requested status.
+ * @param {string} role - Actor role.
+ */
+const assertTransition = (from, to, role) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new BadRequestError(`Invalid order status: ${to}`);
+  }
+  const roles = ORDER_TRANSITIONS[from]?.[to];
+  if (!roles) {
+    throw new BadRequestError(`An order cannot go from ${STATUS_LABELS[from] || from} to ${STATUS_LABELS[to]}`);
+  }
+  if (!roles.includes(role)) {
+    throw new ForbiddenError(`Unauthorized to mark this order as ${STATUS_LABELS[to].toLowerCase()}`);
+  }
+};
+
+/**
+ * Why an order can't be processed past `placed` yet, if it can't: orders paid online
+ * wait for their payment, which the platform confirms (payment verification), and
+ * orders paid after their items sold out wait for an admin. Cancelling stays open.
+ * @param {Object} order - { paymentMethod, paymentStatus, stockShortfall }.
+ * @param {string} from - Current fulfilment status.
+ * @param {string} to - Requested status.
+ * @param {string} role - Actor role.
+ * @returns {string|null} Reason, or null when the move may go ahead.
+ */
+const paymentHold = ({ paymentMethod, paymentStatus, stockShortfall }, from, to, role) => {
+  if (from !== 'placed' || to === 'cancelled' || role === 'system') return null;
+  if (paymentMethod !== 'cod' && paymentStatus !== 'completed') {
+    return 'This order is awaiting payment and cannot be processed yet';
+  }
+  if (stockShortfall && role !== 'admin') {
+    return 'This order is awaiting review by an admin';
+  }
+  return null;
+};
+
+/**
+ * Throw when the order's payment doesn't allow the move yet (see paymentHold).
+ * @param {Object} order - { paymentMethod, paymentStatus, stockShortfall }.
+ * @param {string} from - Current fulfilment status.
+ * @param {string} to - Requested status.
+ * @param {string} role - Actor role.
+ */
+const assertPaymentSettled = (order, from, to, role) => {
+  const reason = paymentHold(order, from, to, role);
+  if (reason) {
+    throw new BadRequestError(reason);
+  }
+};
+
+/**
+ * Throw unless a return request may move from `from` to `to`.
+ * @param {string} from - Current return status.
+ * @param {string} to - Requested return status.
+ */
+const assertReturnTransition = (from, to) => {
+  if (!RETURN_TRANSITIONS[from]?.includes(to)) {
+    throw new BadRequestError(`A return cannot go from ${from.replace(/_/g, ' ')} to ${to.replace(/_/g, ' ')}`);
+  }
+};
+
+// How far along the fulfilment flow a status is; after-delivery statuses count as delivered
+const flowRank = (status) => (FULFILMENT_FLOW.includes(status)
+  ? FULFILMENT_FLOW.indexOf(status)
+  : FULFILMENT_FLOW.indexOf('delivered'));
+
+/**
+ * Derive an order's status from the statuses of its fulfilments. Cancelled fulfilments
+ * are ignored unless all of them are; fulfilments at different stages give the earliest
+ * common stage, "partially shipped" or "partially delivered".
+ * @param {string[]} statuses - Fulfilment statuses.
+ * @returns {string}
+ */
+const deriveOrderStatus = (statuses) => {
+  const active = statuses.filter((status) => status !== 'cancelled');
+  if (!active.length) return statuses.length ? 'cancelled' : 'placed';
+  if (active.every((status) => status === active[0])) return active[0];
+
+  const delivered = FULFILMENT_FLOW.indexOf('delivered');
+  if (active.every((status) => flowRank(status) >= delivered)) {
+    if (active.includes('return_requested')) return 'return_requested';
+    return active.every((status) => ['returned', 'refunded'].includes(status)) ? 'returned' : 'delivered';
+  }
+  if (active.some((status) => flowRank(status) >= delivered)) return 'partially_delivered';
+  const lowest = Math.min(...active.map(flowRank));
+  const shipped = FULFILMENT_FLOW.indexOf('shipped');
+  if (lowest < shipped && active.some((status) => flowRank(status) >= shipped)) return 'partially_shipped';
+  return FULFILMENT_FLOW[lowest];
+};
+
+module.exports = {
+  FULFILMENT_STATUSES,
+  ORDER_STATUSES,
+  FULFILMENT_FLOW,
+  ORDER_TRANSITIONS,
+  CANCELLATION_REASONS,
+  RETURN_REASONS,
+  RETURN_STATUSES,
+  OPEN_RETURN_STATUSES,
+  RETURN_TRANSITIONS,
+  STATUS_LABELS,
+  nextStatuses,
+  paymentHold,
+  assertTransition,
+  assertPaymentSettled,
+  assertReturnTransition,
+  deriveOrderStatus,
+};
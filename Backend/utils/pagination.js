@@ -0,0 +1,174 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+/**
+ * Shared query parameters for list endpoints. Offset mode (`page`) is the default;
+ * passing `cursor` or `mode=cursor` switches to keyset paging, which stays stable
+ * while new records are inserted.
+ */
+const paginationSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().trim().max(500).optional(),
+  mode: Joi.string().valid('offset', 'cursor').optional(),
+});
+
+const isCursorMode = ({ cursor, mode } = {}) => Boolean(cursor) || mode === 'cursor';
+
+/**
+ * Encode the sort position of a document into an opaque cursor.
+ * @param {Object} doc - Last document of the page.
+ * @param {string} [sortField='createdAt'] - Field the list is sorted by.
+ * @returns {string} Base64url cursor.
+ */
+const encodeCursor = (doc, sortField = 'createdAt') => {
+  const value = doc[sortField];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ * @param {string} cursor - Opaque cursor.
+ * @returns {Object} { value, id }.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) throw new Error('Invalid cursor ID');
+    const value = d ? new Date(v) : v;
+    if (d && Number.isNaN(value.getTime())) throw new Error('Invalid cursor date');
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new BadRequestError('Invalid pagination cursor');
+  }
+};
+
+/**
+ * Build the filter selecting documents after a cursor for a (sortField, _id) ordering.
+ * @param {string|undefined} cursor - Cursor from the previous page, if any.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.sortField='createdAt'] - Field the list is sorted by.
+ * @param {number} [options.direction=-1] - 1 for ascending, -1 for descending.
+ * @returns {Object} Mongo filter (empty for the first page).
+ */
+const cursorFilter = (cursor, { sortField = 'createdAt', direction = -1 } = {}) => {
+  if (!cursor) return {};
+  const { value, id } = decodeCursor(cursor);
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sortField]: { [op]: value } },
+      { [sortField]: value, _id: { [op]: id } },
+    ],
+  };
+};
+
+/**
+ * Sort specification matching cursorFilter.
+ * @param {string} [sortField='createdAt'] - Field the list is sorted by.
+ * @param {number} [direction=-1] - 1 for ascending, -1 for descending.
+ * @returns {Object} Mongo sort.
+ */
+const cursorSort = (sortField = 'createdAt', direction = -1) => ({ [sortField]: direction, _id: direction });
+
+/**
+ * Envelope for an offset-paged list.
+ * @param {Object} params - Page data.
+ * @returns {Object} { items, total, page, limit, hasNext }.
+ */
+const buildPage = ({ items, total, page, limit }) => ({
+  items,
+  total,
+  page,
+  limit,
+  hasNext: page * limit < total,
+});
+
+/**
+ * Envelope for a cursor-paged list. Expects `items` to have been fetched with
+ * `limit + 1` so the extra document signals another page.
+ * @param {Object} params - Page data.
+ * @returns {Object} { items, total, page, limit, hasNext, nextCursor }.
+ */
+const buildCursorPage = ({ items, total, limit, sortField = 'createdAt' }) => {
+  const hasNext = items.length > limit;
+  const pageItems = hasNext ? items.slice(0, limit) : items;
+  return {
+    items: pageItems,
+    total,
+    page: null,
+    limit,
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(pageItems[pageItems.length - 1], sortField) : null,
+  };
+};
+
+/**
+ * Run a paginated find in either offset or cursor mode and wrap it in the envelope.
+ * @param {mongoose.Model} Model - Model to query.
+ * @param {Object} filter - Base filter.
+ * @param {Object} options - { page, limit, cursor, mode, sortField, direction, sort, select, populate }.
+ *   `sort` is only honoured in offset mode; cursor mode always orders by (sortField, _id).
+ * @returns {Object} Paginated envelope.
+ */
+const paginate = async (Model, filter, options) => {
+  const {
+    page = 1,
+    limit = 20,
+    sortField = 'createdAt',
+    direction = -1,
+    sort,
+    select,
+    populate = [],
+  } = options;
+
+  const applyQueryOptions = (query) => {
+    if (select) query.select(select);
+    for (const path of populate) query.populate(path);
+    return query.lean();
+  };
+
+  if (isCursorMode(options)) {
+    const pageFilter = { $and: [filter, cursorFilter(options.cursor, { sortField, direction })] };
+    const [items, total] = await Promise.all([
+      applyQueryOptions(Model.find(pageFilter).sort(cursorSort(sortField, direction)).limit(limit + 1)),
+      Model.countDocuments(filter),
+    ]);
+    return buildCursorPage({ items, total, limit, sortField });
+  }
+
+  const [items, total] = await Promise.all([
+    applyQueryOptions(
+      Model.find(filter)
+        .sort(sort || cursorSort(sortField, direction))
+        .skip((page - 1) * limit)
+        .limit(limit)
+    ),
+    Model.countDocuments(filter),
+  ]);
+  return buildPage({ items, total, page, limit });
+};
+
+module.exports = {
+  paginationSchema,
+  isCursorMode,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  cursorSort,
+  buildPage,
+  buildCursorPage,
+  paginate,
+};